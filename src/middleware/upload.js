@@ -33,7 +33,7 @@ const allowedMerkleTypes = ['text/csv', 'application/json', 'application/vnd.ms-
 const fileSizeLimits = {
   profile: 5 * 1024 * 1024, // 5MB
   documents: 10 * 1024 * 1024, // 10MB
-  merkle: 50 * 1024 * 1024, // 50MB
+  merkle: (parseInt(process.env.MERKLE_UPLOAD_MAX_MB) || 50) * 1024 * 1024, // 50MB
   temp: 100 * 1024 * 1024 // 100MB
 };
 
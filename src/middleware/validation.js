@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { LEAF_ENCODINGS } = require('../utils/merkleLeaf');
 
 // Ethereum address validation
 const isValidEthereumAddress = (value) => {
@@ -71,6 +72,31 @@ const amountValidation = body('amount')
     return true;
   });
 
+// Token of a multi-token distribution
+const tokenAddressValidation = body('tokenAddress')
+  .optional()
+  .custom((value) => {
+    if (!isValidEthereumAddress(value)) {
+      throw new Error('Invalid token address');
+    }
+    return true;
+  })
+  .toLowerCase();
+
+// Claim window of a merkle tree; null clears a side of the window
+const claimWindowValidation = [
+  body('claimStartTime')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Claim start time must be in ISO 8601 format')
+    .toDate(),
+  body('claimEndTime')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Claim end time must be in ISO 8601 format')
+    .toDate()
+];
+
 // Validation rules for different endpoints
 
 // User authentication
@@ -94,18 +120,134 @@ const validateAdminAuth = [
     .withMessage('Two-factor code must be numeric')
 ];
 
-// Claim validation
+// Claim validation; the signature is an EIP-712 claim intent
 const validateClaim = [
   walletAddressValidation,
   signatureValidation,
-  messageValidation,
-  amountValidation
+  amountValidation,
+  tokenAddressValidation,
+  body('nonce')
+    .isInt({ min: 0 })
+    .withMessage('Nonce must be a non-negative integer')
+    .toInt(),
+  body('deadline')
+    .isInt({ min: 0 })
+    .withMessage('Deadline must be a unix timestamp in seconds')
+    .toInt()
+];
+
+// Claim intent request
+const validateClaimIntent = [
+  query('walletAddress')
+    .notEmpty()
+    .withMessage('Wallet address is required')
+    .custom((value) => {
+      if (!isValidEthereumAddress(value)) {
+        throw new Error('Invalid Ethereum wallet address format');
+      }
+      return true;
+    })
+    .toLowerCase(),
+  query('amount')
+    .notEmpty()
+    .withMessage('Amount is required')
+    .custom((value) => {
+      if (!isValidNumericString(value) || BigInt(value) <= 0) {
+        throw new Error('Amount must be a positive numeric string');
+      }
+      return true;
+    }),
+  query('tokenAddress')
+    .optional()
+    .custom((value) => {
+      if (!isValidEthereumAddress(value)) {
+        throw new Error('Invalid token address');
+      }
+      return true;
+    })
+    .toLowerCase()
+];
+
+// Claim delegation request; the signature is an EIP-712 ClaimDelegation
+const validateClaimDelegation = [
+  walletAddressValidation,
+  signatureValidation,
+  tokenAddressValidation,
+  body('recipient')
+    .notEmpty()
+    .withMessage('Recipient is required')
+    .custom((value) => {
+      if (!isValidEthereumAddress(value)) {
+        throw new Error('Invalid recipient address');
+      }
+      return true;
+    })
+    .toLowerCase(),
+  body('nonce')
+    .isInt({ min: 0 })
+    .withMessage('Nonce must be a non-negative integer')
+    .toInt(),
+  body('deadline')
+    .isInt({ min: 0 })
+    .withMessage('Deadline must be a unix timestamp in seconds')
+    .toInt(),
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+    .trim()
+];
+
+// Claim delegation request to sign
+const validateClaimDelegationIntent = [
+  query('walletAddress')
+    .notEmpty()
+    .withMessage('Wallet address is required')
+    .custom((value) => {
+      if (!isValidEthereumAddress(value)) {
+        throw new Error('Invalid Ethereum wallet address format');
+      }
+      return true;
+    })
+    .toLowerCase(),
+  query('recipient')
+    .notEmpty()
+    .withMessage('Recipient is required')
+    .custom((value) => {
+      if (!isValidEthereumAddress(value)) {
+        throw new Error('Invalid recipient address');
+      }
+      return true;
+    })
+    .toLowerCase(),
+  query('tokenAddress')
+    .optional()
+    .custom((value) => {
+      if (!isValidEthereumAddress(value)) {
+        throw new Error('Invalid token address');
+      }
+      return true;
+    })
+    .toLowerCase()
+];
+
+const validateDelegationReview = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approving', 'approved', 'rejected'])
+    .withMessage('Status must be pending, approving, approved or rejected'),
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters')
+    .trim()
 ];
 
 // Admin claim validation
 const validateAdminClaim = [
   walletAddressValidation,
   amountValidation,
+  tokenAddressValidation,
   body('adminNote')
     .optional()
     .isLength({ max: 500 })
@@ -184,9 +326,150 @@ const validateMerkleTree = [
         throw new Error('Invalid amount in data');
       }
       return true;
+    }),
+  body('data.*.tokenAddress')
+    .optional()
+    .custom((value) => {
+      if (!isValidEthereumAddress(value)) {
+        throw new Error('Invalid token address in data');
+      }
+      return true;
+    }),
+  body('tokens')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Tokens must be a non-empty array'),
+  body(['tokens.*.address', 'tokens.*.distributor'])
+    .custom((value) => {
+      if (!isValidEthereumAddress(value)) {
+        throw new Error('Invalid token or distributor address');
+      }
+      return true;
+    }),
+  body('tokens.*.symbol')
+    .optional()
+    .isLength({ max: 20 })
+    .withMessage('Token symbol must not exceed 20 characters')
+    .trim(),
+  body('tokens.*.decimals')
+    .optional()
+    .isInt({ min: 0, max: 36 })
+    .withMessage('Token decimals must be between 0 and 36')
+    .toInt(),
+  body('cumulative')
+    .optional()
+    .isBoolean()
+    .withMessage('Cumulative must be a boolean'),
+  body('allocationMode')
+    .optional()
+    .isIn(['increment', 'total'])
+    .withMessage('Allocation mode must be increment or total'),
+  body('previousTreeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid previous tree ID'),
+  body('leafEncoding')
+    .optional()
+    .isIn(Object.keys(LEAF_ENCODINGS))
+    .withMessage(`Leaf encoding must be one of: ${Object.keys(LEAF_ENCODINGS).join(', ')}`),
+  ...claimWindowValidation
+];
+
+const validateClaimWindow = [
+  ...claimWindowValidation
+];
+
+const validateClawbackSweep = [
+  body('recipient')
+    .notEmpty()
+    .withMessage('Recipient is required')
+    .custom((value) => {
+      if (!isValidEthereumAddress(value)) {
+        throw new Error('Invalid recipient address');
+      }
+      return true;
     })
 ];
 
+const validateSnapshot = [
+  body('name')
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters')
+    .trim(),
+  body('tokenAddress')
+    .optional()
+    .custom((value) => {
+      if (!isValidEthereumAddress(value)) {
+        throw new Error('Invalid token address');
+      }
+      return true;
+    }),
+  body('fromBlock')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('fromBlock must be a non-negative integer')
+    .toInt(),
+  body('blockNumber')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('blockNumber must be a non-negative integer')
+    .toInt(),
+  body('rules')
+    .optional()
+    .isObject()
+    .withMessage('Rules must be an object')
+];
+
+const validateVestingSchedule = [
+  walletAddressValidation,
+  tokenAddressValidation,
+  body('merkleTreeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid merkle tree ID'),
+  body('totalAmount')
+    .optional()
+    .custom((value) => {
+      if (!isValidNumericString(value) || BigInt(value) <= 0) {
+        throw new Error('Total amount must be a positive numeric string');
+      }
+      return true;
+    }),
+  body('category')
+    .optional()
+    .isIn(['team', 'investor', 'advisor', 'community', 'other'])
+    .withMessage('Category must be one of: team, investor, advisor, community, other'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be in ISO 8601 format')
+    .toDate(),
+  body('cliffDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Cliff date must be in ISO 8601 format')
+    .toDate(),
+  body('endDate')
+    .isISO8601()
+    .withMessage('End date must be in ISO 8601 format')
+    .toDate(),
+  body('releaseType')
+    .optional()
+    .isIn(['linear', 'stepped'])
+    .withMessage('Release type must be linear or stepped'),
+  body('stepInterval')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Step interval must be a positive number of seconds')
+    .toInt(),
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+    .trim()
+];
+
 // Query parameter validations
 const validatePagination = [
   query('page')
@@ -218,6 +501,27 @@ const validateDateRange = [
     .toDate()
 ];
 
+const validateMerkleTreeDiff = [
+  query('against')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid tree ID to compare against'),
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Limit must be between 1 and 1000')
+    .toInt(),
+  query('top')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Top must be between 1 and 100')
+    .toInt()
+];
+
 // Parameter validations
 const validateObjectId = (paramName) => [
   param(paramName)
@@ -276,12 +580,21 @@ module.exports = {
   validateWalletAuth,
   validateAdminAuth,
   validateClaim,
+  validateClaimIntent,
+  validateClaimDelegation,
+  validateClaimDelegationIntent,
+  validateDelegationReview,
   validateAdminClaim,
   validateUserUpdate,
   validateAdminCreate,
   validateMerkleTree,
+  validateClaimWindow,
+  validateClawbackSweep,
+  validateSnapshot,
+  validateVestingSchedule,
   validatePagination,
   validateDateRange,
+  validateMerkleTreeDiff,
   validateObjectId,
   validateWalletParam,
   validateTransactionHash,
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const SnapshotAllocation = require('./SnapshotAllocation');
+const { getDefaultChainId } = require('../utils/chains');
+
+// Token holder snapshot built by replaying Transfer events, turned into
+// allocations for merkleService.createMerkleTree. The allocations themselves
+// live in the SnapshotAllocation collection.
+const allocationSnapshotSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  chainId: {
+    type: Number,
+    default: () => getDefaultChainId()
+  },
+  tokenAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  fromBlock: {
+    type: Number,
+    required: true
+  },
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  // { minBalance, excludedAddresses, mode, totalAmount, tiers, cap }
+  rules: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  progress: {
+    lastProcessedBlock: {
+      type: Number,
+      default: null
+    },
+    transfers: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Holders, totals and every rule that was applied
+  report: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+allocationSnapshotSchema.index({ createdAt: -1 });
+allocationSnapshotSchema.index({ status: 1 });
+
+// Instance method to record the replayed block range
+allocationSnapshotSchema.methods.advance = function(blockNumber, transfers) {
+  this.progress.lastProcessedBlock = blockNumber;
+  this.progress.transfers += transfers;
+
+  return this.save();
+};
+
+// Instance method to store the rule report of a finished run (its allocations are stored first)
+allocationSnapshotSchema.methods.complete = function(report) {
+  this.status = 'completed';
+  this.report = report;
+  this.error = null;
+  this.completedAt = new Date();
+
+  return this.save();
+};
+
+// Instance method to mark the run as failed
+allocationSnapshotSchema.methods.fail = function(error) {
+  this.status = 'failed';
+  this.error = (error.message || String(error)).slice(0, 500);
+  this.completedAt = new Date();
+
+  return this.save();
+};
+
+// Instance method to get the allocations as createMerkleTree expects them
+allocationSnapshotSchema.methods.getAllocations = async function() {
+  const allocations = await SnapshotAllocation.find({ snapshot: this._id })
+    .sort({ walletAddress: 1 })
+    .select('walletAddress amount')
+    .lean();
+
+  return allocations.map(allocation => ({
+    walletAddress: allocation.walletAddress,
+    amount: allocation.amount
+  }));
+};
+
+const AllocationSnapshot = mongoose.model('AllocationSnapshot', allocationSnapshotSchema);
+
+module.exports = AllocationSnapshot;
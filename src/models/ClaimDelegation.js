@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const { getDefaultChainId, chainFilter } = require('../utils/chains');
+
+// A wallet's signed request to have its allocation paid to another wallet,
+// reviewed by an admin before an admin claim pays the recipient
+const claimDelegationSchema = new mongoose.Schema({
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipientAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  chainId: {
+    type: Number,
+    default: () => getDefaultChainId()
+  },
+  // Tree whose root the wallet signed
+  merkleTree: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MerkleTree',
+    required: true
+  },
+  tokenAddress: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  reason: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  // EIP-712 ClaimDelegation signature of the wallet
+  signature: {
+    type: String,
+    required: true
+  },
+  digest: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: Number,
+    required: true
+  },
+  deadline: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    // approving: taken over by an admin while the admin claim is created
+    enum: ['pending', 'approving', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  // Amount paid to the recipient, set on approval
+  amount: {
+    type: String,
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  claimTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClaimTransaction',
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+claimDelegationSchema.index({ status: 1, createdAt: 1 });
+claimDelegationSchema.index({ walletAddress: 1, chainId: 1, tokenAddress: 1, status: 1 });
+claimDelegationSchema.index({ user: 1, createdAt: -1 });
+
+// Instance method to record an approval and the claim paying the recipient
+claimDelegationSchema.methods.approve = function(adminId, claimTransaction, note = null) {
+  this.status = 'approved';
+  this.amount = claimTransaction.amount;
+  this.claimTransaction = claimTransaction._id;
+  this.reviewedBy = adminId;
+  this.reviewedAt = new Date();
+  this.reviewNote = note;
+
+  return this.save();
+};
+
+// Static method to take a pending request over for approval; null when
+// another admin reviewed or took it first
+claimDelegationSchema.statics.takeForApproval = function(delegationId) {
+  return this.findOneAndUpdate(
+    { _id: delegationId, status: 'pending' },
+    { status: 'approving' },
+    { new: true }
+  );
+};
+
+// Static method to put a request taken for approval back in the queue
+claimDelegationSchema.statics.releaseApproval = function(delegationId) {
+  return this.updateOne(
+    { _id: delegationId, status: 'approving' },
+    { status: 'pending' }
+  );
+};
+
+// Static method to reject a pending request; null when it was already reviewed
+claimDelegationSchema.statics.rejectPending = function(delegationId, adminId, note = null) {
+  return this.findOneAndUpdate(
+    { _id: delegationId, status: 'pending' },
+    {
+      status: 'rejected',
+      reviewedBy: adminId,
+      reviewedAt: new Date(),
+      reviewNote: note
+    },
+    { new: true }
+  );
+};
+
+// Static method to find the pending request of a wallet's allocation
+claimDelegationSchema.statics.findPending = function(walletAddress, chainId = getDefaultChainId(), tokenAddress = null) {
+  return this.findOne({
+    walletAddress: walletAddress.toLowerCase(),
+    ...chainFilter(chainId),
+    tokenAddress: tokenAddress ? tokenAddress.toLowerCase() : null,
+    status: { $in: ['pending', 'approving'] }
+  });
+};
+
+const ClaimDelegation = mongoose.model('ClaimDelegation', claimDelegationSchema);
+
+module.exports = ClaimDelegation;
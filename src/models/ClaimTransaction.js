@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getDefaultChainId, chainFilter } = require('../utils/chains');
 
 const claimTransactionSchema = new mongoose.Schema({
   user: {
@@ -20,9 +21,25 @@ const claimTransactionSchema = new mongoose.Schema({
     enum: ['self_claim', 'admin_claim'],
     required: true
   },
+  chainId: {
+    type: Number,
+    default: () => getDefaultChainId()
+  },
+  // Token and distributor contract of multi-token distributions; null means
+  // the chain's CONTRACT_ADDRESS
+  tokenAddress: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  distributorAddress: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
+    enum: ['pending', 'processing', 'confirming', 'completed', 'failed', 'cancelled'],
     default: 'pending'
   },
   transactionHash: {
@@ -51,6 +68,16 @@ const claimTransactionSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  confirmedAt: {
+    type: Date,
+    default: null
+  },
+  // Tree the claim was made against; null for claims made before it was recorded
+  merkleTree: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MerkleTree',
+    default: null
+  },
   merkleProof: {
     type: [String],
     required: true
@@ -59,6 +86,34 @@ const claimTransactionSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Wallet paid instead of walletAddress, for approved claim delegations
+  recipientAddress: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  delegation: {
+    request: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ClaimDelegation'
+    },
+    signature: String,
+    digest: String,
+    requestedAt: Date,
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    approvedAt: Date
+  },
+  // EIP-712 claim intent the wallet signed for a self-claim
+  intent: {
+    signature: String,
+    digest: String,
+    nonce: Number,
+    deadline: Date,
+    merkleRoot: String
+  },
   adminId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Admin',
@@ -72,6 +127,34 @@ const claimTransactionSchema = new mongoose.Schema({
     type: String,
     maxlength: 500
   },
+  failureDetails: {
+    stage: {
+      type: String,
+      enum: ['simulation', 'broadcast', 'receipt']
+    },
+    code: String,
+    reason: String,
+    errorName: String,
+    errorArgs: [String],
+    selector: String,
+    data: String,
+    at: Date
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  // 'user' for claims the user cancelled, 'expiry' for stale claims
+  cancelledBy: {
+    type: String,
+    enum: ['user', 'expiry'],
+    default: null
+  },
+  cancelReason: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
   retryCount: {
     type: Number,
     default: 0
@@ -101,8 +184,16 @@ claimTransactionSchema.index({ user: 1, createdAt: -1 });
 claimTransactionSchema.index({ walletAddress: 1, createdAt: -1 });
 claimTransactionSchema.index({ status: 1, createdAt: -1 });
 claimTransactionSchema.index({ type: 1, createdAt: -1 });
+claimTransactionSchema.index({ merkleTree: 1, walletAddress: 1 });
 claimTransactionSchema.index({ transactionHash: 1 });
 claimTransactionSchema.index({ adminId: 1, createdAt: -1 });
+claimTransactionSchema.index({ walletAddress: 1, amount: 1, status: 1 });
+claimTransactionSchema.index({ chainId: 1, status: 1 });
+claimTransactionSchema.index({ user: 1, tokenAddress: 1 });
+claimTransactionSchema.index(
+  { 'intent.digest': 1 },
+  { unique: true, partialFilterExpression: { 'intent.digest': { $type: 'string' } } }
+);
 
 // Virtual for formatted amount
 claimTransactionSchema.virtual('formattedAmount').get(function() {
@@ -137,6 +228,10 @@ claimTransactionSchema.methods.updateStatus = function(status, additionalData =
     this.failureReason = additionalData.failureReason;
   }
   
+  if (additionalData.failureDetails) {
+    this.failureDetails = { ...additionalData.failureDetails, at: new Date() };
+  }
+  
   return this.save();
 };
 
@@ -157,14 +252,19 @@ claimTransactionSchema.statics.getUserClaimHistory = function(userId, limit = 10
     .populate('adminId', 'name email');
 };
 
-// Static method to get pending claims
-claimTransactionSchema.statics.getPendingClaims = function() {
-  return this.find({ status: 'pending' })
+// Static method to get pending claims, optionally limited to one chain
+claimTransactionSchema.statics.getPendingClaims = function(chainId = null) {
+  return this.find({ status: 'pending', ...(chainId ? chainFilter(chainId) : {}) })
     .sort({ createdAt: 1 })
     .populate('user', 'walletAddress')
     .populate('adminId', 'name email');
 };
 
+// Static method to get claims mined but not yet past the confirmation depth
+claimTransactionSchema.statics.getConfirmingClaims = function(chainId = getDefaultChainId()) {
+  return this.find({ status: 'confirming', ...chainFilter(chainId) }).sort({ blockNumber: 1 });
+};
+
 // Static method to get failed claims that can be retried
 claimTransactionSchema.statics.getRetryableClaims = function() {
   return this.find({
@@ -177,6 +277,74 @@ claimTransactionSchema.statics.getRetryableClaims = function() {
   }).sort({ createdAt: 1 });
 };
 
+// Static method to find the open claim an on-chain claim event settles
+// distributorAddresses limits the match to claims paid out by the emitting contract
+claimTransactionSchema.statics.findMatchForEvent = async function(walletAddress, amount, types, transactionHash, chainId = getDefaultChainId(), distributorAddresses = null) {
+  const wallet = walletAddress.toLowerCase();
+  
+  // A claim we already broadcast ourselves carries the hash
+  const sent = await this.findOne({ transactionHash, walletAddress: wallet, ...chainFilter(chainId) });
+  if (sent) {
+    return sent;
+  }
+  
+  const unsent = {
+    walletAddress: wallet,
+    ...chainFilter(chainId),
+    amount: amount.toString(),
+    ...(distributorAddresses ? { distributorAddress: { $in: distributorAddresses } } : {}),
+    transactionHash: null
+  };
+  
+  const open = await this.findOne({
+    ...unsent,
+    type: { $in: types },
+    status: { $in: ['pending', 'processing'] }
+  }).sort({ createdAt: 1 });
+  
+  if (open || !types.includes('self_claim')) {
+    return open;
+  }
+  
+  // A self-claim cancelled while the user's own transaction was still in the
+  // mempool is reopened and settled by the event
+  return this.findOne({ ...unsent, type: 'self_claim', status: 'cancelled' }).sort({ cancelledAt: -1 });
+};
+
+// Static method to record the block a claim was mined in. The claim only comes
+// back to the caller that moved it to confirming, so the user is credited once
+// however many times the transaction is seen.
+claimTransactionSchema.statics.recordMined = async function(claimId, blockData) {
+  const update = Object.fromEntries(Object.entries(blockData).filter(([, value]) => value != null));
+  
+  const settled = await this.findOneAndUpdate(
+    { _id: claimId, status: { $nin: ['confirming', 'completed'] } },
+    { ...update, status: 'confirming' },
+    { new: true }
+  );
+  
+  if (!settled) {
+    // Already credited; only follow the block, e.g. when re-mined after a reorg
+    await this.updateOne({ _id: claimId }, update);
+  }
+  
+  return settled;
+};
+
+// Static method to add up what a wallet's settled claims paid out on a chain,
+// optionally limited to the claims made against some trees
+claimTransactionSchema.statics.getSettledAmount = async function(walletAddress, chainId = getDefaultChainId(), tokenAddress = null, merkleTreeIds = null) {
+  const claims = await this.find({
+    walletAddress: walletAddress.toLowerCase(),
+    ...chainFilter(chainId),
+    tokenAddress: tokenAddress ? tokenAddress.toLowerCase() : null,
+    ...(merkleTreeIds ? { merkleTree: { $in: merkleTreeIds } } : {}),
+    status: { $in: ['confirming', 'completed'] }
+  }).select('amount');
+  
+  return claims.reduce((total, claim) => total + BigInt(claim.amount), 0n).toString();
+};
+
 // Static method to get statistics
 claimTransactionSchema.statics.getStats = async function(dateFilter = {}) {
   const pipeline = [
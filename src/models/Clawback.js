@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const { getDefaultChainId } = require('../utils/chains');
+
+const clawbackTokenSchema = new mongoose.Schema({
+  // null for single-token trees, claimed at the chain's CONTRACT_ADDRESS
+  tokenAddress: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  distributor: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  allocated: {
+    type: String,
+    required: true
+  },
+  claimed: {
+    type: String,
+    required: true
+  },
+  unclaimed: {
+    type: String,
+    required: true
+  },
+  wallets: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['reported', 'queued', 'swept', 'failed'],
+    default: 'reported'
+  },
+  outboundTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OutboundTransaction',
+    default: null
+  },
+  transactionHash: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+// What a tree left unclaimed when its claim window closed, and the sweep
+// transactions that returned it
+const clawbackSchema = new mongoose.Schema({
+  merkleTree: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MerkleTree',
+    required: true
+  },
+  chainId: {
+    type: Number,
+    default: () => getDefaultChainId()
+  },
+  status: {
+    type: String,
+    enum: ['reported', 'sweeping', 'swept', 'failed'],
+    default: 'reported'
+  },
+  claimEndTime: {
+    type: Date,
+    required: true
+  },
+  totalAllocated: {
+    type: String,
+    required: true
+  },
+  totalClaimed: {
+    type: String,
+    required: true
+  },
+  totalUnclaimed: {
+    type: String,
+    required: true
+  },
+  // Wallets with something left unclaimed, and those that claimed nothing at all
+  unclaimedWallets: {
+    type: Number,
+    default: 0
+  },
+  untouchedWallets: {
+    type: Number,
+    default: 0
+  },
+  tokens: {
+    type: [clawbackTokenSchema],
+    default: []
+  },
+  // Claims still pending when the report was built; they are paid before a sweep
+  openClaims: {
+    type: Number,
+    default: 0
+  },
+  recipient: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  sweptBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  sweptAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+clawbackSchema.index({ merkleTree: 1, createdAt: -1 });
+
+// Instance method to record a settled sweep transaction of one distributor
+clawbackSchema.methods.recordSweep = function(outboundId, result) {
+  const token = this.tokens.find(entry => String(entry.outboundTransaction) === String(outboundId));
+
+  if (!token) {
+    return this;
+  }
+
+  token.status = result.status;
+  token.transactionHash = result.transactionHash || null;
+  token.error = result.error || null;
+
+  if (this.tokens.some(entry => entry.status === 'failed')) {
+    this.status = 'failed';
+  } else if (this.tokens.every(entry => entry.status === 'swept' || entry.unclaimed === '0')) {
+    this.status = 'swept';
+    this.sweptAt = new Date();
+  }
+
+  return this.save();
+};
+
+// Static method to get the latest report of a tree
+clawbackSchema.statics.getLatest = function(merkleTreeId) {
+  return this.findOne({ merkleTree: merkleTreeId }).sort({ createdAt: -1 });
+};
+
+// Static method to find a report of a tree that already sent sweep transactions;
+// the tokens it swept must not be reported as unclaimed again
+clawbackSchema.statics.findSentReport = function(merkleTreeId, exceptId = null) {
+  return this.findOne({
+    merkleTree: merkleTreeId,
+    ...(exceptId ? { _id: { $ne: exceptId } } : {}),
+    $or: [
+      { status: { $in: ['sweeping', 'swept'] } },
+      { 'tokens.status': { $in: ['queued', 'swept'] } }
+    ]
+  });
+};
+
+const Clawback = mongoose.model('Clawback', clawbackSchema);
+
+module.exports = Clawback;
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const indexerStateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  contractAddress: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  lastProcessedBlock: {
+    type: Number,
+    default: null
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  eventsProcessed: {
+    type: Number,
+    default: 0
+  },
+  claimsMatched: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to load (or lazily create) the cursor for an indexer
+indexerStateSchema.statics.getState = async function(name, contractAddress = null) {
+  let state = await this.findOne({ name });
+
+  if (!state) {
+    state = new this({
+      name,
+      contractAddress: contractAddress ? contractAddress.toLowerCase() : null
+    });
+    await state.save();
+  }
+
+  return state;
+};
+
+// Instance method to advance the cursor after a processed block range
+indexerStateSchema.methods.advance = function(blockNumber, stats = {}) {
+  this.lastProcessedBlock = blockNumber;
+  this.lastRunAt = new Date();
+  this.lastError = null;
+  this.eventsProcessed += stats.events || 0;
+  this.claimsMatched += stats.matched || 0;
+
+  return this.save();
+};
+
+// Instance method to record a failed run without moving the cursor
+indexerStateSchema.methods.recordError = function(error) {
+  this.lastRunAt = new Date();
+  this.lastError = (error.message || String(error)).slice(0, 500);
+
+  return this.save();
+};
+
+const IndexerState = mongoose.model('IndexerState', indexerStateSchema);
+
+module.exports = IndexerState;
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { getDefaultChainId, chainFilter } = require('../utils/chains');
+
+// Append-only record of every change of a chain's active merkle tree
+const merkleActivationSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    default: () => getDefaultChainId()
+  },
+  merkleTree: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MerkleTree',
+    required: true
+  },
+  root: {
+    type: String,
+    required: true
+  },
+  previousTree: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MerkleTree',
+    default: null
+  },
+  previousRoot: {
+    type: String,
+    default: null
+  },
+  // activate: admin panel; root_update: mined updateMerkleRoot sent by the backend;
+  // chain_event: MerkleRootUpdated sent outside the backend; rollback: admin rollback;
+  // reorg_restore: previous tree restored after the root update was reorganized away
+  action: {
+    type: String,
+    enum: ['activate', 'root_update', 'chain_event', 'rollback', 'reorg_restore'],
+    required: true
+  },
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  transactionHash: {
+    type: String,
+    default: null
+  },
+  blockNumber: {
+    type: Number,
+    default: null
+  },
+  outboundTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OutboundTransaction',
+    default: null
+  },
+  reason: {
+    type: String,
+    maxlength: 500,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+merkleActivationSchema.index({ chainId: 1, createdAt: -1 });
+merkleActivationSchema.index({ merkleTree: 1 });
+
+// History entries are never changed or removed
+merkleActivationSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Merkle activation history is append-only'));
+  }
+  next();
+});
+
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+  merkleActivationSchema.pre(operation, function(next) {
+    next(new Error('Merkle activation history is append-only'));
+  });
+}
+
+// Static method to append an entry
+merkleActivationSchema.statics.record = function(entry) {
+  return this.create(entry);
+};
+
+// Static method to get the history of a chain, newest first
+merkleActivationSchema.statics.getHistory = function(chainId = getDefaultChainId(), options = {}) {
+  return this.find(chainFilter(chainId))
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(options.skip || 0)
+    .limit(options.limit || 20)
+    .populate('merkleTree', 'name root')
+    .populate('previousTree', 'name root')
+    .populate('adminId', 'name email');
+};
+
+// Static method to get the entry that activated the current tree of a chain
+merkleActivationSchema.statics.getLatest = function(chainId = getDefaultChainId()) {
+  return this.findOne(chainFilter(chainId)).sort({ createdAt: -1, _id: -1 });
+};
+
+const MerkleActivation = mongoose.model('MerkleActivation', merkleActivationSchema);
+
+module.exports = MerkleActivation;
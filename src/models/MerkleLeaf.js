@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Leaves of trees built by the streaming builder, one document per wallet, so
+// that large distributions stay below the 16MB document limit of MerkleTree
+const merkleLeafSchema = new mongoose.Schema({
+  merkleTree: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MerkleTree',
+    required: true
+  },
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  // Token of the allocation in multi-token trees
+  tokenAddress: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  amount: {
+    type: String, // Using string to handle large numbers
+    required: true
+  },
+  // Assigned once the leaves are sorted; null while the build is staging rows
+  index: {
+    type: Number,
+    default: null
+  },
+  proof: {
+    type: [String],
+    default: []
+  }
+});
+
+// Indexes
+merkleLeafSchema.index({ merkleTree: 1, walletAddress: 1, tokenAddress: 1 });
+merkleLeafSchema.index({ merkleTree: 1, index: 1 });
+
+// Static method to find the leaf of a wallet (for one token of a multi-token tree)
+merkleLeafSchema.statics.findLeaf = function(merkleTreeId, walletAddress, tokenAddress = null) {
+  return this.findOne({
+    merkleTree: merkleTreeId,
+    walletAddress: walletAddress.toLowerCase(),
+    tokenAddress: tokenAddress ? tokenAddress.toLowerCase() : null
+  });
+};
+
+// Static method to find every leaf of a wallet, one per token
+merkleLeafSchema.statics.findLeaves = function(merkleTreeId, walletAddress) {
+  return this.find({ merkleTree: merkleTreeId, walletAddress: walletAddress.toLowerCase() })
+    .sort({ tokenAddress: 1 });
+};
+
+// Static method to stream the leaves of a tree in index order
+merkleLeafSchema.statics.cursorForTree = function(merkleTreeId, sort = { index: 1 }) {
+  return this.find({ merkleTree: merkleTreeId }).sort(sort).lean().cursor();
+};
+
+const MerkleLeaf = mongoose.model('MerkleLeaf', merkleLeafSchema);
+
+module.exports = MerkleLeaf;
@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const { getDefaultChainId, chainFilter } = require('../utils/chains');
+const {
+  LEAF_ENCODINGS,
+  DEFAULT_LEAF_ENCODING,
+  DEFAULT_TOKEN_LEAF_ENCODING,
+  isLeafEncoding,
+  isTokenEncoding,
+  hashLeaf,
+  verifyLeaf
+} = require('../utils/merkleLeaf');
+const MerkleLeaf = require('./MerkleLeaf');
+const MerkleActivation = require('./MerkleActivation');
 
 const merkleTreeSchema = new mongoose.Schema({
   name: {
@@ -33,16 +45,82 @@ const merkleTreeSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  chainId: {
+    type: Number,
+    default: () => getDefaultChainId()
+  },
   version: {
     type: Number,
     default: 1
   },
+  // Leaf hash format the claim contract verifies, see utils/merkleLeaf
+  leafEncoding: {
+    type: String,
+    enum: Object.keys(LEAF_ENCODINGS),
+    default: DEFAULT_LEAF_ENCODING
+  },
+  // snapshot: leaves hold this round's allocation only
+  // cumulative: leaves hold each wallet's lifetime total across rounds
+  distributionMode: {
+    type: String,
+    enum: ['snapshot', 'cumulative'],
+    default: 'snapshot'
+  },
+  previousRound: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MerkleTree',
+    default: null
+  },
+  // ERC-20s of a multi-token distribution and the contract that pays out each;
+  // empty for single-token trees, which are claimed from the chain's CONTRACT_ADDRESS
+  tokens: [{
+    _id: false,
+    address: {
+      type: String,
+      required: true,
+      lowercase: true
+    },
+    distributor: {
+      type: String,
+      required: true,
+      lowercase: true
+    },
+    symbol: {
+      type: String,
+      trim: true,
+      maxlength: 20
+    },
+    decimals: {
+      type: Number,
+      default: 18
+    },
+    totalAmount: {
+      type: String,
+      default: '0'
+    },
+    totalUsers: {
+      type: Number,
+      default: 0
+    }
+  }],
+  // embedded: leaves below; collection: one MerkleLeaf document per wallet
+  leafStorage: {
+    type: String,
+    enum: ['embedded', 'collection'],
+    default: 'embedded'
+  },
   leaves: [{
     walletAddress: {
       type: String,
       required: true,
       lowercase: true
     },
+    // Token of the allocation in multi-token trees
+    tokenAddress: {
+      type: String,
+      lowercase: true,
+      default: null
+    },
     amount: {
       type: String,
       required: true
@@ -56,6 +134,34 @@ const merkleTreeSchema = new mongoose.Schema({
       required: true
     }
   }],
+  rootUpdate: {
+    transactionHash: String,
+    blockNumber: Number,
+    blockHash: String,
+    status: {
+      type: String,
+      enum: ['confirming', 'confirmed', 'reorged']
+    },
+    previousTree: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MerkleTree'
+    },
+    confirmedAt: Date
+  },
+  // Claims are accepted from claimStartTime until claimEndTime; null leaves that side open
+  claimStartTime: {
+    type: Date,
+    default: null
+  },
+  claimEndTime: {
+    type: Date,
+    default: null
+  },
+  // Set once claimants with unclaimed tokens were told about claimEndTime
+  deadlineNotifiedAt: {
+    type: Date,
+    default: null
+  },
   metadata: {
     blockNumber: Number,
     snapshotDate: Date,
@@ -75,83 +181,271 @@ const merkleTreeSchema = new mongoose.Schema({
 merkleTreeSchema.index({ name: 1 });
 merkleTreeSchema.index({ root: 1 });
 merkleTreeSchema.index({ isActive: 1 });
+merkleTreeSchema.index({ chainId: 1, isActive: 1 });
 merkleTreeSchema.index({ 'leaves.walletAddress': 1 });
 merkleTreeSchema.index({ 'leaves.index': 1 });
 merkleTreeSchema.index({ createdAt: -1 });
+merkleTreeSchema.index({ 'rootUpdate.status': 1 });
+merkleTreeSchema.index({ isActive: 1, claimEndTime: 1 });
+
+merkleTreeSchema.pre('validate', function(next) {
+  if (this.claimStartTime && this.claimEndTime && this.claimEndTime <= this.claimStartTime) {
+    return next(new Error('Claim end time must be after the claim start time'));
+  }
+  next();
+});
 
 // Virtual for formatted total amount
 merkleTreeSchema.virtual('formattedTotalAmount').get(function() {
   return (BigInt(this.totalAmount) / BigInt('1000000000000000000')).toString();
 });
 
-// Instance method to get proof for wallet address
-merkleTreeSchema.methods.getProofForWallet = function(walletAddress) {
-  const leaf = this.leaves.find(leaf => 
-    leaf.walletAddress.toLowerCase() === walletAddress.toLowerCase()
-  );
+// Instance method to get the claim window and whether it is open at a date
+merkleTreeSchema.methods.getClaimWindow = function(at = new Date()) {
+  const time = new Date(at);
   
-  if (!leaf) {
-    return null;
+  let status = 'open';
+  let reason = null;
+  if (this.claimStartTime && time < this.claimStartTime) {
+    status = 'not_started';
+    reason = 'Claim window has not opened yet';
+  } else if (this.claimEndTime && time >= this.claimEndTime) {
+    status = 'closed';
+    reason = 'Claim window has closed';
   }
   
   return {
+    status,
+    reason,
+    startTime: this.claimStartTime || null,
+    endTime: this.claimEndTime || null
+  };
+};
+
+// Instance method to check if the tree allocates several tokens
+merkleTreeSchema.methods.isMultiToken = function() {
+  return !!(this.tokens && this.tokens.length > 0);
+};
+
+// Instance method to get a token of a multi-token tree
+merkleTreeSchema.methods.getToken = function(tokenAddress) {
+  if (!tokenAddress || !this.isMultiToken()) {
+    return null;
+  }
+  
+  return this.tokens.find(token => token.address === tokenAddress.toLowerCase()) || null;
+};
+
+// Instance method to find the leaf of a wallet (for one token of a multi-token
+// tree), wherever the leaves are stored
+merkleTreeSchema.methods.findLeaf = async function(walletAddress, tokenAddress = null) {
+  const token = tokenAddress ? tokenAddress.toLowerCase() : null;
+  
+  if (this.leafStorage === 'collection') {
+    return MerkleLeaf.findLeaf(this._id, walletAddress, token);
+  }
+  
+  return this.leaves.find(leaf => 
+    leaf.walletAddress.toLowerCase() === walletAddress.toLowerCase() &&
+    (leaf.tokenAddress || null) === token
+  ) || null;
+};
+
+// Instance method to find every leaf of a wallet, one per token
+merkleTreeSchema.methods.findLeaves = async function(walletAddress) {
+  if (this.leafStorage === 'collection') {
+    return MerkleLeaf.findLeaves(this._id, walletAddress);
+  }
+  
+  return this.leaves
+    .filter(leaf => leaf.walletAddress.toLowerCase() === walletAddress.toLowerCase())
+    .sort((a, b) => ((a.tokenAddress || '') < (b.tokenAddress || '') ? -1 : 1));
+};
+
+// Instance method to iterate over the leaves in index order (or by wallet
+// address, then token) without loading collection-stored leaves at once
+merkleTreeSchema.methods.iterateLeaves = function(orderBy = 'index') {
+  const keys = orderBy === 'walletAddress' ? ['walletAddress', 'tokenAddress'] : [orderBy];
+  
+  if (this.leafStorage === 'collection') {
+    return MerkleLeaf.cursorForTree(this._id, Object.fromEntries(keys.map(key => [key, 1])));
+  }
+  
+  // Plain comparison, the same order MongoDB sorts strings in (null first)
+  return this.leaves.slice().sort((a, b) => {
+    for (const key of keys) {
+      const left = a[key] === null || a[key] === undefined ? '' : a[key];
+      const right = b[key] === null || b[key] === undefined ? '' : b[key];
+      
+      if (left !== right) {
+        return left < right ? -1 : 1;
+      }
+    }
+    return 0;
+  });
+};
+
+// Instance method to describe a leaf as claimants need it
+merkleTreeSchema.methods.toProof = function(leaf) {
+  const proof = {
     amount: leaf.amount,
     index: leaf.index,
-    proof: leaf.proof
+    proof: leaf.proof,
+    leafEncoding: this.leafEncoding
   };
+  
+  if (this.isMultiToken()) {
+    const token = this.getToken(leaf.tokenAddress);
+    
+    proof.tokenAddress = leaf.tokenAddress;
+    proof.distributor = token ? token.distributor : null;
+  }
+  
+  return proof;
 };
 
-// Instance method to check if wallet is eligible
-merkleTreeSchema.methods.isWalletEligible = function(walletAddress) {
-  return this.leaves.some(leaf => 
-    leaf.walletAddress.toLowerCase() === walletAddress.toLowerCase()
-  );
+// Instance method to get proof for wallet address (and token of a multi-token tree)
+merkleTreeSchema.methods.getProofForWallet = async function(walletAddress, tokenAddress = null) {
+  const leaf = await this.findLeaf(walletAddress, tokenAddress);
+  
+  if (!leaf) {
+    return null;
+  }
+  
+  return this.toProof(leaf);
+};
+
+// Instance method to get the proof of every token of a wallet
+merkleTreeSchema.methods.getProofsForWallet = async function(walletAddress) {
+  const leaves = await this.findLeaves(walletAddress);
+  
+  return leaves.map(leaf => this.toProof(leaf));
+};
+
+// Instance method to check if wallet is eligible (for any token)
+merkleTreeSchema.methods.isWalletEligible = async function(walletAddress) {
+  return (await this.findLeaves(walletAddress)).length > 0;
 };
 
 // Instance method to get wallet allocation
-merkleTreeSchema.methods.getWalletAllocation = function(walletAddress) {
-  const leaf = this.leaves.find(leaf => 
-    leaf.walletAddress.toLowerCase() === walletAddress.toLowerCase()
-  );
+merkleTreeSchema.methods.getWalletAllocation = async function(walletAddress, tokenAddress = null) {
+  const leaf = await this.findLeaf(walletAddress, tokenAddress);
   
   return leaf ? leaf.amount : '0';
 };
 
-// Instance method to activate tree
-merkleTreeSchema.methods.activate = async function() {
-  // Deactivate all other trees first
+// Instance method to activate tree and append the change to the activation history
+// activation: { action, adminId, transactionHash, blockNumber, outboundTransaction, reason }
+merkleTreeSchema.methods.activate = async function(activation = {}) {
+  const previousTree = await this.constructor.findOne({
+    isActive: true,
+    _id: { $ne: this._id },
+    ...chainFilter(this.chainId)
+  }).select('_id root');
+  
+  // Deactivate all other trees of the same chain first
   await this.constructor.updateMany(
-    { _id: { $ne: this._id } },
+    { _id: { $ne: this._id }, ...chainFilter(this.chainId) },
     { isActive: false }
   );
   
   this.isActive = true;
+  await this.save();
+  
+  await MerkleActivation.record({
+    chainId: this.chainId || getDefaultChainId(),
+    merkleTree: this._id,
+    root: this.root,
+    previousTree: previousTree ? previousTree._id : null,
+    previousRoot: previousTree ? previousTree.root : null,
+    action: activation.action || 'activate',
+    adminId: activation.adminId || null,
+    transactionHash: activation.transactionHash || null,
+    blockNumber: activation.blockNumber || null,
+    outboundTransaction: activation.outboundTransaction || null,
+    reason: activation.reason ? String(activation.reason).slice(0, 500) : null
+  });
+  
+  return this;
+};
+
+// Instance method to record the on-chain root update that activated this tree
+merkleTreeSchema.methods.recordRootUpdate = function(receipt, previousTreeId = null) {
+  this.rootUpdate = {
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    blockHash: receipt.blockHash,
+    status: 'confirming',
+    previousTree: previousTreeId
+  };
+  
   return this.save();
 };
 
-// Instance method to validate tree integrity
-merkleTreeSchema.methods.validateIntegrity = function() {
-  // Check if all leaves have unique indices
-  const indices = this.leaves.map(leaf => leaf.index);
-  const uniqueIndices = [...new Set(indices)];
+// Instance method to undo an activation whose root update left the canonical chain
+merkleTreeSchema.methods.rollbackRootUpdate = async function() {
+  const previousTreeId = this.rootUpdate ? this.rootUpdate.previousTree : null;
+  
+  this.isActive = false;
+  this.rootUpdate.status = 'reorged';
+  await this.save();
   
-  if (indices.length !== uniqueIndices.length) {
-    return { valid: false, error: 'Duplicate indices found' };
+  if (previousTreeId) {
+    await this.constructor.updateMany(
+      { _id: { $ne: previousTreeId }, ...chainFilter(this.chainId) },
+      { isActive: false }
+    );
+    await this.constructor.updateOne({ _id: previousTreeId }, { isActive: true });
+    
+    const previousTree = await this.constructor.findById(previousTreeId).select('root');
+    
+    if (previousTree) {
+      await MerkleActivation.record({
+        chainId: this.chainId || getDefaultChainId(),
+        merkleTree: previousTreeId,
+        root: previousTree.root,
+        previousTree: this._id,
+        previousRoot: this.root,
+        action: 'reorg_restore',
+        transactionHash: this.rootUpdate.transactionHash,
+        blockNumber: this.rootUpdate.blockNumber,
+        reason: 'Root update left the canonical chain'
+      });
+    }
   }
   
-  // Check if indices are sequential starting from 0
-  indices.sort((a, b) => a - b);
-  for (let i = 0; i < indices.length; i++) {
-    if (indices[i] !== i) {
-      return { valid: false, error: 'Non-sequential indices' };
+  return previousTreeId;
+};
+
+// Instance method to validate tree integrity
+merkleTreeSchema.methods.validateIntegrity = async function() {
+  let expectedIndex = 0;
+  let calculatedTotal = BigInt(0);
+  
+  for await (const leaf of this.iterateLeaves()) {
+    // Indices must be unique and sequential starting from 0
+    if (leaf.index !== expectedIndex) {
+      return {
+        valid: false,
+        error: leaf.index === expectedIndex - 1 ? 'Duplicate indices found' : 'Non-sequential indices'
+      };
+    }
+    
+    // Leaves of multi-token trees must name one of the tree's tokens
+    if (this.isMultiToken() && !this.getToken(leaf.tokenAddress)) {
+      return { valid: false, error: `Unknown token ${leaf.tokenAddress} for address ${leaf.walletAddress}` };
     }
+    
+    // Check the proof against the root with the tree's leaf encoding
+    if (!verifyLeaf(leaf, leaf.proof, this.root, this.leafEncoding)) {
+      return { valid: false, error: `Invalid proof for address ${leaf.walletAddress}` };
+    }
+    
+    calculatedTotal += BigInt(leaf.amount);
+    expectedIndex++;
   }
   
   // Check if total amount matches sum of leaf amounts
-  const calculatedTotal = this.leaves.reduce((sum, leaf) => {
-    return sum + BigInt(leaf.amount);
-  }, BigInt(0));
-  
   if (calculatedTotal.toString() !== this.totalAmount) {
     return { valid: false, error: 'Total amount mismatch' };
   }
@@ -159,13 +453,63 @@ merkleTreeSchema.methods.validateIntegrity = function() {
   return { valid: true };
 };
 
-// Static method to get active tree
-merkleTreeSchema.statics.getActiveTree = function() {
-  return this.findOne({ isActive: true }).populate('adminId', 'name email');
+// Static method to get the active tree of a chain
+merkleTreeSchema.statics.getActiveTree = function(chainId = getDefaultChainId()) {
+  return this.findOne({ isActive: true, ...chainFilter(chainId) }).populate('adminId', 'name email');
+};
+
+// Static method to get the newest cumulative round of a chain
+merkleTreeSchema.statics.getLatestCumulativeTree = function(chainId = getDefaultChainId()) {
+  return this.findOne({ distributionMode: 'cumulative', ...chainFilter(chainId) }).sort({ createdAt: -1 });
+};
+
+// Static method to check the tokens of a distribution and pick its leaf encoding
+// Multi-token trees need a token leaf encoding; cumulative rounds stay single-token
+merkleTreeSchema.statics.normalizeTokens = function(tokens = [], leafEncoding = null, distributionMode = 'snapshot') {
+  const normalized = (tokens || []).map((token, index) => {
+    if (!token || !/^0x[a-fA-F0-9]{40}$/.test(token.address || '')) {
+      throw new Error(`Invalid token address at index ${index}`);
+    }
+    
+    if (!/^0x[a-fA-F0-9]{40}$/.test(token.distributor || '')) {
+      throw new Error(`Invalid distributor address for token ${token.address}`);
+    }
+    
+    return {
+      address: token.address.toLowerCase(),
+      distributor: token.distributor.toLowerCase(),
+      symbol: token.symbol,
+      decimals: token.decimals !== undefined ? parseInt(token.decimals) : 18
+    };
+  });
+  
+  if (new Set(normalized.map(token => token.address)).size !== normalized.length) {
+    throw new Error('Each token may be listed only once');
+  }
+  
+  const encoding = leafEncoding || (normalized.length > 0 ? DEFAULT_TOKEN_LEAF_ENCODING : DEFAULT_LEAF_ENCODING);
+  
+  if (!isLeafEncoding(encoding)) {
+    throw new Error(`Unknown leaf encoding: ${encoding}`);
+  }
+  
+  if (normalized.length > 0 && !isTokenEncoding(encoding)) {
+    throw new Error(`Leaf encoding ${encoding} has no token address; multi-token distributions need packed-token or standard-token`);
+  }
+  
+  if (normalized.length === 0 && isTokenEncoding(encoding)) {
+    throw new Error(`Leaf encoding ${encoding} requires a list of tokens`);
+  }
+  
+  if (normalized.length > 0 && distributionMode === 'cumulative') {
+    throw new Error('Cumulative distributions support a single token only');
+  }
+  
+  return { tokens: normalized, leafEncoding: encoding };
 };
 
 // Static method to create new tree from data
-merkleTreeSchema.statics.createFromData = async function(data, adminId) {
+merkleTreeSchema.statics.createFromData = async function(data, adminId, leafEncoding = DEFAULT_LEAF_ENCODING) {
   const { MerkleTree } = require('merkletreejs');
   const keccak256 = require('keccak256');
   
@@ -174,6 +518,10 @@ merkleTreeSchema.statics.createFromData = async function(data, adminId) {
     throw new Error('Invalid data provided');
   }
   
+  if (isTokenEncoding(leafEncoding)) {
+    throw new Error('Token leaf encodings require a list of tokens');
+  }
+  
   // Sort data by wallet address for consistency
   data.sort((a, b) => a.walletAddress.localeCompare(b.walletAddress));
   
@@ -185,12 +533,7 @@ merkleTreeSchema.statics.createFromData = async function(data, adminId) {
   }));
   
   // Generate merkle tree
-  const treeLeaves = leaves.map(leaf => 
-    keccak256(Buffer.concat([
-      Buffer.from(leaf.walletAddress.slice(2), 'hex'),
-      Buffer.from(BigInt(leaf.amount).toString(16).padStart(64, '0'), 'hex')
-    ]))
-  );
+  const treeLeaves = leaves.map(leaf => hashLeaf(leaf, leafEncoding));
   
   const merkleTree = new MerkleTree(treeLeaves, keccak256, { sortPairs: true });
   const root = merkleTree.getHexRoot();
@@ -210,6 +553,7 @@ merkleTreeSchema.statics.createFromData = async function(data, adminId) {
     root,
     totalAmount,
     totalUsers: leaves.length,
+    leafEncoding,
     leaves: leavesWithProofs
   };
 };
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const { getDefaultChainId } = require('../utils/chains');
+
+const attemptSchema = new mongoose.Schema({
+  hash: {
+    type: String,
+    required: true
+  },
+  gasPrice: String,
+  maxFeePerGas: String,
+  maxPriorityFeePerGas: String,
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const outboundTransactionSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['admin_claim', 'admin_claim_batch', 'merkle_root_update', 'clawback_sweep'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'submitted', 'mined', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  chainId: {
+    type: Number,
+    default: () => getDefaultChainId()
+  },
+  from: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  to: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  data: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: String,
+    default: '0'
+  },
+  nonce: {
+    type: Number,
+    default: null
+  },
+  gasLimit: {
+    type: String,
+    default: null
+  },
+  hash: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: [attemptSchema],
+    default: []
+  },
+  claims: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ClaimTransaction'
+  }],
+  merkleTree: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MerkleTree',
+    default: null
+  },
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  receipt: {
+    blockNumber: Number,
+    blockHash: String,
+    gasUsed: String,
+    effectiveGasPrice: String,
+    status: Number
+  },
+  lastError: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  minedAt: {
+    type: Date,
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+outboundTransactionSchema.index({ chainId: 1, status: 1, createdAt: 1 });
+outboundTransactionSchema.index({ chainId: 1, from: 1, nonce: -1 });
+outboundTransactionSchema.index({ hash: 1 });
+outboundTransactionSchema.index({ 'attempts.hash': 1 });
+outboundTransactionSchema.index({ claims: 1 });
+
+// Instance method to record a broadcast (first send or gas-bumped replacement)
+outboundTransactionSchema.methods.recordAttempt = function(tx) {
+  this.hash = tx.hash;
+  this.status = 'submitted';
+  this.submittedAt = new Date();
+  this.lastError = null;
+  this.attempts.push({
+    hash: tx.hash,
+    gasPrice: tx.gasPrice ? tx.gasPrice.toString() : undefined,
+    maxFeePerGas: tx.maxFeePerGas ? tx.maxFeePerGas.toString() : undefined,
+    maxPriorityFeePerGas: tx.maxPriorityFeePerGas ? tx.maxPriorityFeePerGas.toString() : undefined
+  });
+
+  return this.save();
+};
+
+// Instance method to record the final receipt
+outboundTransactionSchema.methods.recordReceipt = function(receipt) {
+  this.hash = receipt.hash;
+  this.status = receipt.status === 1 ? 'mined' : 'failed';
+  this.minedAt = new Date();
+  this.receipt = {
+    blockNumber: receipt.blockNumber,
+    blockHash: receipt.blockHash,
+    gasUsed: receipt.gasUsed.toString(),
+    effectiveGasPrice: receipt.gasPrice ? receipt.gasPrice.toString() : null,
+    status: receipt.status
+  };
+
+  if (receipt.status !== 1) {
+    this.lastError = 'Transaction reverted on blockchain';
+  }
+
+  return this.save();
+};
+
+// Static method to get queue counts by status
+outboundTransactionSchema.statics.getStats = async function(filter = {}) {
+  const stats = await this.aggregate([
+    { $match: filter },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  return stats.reduce((result, stat) => {
+    result[stat._id] = stat.count;
+    return result;
+  }, { queued: 0, submitted: 0, mined: 0, failed: 0, cancelled: 0 });
+};
+
+const OutboundTransaction = mongoose.model('OutboundTransaction', outboundTransactionSchema);
+
+module.exports = OutboundTransaction;
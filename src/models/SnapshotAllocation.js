@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Allocations of holder snapshots, one document per wallet, so that tokens
+// with many holders stay below the 16MB document limit of AllocationSnapshot
+const snapshotAllocationSchema = new mongoose.Schema({
+  snapshot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AllocationSnapshot',
+    required: true
+  },
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  amount: {
+    type: String, // Using string to handle large numbers
+    required: true
+  },
+  balance: {
+    type: String,
+    required: true
+  }
+});
+
+// Indexes
+snapshotAllocationSchema.index({ snapshot: 1, walletAddress: 1 });
+
+// Static method to replace the allocations of a snapshot, in batches
+snapshotAllocationSchema.statics.replaceForSnapshot = async function(snapshotId, allocations, batchSize = 1000) {
+  await this.deleteMany({ snapshot: snapshotId });
+
+  for (let i = 0; i < allocations.length; i += batchSize) {
+    const batch = allocations.slice(i, i + batchSize).map(allocation => ({
+      snapshot: snapshotId,
+      ...allocation
+    }));
+
+    await this.insertMany(batch, { lean: true });
+  }
+
+  return allocations.length;
+};
+
+// Static method to stream the allocations of a snapshot in wallet order
+snapshotAllocationSchema.statics.cursorForSnapshot = function(snapshotId) {
+  return this.find({ snapshot: snapshotId }).sort({ walletAddress: 1 }).lean().cursor();
+};
+
+const SnapshotAllocation = mongoose.model('SnapshotAllocation', snapshotAllocationSchema);
+
+module.exports = SnapshotAllocation;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getDefaultChainId } = require('../utils/chains');
 
 const stakingPoolSchema = new mongoose.Schema({
   name: {
@@ -34,6 +35,10 @@ const stakingPoolSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  chainId: {
+    type: Number,
+    default: () => getDefaultChainId()
+  },
   totalStaked: {
     type: String, // Total amount staked in this pool
     default: '0'
@@ -59,6 +64,7 @@ const stakingPoolSchema = new mongoose.Schema({
 
 // Indexes for better performance
 stakingPoolSchema.index({ isActive: 1 });
+stakingPoolSchema.index({ chainId: 1, isActive: 1 });
 stakingPoolSchema.index({ apy: -1 });
 stakingPoolSchema.index({ createdBy: 1 });
 stakingPoolSchema.index({ createdAt: -1 });
@@ -47,10 +47,67 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Per-token amounts of multi-token distributions; totalClaimed and
+  // totalClaimable above hold single-token (GCT) distributions
+  tokenBalances: [{
+    _id: false,
+    tokenAddress: {
+      type: String,
+      required: true,
+      lowercase: true
+    },
+    totalClaimable: {
+      type: String,
+      default: '0'
+    },
+    totalClaimed: {
+      type: String,
+      default: '0'
+    },
+    claimCount: {
+      type: Number,
+      default: 0
+    }
+  }],
   lastClaimDate: {
     type: Date,
     default: null
   },
+  // Nonce the next signed claim intent must carry; each self-claim uses one up
+  claimNonce: {
+    type: Number,
+    default: 0
+  },
+  // Requests to pay the user's allocation to another wallet, and their review
+  claimDelegations: [{
+    _id: false,
+    delegation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ClaimDelegation',
+      required: true
+    },
+    recipientAddress: {
+      type: String,
+      lowercase: true
+    },
+    chainId: Number,
+    tokenAddress: {
+      type: String,
+      lowercase: true,
+      default: null
+    },
+    status: String,
+    requestedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    claimTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ClaimTransaction'
+    }
+  }],
   merkleProof: {
     type: [String], // Array of merkle proof hashes
     default: []
@@ -113,25 +170,110 @@ userSchema.methods.canClaim = function() {
   return hoursSinceLastClaim >= 24;
 };
 
-// Instance method to get remaining claimable amount
-userSchema.methods.getRemainingClaimable = function() {
-  const total = BigInt(this.totalClaimable);
-  const claimed = BigInt(this.totalClaimed);
+// Instance method to get the balance of one token of a multi-token distribution
+userSchema.methods.getTokenBalance = function(tokenAddress) {
+  const token = tokenAddress.toLowerCase();
+  
+  return this.tokenBalances.find(balance => balance.tokenAddress === token) || null;
+};
+
+// Instance method to get remaining claimable amount (of one token when given)
+userSchema.methods.getRemainingClaimable = function(tokenAddress = null) {
+  const balance = tokenAddress ? this.getTokenBalance(tokenAddress) : this;
+  
+  if (!balance) {
+    return '0';
+  }
+  
+  const total = BigInt(balance.totalClaimable);
+  const claimed = BigInt(balance.totalClaimed);
   return (total - claimed).toString();
 };
 
-// Instance method to update claim
-userSchema.methods.updateClaim = function(amount) {
-  const currentClaimed = BigInt(this.totalClaimed);
+// Instance method to get claimed amount (of one token when given)
+userSchema.methods.getTotalClaimed = function(tokenAddress = null) {
+  const balance = tokenAddress ? this.getTokenBalance(tokenAddress) : this;
+  
+  return balance ? balance.totalClaimed : '0';
+};
+
+// Instance method to list the per-token amounts of multi-token distributions
+userSchema.methods.getTokenBreakdown = function() {
+  return this.tokenBalances.map(balance => ({
+    tokenAddress: balance.tokenAddress,
+    totalClaimable: balance.totalClaimable,
+    totalClaimed: balance.totalClaimed,
+    remainingClaimable: this.getRemainingClaimable(balance.tokenAddress),
+    claimCount: balance.claimCount
+  }));
+};
+
+// Instance method to update claim (of one token when given)
+userSchema.methods.updateClaim = function(amount, tokenAddress = null) {
   const newAmount = BigInt(amount);
   
-  this.totalClaimed = (currentClaimed + newAmount).toString();
+  if (tokenAddress) {
+    let balance = this.getTokenBalance(tokenAddress);
+    
+    if (!balance) {
+      this.tokenBalances.push({ tokenAddress: tokenAddress.toLowerCase() });
+      balance = this.tokenBalances[this.tokenBalances.length - 1];
+    }
+    
+    balance.totalClaimed = (BigInt(balance.totalClaimed) + newAmount).toString();
+    balance.claimCount += 1;
+  } else {
+    this.totalClaimed = (BigInt(this.totalClaimed) + newAmount).toString();
+  }
+  
   this.claimCount += 1;
   this.lastClaimDate = new Date();
   
   return this.save();
 };
 
+// Instance method to undo a claim credit (e.g. after a chain reorganization)
+userSchema.methods.revertClaim = function(amount, tokenAddress = null) {
+  const balance = tokenAddress ? this.getTokenBalance(tokenAddress) : this;
+  
+  if (balance) {
+    const newClaimed = BigInt(balance.totalClaimed) - BigInt(amount);
+    
+    balance.totalClaimed = (newClaimed > 0n ? newClaimed : 0n).toString();
+    
+    if (tokenAddress) {
+      balance.claimCount = Math.max(balance.claimCount - 1, 0);
+    }
+  }
+  
+  this.claimCount = Math.max(this.claimCount - 1, 0);
+  
+  return this.save();
+};
+
+// Instance method to record a claim delegation request or its review
+userSchema.methods.recordDelegation = function(delegation) {
+  let entry = this.claimDelegations.find(item => String(item.delegation) === String(delegation._id));
+  
+  if (!entry) {
+    this.claimDelegations.push({
+      delegation: delegation._id,
+      recipientAddress: delegation.recipientAddress,
+      chainId: delegation.chainId,
+      tokenAddress: delegation.tokenAddress,
+      requestedAt: delegation.createdAt || new Date()
+    });
+    entry = this.claimDelegations[this.claimDelegations.length - 1];
+  }
+  
+  entry.status = delegation.status;
+  entry.reviewedAt = delegation.reviewedAt;
+  entry.reviewedBy = delegation.reviewedBy;
+  entry.claimTransaction = delegation.claimTransaction;
+  
+  return this.save();
+};
+
 // Instance method to add IP address
 userSchema.methods.addIpAddress = function(ip) {
   const existingIp = this.ipAddresses.find(addr => addr.ip === ip);
@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const { getDefaultChainId, chainFilter } = require('../utils/chains');
+
+// Vesting of a wallet's merkle allocation: nothing before the cliff, then a
+// linear or stepped release from startDate until endDate
+const vestingScheduleSchema = new mongoose.Schema({
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  chainId: {
+    type: Number,
+    default: () => getDefaultChainId()
+  },
+  // Tree whose leaf is vested; null applies the schedule to every tree of the chain
+  merkleTree: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MerkleTree',
+    default: null
+  },
+  // Token of a multi-token distribution
+  tokenAddress: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  category: {
+    type: String,
+    enum: ['team', 'investor', 'advisor', 'community', 'other'],
+    default: 'other'
+  },
+  totalAmount: {
+    type: String, // Using string to handle large numbers
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  // Defaults to startDate; what accrued before it is released at once
+  cliffDate: {
+    type: Date,
+    default: null
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  releaseType: {
+    type: String,
+    enum: ['linear', 'stepped'],
+    default: 'linear'
+  },
+  // Seconds between releases of a stepped schedule
+  stepInterval: {
+    type: Number,
+    default: null
+  },
+  note: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  // Nothing vests after revocation; the unvested rest is forfeited
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  revokeReason: {
+    type: String,
+    maxlength: 500,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+vestingScheduleSchema.index({ walletAddress: 1, chainId: 1, tokenAddress: 1 });
+vestingScheduleSchema.index({ merkleTree: 1 });
+vestingScheduleSchema.index({ user: 1 });
+
+vestingScheduleSchema.pre('validate', function(next) {
+  const cliffDate = this.cliffDate || this.startDate;
+
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    return next(new Error('Vesting end date must be after its start date'));
+  }
+  if (cliffDate && (cliffDate < this.startDate || cliffDate > this.endDate)) {
+    return next(new Error('Vesting cliff must be between the start and end dates'));
+  }
+  if (this.releaseType === 'stepped' && !(this.stepInterval > 0)) {
+    return next(new Error('Stepped vesting requires a step interval'));
+  }
+  next();
+});
+
+// Instance method to get the amount vested at a date
+vestingScheduleSchema.methods.getVestedAmount = function(at = new Date()) {
+  const start = this.startDate.getTime();
+  const end = this.endDate.getTime();
+  const cliff = (this.cliffDate || this.startDate).getTime();
+  const time = Math.min(new Date(at).getTime(), this.revokedAt ? this.revokedAt.getTime() : Infinity);
+
+  if (time < cliff) {
+    return '0';
+  }
+  if (time >= end) {
+    return this.totalAmount;
+  }
+
+  let elapsed = time - start;
+  if (this.releaseType === 'stepped') {
+    elapsed -= elapsed % (this.stepInterval * 1000);
+  }
+
+  return (BigInt(this.totalAmount) * BigInt(elapsed) / BigInt(end - start)).toString();
+};
+
+// Instance method to get the next date more tokens vest, null once vesting is continuous or over
+vestingScheduleSchema.methods.getNextRelease = function(at = new Date()) {
+  const time = new Date(at).getTime();
+  const start = this.startDate.getTime();
+  const end = this.endDate.getTime();
+  const cliff = (this.cliffDate || this.startDate).getTime();
+
+  if (this.revokedAt || time >= end) {
+    return null;
+  }
+
+  let next;
+  if (time < cliff) {
+    next = cliff;
+  } else if (this.releaseType === 'stepped') {
+    const step = this.stepInterval * 1000;
+    next = Math.min(start + (Math.floor((time - start) / step) + 1) * step, end);
+  } else {
+    return null;
+  }
+
+  const date = new Date(next);
+
+  return {
+    date,
+    amount: (BigInt(this.getVestedAmount(date)) - BigInt(this.getVestedAmount(at))).toString()
+  };
+};
+
+// Instance method to get the state of the schedule at a date
+vestingScheduleSchema.methods.getStatus = function(at = new Date()) {
+  const vested = this.getVestedAmount(at);
+  const unvested = (BigInt(this.totalAmount) - BigInt(vested)).toString();
+
+  let status = 'vesting';
+  if (this.revokedAt) {
+    status = 'revoked';
+  } else if (new Date(at) >= this.endDate) {
+    status = 'completed';
+  } else if (new Date(at) < (this.cliffDate || this.startDate)) {
+    status = 'cliff';
+  }
+
+  return {
+    id: this._id,
+    status,
+    category: this.category,
+    merkleTree: this.merkleTree,
+    tokenAddress: this.tokenAddress,
+    totalAmount: this.totalAmount,
+    vested,
+    locked: this.revokedAt ? '0' : unvested,
+    forfeited: this.revokedAt ? unvested : '0',
+    startDate: this.startDate,
+    cliffDate: this.cliffDate || this.startDate,
+    endDate: this.endDate,
+    releaseType: this.releaseType,
+    stepInterval: this.stepInterval,
+    nextRelease: this.getNextRelease(at),
+    revokedAt: this.revokedAt
+  };
+};
+
+// Instance method to stop vesting
+vestingScheduleSchema.methods.revoke = function(adminId, reason = null) {
+  this.revokedAt = new Date();
+  this.revokedBy = adminId;
+  this.revokeReason = reason;
+
+  return this.save();
+};
+
+// Static method to find the schedules vesting a wallet's leaf of a tree
+vestingScheduleSchema.statics.findForAllocation = function(merkleTree, walletAddress, tokenAddress = null) {
+  return this.find({
+    ...chainFilter(merkleTree.chainId || getDefaultChainId()),
+    walletAddress: walletAddress.toLowerCase(),
+    tokenAddress: tokenAddress ? tokenAddress.toLowerCase() : null,
+    merkleTree: { $in: [merkleTree._id, null] }
+  }).sort({ startDate: 1 });
+};
+
+// Static method to find every schedule of a wallet on a chain
+vestingScheduleSchema.statics.findForWallet = function(walletAddress, chainId = getDefaultChainId()) {
+  return this.find({
+    ...chainFilter(chainId),
+    walletAddress: walletAddress.toLowerCase()
+  }).sort({ startDate: 1 });
+};
+
+const VestingSchedule = mongoose.model('VestingSchedule', vestingScheduleSchema);
+
+module.exports = VestingSchedule;
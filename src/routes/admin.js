@@ -8,14 +8,35 @@ const {
   validatePagination, 
   validateDateRange,
   validateUserUpdate,
-  validateObjectId
+  validateObjectId,
+  validateMerkleTreeDiff,
+  validateClaimWindow,
+  validateClawbackSweep,
+  validateSnapshot,
+  validateVestingSchedule,
+  validateDelegationReview,
+  validateRequest
 } = require('../middleware/validation');
 const { apiLimiter } = require('../middleware/rateLimiter');
 const User = require('../models/User');
 const Admin = require('../models/Admin');
 const ClaimTransaction = require('../models/ClaimTransaction');
 const MerkleTreeModel = require('../models/MerkleTree');
+const AllocationSnapshot = require('../models/AllocationSnapshot');
+const SnapshotAllocation = require('../models/SnapshotAllocation');
+const MerkleActivation = require('../models/MerkleActivation');
+const VestingSchedule = require('../models/VestingSchedule');
+const Clawback = require('../models/Clawback');
+const ClaimDelegation = require('../models/ClaimDelegation');
+const merkleService = require('../services/merkleService');
+const merkleBuilderService = require('../services/merkleBuilderService');
+const snapshotService = require('../services/snapshotService');
+const vestingService = require('../services/vestingService');
+const clawbackService = require('../services/clawbackService');
+const claimDelegationService = require('../services/claimDelegationService');
+const chainRegistry = require('../services/chainRegistry');
 const logger = require('../utils/logger');
+const { findChain, chainFilter } = require('../utils/chains');
 
 // Apply middleware to all routes
 router.use(logRequest);
@@ -360,17 +381,31 @@ router.get('/claims', requirePermission('claims.read'), validatePagination, vali
 // Merkle tree management
 router.get('/merkle-trees', requirePermission('merkle.manage'), validatePagination, async (req, res, next) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, chain } = req.query;
     const skip = (page - 1) * limit;
+    const filter = {};
+    
+    if (chain) {
+      const chainConfig = findChain(chain);
+      
+      if (!chainConfig) {
+        return res.status(400).json({
+          success: false,
+          error: 'Unsupported chain'
+        });
+      }
+      
+      Object.assign(filter, chainFilter(chainConfig.chainId));
+    }
     
-    const trees = await MerkleTreeModel.find()
+    const trees = await MerkleTreeModel.find(filter)
       .sort({ createdAt: -1 })
       .limit(limit)
       .skip(skip)
       .populate('adminId', 'name email')
       .select('-leaves'); // Exclude leaves data for list view
     
-    const total = await MerkleTreeModel.countDocuments();
+    const total = await MerkleTreeModel.countDocuments(filter);
     
     res.json({
       success: true,
@@ -397,9 +432,25 @@ router.get('/merkle-trees', requirePermission('merkle.manage'), validatePaginati
 // Create merkle tree
 router.post('/merkle-trees', requirePermission('merkle.manage'), validateMerkleTree, async (req, res, next) => {
   try {
-    const { name, description, data } = req.body;
+    const { name, description, data, cumulative, allocationMode, previousTreeId, leafEncoding, tokens, claimStartTime, claimEndTime } = req.body;
     const admin = req.admin;
     
+    const chain = findChain(req.body.chain);
+    
+    if (!chain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported chain'
+      });
+    }
+    
+    if (claimStartTime && claimEndTime && claimEndTime <= claimStartTime) {
+      return res.status(400).json({
+        success: false,
+        error: 'Claim end time must be after the claim start time'
+      });
+    }
+    
     // Check if name already exists
     const existingTree = await MerkleTreeModel.findOne({ name });
     if (existingTree) {
@@ -409,29 +460,43 @@ router.post('/merkle-trees', requirePermission('merkle.manage'), validateMerkleT
       });
     }
     
-    // Generate merkle tree data
-    const treeData = await MerkleTreeModel.createFromData(data, admin._id);
-    
-    // Create merkle tree document
-    const merkleTree = new MerkleTreeModel({
-      name,
-      description,
-      root: treeData.root,
-      totalAmount: treeData.totalAmount,
-      totalUsers: treeData.totalUsers,
-      leaves: treeData.leaves,
-      adminId: admin._id
-    });
-    
-    await merkleTree.save();
+    // Leaves go to the MerkleLeaf collection, so large trees never end up in
+    // one document; cumulative rounds are checked against the previous round
+    // and multi-token trees check every allocation against the listed tokens
+    let merkleTree;
+    try {
+      merkleTree = await merkleBuilderService.build(data, {
+        name,
+        description,
+        adminId: admin._id,
+        chainId: chain.chainId,
+        leafEncoding,
+        tokens,
+        cumulative: Boolean(cumulative),
+        allocationMode,
+        previousTreeId,
+        claimStartTime,
+        claimEndTime,
+        source: 'request body'
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     
     logger.admin('Merkle tree created', {
       adminId: admin._id,
       adminEmail: admin.email,
       merkleTreeId: merkleTree._id,
       name,
-      totalUsers: treeData.totalUsers,
-      totalAmount: treeData.totalAmount,
+      chainId: chain.chainId,
+      leafEncoding: merkleTree.leafEncoding,
+      distributionMode: merkleTree.distributionMode,
+      tokens: merkleTree.tokens.map(token => token.address),
+      totalUsers: merkleTree.totalUsers,
+      totalAmount: merkleTree.totalAmount,
       ip: req.ip
     });
     
@@ -445,6 +510,12 @@ router.post('/merkle-trees', requirePermission('merkle.manage'), validateMerkleT
           root: merkleTree.root,
           totalAmount: merkleTree.totalAmount,
           totalUsers: merkleTree.totalUsers,
+          chainId: merkleTree.chainId,
+          leafEncoding: merkleTree.leafEncoding,
+          distributionMode: merkleTree.distributionMode,
+          tokens: merkleTree.tokens,
+          claimWindow: merkleTree.getClaimWindow(),
+          previousRound: merkleTree.previousRound,
           isActive: merkleTree.isActive,
           createdAt: merkleTree.createdAt
         }
@@ -460,6 +531,219 @@ router.post('/merkle-trees', requirePermission('merkle.manage'), validateMerkleT
   }
 });
 
+// Activation history of a chain's merkle trees, newest first
+router.get('/merkle-trees/history', requirePermission('merkle.manage'), validatePagination, validateRequest, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const chain = findChain(req.query.chain);
+    
+    if (!chain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported chain'
+      });
+    }
+    
+    const history = await MerkleActivation.getHistory(chain.chainId, {
+      skip: (page - 1) * limit,
+      limit
+    });
+    const total = await MerkleActivation.countDocuments(chainFilter(chain.chainId));
+    
+    res.json({
+      success: true,
+      data: {
+        chainId: chain.chainId,
+        history,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Get merkle activation history error', {
+      error: error.message,
+      adminId: req.admin._id
+    });
+    next(error);
+  }
+});
+
+// Roll back to the previously active tree, in the database and on chain.
+// Without confirmationToken the rollback is only prepared and a token is returned.
+router.post('/merkle-trees/rollback', requirePermission('merkle.manage'), async (req, res, next) => {
+  try {
+    const { confirmationToken, reason } = req.body;
+    const admin = req.admin;
+    
+    let context;
+    try {
+      context = chainRegistry.get(req.body.chain);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported chain'
+      });
+    }
+    
+    const chainId = context.chain.chainId;
+    
+    if (!confirmationToken) {
+      let rollback;
+      try {
+        rollback = await merkleService.prepareRollback(chainId, admin._id);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      
+      logger.admin('Merkle tree rollback prepared', {
+        adminId: admin._id,
+        adminEmail: admin.email,
+        chainId,
+        from: rollback.current.id,
+        to: rollback.target.id,
+        ip: req.ip
+      });
+      
+      return res.json({
+        success: true,
+        message: 'Confirm the rollback by sending the confirmation token',
+        data: {
+          requiresConfirmation: true,
+          ...rollback
+        }
+      });
+    }
+    
+    let result;
+    try {
+      result = await merkleService.confirmRollback(confirmationToken, admin._id, context.blockchain, reason);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    logger.admin(result.pending ? 'Merkle tree rollback sent' : 'Merkle tree rolled back', {
+      adminId: admin._id,
+      adminEmail: admin.email,
+      chainId,
+      from: result.rolledBackFrom.id,
+      to: result.rolledBackTo.id,
+      transactionHash: result.transactionHash,
+      reason,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      message: result.pending
+        ? 'Rollback transaction sent; the previous tree is restored once it is mined'
+        : 'Merkle tree rolled back successfully',
+      data: result
+    });
+    
+  } catch (error) {
+    logger.error('Merkle tree rollback error', {
+      error: error.message,
+      adminId: req.admin._id
+    });
+    next(error);
+  }
+});
+
+// Compare a merkle tree with the active tree (or ?against=) before activation
+router.get('/merkle-trees/:id/diff', requirePermission('merkle.manage'), validateObjectId('id'), validateMerkleTreeDiff, validateRequest, async (req, res, next) => {
+  try {
+    const { against, format = 'json', limit, top } = req.query;
+    
+    const merkleTree = await MerkleTreeModel.findById(req.params.id);
+    
+    if (!merkleTree) {
+      return res.status(404).json({
+        success: false,
+        error: 'Merkle tree not found'
+      });
+    }
+    
+    const baseTree = against
+      ? await MerkleTreeModel.findById(against)
+      : await MerkleTreeModel.getActiveTree(merkleTree.chainId);
+    
+    if (against && !baseTree) {
+      return res.status(404).json({
+        success: false,
+        error: 'Merkle tree to compare against not found'
+      });
+    }
+    
+    logger.admin('Merkle tree diff requested', {
+      adminId: req.admin._id,
+      merkleTreeId: merkleTree._id,
+      againstId: baseTree ? baseTree._id : null,
+      format,
+      ip: req.ip
+    });
+    
+    if (format === 'csv') {
+      const filename = `merkle-diff-${baseTree ? baseTree._id : 'empty'}-${merkleTree._id}.csv`;
+      
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.write('walletAddress,tokenAddress,change,previousAmount,newAmount,delta,totalClaimed,belowClaimed\n');
+      
+      for await (const batch of merkleService.diffLeaves(baseTree, merkleTree)) {
+        const rows = batch
+          .filter(entry => entry.change !== 'unchanged' || entry.belowClaimed)
+          .map(entry => [
+            entry.walletAddress,
+            entry.tokenAddress || '',
+            entry.change,
+            entry.previousAmount,
+            entry.newAmount,
+            entry.delta,
+            entry.totalClaimed,
+            entry.belowClaimed
+          ].join(',') + '\n');
+        
+        if (rows.length > 0) {
+          res.write(rows.join(''));
+        }
+      }
+      
+      return res.end();
+    }
+    
+    const diff = await merkleService.diffMerkleTrees(baseTree, merkleTree, { limit, top });
+    
+    res.json({
+      success: true,
+      data: diff
+    });
+    
+  } catch (error) {
+    logger.error('Merkle tree diff error', {
+      error: error.message,
+      adminId: req.admin._id,
+      merkleTreeId: req.params.id
+    });
+    
+    // A CSV export may already be streaming
+    if (res.headersSent) {
+      return res.end();
+    }
+    next(error);
+  }
+});
+
 // Activate merkle tree
 router.patch('/merkle-trees/:id/activate', requirePermission('merkle.manage'), validateObjectId('id'), async (req, res, next) => {
   try {
@@ -475,7 +759,7 @@ router.patch('/merkle-trees/:id/activate', requirePermission('merkle.manage'), v
     }
     
     // Validate tree integrity before activation
-    const validation = merkleTree.validateIntegrity();
+    const validation = await merkleTree.validateIntegrity();
     if (!validation.valid) {
       return res.status(400).json({
         success: false,
@@ -483,13 +767,14 @@ router.patch('/merkle-trees/:id/activate', requirePermission('merkle.manage'), v
       });
     }
     
-    await merkleTree.activate();
+    await merkleTree.activate({ action: 'activate', adminId: admin._id, reason: req.body.reason });
     
     logger.admin('Merkle tree activated', {
       adminId: admin._id,
       adminEmail: admin.email,
       merkleTreeId: merkleTree._id,
       name: merkleTree.name,
+      chainId: merkleTree.chainId,
       ip: req.ip
     });
     
@@ -508,6 +793,775 @@ router.patch('/merkle-trees/:id/activate', requirePermission('merkle.manage'), v
   }
 });
 
+// Set or extend the claim window of a merkle tree
+router.patch('/merkle-trees/:id/claim-window', requirePermission('merkle.manage'), validateObjectId('id'), validateClaimWindow, validateRequest, async (req, res, next) => {
+  try {
+    const admin = req.admin;
+    const merkleTree = await MerkleTreeModel.findById(req.params.id);
+    
+    if (!merkleTree) {
+      return res.status(404).json({
+        success: false,
+        error: 'Merkle tree not found'
+      });
+    }
+    
+    const previousWindow = merkleTree.getClaimWindow();
+    
+    if (req.body.claimStartTime !== undefined) {
+      merkleTree.claimStartTime = req.body.claimStartTime;
+    }
+    
+    if (req.body.claimEndTime !== undefined) {
+      merkleTree.claimEndTime = req.body.claimEndTime;
+      // A new deadline gets its own notices
+      merkleTree.deadlineNotifiedAt = null;
+    }
+    
+    if (merkleTree.claimStartTime && merkleTree.claimEndTime && merkleTree.claimEndTime <= merkleTree.claimStartTime) {
+      return res.status(400).json({
+        success: false,
+        error: 'Claim end time must be after the claim start time'
+      });
+    }
+    
+    await merkleTree.save();
+    
+    const claimWindow = merkleTree.getClaimWindow();
+    
+    logger.admin('Merkle tree claim window updated', {
+      adminId: admin._id,
+      adminEmail: admin.email,
+      merkleTreeId: merkleTree._id,
+      previousWindow,
+      claimWindow,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        merkleTreeId: merkleTree._id,
+        claimWindow
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Update claim window error', {
+      error: error.message,
+      adminId: req.admin._id,
+      merkleTreeId: req.params.id
+    });
+    next(error);
+  }
+});
+
+// Report what a merkle tree left unclaimed once its claim window has closed
+router.post('/merkle-trees/:id/clawback', requirePermission('merkle.manage'), validateObjectId('id'), validateRequest, async (req, res, next) => {
+  try {
+    const admin = req.admin;
+    
+    let clawback;
+    try {
+      clawback = await clawbackService.createReport(req.params.id, admin._id);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    logger.admin('Clawback report created', {
+      adminId: admin._id,
+      adminEmail: admin.email,
+      clawbackId: clawback._id,
+      merkleTreeId: clawback.merkleTree,
+      totalUnclaimed: clawback.totalUnclaimed,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        clawback
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Create clawback report error', {
+      error: error.message,
+      adminId: req.admin._id,
+      merkleTreeId: req.params.id
+    });
+    next(error);
+  }
+});
+
+// Latest clawback report of a merkle tree (?format=csv downloads the unclaimed wallets)
+router.get('/merkle-trees/:id/clawback', requirePermission('merkle.manage'), validateObjectId('id'), validateRequest, async (req, res, next) => {
+  try {
+    const clawback = await Clawback.getLatest(req.params.id);
+    
+    if (!clawback) {
+      return res.status(404).json({
+        success: false,
+        error: 'No clawback report for this merkle tree'
+      });
+    }
+    
+    if (req.query.format === 'csv') {
+      const merkleTree = await MerkleTreeModel.findById(req.params.id);
+      
+      if (!merkleTree) {
+        return res.status(404).json({
+          success: false,
+          error: 'Merkle tree not found'
+        });
+      }
+      
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="clawback-${merkleTree._id}.csv"`);
+      
+      for await (const chunk of clawbackService.toCsv(merkleTree)) {
+        res.write(chunk);
+      }
+      
+      return res.end();
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        clawback
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Get clawback report error', {
+      error: error.message,
+      adminId: req.admin._id,
+      merkleTreeId: req.params.id
+    });
+    next(error);
+  }
+});
+
+// Send the unclaimed tokens of a clawback report to a recipient
+router.post('/clawbacks/:id/sweep', requirePermission('merkle.manage'), validateObjectId('id'), validateClawbackSweep, validateRequest, async (req, res, next) => {
+  try {
+    const admin = req.admin;
+    
+    let clawback;
+    try {
+      clawback = await clawbackService.sweep(req.params.id, req.body.recipient, admin._id);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        ...(error.revert ? { revert: error.revert } : {})
+      });
+    }
+    
+    logger.admin('Clawback sweep sent', {
+      adminId: admin._id,
+      adminEmail: admin.email,
+      clawbackId: clawback._id,
+      merkleTreeId: clawback.merkleTree,
+      recipient: clawback.recipient,
+      totalUnclaimed: clawback.totalUnclaimed,
+      ip: req.ip
+    });
+    
+    res.status(202).json({
+      success: true,
+      message: 'Sweep transactions queued',
+      data: {
+        clawback
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Clawback sweep error', {
+      error: error.message,
+      adminId: req.admin._id,
+      clawbackId: req.params.id
+    });
+    next(error);
+  }
+});
+
+// Token holder snapshots
+router.get('/snapshots', requirePermission('merkle.manage'), validatePagination, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const skip = (page - 1) * limit;
+    
+    const snapshots = await AllocationSnapshot.find()
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(skip)
+      .populate('adminId', 'name email');
+    
+    const total = await AllocationSnapshot.countDocuments();
+    
+    res.json({
+      success: true,
+      data: {
+        snapshots,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Get snapshots error', {
+      error: error.message,
+      adminId: req.admin._id
+    });
+    next(error);
+  }
+});
+
+// Start a snapshot of token holders at a block
+router.post('/snapshots', requirePermission('merkle.manage'), validateSnapshot, validateRequest, async (req, res, next) => {
+  try {
+    const { name, chain, tokenAddress, fromBlock, blockNumber, rules } = req.body;
+    const admin = req.admin;
+    
+    let snapshot;
+    try {
+      snapshot = await snapshotService.createSnapshot({
+        name,
+        chain,
+        tokenAddress,
+        fromBlock,
+        blockNumber,
+        rules,
+        adminId: admin._id
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    logger.admin('Snapshot started', {
+      adminId: admin._id,
+      adminEmail: admin.email,
+      snapshotId: snapshot._id,
+      chainId: snapshot.chainId,
+      tokenAddress: snapshot.tokenAddress,
+      blockNumber: snapshot.blockNumber,
+      rules: snapshot.rules,
+      ip: req.ip
+    });
+    
+    res.status(202).json({
+      success: true,
+      message: 'Snapshot started',
+      data: {
+        snapshot: {
+          id: snapshot._id,
+          name: snapshot.name,
+          status: snapshot.status,
+          chainId: snapshot.chainId,
+          tokenAddress: snapshot.tokenAddress,
+          fromBlock: snapshot.fromBlock,
+          blockNumber: snapshot.blockNumber,
+          rules: snapshot.rules,
+          createdAt: snapshot.createdAt
+        }
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Create snapshot error', {
+      error: error.message,
+      adminId: req.admin._id
+    });
+    next(error);
+  }
+});
+
+// Get a snapshot with its progress and rule report (?format=csv downloads the allocations)
+router.get('/snapshots/:id', requirePermission('merkle.manage'), validateObjectId('id'), validateRequest, async (req, res, next) => {
+  try {
+    const snapshot = await AllocationSnapshot.findById(req.params.id).populate('adminId', 'name email');
+    
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found'
+      });
+    }
+    
+    if (req.query.format === 'csv') {
+      if (snapshot.status !== 'completed') {
+        return res.status(400).json({
+          success: false,
+          error: `Snapshot is ${snapshot.status}`
+        });
+      }
+      
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="snapshot-${snapshot._id}.csv"`);
+      res.write('walletAddress,amount\n');
+      
+      for await (const allocation of SnapshotAllocation.cursorForSnapshot(snapshot._id)) {
+        res.write(`${allocation.walletAddress},${allocation.amount}\n`);
+      }
+      
+      return res.end();
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        snapshot
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Get snapshot error', {
+      error: error.message,
+      adminId: req.admin._id,
+      snapshotId: req.params.id
+    });
+    
+    // A CSV export may already be streaming
+    if (res.headersSent) {
+      return res.end();
+    }
+    next(error);
+  }
+});
+
+// Create a merkle tree from the allocations of a completed snapshot
+router.post('/snapshots/:id/merkle-tree', requirePermission('merkle.manage'), validateObjectId('id'), validateRequest, async (req, res, next) => {
+  try {
+    const { name, description, cumulative, allocationMode, previousTreeId, leafEncoding } = req.body;
+    const admin = req.admin;
+    
+    const snapshot = await AllocationSnapshot.findById(req.params.id);
+    
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found'
+      });
+    }
+    
+    if (snapshot.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        error: `Snapshot is ${snapshot.status}`
+      });
+    }
+    
+    const treeName = name || snapshot.name;
+    const existingTree = await MerkleTreeModel.findOne({ name: treeName });
+    if (existingTree) {
+      return res.status(400).json({
+        success: false,
+        error: 'Merkle tree with this name already exists'
+      });
+    }
+    
+    const allocations = await snapshot.getAllocations();
+    
+    let merkleTree;
+    try {
+      merkleTree = await merkleService.createMerkleTree(
+        allocations,
+        treeName,
+        description || `Snapshot of ${snapshot.tokenAddress} at block ${snapshot.blockNumber}`,
+        admin._id,
+        snapshot.chainId,
+        { cumulative, allocationMode, previousTreeId, leafEncoding }
+      );
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    logger.admin('Merkle tree created from snapshot', {
+      adminId: admin._id,
+      adminEmail: admin.email,
+      snapshotId: snapshot._id,
+      merkleTreeId: merkleTree._id,
+      totalUsers: merkleTree.totalUsers,
+      totalAmount: merkleTree.totalAmount,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        merkleTree: {
+          id: merkleTree._id,
+          name: merkleTree.name,
+          description: merkleTree.description,
+          root: merkleTree.root,
+          totalAmount: merkleTree.totalAmount,
+          totalUsers: merkleTree.totalUsers,
+          chainId: merkleTree.chainId,
+          leafEncoding: merkleTree.leafEncoding,
+          distributionMode: merkleTree.distributionMode,
+          previousRound: merkleTree.previousRound,
+          isActive: merkleTree.isActive,
+          createdAt: merkleTree.createdAt
+        }
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Create merkle tree from snapshot error', {
+      error: error.message,
+      adminId: req.admin._id,
+      snapshotId: req.params.id
+    });
+    next(error);
+  }
+});
+
+// Vesting schedules, optionally filtered by wallet
+router.get('/vesting-schedules', requirePermission('merkle.manage'), validatePagination, validateRequest, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, walletAddress } = req.query;
+    const skip = (page - 1) * limit;
+    const chain = findChain(req.query.chain);
+    
+    if (!chain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported chain'
+      });
+    }
+    
+    const filter = chainFilter(chain.chainId);
+    if (walletAddress) {
+      filter.walletAddress = walletAddress.toLowerCase();
+    }
+    
+    const schedules = await VestingSchedule.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(skip)
+      .populate('merkleTree', 'name root')
+      .populate('adminId', 'name email');
+    
+    const total = await VestingSchedule.countDocuments(filter);
+    
+    res.json({
+      success: true,
+      data: {
+        schedules: schedules.map(schedule => ({
+          ...schedule.getStatus(),
+          walletAddress: schedule.walletAddress,
+          user: schedule.user,
+          note: schedule.note,
+          admin: schedule.adminId,
+          createdAt: schedule.createdAt
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Get vesting schedules error', {
+      error: error.message,
+      adminId: req.admin._id
+    });
+    next(error);
+  }
+});
+
+// Create a vesting schedule for a wallet's allocation
+router.post('/vesting-schedules', requirePermission('merkle.manage'), validateVestingSchedule, validateRequest, async (req, res, next) => {
+  try {
+    const admin = req.admin;
+    
+    let schedule;
+    try {
+      schedule = await vestingService.createSchedule({
+        ...req.body,
+        adminId: admin._id
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    logger.admin('Vesting schedule created', {
+      adminId: admin._id,
+      adminEmail: admin.email,
+      scheduleId: schedule._id,
+      walletAddress: schedule.walletAddress,
+      chainId: schedule.chainId,
+      merkleTreeId: schedule.merkleTree,
+      totalAmount: schedule.totalAmount,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        schedule: {
+          ...schedule.getStatus(),
+          walletAddress: schedule.walletAddress,
+          user: schedule.user,
+          chainId: schedule.chainId,
+          note: schedule.note,
+          createdAt: schedule.createdAt
+        }
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Create vesting schedule error', {
+      error: error.message,
+      adminId: req.admin._id
+    });
+    next(error);
+  }
+});
+
+// Revoke a vesting schedule; what has vested stays claimable
+router.post('/vesting-schedules/:id/revoke', requirePermission('merkle.manage'), validateObjectId('id'), validateRequest, async (req, res, next) => {
+  try {
+    const admin = req.admin;
+    const schedule = await VestingSchedule.findById(req.params.id);
+    
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Vesting schedule not found'
+      });
+    }
+    
+    if (schedule.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'Vesting schedule is already revoked'
+      });
+    }
+    
+    await schedule.revoke(admin._id, req.body.reason ? String(req.body.reason).slice(0, 500) : null);
+    
+    const status = schedule.getStatus();
+    
+    logger.admin('Vesting schedule revoked', {
+      adminId: admin._id,
+      adminEmail: admin.email,
+      scheduleId: schedule._id,
+      walletAddress: schedule.walletAddress,
+      vested: status.vested,
+      forfeited: status.forfeited,
+      reason: schedule.revokeReason,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        schedule: {
+          ...status,
+          walletAddress: schedule.walletAddress,
+          revokeReason: schedule.revokeReason
+        }
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Revoke vesting schedule error', {
+      error: error.message,
+      adminId: req.admin._id,
+      scheduleId: req.params.id
+    });
+    next(error);
+  }
+});
+
+// Claim delegation requests, pending ones first in the order they came in
+router.get('/claim-delegations', requirePermission('claims.read'), validatePagination, validateDelegationReview, validateRequest, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending', walletAddress } = req.query;
+    const skip = (page - 1) * limit;
+    const chain = findChain(req.query.chain);
+    
+    if (!chain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported chain'
+      });
+    }
+    
+    const filter = { ...chainFilter(chain.chainId), status };
+    if (walletAddress) {
+      filter.walletAddress = walletAddress.toLowerCase();
+    }
+    
+    const delegations = await ClaimDelegation.find(filter)
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .limit(limit)
+      .skip(skip)
+      .select('-signature')
+      .populate('merkleTree', 'name root isActive')
+      .populate('reviewedBy', 'name email');
+    
+    const total = await ClaimDelegation.countDocuments(filter);
+    
+    res.json({
+      success: true,
+      data: {
+        delegations,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Get claim delegations error', {
+      error: error.message,
+      adminId: req.admin._id
+    });
+    next(error);
+  }
+});
+
+// Approve a delegation; an admin claim pays the wallet's remaining allocation to the recipient
+router.post('/claim-delegations/:id/approve', requirePermission('claims.approve'), validateObjectId('id'), validateDelegationReview, validateRequest, async (req, res, next) => {
+  try {
+    const admin = req.admin;
+    const delegation = await ClaimDelegation.findById(req.params.id);
+    
+    if (!delegation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delegation request not found'
+      });
+    }
+    
+    let result;
+    try {
+      result = await claimDelegationService.approve(delegation, admin, {
+        note: req.body.note,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    const { delegation: approved, claimTransaction } = result;
+    
+    logger.admin('Claim delegation approved', {
+      adminId: admin._id,
+      adminEmail: admin.email,
+      delegationId: delegation._id,
+      claimId: claimTransaction._id,
+      walletAddress: delegation.walletAddress,
+      recipientAddress: delegation.recipientAddress,
+      amount: claimTransaction.amount,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        delegationId: approved._id,
+        status: approved.status,
+        claimId: claimTransaction._id,
+        walletAddress: delegation.walletAddress,
+        recipientAddress: delegation.recipientAddress,
+        amount: claimTransaction.amount,
+        message: 'Admin claim to the recipient created successfully.'
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Approve claim delegation error', {
+      error: error.message,
+      adminId: req.admin._id,
+      delegationId: req.params.id
+    });
+    next(error);
+  }
+});
+
+// Reject a delegation request
+router.post('/claim-delegations/:id/reject', requirePermission('claims.approve'), validateObjectId('id'), validateDelegationReview, validateRequest, async (req, res, next) => {
+  try {
+    const admin = req.admin;
+    const delegation = await ClaimDelegation.findById(req.params.id);
+    
+    if (!delegation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delegation request not found'
+      });
+    }
+    
+    let rejected;
+    try {
+      rejected = await claimDelegationService.reject(delegation, admin, req.body.note || null);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    logger.admin('Claim delegation rejected', {
+      adminId: admin._id,
+      adminEmail: admin.email,
+      delegationId: delegation._id,
+      walletAddress: delegation.walletAddress,
+      recipientAddress: delegation.recipientAddress,
+      note: rejected.reviewNote,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        delegationId: rejected._id,
+        status: rejected.status,
+        reviewNote: rejected.reviewNote
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Reject claim delegation error', {
+      error: error.message,
+      adminId: req.admin._id,
+      delegationId: req.params.id
+    });
+    next(error);
+  }
+});
+
 // Create admin
 router.post('/admins', requirePermission('users.write'), validateAdminCreate, async (req, res, next) => {
   try {
@@ -3,17 +3,54 @@ const router = express.Router();
 
 const { requireAdmin, requirePermission, logRequest } = require('../middleware/auth');
 const { apiLimiter } = require('../middleware/rateLimiter');
-const blockchainService = require('../services/blockchainService');
+const chainRegistry = require('../services/chainRegistry');
 const logger = require('../utils/logger');
+const MerkleTreeModel = require('../models/MerkleTree');
+const { DEFAULT_LEAF_ENCODING, isLeafEncoding, isTokenEncoding } = require('../utils/merkleLeaf');
 
 // Apply middleware to all routes
 router.use(logRequest);
 router.use(apiLimiter);
 
+// Resolve the target chain from ?chain= or body.chain (chain ID or NETWORKS key);
+// the default chain is used when it is omitted
+router.use((req, res, next) => {
+  const chain = req.query.chain || (req.body && req.body.chain);
+  
+  try {
+    req.chainServices = chainRegistry.get(chain);
+    next();
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List enabled chains
+router.get('/chains', async (req, res, next) => {
+  try {
+    const chains = await chainRegistry.getStatus();
+    
+    res.json({
+      success: true,
+      data: { chains }
+    });
+    
+  } catch (error) {
+    logger.error('Get chains error', {
+      error: error.message,
+      ip: req.ip
+    });
+    next(error);
+  }
+});
+
 // Get blockchain network info
 router.get('/network', async (req, res, next) => {
   try {
-    const networkInfo = await blockchainService.getNetworkInfo();
+    const networkInfo = await req.chainServices.blockchain.getNetworkInfo();
     
     res.json({
       success: true,
@@ -32,7 +69,7 @@ router.get('/network', async (req, res, next) => {
 // Get token price
 router.get('/price', async (req, res, next) => {
   try {
-    const priceInfo = await blockchainService.getTokenPrice();
+    const priceInfo = await req.chainServices.blockchain.getTokenPrice();
     
     res.json({
       success: true,
@@ -51,7 +88,7 @@ router.get('/price', async (req, res, next) => {
 // Get contract info
 router.get('/contract', async (req, res, next) => {
   try {
-    const contractInfo = await blockchainService.getContractInfo();
+    const contractInfo = await req.chainServices.blockchain.getContractInfo();
     
     res.json({
       success: true,
@@ -80,7 +117,7 @@ router.get('/balance/:address', async (req, res, next) => {
       });
     }
     
-    const balanceInfo = await blockchainService.getWalletBalance(address);
+    const balanceInfo = await req.chainServices.blockchain.getWalletBalance(address);
     
     res.json({
       success: true,
@@ -110,7 +147,7 @@ router.get('/transaction/:hash', async (req, res, next) => {
       });
     }
     
-    const transactionInfo = await blockchainService.getTransactionStatus(hash);
+    const transactionInfo = await req.chainServices.blockchain.getTransactionStatus(hash);
     
     res.json({
       success: true,
@@ -131,12 +168,17 @@ router.get('/transaction/:hash', async (req, res, next) => {
 router.post('/process-claims', requireAdmin, requirePermission('claims.approve'), async (req, res, next) => {
   try {
     const admin = req.admin;
+    const { batch } = req.body;
     
-    const result = await blockchainService.processPendingClaims();
+    const result = await req.chainServices.blockchain.processPendingClaims({
+      batch: batch !== undefined ? batch === true || batch === 'true' : undefined,
+      adminId: admin._id
+    });
     
     logger.admin('Pending claims processing initiated', {
       adminId: admin._id,
       adminEmail: admin.email,
+      chainId: req.chainServices.chain.chainId,
       processedCount: result.processedCount,
       ip: req.ip
     });
@@ -169,13 +211,14 @@ router.post('/admin-claim', requireAdmin, requirePermission('claims.write'), asy
       });
     }
     
-    const result = await blockchainService.processAdminClaim(claimId);
+    const result = await req.chainServices.blockchain.processAdminClaim(claimId, admin._id);
     
-    logger.admin('Admin claim processed', {
+    logger.admin('Admin claim queued', {
       adminId: admin._id,
       adminEmail: admin.email,
+      chainId: req.chainServices.chain.chainId,
       claimId,
-      transactionHash: result.transactionHash,
+      outboundTransactionId: result.outboundTransactionId,
       ip: req.ip
     });
     
@@ -195,6 +238,133 @@ router.post('/admin-claim', requireAdmin, requirePermission('claims.write'), asy
   }
 });
 
+// Send several admin claims in one batched transaction (admin only)
+router.post('/admin-claim-batch', requireAdmin, requirePermission('claims.write'), async (req, res, next) => {
+  try {
+    const { claimIds } = req.body;
+    const admin = req.admin;
+    
+    if (!Array.isArray(claimIds) || claimIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Claim IDs array is required'
+      });
+    }
+    
+    if (claimIds.length > req.chainServices.blockchain.batchSize) {
+      return res.status(400).json({
+        success: false,
+        error: `Maximum ${req.chainServices.blockchain.batchSize} claims per batch`
+      });
+    }
+    
+    const result = await req.chainServices.blockchain.processAdminClaimBatch(claimIds, admin._id);
+    
+    logger.admin('Admin claim batch queued', {
+      adminId: admin._id,
+      adminEmail: admin.email,
+      chainId: req.chainServices.chain.chainId,
+      claimCount: result.claimIds.length,
+      outboundTransactionId: result.outboundTransactionId,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    logger.error('Process admin claim batch error', {
+      error: error.message,
+      adminId: req.admin._id,
+      ip: req.ip
+    });
+    next(error);
+  }
+});
+
+// Dry-run admin claims without broadcasting (admin only)
+router.post('/simulate/admin-claim', requireAdmin, requirePermission('claims.read'), async (req, res, next) => {
+  try {
+    const { claimId, claimIds } = req.body;
+    const ids = claimIds || (claimId ? [claimId] : []);
+    
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Claim ID is required'
+      });
+    }
+    
+    if (ids.length > req.chainServices.blockchain.batchSize) {
+      return res.status(400).json({
+        success: false,
+        error: `Maximum ${req.chainServices.blockchain.batchSize} claims per batch`
+      });
+    }
+    
+    const result = await req.chainServices.blockchain.dryRunAdminClaims(ids);
+    
+    res.json({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    if (error.message === 'Claim not found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Claim transaction not found'
+      });
+    }
+    
+    logger.error('Simulate admin claim error', {
+      error: error.message,
+      adminId: req.admin._id,
+      ip: req.ip
+    });
+    next(error);
+  }
+});
+
+// Dry-run a merkle root update without broadcasting (admin only)
+router.post('/simulate/merkle-root', requireAdmin, requirePermission('merkle.manage'), async (req, res, next) => {
+  try {
+    const { merkleTreeId } = req.body;
+    
+    if (!merkleTreeId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Merkle tree ID is required'
+      });
+    }
+    
+    const result = await req.chainServices.blockchain.dryRunMerkleRootUpdate(merkleTreeId);
+    
+    res.json({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    if (error.message === 'Merkle tree not found') {
+      return res.status(404).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    logger.error('Simulate merkle root update error', {
+      error: error.message,
+      adminId: req.admin._id,
+      merkleTreeId: req.body.merkleTreeId,
+      ip: req.ip
+    });
+    next(error);
+  }
+});
+
 // Update merkle root on contract (admin only)
 router.post('/update-merkle-root', requireAdmin, requirePermission('merkle.manage'), async (req, res, next) => {
   try {
@@ -208,12 +378,14 @@ router.post('/update-merkle-root', requireAdmin, requirePermission('merkle.manag
       });
     }
     
-    const result = await blockchainService.updateMerkleRoot(merkleTreeId);
+    const result = await req.chainServices.blockchain.updateMerkleRoot(merkleTreeId, admin._id);
     
     logger.admin('Merkle root updated on contract', {
       adminId: admin._id,
       adminEmail: admin.email,
+      chainId: req.chainServices.chain.chainId,
       merkleTreeId,
+      outboundTransactionId: result.outboundTransactionId,
       transactionHash: result.transactionHash,
       newRoot: result.newRoot,
       ip: req.ip
@@ -235,10 +407,113 @@ router.post('/update-merkle-root', requireAdmin, requirePermission('merkle.manag
   }
 });
 
+// Send a Safe Transaction Builder batch as a file download instead of an API response
+function sendSafeBatch(req, res, result) {
+  if (req.query.download === 'true') {
+    res.setHeader('Content-Disposition', `attachment; filename="${result.fileName}"`);
+    return res.json(result.batch);
+  }
+  
+  res.json({
+    success: true,
+    data: result
+  });
+}
+
+// Export a Merkle root update for the Safe that owns the contract (admin only)
+router.post('/safe/merkle-root', requireAdmin, requirePermission('merkle.manage'), async (req, res, next) => {
+  try {
+    const { merkleTreeId } = req.body;
+    const admin = req.admin;
+    
+    if (!merkleTreeId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Merkle tree ID is required'
+      });
+    }
+    
+    const result = await req.chainServices.blockchain.exportMerkleRootUpdateForSafe(merkleTreeId);
+    
+    logger.admin('Merkle root update exported for Safe', {
+      adminId: admin._id,
+      adminEmail: admin.email,
+      chainId: req.chainServices.chain.chainId,
+      merkleTreeId,
+      newRoot: result.newRoot,
+      safeAddress: result.safeAddress,
+      ip: req.ip
+    });
+    
+    sendSafeBatch(req, res, result);
+    
+  } catch (error) {
+    logger.error('Export Safe merkle root update error', {
+      error: error.message,
+      adminId: req.admin._id,
+      merkleTreeId: req.body.merkleTreeId,
+      ip: req.ip
+    });
+    next(error);
+  }
+});
+
+// Export pending admin claims for the Safe that owns the contract (admin only)
+router.post('/safe/admin-claims', requireAdmin, requirePermission('claims.write'), async (req, res, next) => {
+  try {
+    const { claimIds } = req.body;
+    const admin = req.admin;
+    
+    if (!Array.isArray(claimIds) || claimIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Claim IDs array is required'
+      });
+    }
+    
+    if (claimIds.length > req.chainServices.blockchain.batchSize) {
+      return res.status(400).json({
+        success: false,
+        error: `Maximum ${req.chainServices.blockchain.batchSize} claims per batch`
+      });
+    }
+    
+    const result = await req.chainServices.blockchain.exportAdminClaimsForSafe(claimIds, admin._id);
+    
+    logger.admin('Admin claims exported for Safe', {
+      adminId: admin._id,
+      adminEmail: admin.email,
+      chainId: req.chainServices.chain.chainId,
+      claimCount: result.claimIds.length,
+      rejected: result.rejected.length,
+      safeAddress: result.safeAddress,
+      ip: req.ip
+    });
+    
+    if (!result.batch) {
+      return res.status(400).json({
+        success: false,
+        error: 'Every claim failed simulation',
+        data: { rejected: result.rejected }
+      });
+    }
+    
+    sendSafeBatch(req, res, result);
+    
+  } catch (error) {
+    logger.error('Export Safe admin claims error', {
+      error: error.message,
+      adminId: req.admin._id,
+      ip: req.ip
+    });
+    next(error);
+  }
+});
+
 // Get gas prices
 router.get('/gas-price', async (req, res, next) => {
   try {
-    const gasPrice = await blockchainService.getGasPrice();
+    const gasPrice = await req.chainServices.blockchain.getGasPrice();
     
     res.json({
       success: true,
@@ -259,7 +534,7 @@ router.get('/block/:blockNumber?', async (req, res, next) => {
   try {
     const { blockNumber } = req.params;
     
-    const blockInfo = await blockchainService.getBlockInfo(blockNumber);
+    const blockInfo = await req.chainServices.blockchain.getBlockInfo(blockNumber);
     
     res.json({
       success: true,
@@ -279,7 +554,7 @@ router.get('/block/:blockNumber?', async (req, res, next) => {
 // Verify merkle proof
 router.post('/verify-proof', async (req, res, next) => {
   try {
-    const { walletAddress, amount, proof, merkleRoot } = req.body;
+    const { walletAddress, amount, proof, merkleRoot, index = 0, tokenAddress = null } = req.body;
     
     if (!walletAddress || !amount || !proof || !merkleRoot) {
       return res.status(400).json({
@@ -288,11 +563,36 @@ router.post('/verify-proof', async (req, res, next) => {
       });
     }
     
-    const isValid = await blockchainService.verifyMerkleProof(
+    // Use the encoding of the stored tree with this root unless one is given
+    let { leafEncoding } = req.body;
+    if (!leafEncoding) {
+      const merkleTree = await MerkleTreeModel.findOne({ root: merkleRoot }).select('leafEncoding');
+      leafEncoding = merkleTree ? merkleTree.leafEncoding : DEFAULT_LEAF_ENCODING;
+    }
+    
+    if (!isLeafEncoding(leafEncoding)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown leaf encoding'
+      });
+    }
+    
+    // Leaves of multi-token trees are bound to their token
+    if (isTokenEncoding(leafEncoding) && !tokenAddress) {
+      return res.status(400).json({
+        success: false,
+        error: 'tokenAddress is required for this leaf encoding'
+      });
+    }
+    
+    const isValid = await req.chainServices.blockchain.verifyMerkleProof(
       walletAddress,
       amount,
       proof,
-      merkleRoot
+      merkleRoot,
+      leafEncoding,
+      index,
+      tokenAddress
     );
     
     res.json({
@@ -301,7 +601,9 @@ router.post('/verify-proof', async (req, res, next) => {
         valid: isValid,
         walletAddress,
         amount,
-        merkleRoot
+        merkleRoot,
+        leafEncoding,
+        ...(tokenAddress ? { tokenAddress } : {})
       }
     });
     
@@ -320,7 +622,7 @@ router.get('/events', requireAdmin, requirePermission('logs.read'), async (req,
   try {
     const { fromBlock, toBlock, limit = 100 } = req.query;
     
-    const events = await blockchainService.getContractEvents({
+    const events = await req.chainServices.blockchain.getContractEvents({
       fromBlock,
       toBlock,
       limit: parseInt(limit)
@@ -341,10 +643,108 @@ router.get('/events', requireAdmin, requirePermission('logs.read'), async (req,
   }
 });
 
+// Claim event indexer status (admin only)
+router.get('/indexer', requireAdmin, requirePermission('logs.read'), async (req, res, next) => {
+  try {
+    const status = await req.chainServices.indexer.getStatus();
+    
+    res.json({
+      success: true,
+      data: status
+    });
+    
+  } catch (error) {
+    logger.error('Get indexer status error', {
+      error: error.message,
+      adminId: req.admin._id,
+      ip: req.ip
+    });
+    next(error);
+  }
+});
+
+// Confirmation watcher status (admin only)
+router.get('/confirmations', requireAdmin, requirePermission('logs.read'), async (req, res, next) => {
+  try {
+    const status = await req.chainServices.confirmations.getStatus();
+    
+    res.json({
+      success: true,
+      data: status
+    });
+    
+  } catch (error) {
+    logger.error('Get confirmation status error', {
+      error: error.message,
+      adminId: req.admin._id,
+      ip: req.ip
+    });
+    next(error);
+  }
+});
+
+// Outbound transaction queue status (admin only)
+router.get('/tx-queue', requireAdmin, requirePermission('transactions.read'), async (req, res, next) => {
+  try {
+    const { status, limit = 20 } = req.query;
+    const validStatuses = ['queued', 'submitted', 'mined', 'failed', 'cancelled'];
+    
+    if (status && !validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status value'
+      });
+    }
+    
+    const queueStatus = await req.chainServices.txQueue.getStatus({
+      status,
+      limit: Math.min(parseInt(limit) || 20, 100)
+    });
+    
+    res.json({
+      success: true,
+      data: queueStatus
+    });
+    
+  } catch (error) {
+    logger.error('Get transaction queue status error', {
+      error: error.message,
+      adminId: req.admin._id,
+      ip: req.ip
+    });
+    next(error);
+  }
+});
+
+// Treasury and hot-wallet balances (admin only)
+router.get('/balances', requireAdmin, requirePermission('transactions.read'), async (req, res, next) => {
+  try {
+    const monitor = req.chainServices.balances;
+    
+    // Read fresh balances instead of the last periodic snapshot
+    if (req.query.refresh === 'true') {
+      await monitor.check();
+    }
+    
+    res.json({
+      success: true,
+      data: monitor.getStatus()
+    });
+    
+  } catch (error) {
+    logger.error('Get balances error', {
+      error: error.message,
+      adminId: req.admin._id,
+      ip: req.ip
+    });
+    next(error);
+  }
+});
+
 // Health check for blockchain connection
 router.get('/health', async (req, res, next) => {
   try {
-    const health = await blockchainService.getConnectionHealth();
+    const health = await req.chainServices.blockchain.getConnectionHealth();
     
     res.json({
       success: true,
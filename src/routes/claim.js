@@ -1,25 +1,122 @@
 const express = require('express');
 const router = express.Router();
 
-const { authenticateWallet, requireAdmin, requirePermission, logRequest } = require('../middleware/auth');
-const { validateClaim, validateAdminClaim, validateRequest } = require('../middleware/validation');
+const { requireAdmin, requirePermission, logRequest } = require('../middleware/auth');
+const {
+  validateClaim,
+  validateClaimIntent,
+  validateClaimDelegation,
+  validateClaimDelegationIntent,
+  validateAdminClaim,
+  validateRequest
+} = require('../middleware/validation');
 const { claimLimiter, userClaimLimiter } = require('../middleware/rateLimiter');
 const User = require('../models/User');
 const ClaimTransaction = require('../models/ClaimTransaction');
 const MerkleTreeModel = require('../models/MerkleTree');
+const merkleService = require('../services/merkleService');
+const claimIntentService = require('../services/claimIntentService');
+const claimDelegationService = require('../services/claimDelegationService');
 const logger = require('../utils/logger');
+const { findChain } = require('../utils/chains');
+
+// Multi-token distributions need the token being claimed; single-token trees take none
+function resolveClaimToken(merkleTree, tokenAddress) {
+  if (!merkleTree.isMultiToken()) {
+    return tokenAddress ? { error: 'Token is not part of the active distribution' } : { token: null };
+  }
+  
+  if (!tokenAddress) {
+    return { error: 'tokenAddress is required for multi-token distributions' };
+  }
+  
+  const token = merkleTree.getToken(tokenAddress);
+  
+  return token ? { token } : { error: 'Token is not part of the active distribution' };
+}
+
+// Chain, active tree and token a signed request is made against
+async function resolveActiveDistribution(chainValue, tokenAddress) {
+  const chain = findChain(chainValue);
+  
+  if (!chain) {
+    return { error: 'Unsupported chain' };
+  }
+  
+  const merkleTree = await MerkleTreeModel.getActiveTree(chain.chainId);
+  
+  if (!merkleTree) {
+    return { error: 'No active token distribution available' };
+  }
+  
+  const claimWindow = merkleTree.getClaimWindow();
+  
+  if (claimWindow.status !== 'open') {
+    return { error: claimWindow.reason };
+  }
+  
+  const { token, error } = resolveClaimToken(merkleTree, tokenAddress);
+  
+  return error ? { error } : { chain, merkleTree, token };
+}
 
 // Apply logging to all routes
 router.use(logRequest);
 
-// Self-claim endpoint
-router.post('/self', claimLimiter, userClaimLimiter, validateClaim, validateRequest, authenticateWallet, async (req, res, next) => {
+// Claim intent for a wallet to sign before a self-claim
+router.get('/intent', validateClaimIntent, validateRequest, async (req, res, next) => {
+  try {
+    const { walletAddress, amount, tokenAddress } = req.query;
+    
+    const { chain, merkleTree, token, error } = await resolveActiveDistribution(req.query.chain, tokenAddress);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    
+    const intent = await claimIntentService.createIntent({
+      chain,
+      merkleTree,
+      token,
+      walletAddress,
+      amount
+    });
+    
+    res.json({
+      success: true,
+      data: intent
+    });
+    
+  } catch (error) {
+    logger.error('Claim intent error', {
+      error: error.message,
+      walletAddress: req.query.walletAddress,
+      ip: req.ip
+    });
+    next(error);
+  }
+});
+
+// Self-claim endpoint; the wallet signs an EIP-712 claim intent from GET /intent
+router.post('/self', claimLimiter, userClaimLimiter, validateClaim, validateRequest, async (req, res, next) => {
   try {
-    const { walletAddress, amount } = req.body;
-    const user = req.user;
+    const { walletAddress, amount, tokenAddress, nonce, deadline, signature } = req.body;
+    
+    // Claims are made against the distribution of one chain (default chain when omitted)
+    const chain = findChain(req.body.chain);
+    
+    if (!chain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported chain'
+      });
+    }
     
     // Get active merkle tree
-    const activeMerkleTree = await MerkleTreeModel.getActiveTree();
+    const activeMerkleTree = await MerkleTreeModel.getActiveTree(chain.chainId);
     
     if (!activeMerkleTree) {
       return res.status(400).json({
@@ -28,12 +125,104 @@ router.post('/self', claimLimiter, userClaimLimiter, validateClaim, validateRequ
       });
     }
     
+    const claimWindow = activeMerkleTree.getClaimWindow();
+    
+    if (claimWindow.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        error: claimWindow.reason
+      });
+    }
+    
+    const { token, error: tokenError } = resolveClaimToken(activeMerkleTree, tokenAddress);
+    
+    if (tokenError) {
+      return res.status(400).json({
+        success: false,
+        error: tokenError
+      });
+    }
+    
+    const deadlineError = claimIntentService.checkDeadline(deadline);
+    
+    if (deadlineError) {
+      return res.status(400).json({
+        success: false,
+        error: deadlineError
+      });
+    }
+    
+    // The signature must cover this wallet, amount, tree root, chain and nonce
+    const typedData = claimIntentService.getTypedData({
+      chain,
+      merkleTree: activeMerkleTree,
+      token,
+      walletAddress,
+      amount,
+      nonce,
+      deadline
+    });
+    
+    let intent = null;
+    
+    try {
+      intent = claimIntentService.recoverSigner(typedData, signature);
+    } catch (signatureError) {
+      intent = null;
+    }
+    
+    if (!intent || intent.signer.toLowerCase() !== walletAddress) {
+      logger.security('Invalid claim intent signature', {
+        walletAddress,
+        recoveredAddress: intent ? intent.signer : null,
+        ip: req.ip
+      });
+      
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid signature'
+      });
+    }
+    
+    // Find or create user
+    let user = await User.findByWallet(walletAddress);
+    
+    if (!user) {
+      user = new User({
+        walletAddress
+      });
+      await user.save();
+      
+      logger.info('New user created', {
+        userId: user._id,
+        walletAddress: user.walletAddress
+      });
+    }
+    
+    await user.addIpAddress(req.ip);
+    
+    if (nonce !== user.claimNonce) {
+      logger.security('Claim intent with stale nonce', {
+        userId: user._id,
+        walletAddress,
+        nonce,
+        expectedNonce: user.claimNonce,
+        ip: req.ip
+      });
+      
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or already used claim nonce'
+      });
+    }
+    
     // Check if user is eligible
-    const proof = activeMerkleTree.getProofForWallet(walletAddress);
+    const proof = await activeMerkleTree.getProofForWallet(walletAddress, tokenAddress);
     
     if (!proof) {
       logger.security('Claim attempt from ineligible wallet', {
         walletAddress,
+        tokenAddress,
         userId: user._id,
         ip: req.ip
       });
@@ -60,8 +249,8 @@ router.post('/self', claimLimiter, userClaimLimiter, validateClaim, validateRequ
       });
     }
     
-    // Check remaining claimable amount
-    const remaining = user.getRemainingClaimable();
+    // Check remaining claimable amount (cumulative trees subtract what the contract already paid out)
+    const remaining = await merkleService.getClaimableAmount(activeMerkleTree, walletAddress, user, tokenAddress);
     if (BigInt(remaining) < BigInt(amount)) {
       return res.status(400).json({
         success: false,
@@ -82,6 +271,15 @@ router.post('/self', claimLimiter, userClaimLimiter, validateClaim, validateRequ
       });
     }
     
+    // The nonce is used up only once the claim is accepted; a concurrent
+    // request with the same intent loses here
+    if (!await claimIntentService.consumeNonce(user, nonce)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or already used claim nonce'
+      });
+    }
+    
     // Create claim transaction
     const claimTransaction = new ClaimTransaction({
       user: user._id,
@@ -89,8 +287,19 @@ router.post('/self', claimLimiter, userClaimLimiter, validateClaim, validateRequ
       amount,
       type: 'self_claim',
       status: 'pending',
+      chainId: chain.chainId,
+      tokenAddress: token ? token.address : null,
+      distributorAddress: token ? token.distributor : null,
+      merkleTree: activeMerkleTree._id,
       merkleProof: proof.proof,
       merkleIndex: proof.index,
+      intent: {
+        signature,
+        digest: intent.digest,
+        nonce,
+        deadline: new Date(deadline * 1000),
+        merkleRoot: activeMerkleTree.root
+      },
       ipAddress: req.ip,
       userAgent: req.get('User-Agent')
     });
@@ -99,9 +308,12 @@ router.post('/self', claimLimiter, userClaimLimiter, validateClaim, validateRequ
     
     logger.claim('Self-claim initiated', {
       claimId: claimTransaction._id,
+      chainId: chain.chainId,
+      tokenAddress: claimTransaction.tokenAddress,
       userId: user._id,
       walletAddress: user.walletAddress,
       amount,
+      nonce,
       ip: req.ip
     });
     
@@ -110,9 +322,12 @@ router.post('/self', claimLimiter, userClaimLimiter, validateClaim, validateRequ
       data: {
         claimId: claimTransaction._id,
         status: 'pending',
+        chainId: chain.chainId,
         amount,
+        ...(token ? { tokenAddress: token.address, distributorAddress: token.distributor } : {}),
         merkleProof: proof.proof,
         merkleIndex: proof.index,
+        nextNonce: user.claimNonce,
         message: 'Claim transaction created. Please wait for processing.'
       }
     });
@@ -128,12 +343,120 @@ router.post('/self', claimLimiter, userClaimLimiter, validateClaim, validateRequ
   }
 });
 
+// Delegation request for a wallet to sign, naming the wallet to pay instead
+router.get('/delegation/intent', validateClaimDelegationIntent, validateRequest, async (req, res, next) => {
+  try {
+    const { walletAddress, recipient, tokenAddress } = req.query;
+    
+    const { chain, merkleTree, token, error } = await resolveActiveDistribution(req.query.chain, tokenAddress);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    
+    const intent = await claimIntentService.createIntent({
+      chain,
+      merkleTree,
+      token,
+      walletAddress,
+      recipient
+    });
+    
+    res.json({
+      success: true,
+      data: intent
+    });
+    
+  } catch (error) {
+    logger.error('Claim delegation intent error', {
+      error: error.message,
+      walletAddress: req.query.walletAddress,
+      ip: req.ip
+    });
+    next(error);
+  }
+});
+
+// Ask support to pay the wallet's allocation to another wallet; an admin reviews it
+router.post('/delegation', claimLimiter, validateClaimDelegation, validateRequest, async (req, res, next) => {
+  try {
+    const { walletAddress, recipient, tokenAddress, nonce, deadline, signature, reason } = req.body;
+    
+    const { chain, merkleTree, token, error } = await resolveActiveDistribution(req.body.chain, tokenAddress);
+    
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    
+    const result = await claimDelegationService.requestDelegation({
+      chain,
+      merkleTree,
+      token,
+      walletAddress,
+      recipient,
+      nonce,
+      deadline,
+      signature,
+      reason,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    const { delegation } = result;
+    
+    res.json({
+      success: true,
+      data: {
+        delegationId: delegation._id,
+        status: delegation.status,
+        walletAddress: delegation.walletAddress,
+        recipientAddress: delegation.recipientAddress,
+        chainId: delegation.chainId,
+        ...(delegation.tokenAddress ? { tokenAddress: delegation.tokenAddress } : {}),
+        message: 'Delegation request submitted for review.'
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Claim delegation error', {
+      error: error.message,
+      walletAddress: req.body.walletAddress,
+      recipient: req.body.recipient,
+      ip: req.ip
+    });
+    next(error);
+  }
+});
+
 // Admin claim endpoint
 router.post('/admin', requireAdmin, requirePermission('claims.write'), validateAdminClaim, validateRequest, async (req, res, next) => {
   try {
-    const { walletAddress, amount, adminNote } = req.body;
+    const { walletAddress, amount, adminNote, tokenAddress } = req.body;
     const admin = req.admin;
     
+    // Claims are made against the distribution of one chain (default chain when omitted)
+    const chain = findChain(req.body.chain);
+    
+    if (!chain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported chain'
+      });
+    }
+    
     // Find or create user
     let user = await User.findByWallet(walletAddress);
     
@@ -151,7 +474,7 @@ router.post('/admin', requireAdmin, requirePermission('claims.write'), validateA
     }
     
     // Get active merkle tree
-    const activeMerkleTree = await MerkleTreeModel.getActiveTree();
+    const activeMerkleTree = await MerkleTreeModel.getActiveTree(chain.chainId);
     
     if (!activeMerkleTree) {
       return res.status(400).json({
@@ -160,8 +483,26 @@ router.post('/admin', requireAdmin, requirePermission('claims.write'), validateA
       });
     }
     
+    const claimWindow = activeMerkleTree.getClaimWindow();
+    
+    if (claimWindow.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        error: claimWindow.reason
+      });
+    }
+    
+    const { token, error: tokenError } = resolveClaimToken(activeMerkleTree, tokenAddress);
+    
+    if (tokenError) {
+      return res.status(400).json({
+        success: false,
+        error: tokenError
+      });
+    }
+    
     // Check if user is eligible (for admin claims, we might be more flexible)
-    const proof = activeMerkleTree.getProofForWallet(walletAddress);
+    const proof = await activeMerkleTree.getProofForWallet(walletAddress, tokenAddress);
     
     if (!proof) {
       // For admin claims, we might allow claims even if not in merkle tree
@@ -192,6 +533,10 @@ router.post('/admin', requireAdmin, requirePermission('claims.write'), validateA
       amount,
       type: 'admin_claim',
       status: 'pending',
+      chainId: chain.chainId,
+      tokenAddress: token ? token.address : null,
+      distributorAddress: token ? token.distributor : null,
+      merkleTree: activeMerkleTree._id,
       merkleProof: proof.proof,
       merkleIndex: proof.index,
       adminId: admin._id,
@@ -204,6 +549,8 @@ router.post('/admin', requireAdmin, requirePermission('claims.write'), validateA
     
     logger.admin('Admin claim initiated', {
       claimId: claimTransaction._id,
+      chainId: chain.chainId,
+      tokenAddress: claimTransaction.tokenAddress,
       adminId: admin._id,
       adminEmail: admin.email,
       userId: user._id,
@@ -218,7 +565,9 @@ router.post('/admin', requireAdmin, requirePermission('claims.write'), validateA
       data: {
         claimId: claimTransaction._id,
         status: 'pending',
+        chainId: chain.chainId,
         amount,
+        ...(token ? { tokenAddress: token.address, distributorAddress: token.distributor } : {}),
         walletAddress: user.walletAddress,
         adminNote,
         message: 'Admin claim transaction created successfully.'
@@ -275,7 +624,7 @@ router.patch('/status/:claimId', requireAdmin, requirePermission('claims.approve
     const { status, transactionHash, failureReason, adminNote } = req.body;
     const admin = req.admin;
     
-    const validStatuses = ['pending', 'processing', 'completed', 'failed', 'cancelled'];
+    const validStatuses = ['pending', 'processing', 'confirming', 'completed', 'failed', 'cancelled'];
     
     if (!validStatuses.includes(status)) {
       return res.status(400).json({
@@ -308,13 +657,15 @@ router.patch('/status/:claimId', requireAdmin, requirePermission('claims.approve
       updateData.adminNote = adminNote;
     }
     
+    const previousStatus = claim.status;
+    
     await claim.updateStatus(status, updateData);
     
-    // If completed, update user's claim data
-    if (status === 'completed') {
+    // If completed, update user's claim data (confirming claims were already credited)
+    if (status === 'completed' && !['confirming', 'completed'].includes(previousStatus)) {
       const user = await User.findById(claim.user);
       if (user) {
-        await user.updateClaim(claim.amount);
+        await user.updateClaim(claim.amount, claim.tokenAddress);
       }
     }
     
@@ -322,7 +673,7 @@ router.patch('/status/:claimId', requireAdmin, requirePermission('claims.approve
       claimId,
       adminId: admin._id,
       adminEmail: admin.email,
-      oldStatus: claim.status,
+      oldStatus: previousStatus,
       newStatus: status,
       transactionHash,
       ip: req.ip
@@ -381,6 +732,7 @@ router.post('/retry/:claimId', requireAdmin, requirePermission('claims.write'),
     // Reset claim to pending status
     claim.status = 'pending';
     claim.failureReason = null;
+    claim.failureDetails = undefined;
     await claim.incrementRetry();
     
     logger.admin('Claim retry initiated', {
@@ -11,6 +11,7 @@ const { apiLimiter } = require('../middleware/rateLimiter');
 const StakingPool = require('../models/StakingPool');
 const StakingPosition = require('../models/StakingPosition');
 const logger = require('../utils/logger');
+const { findChain, chainFilter } = require('../utils/chains');
 
 // Apply middleware to all routes
 router.use(logRequest);
@@ -19,13 +20,26 @@ router.use(apiLimiter);
 // Get all staking pools
 router.get('/pools', async (req, res, next) => {
   try {
-    const { active = true } = req.query;
+    const { active = true, chain } = req.query;
     
     const filter = {};
     if (active !== undefined) {
       filter.isActive = active === 'true';
     }
     
+    if (chain) {
+      const chainConfig = findChain(chain);
+      
+      if (!chainConfig) {
+        return res.status(400).json({
+          success: false,
+          error: 'Unsupported chain'
+        });
+      }
+      
+      Object.assign(filter, chainFilter(chainConfig.chainId));
+    }
+    
     const pools = await StakingPool.find(filter)
       .sort({ apy: -1 })
       .populate('createdBy', 'name email');
@@ -78,6 +92,15 @@ router.post('/pools', requireAdmin, async (req, res, next) => {
       isActive = true
     } = req.body;
     
+    const chain = findChain(req.body.chain);
+    
+    if (!chain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported chain'
+      });
+    }
+    
     const pool = new StakingPool({
       name,
       description,
@@ -86,6 +109,7 @@ router.post('/pools', requireAdmin, async (req, res, next) => {
       maxStakeAmount,
       lockPeriod,
       isActive,
+      chainId: chain.chainId,
       createdBy: req.user.id
     });
     
@@ -95,6 +119,7 @@ router.post('/pools', requireAdmin, async (req, res, next) => {
       poolId: pool._id,
       name: pool.name,
       apy: pool.apy,
+      chainId: pool.chainId,
       createdBy: req.user.id
     });
     
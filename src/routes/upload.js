@@ -18,9 +18,21 @@ const {
   validateFile,
   extractFileInfo
 } = require('../middleware/upload');
-const { requireAdmin, authenticateToken, logRequest } = require('../middleware/auth');
+const { requireAdmin, requirePermission, authenticateToken, logRequest } = require('../middleware/auth');
 const { apiLimiter } = require('../middleware/rateLimiter');
+const merkleBuilder = require('../services/merkleBuilderService');
+const allocationValidation = require('../services/allocationValidationService');
 const logger = require('../utils/logger');
+const { findChain } = require('../utils/chains');
+
+// Multipart fields are strings, so the tokens of a multi-token distribution arrive as JSON
+function parseTokens(value) {
+  if (!value) {
+    return undefined;
+  }
+  
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
 
 // Apply middleware to all routes
 router.use(logRequest);
@@ -135,7 +147,8 @@ router.post('/document', authenticateToken, documentUpload, validateFile, extrac
 });
 
 // Upload merkle tree data (admin only)
-router.post('/merkle', requireAdmin, merkleUpload, validateFile, extractFileInfo, (req, res) => {
+// With validateOnly=true every row is checked and the file is not kept
+router.post('/merkle', requireAdmin, merkleUpload, validateFile, extractFileInfo, async (req, res) => {
   try {
     logger.info('Merkle data uploaded', {
       adminId: req.admin.id,
@@ -147,6 +160,50 @@ router.post('/merkle', requireAdmin, merkleUpload, validateFile, extractFileInfo
     const filePath = req.fileInfo.path;
     const ext = path.extname(filePath).toLowerCase();
     
+    if (req.query.validateOnly === 'true' || req.body.validateOnly === 'true') {
+      let report;
+      try {
+        report = await allocationValidation.validateFile(filePath, {
+          blocklist: req.body.blocklist,
+          tokens: parseTokens(req.body.tokens)
+        });
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid merkle data file: ${parseError.message}`
+        });
+      } finally {
+        fs.unlinkSync(filePath);
+      }
+      
+      logger.admin('Merkle data validated', {
+        adminId: req.admin._id,
+        filename: req.fileInfo.originalName,
+        valid: report.valid,
+        ...report.summary
+      });
+      
+      // Full row-level error report for download
+      if (req.query.format === 'csv' || req.body.format === 'csv') {
+        const reportName = `${path.basename(req.fileInfo.originalName, path.extname(req.fileInfo.originalName))}-errors.csv`;
+        
+        // The name comes from the upload; res.attachment quotes and encodes it
+        res.attachment(reportName);
+        return res.send(report.toCsv());
+      }
+      
+      return res.json({
+        success: true,
+        data: {
+          file: req.fileInfo.originalName,
+          valid: report.valid,
+          summary: report.summary,
+          issues: report.issues,
+          truncated: report.truncated
+        }
+      });
+    }
+    
     let merkleData;
     try {
       if (ext === '.json') {
@@ -218,6 +275,94 @@ router.post('/merkle', requireAdmin, merkleUpload, validateFile, extractFileInfo
   }
 });
 
+// Build a merkle tree from an uploaded allocation file (admin only)
+// The file is streamed into the leaf collection, so it may hold millions of wallets
+router.post('/merkle/build', requireAdmin, requirePermission('merkle.manage'), merkleUpload, validateFile, extractFileInfo, async (req, res) => {
+  const filePath = req.fileInfo.path;
+  
+  try {
+    const { name, description, leafEncoding, allocationMode, previousTreeId } = req.body;
+    const chain = findChain(req.body.chain);
+    
+    if (!name || !chain) {
+      fs.unlinkSync(filePath);
+      
+      return res.status(400).json({
+        success: false,
+        error: !name ? 'Name is required' : 'Unsupported chain'
+      });
+    }
+    
+    let merkleTree;
+    try {
+      merkleTree = await merkleBuilder.buildFromFile(filePath, {
+        name,
+        description,
+        adminId: req.admin._id,
+        chainId: chain.chainId,
+        leafEncoding,
+        tokens: parseTokens(req.body.tokens),
+        cumulative: req.body.cumulative === 'true',
+        allocationMode,
+        previousTreeId,
+        source: req.fileInfo.originalName
+      });
+    } catch (buildError) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid merkle data file: ${buildError.message}`
+      });
+    } finally {
+      // Leaves now live in the database
+      fs.unlinkSync(filePath);
+    }
+    
+    logger.admin('Merkle tree built from upload', {
+      adminId: req.admin._id,
+      adminEmail: req.admin.email,
+      merkleTreeId: merkleTree._id,
+      name,
+      chainId: chain.chainId,
+      totalUsers: merkleTree.totalUsers,
+      totalAmount: merkleTree.totalAmount,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        merkleTree: {
+          id: merkleTree._id,
+          name: merkleTree.name,
+          description: merkleTree.description,
+          root: merkleTree.root,
+          totalAmount: merkleTree.totalAmount,
+          totalUsers: merkleTree.totalUsers,
+          chainId: merkleTree.chainId,
+          leafStorage: merkleTree.leafStorage,
+          leafEncoding: merkleTree.leafEncoding,
+          tokens: merkleTree.tokens,
+          distributionMode: merkleTree.distributionMode,
+          previousRound: merkleTree.previousRound,
+          isActive: merkleTree.isActive,
+          createdAt: merkleTree.createdAt
+        }
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Merkle build upload error', {
+      error: error.message,
+      adminId: req.admin?._id
+    });
+    
+    res.status(500).json({
+      success: false,
+      error: 'Merkle tree build failed'
+    });
+  }
+});
+
 // Upload multiple files
 router.post('/multiple', authenticateToken, multipleUpload, extractFileInfo, (req, res) => {
   try {
@@ -7,7 +7,11 @@ const { apiLimiter } = require('../middleware/rateLimiter');
 const User = require('../models/User');
 const ClaimTransaction = require('../models/ClaimTransaction');
 const MerkleTreeModel = require('../models/MerkleTree');
+const merkleService = require('../services/merkleService');
+const vestingService = require('../services/vestingService');
+const claimExpiryService = require('../services/claimExpiryService');
 const logger = require('../utils/logger');
+const { findChain } = require('../utils/chains');
 
 // Apply middleware to all routes
 router.use(logRequest);
@@ -30,13 +34,19 @@ router.get('/profile', async (req, res, next) => {
     const activeMerkleTree = await MerkleTreeModel.getActiveTree();
     let merkleInfo = null;
     
-    if (activeMerkleTree) {
-      const proof = activeMerkleTree.getProofForWallet(user.walletAddress);
+    if (activeMerkleTree && activeMerkleTree.isMultiToken()) {
+      const tokens = await merkleService.getTokenAllocations(activeMerkleTree, user.walletAddress, user);
+      merkleInfo = {
+        eligible: tokens.length > 0,
+        tokens: tokens.map(({ proof, ...token }) => token)
+      };
+    } else if (activeMerkleTree) {
+      const proof = await activeMerkleTree.getProofForWallet(user.walletAddress);
       if (proof) {
         merkleInfo = {
           eligible: true,
           allocation: proof.amount,
-          remaining: user.getRemainingClaimable()
+          remaining: await merkleService.getClaimableAmount(activeMerkleTree, user.walletAddress, user)
         };
       } else {
         merkleInfo = {
@@ -57,6 +67,7 @@ router.get('/profile', async (req, res, next) => {
           totalClaimed: user.totalClaimed,
           totalClaimable: user.totalClaimable,
           claimCount: user.claimCount,
+          tokenBalances: user.getTokenBreakdown(),
           lastClaimDate: user.lastClaimDate,
           canClaim: user.canClaim(),
           createdAt: user.createdAt,
@@ -141,6 +152,85 @@ router.get('/claims/:id', validateObjectId('id'), async (req, res, next) => {
   }
 });
 
+// Cancel one of the user's own claims that has not been paid out
+router.post('/claims/:id/cancel', validateObjectId('id'), async (req, res, next) => {
+  try {
+    const claim = await ClaimTransaction.findOne({
+      _id: req.params.id,
+      user: req.user._id
+    });
+    
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        error: 'Claim transaction not found'
+      });
+    }
+    
+    // Admin claims in processing have been handed to the transaction queue;
+    // self-claims in processing wait for the user's own transaction
+    const cancellable = claim.status === 'pending'
+      || (claim.status === 'processing' && claim.type === 'self_claim');
+    
+    if (!cancellable) {
+      return res.status(400).json({
+        success: false,
+        error: `A ${claim.status} claim cannot be cancelled`
+      });
+    }
+    
+    const onChain = await claimExpiryService.checkOnChain(claim);
+    
+    if (onChain.landed) {
+      return res.status(400).json({
+        success: false,
+        error: 'A transaction for this claim was found on chain; it will be settled shortly'
+      });
+    }
+    
+    if (onChain.inFlight) {
+      return res.status(400).json({
+        success: false,
+        error: 'The claim transaction has been sent and cannot be cancelled'
+      });
+    }
+    
+    const cancelled = await claimExpiryService.cancel(claim, 'user', 'Cancelled by user');
+    
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Claim status changed; please try again'
+      });
+    }
+    
+    logger.claim('Claim cancelled by user', {
+      claimId: claim._id,
+      userId: req.user._id,
+      walletAddress: req.user.walletAddress,
+      previousStatus: claim.status,
+      ip: req.ip
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        claimId: cancelled._id,
+        status: cancelled.status,
+        cancelledAt: cancelled.cancelledAt
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Cancel user claim error', {
+      error: error.message,
+      userId: req.user._id,
+      claimId: req.params.id
+    });
+    next(error);
+  }
+});
+
 // Get user's statistics
 router.get('/stats', validateDateRange, async (req, res, next) => {
   try {
@@ -189,7 +279,8 @@ router.get('/stats', validateDateRange, async (req, res, next) => {
       remainingClaimable: req.user.getRemainingClaimable(),
       claimCount: req.user.claimCount,
       lastClaimDate: req.user.lastClaimDate,
-      canClaim: req.user.canClaim()
+      canClaim: req.user.canClaim(),
+      tokens: req.user.getTokenBreakdown()
     };
     
     res.json({
@@ -213,7 +304,16 @@ router.get('/stats', validateDateRange, async (req, res, next) => {
 // Check user's eligibility in current merkle tree
 router.get('/eligibility', async (req, res, next) => {
   try {
-    const activeMerkleTree = await MerkleTreeModel.getActiveTree();
+    const chain = findChain(req.query.chain);
+    
+    if (!chain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported chain'
+      });
+    }
+    
+    const activeMerkleTree = await MerkleTreeModel.getActiveTree(chain.chainId);
     
     if (!activeMerkleTree) {
       return res.json({
@@ -227,7 +327,50 @@ router.get('/eligibility', async (req, res, next) => {
       });
     }
     
-    const proof = activeMerkleTree.getProofForWallet(req.user.walletAddress);
+    const claimWindow = activeMerkleTree.getClaimWindow();
+    const merkleTreeInfo = {
+      name: activeMerkleTree.name,
+      description: activeMerkleTree.description,
+      root: activeMerkleTree.root,
+      distributionMode: activeMerkleTree.distributionMode,
+      chainId: chain.chainId,
+      claimWindow
+    };
+    
+    // Multi-token trees are claimed token by token, each against its own distributor
+    if (activeMerkleTree.isMultiToken()) {
+      const tokens = await merkleService.getTokenAllocations(activeMerkleTree, req.user.walletAddress, req.user);
+      const claimable = tokens.filter(token => BigInt(token.remaining) > 0n);
+      
+      let reason;
+      if (tokens.length === 0) {
+        reason = 'Wallet address not found in current distribution';
+      } else if (claimWindow.reason) {
+        reason = claimWindow.reason;
+      } else if (claimable.length === 0) {
+        reason = tokens.some(token => token.vesting && BigInt(token.vesting.locked) > 0n)
+          ? 'Remaining tokens are still vesting'
+          : 'All allocated tokens have been claimed';
+      } else if (!req.user.canClaim()) {
+        reason = 'Must wait 24 hours between claims';
+      }
+      
+      return res.json({
+        success: true,
+        data: {
+          eligible: tokens.length > 0,
+          canClaim: !reason,
+          ...(reason ? { reason } : {}),
+          tokens,
+          merkleTree: {
+            ...merkleTreeInfo,
+            tokens: activeMerkleTree.tokens
+          }
+        }
+      });
+    }
+    
+    const proof = await activeMerkleTree.getProofForWallet(req.user.walletAddress);
     
     if (!proof) {
       return res.json({
@@ -241,6 +384,27 @@ router.get('/eligibility', async (req, res, next) => {
       });
     }
     
+    // Cumulative trees subtract what the contract already paid out; vesting holds back what has not vested
+    const remaining = await merkleService.getClaimableAmount(activeMerkleTree, req.user.walletAddress, req.user);
+    const vesting = await vestingService.getVestingStatus(activeMerkleTree, req.user.walletAddress);
+    
+    // Claims are only accepted inside the tree's claim window
+    if (claimWindow.reason) {
+      return res.json({
+        success: true,
+        data: {
+          eligible: true,
+          canClaim: false,
+          reason: claimWindow.reason,
+          allocation: proof.amount,
+          remaining,
+          vesting,
+          proof,
+          merkleTree: merkleTreeInfo
+        }
+      });
+    }
+    
     // Check if user can claim (time-based restrictions)
     if (!req.user.canClaim()) {
       const timeUntilNextClaim = req.user.lastClaimDate ? 
@@ -254,23 +418,26 @@ router.get('/eligibility', async (req, res, next) => {
           reason: 'Must wait 24 hours between claims',
           timeUntilNextClaim,
           allocation: proof.amount,
-          remaining: req.user.getRemainingClaimable(),
+          remaining,
+          vesting,
           proof
         }
       });
     }
     
     // Check if user has remaining claimable amount
-    const remaining = req.user.getRemainingClaimable();
     if (BigInt(remaining) <= 0) {
       return res.json({
         success: true,
         data: {
           eligible: true,
           canClaim: false,
-          reason: 'All allocated tokens have been claimed',
+          reason: vesting && BigInt(vesting.locked) > 0n
+            ? 'Remaining tokens are still vesting'
+            : 'All allocated tokens have been claimed',
           allocation: proof.amount,
           remaining: '0',
+          vesting,
           proof
         }
       });
@@ -283,12 +450,9 @@ router.get('/eligibility', async (req, res, next) => {
         canClaim: true,
         allocation: proof.amount,
         remaining,
+        vesting,
         proof,
-        merkleTree: {
-          name: activeMerkleTree.name,
-          description: activeMerkleTree.description,
-          root: activeMerkleTree.root
-        }
+        merkleTree: merkleTreeInfo
       }
     });
     
@@ -301,6 +465,37 @@ router.get('/eligibility', async (req, res, next) => {
   }
 });
 
+// Get the user's vesting schedules with vested, claimed and locked amounts
+router.get('/vesting', async (req, res, next) => {
+  try {
+    const chain = findChain(req.query.chain);
+    
+    if (!chain) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported chain'
+      });
+    }
+    
+    const vesting = await vestingService.getUserVesting(req.user, chain.chainId);
+    
+    res.json({
+      success: true,
+      data: {
+        chainId: chain.chainId,
+        vesting
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Get user vesting error', {
+      error: error.message,
+      userId: req.user._id
+    });
+    next(error);
+  }
+});
+
 // Update user profile (limited fields)
 router.patch('/profile', async (req, res, next) => {
   try {
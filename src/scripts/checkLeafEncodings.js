@@ -0,0 +1,71 @@
+/**
+ * Script to check every Merkle leaf encoding against its test vectors
+ * Usage: node src/scripts/checkLeafEncodings.js
+ */
+
+const { MerkleTree } = require('merkletreejs');
+const keccak256 = require('keccak256');
+const { LEAF_ENCODINGS, LEAF_TEST_VECTORS, hashLeaf } = require('../utils/merkleLeaf');
+const merkleService = require('../services/merkleService');
+
+function toHex(buffer) {
+  return `0x${buffer.toString('hex')}`;
+}
+
+async function checkLeafEncodings() {
+  const { leaves, encodings } = LEAF_TEST_VECTORS;
+  let failures = 0;
+
+  for (const encoding of Object.keys(LEAF_ENCODINGS)) {
+    const expected = encodings[encoding];
+
+    if (!expected) {
+      console.log(`❌ ${encoding}: no test vectors`);
+      failures++;
+      continue;
+    }
+
+    const leafHashes = leaves.map(leaf => hashLeaf(leaf, encoding));
+    const root = new MerkleTree(leafHashes, keccak256, { sortPairs: true }).getHexRoot();
+
+    // The service builds and verifies trees the same way the vectors were made
+    const treeData = await merkleService.generateMerkleTree(leaves, encoding);
+    const proofsValid = treeData.leaves.every(leaf =>
+      merkleService.verifyProof(leaf.walletAddress, leaf.amount, leaf.proof, treeData.root, encoding, leaf.index, leaf.tokenAddress)
+    );
+
+    const errors = [];
+    leafHashes.forEach((hash, index) => {
+      if (toHex(hash) !== expected.leafHashes[index]) {
+        errors.push(`leaf ${index} hash ${toHex(hash)}, expected ${expected.leafHashes[index]}`);
+      }
+    });
+    if (root !== expected.root || treeData.root !== expected.root) {
+      errors.push(`root ${treeData.root}, expected ${expected.root}`);
+    }
+    if (!proofsValid) {
+      errors.push('generated proofs do not verify');
+    }
+
+    if (errors.length > 0) {
+      console.log(`❌ ${encoding}: ${errors.join('; ')}`);
+      failures++;
+    } else {
+      console.log(`✅ ${encoding}`);
+    }
+  }
+
+  return failures;
+}
+
+// Command line usage
+if (require.main === module) {
+  checkLeafEncodings()
+    .then(failures => process.exit(failures > 0 ? 1 : 0))
+    .catch(error => {
+      console.error('❌ Error checking leaf encodings:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = checkLeafEncodings;
@@ -0,0 +1,45 @@
+/**
+ * Script to encrypt the admin signing key into a JSON keystore
+ * Usage: PRIVATE_KEY=0x... KEYSTORE_PASSWORD=... node src/scripts/createKeystore.js [output-path]
+ * Without PRIVATE_KEY a new random key is generated.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+async function createKeystore() {
+  try {
+    const password = process.env.KEYSTORE_PASSWORD;
+    const outputPath = process.argv[2] || process.env.KEYSTORE_PATH || 'keystore.json';
+    
+    if (!password) {
+      console.error('❌ KEYSTORE_PASSWORD is required');
+      process.exit(1);
+    }
+    
+    if (fs.existsSync(outputPath)) {
+      console.error(`❌ ${outputPath} already exists, refusing to overwrite`);
+      process.exit(1);
+    }
+    
+    const wallet = process.env.PRIVATE_KEY
+      ? new ethers.Wallet(process.env.PRIVATE_KEY)
+      : ethers.Wallet.createRandom();
+    
+    const json = await wallet.encrypt(password);
+    fs.writeFileSync(outputPath, json, { mode: 0o600 });
+    
+    console.log('✅ Keystore created successfully!');
+    console.log('Path:', outputPath);
+    console.log('Address:', wallet.address);
+    console.log('');
+    console.log('⚠️  IMPORTANT: Remove PRIVATE_KEY from your environment and set KEYSTORE_PATH instead!');
+    
+  } catch (error) {
+    console.error('❌ Error creating keystore:', error.message);
+    process.exit(1);
+  }
+}
+
+createKeystore();
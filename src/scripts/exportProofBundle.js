@@ -0,0 +1,126 @@
+/**
+ * Script to export a merkle tree's proofs as a static bundle, or check one
+ * Usage: node src/scripts/exportProofBundle.js <tree_id|active> <output_dir> [--prefix=<length>] [--chain=<chain_id>] [--verify]
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const MerkleTreeModel = require('../models/MerkleTree');
+const proofBundle = require('../services/proofBundleService');
+const logger = require('../utils/logger');
+const { findChain } = require('../utils/chains');
+
+async function findTree(treeId, chain) {
+  if (treeId !== 'active') {
+    return MerkleTreeModel.findById(treeId);
+  }
+
+  const chainConfig = findChain(chain);
+  if (!chainConfig) {
+    throw new Error(`Unknown chain: ${chain}`);
+  }
+
+  return MerkleTreeModel.getActiveTree(chainConfig.chainId);
+}
+
+async function exportProofBundle(treeId, outputDir, options = {}) {
+  let failed = false;
+
+  try {
+    // Connect to database
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/GTC-backend', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('Connected to MongoDB');
+
+    // Check the bundle against the tree it was exported from
+    if (options.verify) {
+      const manifest = JSON.parse(fs.readFileSync(path.join(outputDir, 'manifest.json'), 'utf8'));
+      const merkleTree = await MerkleTreeModel.findById(treeId === 'active' ? manifest.merkleTreeId : treeId);
+
+      if (!merkleTree) {
+        throw new Error(`Merkle tree ${manifest.merkleTreeId} not found`);
+      }
+
+      const result = await proofBundle.verifyBundle(outputDir, merkleTree);
+
+      if (result.valid) {
+        console.log(`✅ Bundle matches merkle tree ${merkleTree._id} (${result.shards} shards, root ${merkleTree.root})`);
+      } else {
+        failed = true;
+        console.log(`❌ Bundle does not match merkle tree ${merkleTree._id}:`);
+        result.errors.forEach(error => console.log(`  - ${error}`));
+      }
+      return;
+    }
+
+    const merkleTree = await findTree(treeId, options.chain);
+    if (!merkleTree) {
+      throw new Error(treeId === 'active' ? 'No active merkle tree' : `Merkle tree ${treeId} not found`);
+    }
+
+    console.log('Exporting proof bundle...');
+    const manifest = await proofBundle.exportBundle(merkleTree, outputDir, {
+      prefixLength: options.prefixLength
+    });
+
+    console.log('✅ Proof bundle exported successfully!');
+    console.log('Tree:', `${merkleTree.name} (${merkleTree._id})`);
+    console.log('Root:', manifest.root);
+    console.log('Leaf Encoding:', manifest.leafEncoding);
+    console.log('Wallets:', manifest.totalUsers);
+    console.log('Shards:', Object.keys(manifest.shards).length);
+    console.log('Output:', path.resolve(outputDir));
+    console.log('');
+    console.log('Upload the directory as is. To check it later, run:');
+    console.log(`node src/scripts/exportProofBundle.js ${merkleTree._id} ${outputDir} --verify`);
+
+  } catch (error) {
+    failed = true;
+    console.error('❌ Error exporting proof bundle:', error.message);
+    logger.error('Export proof bundle script error', error);
+  } finally {
+    await mongoose.connection.close();
+    process.exit(failed ? 1 : 0);
+  }
+}
+
+// Command line usage
+if (require.main === module) {
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const flags = process.argv.slice(2).filter(arg => arg.startsWith('--'));
+
+  if (args.length < 2) {
+    console.log('Usage: node src/scripts/exportProofBundle.js <tree_id|active> <output_dir> [--prefix=<length>] [--chain=<chain_id>] [--verify]');
+    console.log('');
+    console.log('Examples:');
+    console.log('  node src/scripts/exportProofBundle.js active ./proofs');
+    console.log('  node src/scripts/exportProofBundle.js 6571a1b8c9d2e3f4a5b6c7d8 ./proofs --prefix=3');
+    console.log('  node src/scripts/exportProofBundle.js active ./proofs --verify');
+    console.log('');
+    console.log('--prefix  Hex characters of the address used as shard key (default: 2, so up to 256 shards)');
+    console.log('--chain   With "active", the chain whose active tree is exported (default: default network)');
+    console.log('--verify  Recompute the manifest from the tree and check the bundle against it');
+    console.log('');
+    console.log('Output: manifest.json and shards/<prefix>.json, where <prefix> follows the 0x of the');
+    console.log('lowercase address. Each shard maps addresses to { index, amount, proof }, or for');
+    console.log('multi-token trees to { <tokenAddress>: { index, amount, proof } }.');
+    process.exit(1);
+  }
+
+  const [treeId, outputDir] = args;
+  const prefixFlag = flags.find(flag => flag.startsWith('--prefix='));
+  const chainFlag = flags.find(flag => flag.startsWith('--chain='));
+
+  exportProofBundle(treeId, outputDir, {
+    prefixLength: prefixFlag ? parseInt(prefixFlag.split('=')[1]) : undefined,
+    chain: chainFlag ? chainFlag.split('=')[1] : undefined,
+    verify: flags.includes('--verify')
+  });
+}
+
+module.exports = exportProofBundle;
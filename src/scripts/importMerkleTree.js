@@ -1,17 +1,18 @@
 /**
  * Script to import merkle tree from CSV or JSON file
- * Usage: node src/scripts/importMerkleTree.js <file_path> <name> <description> <admin_email>
+ * Usage: node src/scripts/importMerkleTree.js <file_path> <name> <description> <admin_email> [--cumulative] [--totals] [--encoding=<leaf_encoding>] [--tokens=<tokens.json>]
+ *        node src/scripts/importMerkleTree.js <file_path> --validate [--blocklist=<address,...>] [--tokens=<tokens.json>]
  */
 
 require('dotenv').config();
 const fs = require('fs');
-const path = require('path');
 const mongoose = require('mongoose');
 const Admin = require('../models/Admin');
-const merkleService = require('../services/merkleService');
+const merkleBuilder = require('../services/merkleBuilderService');
+const allocationValidation = require('../services/allocationValidationService');
 const logger = require('../utils/logger');
 
-async function importMerkleTree(filePath, name, description, adminEmail) {
+async function importMerkleTree(filePath, name, description, adminEmail, options = {}) {
   try {
     // Connect to database
     await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/GTC-backend', {
@@ -32,50 +33,30 @@ async function importMerkleTree(filePath, name, description, adminEmail) {
       throw new Error(`File not found: ${filePath}`);
     }
     
-    // Read file
-    const fileContent = fs.readFileSync(filePath, 'utf8');
-    const fileExtension = path.extname(filePath).toLowerCase();
-    
-    let allocations = [];
-    
-    if (fileExtension === '.csv') {
-      // Parse CSV
-      allocations = merkleService.parseCsvAllocations(fileContent);
-      console.log(`Parsed ${allocations.length} allocations from CSV`);
-      
-    } else if (fileExtension === '.json') {
-      // Parse JSON
-      const jsonData = JSON.parse(fileContent);
-      
-      if (Array.isArray(jsonData)) {
-        allocations = jsonData;
-      } else if (jsonData.allocations && Array.isArray(jsonData.allocations)) {
-        allocations = jsonData.allocations;
-      } else {
-        throw new Error('Invalid JSON format. Expected array or object with "allocations" property');
-      }
-      
-      console.log(`Parsed ${allocations.length} allocations from JSON`);
-      
-    } else {
-      throw new Error('Unsupported file format. Use .csv or .json files');
-    }
-    
-    // Validate allocations
-    if (allocations.length === 0) {
-      throw new Error('No valid allocations found in file');
-    }
-    
-    // Create merkle tree
-    console.log('Creating merkle tree...');
-    const merkleTree = await merkleService.createMerkleTree(allocations, name, description, admin._id);
+    // Stream the file into the leaf collection; the file is never loaded whole
+    console.log('Building merkle tree...');
+    const merkleTree = await merkleBuilder.buildFromFile(filePath, {
+      name,
+      description,
+      adminId: admin._id,
+      ...options
+    });
     
     console.log('✅ Merkle tree created successfully!');
     console.log('ID:', merkleTree._id);
     console.log('Name:', merkleTree.name);
     console.log('Total Users:', merkleTree.totalUsers);
+    console.log('Notes:', merkleTree.metadata.notes);
     console.log('Total Amount:', merkleTree.formattedTotalAmount, 'tokens');
     console.log('Root:', merkleTree.root);
+    console.log('Leaf Encoding:', merkleTree.leafEncoding);
+    console.log('Distribution:', merkleTree.distributionMode);
+    merkleTree.tokens.forEach(token => {
+      console.log(`Token ${token.symbol || token.address}:`, `${token.totalAmount} wei to ${token.totalUsers} wallets via ${token.distributor}`);
+    });
+    if (merkleTree.previousRound) {
+      console.log('Previous Round:', merkleTree.previousRound.toString());
+    }
     console.log('');
     console.log('To activate this merkle tree, use the admin panel or call:');
     console.log(`PATCH /api/v1/admin/merkle-trees/${merkleTree._id}/activate`);
@@ -89,24 +70,92 @@ async function importMerkleTree(filePath, name, description, adminEmail) {
   }
 }
 
+// Check every row of the file without touching the database
+async function validateAllocationFile(filePath, options = {}) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+    
+    console.log('Validating allocations...');
+    const report = await allocationValidation.validateFile(filePath, options);
+    const { summary } = report;
+    
+    console.log(report.valid ? '✅ Allocations are valid' : '❌ Allocations have errors');
+    console.log('Rows:', summary.rows);
+    console.log('Valid Rows:', summary.validRows);
+    console.log('Invalid Rows:', summary.invalidRows);
+    console.log('Unique Addresses:', summary.uniqueAddresses);
+    console.log('Duplicate Addresses:', summary.duplicateAddresses);
+    console.log('Total Amount (valid rows):', summary.totalAmount);
+    Object.entries(summary.issues)
+      .filter(([, count]) => count > 0)
+      .forEach(([type, count]) => console.log(`  ${type}: ${count}`));
+    
+    if (summary.errors + summary.warnings > 0) {
+      const reportPath = `${filePath}.errors.csv`;
+      fs.writeFileSync(reportPath, report.toCsv());
+      console.log('Report:', reportPath);
+    }
+    
+    process.exit(report.valid ? 0 : 1);
+    
+  } catch (error) {
+    console.error('❌ Error validating allocations:', error.message);
+    process.exit(1);
+  }
+}
+
 // Command line usage
 if (require.main === module) {
-  const args = process.argv.slice(2);
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const flags = process.argv.slice(2).filter(arg => arg.startsWith('--'));
+  const tokensFlag = flags.find(flag => flag.startsWith('--tokens='));
+  const tokens = tokensFlag ? JSON.parse(fs.readFileSync(tokensFlag.split('=')[1], 'utf8')) : undefined;
   
-  if (args.length < 4) {
-    console.log('Usage: node src/scripts/importMerkleTree.js <file_path> <name> <description> <admin_email>');
+  if (flags.includes('--validate') && args.length >= 1) {
+    const blocklistFlag = flags.find(flag => flag.startsWith('--blocklist='));
+    
+    validateAllocationFile(args[0], {
+      blocklist: blocklistFlag ? blocklistFlag.split('=')[1] : [],
+      tokens
+    });
+  } else if (args.length < 4) {
+    console.log('Usage: node src/scripts/importMerkleTree.js <file_path> <name> <description> <admin_email> [--cumulative] [--totals] [--encoding=<leaf_encoding>] [--tokens=<tokens.json>]');
     console.log('');
     console.log('Examples:');
     console.log('  node src/scripts/importMerkleTree.js allocations.csv "Phase 1 Distribution" "Initial token distribution" admin@GTC-token.com');
     console.log('  node src/scripts/importMerkleTree.js allocations.json "Presale Distribution" "Presale participants" admin@GTC-token.com');
     console.log('');
-    console.log('CSV format: walletAddress,amount');
-    console.log('JSON format: [{"walletAddress": "0x...", "amount": "1000000000000000000"}]');
+    console.log('  node src/scripts/importMerkleTree.js march.csv "Rewards 2025-03" "March rewards" admin@GTC-token.com --cumulative');
+    console.log('  node src/scripts/importMerkleTree.js partners.csv "Partner Airdrop" "GCT and partner tokens" admin@GTC-token.com --tokens=tokens.json');
+    console.log('');
+    console.log('--cumulative  Add the amounts to the latest cumulative round (leaves hold lifetime totals)');
+    console.log('--totals      With --cumulative, the file already holds lifetime totals');
+    console.log('--encoding    Leaf encoding: packed (default), standard or standard-indexed (OpenZeppelin StandardMerkleTree leaves);');
+    console.log('              packed-token (default with --tokens) or standard-token for multi-token distributions');
+    console.log('--tokens      JSON file listing the tokens of a multi-token distribution:');
+    console.log('              [{"address": "0x...", "distributor": "0x...", "symbol": "GCT", "decimals": 18}]');
+    console.log('--validate    Only check every row and write <file_path>.errors.csv; no tree is created');
+    console.log('--blocklist   With --validate, addresses to reject on top of ALLOCATION_BLOCKLIST');
+    console.log('');
+    console.log('CSV format: walletAddress,amount (walletAddress,amount,tokenAddress with --tokens)');
+    console.log('JSON format: [{"walletAddress": "0x...", "amount": "1000000000000000000"}] (plus "tokenAddress" with --tokens)');
+    console.log('');
+    console.log('The file is streamed and leaves are stored one document per wallet, so files with');
+    console.log('millions of wallets can be imported. Duplicate addresses are summed.');
     process.exit(1);
+  } else {
+    const [filePath, name, description, adminEmail] = args;
+    const encodingFlag = flags.find(flag => flag.startsWith('--encoding='));
+    
+    importMerkleTree(filePath, name, description, adminEmail, {
+      cumulative: flags.includes('--cumulative'),
+      allocationMode: flags.includes('--totals') ? 'total' : 'increment',
+      leafEncoding: encodingFlag ? encodingFlag.split('=')[1] : undefined,
+      tokens
+    });
   }
-  
-  const [filePath, name, description, adminEmail] = args;
-  importMerkleTree(filePath, name, description, adminEmail);
 }
 
 module.exports = importMerkleTree;
\ No newline at end of file
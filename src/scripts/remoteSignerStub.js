@@ -0,0 +1,80 @@
+/**
+ * Local remote-signer stub
+ * Implements the HTTP protocol expected by RemoteSigner with an in-process key.
+ * For development and tests only - never point production at it.
+ *
+ * Usage: REMOTE_SIGNER_STUB_KEY=0x... REMOTE_SIGNER_TOKEN=secret node src/scripts/remoteSignerStub.js
+ */
+
+require('dotenv').config();
+const http = require('http');
+const { ethers } = require('ethers');
+
+function createRemoteSignerStub(options = {}) {
+  const wallet = options.privateKey
+    ? new ethers.Wallet(options.privateKey)
+    : ethers.Wallet.createRandom();
+  const token = options.token || null;
+
+  const routes = {
+    '/address': async () => ({ address: wallet.address }),
+
+    '/sign-transaction': async ({ transaction }) => {
+      const tx = ethers.Transaction.from(transaction);
+      return { signedTransaction: await wallet.signTransaction(tx) };
+    },
+
+    '/sign-message': async ({ message }) => ({
+      signature: await wallet.signMessage(ethers.getBytes(message))
+    }),
+
+    '/sign-typed-data': async ({ domain, types, message }) => {
+      const signingTypes = { ...types };
+      delete signingTypes.EIP712Domain;
+      return { signature: await wallet.signTypedData(domain, signingTypes, message) };
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== 'POST' || !routes[req.url]) {
+      return send(404, { error: 'Not found' });
+    }
+
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      return send(401, { error: 'Unauthorized' });
+    }
+
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      try {
+        send(200, await routes[req.url](raw ? JSON.parse(raw) : {}));
+      } catch (error) {
+        send(400, { error: error.message });
+      }
+    });
+  });
+
+  server.signerAddress = wallet.address;
+  return server;
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.REMOTE_SIGNER_STUB_PORT) || 9545;
+  const server = createRemoteSignerStub({
+    privateKey: process.env.REMOTE_SIGNER_STUB_KEY,
+    token: process.env.REMOTE_SIGNER_TOKEN
+  });
+
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`Remote signer stub listening on http://127.0.0.1:${port}`);
+    console.log('Signer address:', server.signerAddress);
+  });
+}
+
+module.exports = { createRemoteSignerStub };
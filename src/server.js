@@ -25,6 +25,9 @@ const stakingRoutes = require('./routes/staking');
 const helpRoutes = require('./routes/help');
 const activityRoutes = require('./routes/activity');
 const WebSocketService = require('./services/websocketService');
+const chainRegistry = require('./services/chainRegistry');
+const claimDeadlineService = require('./services/claimDeadlineService');
+const claimExpiryService = require('./services/claimExpiryService');
 
 const app = express();
 const server = http.createServer(app);
@@ -93,6 +96,18 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/GTC-backe
 })
 .then(() => {
   logger.info('Connected to MongoDB successfully');
+  
+  // Start the indexers, confirmation watchers and transaction queues of
+  // every enabled chain once the cursor store is reachable
+  chainRegistry.start();
+  
+  if (process.env.CLAIM_DEADLINE_NOTICES_ENABLED !== 'false') {
+    claimDeadlineService.start();
+  }
+  
+  if (process.env.CLAIM_EXPIRY_ENABLED !== 'false') {
+    claimExpiryService.start();
+  }
 })
 .catch((error) => {
   logger.error('MongoDB connection error:', error);
@@ -143,6 +158,9 @@ app.use(errorHandler);
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received. Closing HTTP server...');
+  chainRegistry.stop();
+  claimDeadlineService.stop();
+  claimExpiryService.stop();
   mongoose.connection.close(() => {
     logger.info('MongoDB connection closed.');
     process.exit(0);
@@ -151,6 +169,9 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT signal received. Closing HTTP server...');
+  chainRegistry.stop();
+  claimDeadlineService.stop();
+  claimExpiryService.stop();
   mongoose.connection.close(() => {
     logger.info('MongoDB connection closed.');
     process.exit(0);
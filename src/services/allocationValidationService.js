@@ -0,0 +1,186 @@
+/**
+ * Allocation Validation Service for GCT Token Platform
+ * Checks every row of an allocation file instead of stopping at the first bad
+ * one, and reports bad addresses, EIP-55 checksum mismatches, non-integer or
+ * zero amounts, unknown tokens, duplicates that would be summed and
+ * blocklisted addresses
+ */
+
+const { ethers } = require('ethers');
+const { readAllocations } = require('./merkleBuilderService');
+
+const ISSUE_TYPES = {
+  invalid_address: { severity: 'error', message: 'Invalid wallet address' },
+  checksum_mismatch: { severity: 'error', message: 'Address does not match its EIP-55 checksum' },
+  invalid_amount: { severity: 'error', message: 'Amount must be a non-negative integer in wei' },
+  zero_amount: { severity: 'error', message: 'Amount is zero' },
+  blocklisted: { severity: 'error', message: 'Address is blocklisted' },
+  invalid_token: { severity: 'error', message: 'Token is not part of the distribution' },
+  duplicate: { severity: 'warning', message: 'Duplicate address, amounts will be summed' }
+};
+
+const REPORT_COLUMNS = ['position', 'walletAddress', 'tokenAddress', 'amount', 'type', 'severity', 'message'];
+
+function csvValue(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class AllocationValidationService {
+  constructor() {
+    this.issueLimit = parseInt(process.env.ALLOCATION_REPORT_ISSUE_LIMIT) || 100;
+  }
+
+  /**
+   * Addresses that must never receive an allocation: ALLOCATION_BLOCKLIST
+   * (comma separated) plus any passed in
+   * @param {Array|string} extra - Additional addresses
+   */
+  getBlocklist(extra = []) {
+    const configured = (process.env.ALLOCATION_BLOCKLIST || '').split(',');
+    const additional = Array.isArray(extra) ? extra : String(extra).split(',');
+
+    return new Set(
+      [...configured, ...additional]
+        .map(address => address.trim().toLowerCase())
+        .filter(Boolean)
+    );
+  }
+
+  /**
+   * Check an allocation file row by row
+   * @param {string} filePath - CSV (walletAddress,amount[,tokenAddress]) or JSON allocation file
+   * @param {Object} options - See validate()
+   */
+  async validateFile(filePath, options = {}) {
+    return this.validate(readAllocations(filePath), options);
+  }
+
+  /**
+   * Check a stream of allocations row by row
+   * @param {AsyncIterable} allocations - {walletAddress, amount, tokenAddress, position} rows
+   * @param {Object} options
+   * @param {Array|string} options.blocklist - Addresses to reject on top of ALLOCATION_BLOCKLIST
+   * @param {Array} options.tokens - Token addresses of a multi-token distribution; every row must
+   *   name one of them. Without it, rows must not carry a token.
+   * @returns {Promise<Object>} { valid, summary, issues, truncated, toCsv() }
+   */
+  async validate(allocations, options = {}) {
+    const blocklist = this.getBlocklist(options.blocklist);
+    const tokens = new Set((options.tokens || []).map(token => String(token.address || token).toLowerCase()));
+    const seen = new Map();
+    const wallets = new Set();
+    const issues = [];
+    const counts = Object.fromEntries(Object.keys(ISSUE_TYPES).map(type => [type, 0]));
+
+    let rows = 0;
+    let validRows = 0;
+    let totalAmount = 0n;
+
+    const addIssue = (row, type, detail) => {
+      counts[type]++;
+      issues.push({
+        position: row.position,
+        walletAddress: row.walletAddress,
+        tokenAddress: row.tokenAddress,
+        amount: row.amount,
+        type,
+        severity: ISSUE_TYPES[type].severity,
+        message: detail ? `${ISSUE_TYPES[type].message}: ${detail}` : ISSUE_TYPES[type].message
+      });
+    };
+
+    for await (const row of allocations) {
+      rows++;
+      let valid = true;
+
+      const walletAddress = typeof row.walletAddress === 'string' ? row.walletAddress : '';
+      const amount = row.amount === undefined || row.amount === null ? '' : String(row.amount);
+      const address = walletAddress.toLowerCase();
+
+      if (!/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
+        addIssue(row, 'invalid_address');
+        valid = false;
+      } else if (address === ethers.ZeroAddress) {
+        addIssue(row, 'invalid_address', 'zero address');
+        valid = false;
+      } else {
+        // Mixed case means the address carries a checksum
+        const hex = walletAddress.slice(2);
+        if (hex !== hex.toLowerCase() && hex !== hex.toUpperCase() && ethers.getAddress(address) !== walletAddress) {
+          addIssue(row, 'checksum_mismatch', `expected ${ethers.getAddress(address)}`);
+          valid = false;
+        }
+
+        if (blocklist.has(address)) {
+          addIssue(row, 'blocklisted');
+          valid = false;
+        }
+      }
+
+      const tokenAddress = row.tokenAddress ? String(row.tokenAddress).toLowerCase() : null;
+
+      if (tokens.size > 0 ? !tokens.has(tokenAddress) : tokenAddress !== null) {
+        addIssue(row, 'invalid_token', tokens.size > 0
+          ? (tokenAddress ? null : 'missing tokenAddress')
+          : 'tokenAddress requires a list of tokens');
+        valid = false;
+      }
+
+      if (!/^\d+$/.test(amount)) {
+        addIssue(row, 'invalid_amount');
+        valid = false;
+      } else if (BigInt(amount) === 0n) {
+        addIssue(row, 'zero_amount');
+        valid = false;
+      }
+
+      if (!valid) {
+        continue;
+      }
+
+      // Multi-token allocations are summed per wallet and token
+      const key = tokenAddress ? `${address}:${tokenAddress}` : address;
+      const first = seen.get(key);
+      if (first) {
+        first.rows++;
+        first.amount += BigInt(amount);
+        addIssue(row, 'duplicate', `first seen at ${first.position}, summed to ${first.amount}`);
+      } else {
+        seen.set(key, { position: row.position, rows: 1, amount: BigInt(amount) });
+      }
+      wallets.add(address);
+
+      validRows++;
+      totalAmount += BigInt(amount);
+    }
+
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    const duplicateAddresses = Array.from(seen.values()).filter(entry => entry.rows > 1).length;
+
+    return {
+      valid: errors === 0 && validRows > 0,
+      summary: {
+        rows,
+        validRows,
+        invalidRows: rows - validRows,
+        uniqueAddresses: wallets.size,
+        duplicateAddresses,
+        totalAmount: totalAmount.toString(),
+        errors,
+        warnings: issues.length - errors,
+        issues: counts
+      },
+      issues: issues.slice(0, this.issueLimit),
+      truncated: issues.length > this.issueLimit,
+      toCsv: () => [
+        REPORT_COLUMNS.join(','),
+        ...issues.map(issue => REPORT_COLUMNS.map(column => csvValue(issue[column])).join(','))
+      ].join('\n') + '\n'
+    };
+  }
+}
+
+module.exports = new AllocationValidationService();
+module.exports.AllocationValidationService = AllocationValidationService;
+module.exports.ISSUE_TYPES = ISSUE_TYPES;
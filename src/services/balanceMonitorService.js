@@ -0,0 +1,438 @@
+/**
+ * Balance Monitor Service for GCT Token Platform
+ * Tracks the native and token balances of the admin signer and the claim
+ * contract, projects how many pending claims they can cover, and alerts admins
+ * over the websocket admin room and by email when a threshold is crossed.
+ * Multi-token distributions are checked per token, against the balance its
+ * distributor contract holds.
+ */
+
+const { ethers } = require('ethers');
+const MerkleTreeModel = require('../models/MerkleTree');
+const ClaimTransaction = require('../models/ClaimTransaction');
+const OutboundTransaction = require('../models/OutboundTransaction');
+const Admin = require('../models/Admin');
+const logger = require('../utils/logger');
+const { CONTRACT_ABI } = require('../utils/constants');
+const { getDefaultChainId, chainFilter } = require('../utils/chains');
+
+function sumAmounts(docs) {
+  return docs.reduce((total, doc) => total + BigInt(doc.amount), 0n);
+}
+
+function describeBalance(entry) {
+  return entry.symbol || `token ${entry.tokenAddress}`;
+}
+
+class BalanceMonitorService {
+  /**
+   * @param {Object} options
+   * @param {number} options.chainId - Chain to monitor
+   * @param {Object} options.blockchainService - Service providing the provider, signer and contract
+   */
+  constructor(options = {}) {
+    this.chainId = options.chainId || getDefaultChainId();
+    this.blockchainService = options.blockchainService || null;
+    this.interval = options.interval || parseInt(process.env.BALANCE_MONITOR_INTERVAL_MS) || 5 * 60 * 1000;
+    this.minNative = ethers.parseEther(options.minNative || process.env.BALANCE_MIN_NATIVE || '0.05');
+    this.minClaimsCovered = options.minClaimsCovered || parseInt(process.env.BALANCE_MIN_CLAIMS_COVERED) || 50;
+    // Gas assumed per claim until admin claims have been mined on this chain
+    this.defaultClaimGas = BigInt(options.defaultClaimGas || parseInt(process.env.BALANCE_CLAIM_GAS) || 120000);
+    this.emailAlerts = process.env.BALANCE_ALERT_EMAIL !== 'false';
+
+    this.timer = null;
+    this.checking = false;
+    this.alerts = new Map();
+    this.snapshot = null;
+  }
+
+  getBlockchainService() {
+    return this.blockchainService || require('./blockchainService');
+  }
+
+  start() {
+    if (this.timer) {
+      return true;
+    }
+
+    const blockchain = this.getBlockchainService();
+
+    // Wait for the signer before the first check
+    blockchain.ready.then(() => {
+      if (!blockchain.signer || !blockchain.contract) {
+        logger.warn('Balance monitor not started: signer or contract missing', {
+          chainId: this.chainId
+        });
+        return;
+      }
+
+      const run = () => this.check().catch(error => {
+        logger.error('Balance monitor error', { chainId: this.chainId, error: error.message });
+      });
+
+      run();
+      this.timer = setInterval(run, this.interval);
+
+      logger.blockchain('Balance monitor started', {
+        chainId: this.chainId,
+        interval: this.interval
+      });
+    });
+
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.blockchain('Balance monitor stopped', { chainId: this.chainId });
+    }
+  }
+
+  /**
+   * Read balances, project claim coverage and raise or clear alerts
+   * @returns {Promise<Object>} Balance snapshot
+   */
+  async check() {
+    if (this.checking) {
+      return this.snapshot;
+    }
+
+    this.checking = true;
+
+    try {
+      const snapshot = await this.takeSnapshot();
+      await this.evaluate(snapshot);
+
+      this.snapshot = snapshot;
+      return snapshot;
+
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  async takeSnapshot() {
+    const blockchain = this.getBlockchainService();
+
+    if (!blockchain.provider || !blockchain.signer || !blockchain.contract) {
+      throw new Error('Balance monitor requires a provider, signer and contract');
+    }
+
+    const signerAddress = await blockchain.signer.getAddress();
+    const contractAddress = (await blockchain.contract.getAddress()).toLowerCase();
+
+    const [signerNative, contractNative, contractTokens, gasPerClaim, fees] = await Promise.all([
+      blockchain.provider.getBalance(signerAddress),
+      blockchain.provider.getBalance(contractAddress),
+      blockchain.contract.balanceOf(contractAddress),
+      this.getGasPerClaim(),
+      blockchain.txQueue.gasStrategy.getFees(blockchain.provider)
+    ]);
+
+    const gasPrice = blockchain.txQueue.gasStrategy.priceOf(fees);
+    const costPerClaim = gasPerClaim * gasPrice;
+
+    // Claims still waiting for a transaction, oldest first as the queue sends them
+    const pending = await ClaimTransaction.find({
+      status: { $in: ['pending', 'processing'] },
+      ...chainFilter(this.chainId)
+    }).sort({ createdAt: 1 }).select('amount tokenAddress distributorAddress');
+
+    const allocation = await this.getOutstandingAllocation();
+    const balances = await this.getDistributorBalances(contractAddress, contractTokens, pending, allocation);
+
+    return {
+      chainId: this.chainId,
+      checkedAt: new Date(),
+      signer: {
+        address: signerAddress.toLowerCase(),
+        native: signerNative.toString()
+      },
+      contract: {
+        address: contractAddress,
+        native: contractNative.toString(),
+        tokens: contractTokens.toString()
+      },
+      gas: {
+        gasPerClaim: gasPerClaim.toString(),
+        gasPrice: gasPrice.toString(),
+        costPerClaim: costPerClaim.toString(),
+        claimsCovered: costPerClaim > 0n ? Number(signerNative / costPerClaim) : null
+      },
+      pendingClaims: {
+        count: pending.length,
+        amount: sumAmounts(pending).toString(),
+        coveredByTokens: balances.reduce((total, entry) => total + entry.pendingClaims.coveredByTokens, 0)
+      },
+      balances,
+      allocation
+    };
+  }
+
+  /**
+   * Balance each distributor holds of the token it pays out, with the pending
+   * claims and outstanding allocation it has to cover. Claims without a token
+   * or distributor are paid by the chain's CONTRACT_ADDRESS, the GCT token itself.
+   * @param {string} contractAddress - Lowercase CONTRACT_ADDRESS
+   * @param {bigint} contractTokens - GCT balance of CONTRACT_ADDRESS
+   * @param {Array} pending - Pending claims, oldest first
+   * @param {Object} allocation - See getOutstandingAllocation
+   * @returns {Promise<Array>} One entry per token and distributor
+   */
+  async getDistributorBalances(contractAddress, contractTokens, pending, allocation) {
+    const blockchain = this.getBlockchainService();
+    const entries = new Map();
+
+    const entryFor = (tokenAddress, distributorAddress) => {
+      const token = tokenAddress || contractAddress;
+      const distributor = distributorAddress || contractAddress;
+      const key = `${token}:${distributor}`;
+
+      if (!entries.has(key)) {
+        entries.set(key, { tokenAddress: token, distributorAddress: distributor, symbol: null, claims: [], outstanding: null });
+      }
+      return entries.get(key);
+    };
+
+    // The chain's own contract is always reported, as before multi-token distributions
+    entryFor(null, null).symbol = 'GCT';
+
+    for (const claim of pending) {
+      entryFor(claim.tokenAddress, claim.distributorAddress).claims.push(claim);
+    }
+
+    for (const token of (allocation && allocation.tokens) || []) {
+      const entry = entryFor(token.tokenAddress, token.distributorAddress);
+      entry.symbol = entry.symbol || token.symbol || null;
+      entry.outstanding = token.outstanding;
+    }
+    if (allocation && !allocation.tokens) {
+      entryFor(null, null).outstanding = allocation.outstanding;
+    }
+
+    const results = [];
+
+    for (const entry of entries.values()) {
+      const balance = entry.tokenAddress === contractAddress && entry.distributorAddress === contractAddress
+        ? contractTokens
+        : await new ethers.Contract(entry.tokenAddress, CONTRACT_ABI, blockchain.provider).balanceOf(entry.distributorAddress);
+
+      let tokensLeft = balance;
+      let coveredByTokens = 0;
+      for (const claim of entry.claims) {
+        if (BigInt(claim.amount) > tokensLeft) {
+          break;
+        }
+        tokensLeft -= BigInt(claim.amount);
+        coveredByTokens++;
+      }
+
+      results.push({
+        tokenAddress: entry.tokenAddress,
+        distributorAddress: entry.distributorAddress,
+        symbol: entry.symbol,
+        tokens: balance.toString(),
+        pendingClaims: {
+          count: entry.claims.length,
+          amount: sumAmounts(entry.claims).toString(),
+          coveredByTokens
+        },
+        outstanding: entry.outstanding
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Average gas of mined single admin claims, or the configured default
+   */
+  async getGasPerClaim() {
+    const recent = await OutboundTransaction.find({
+      kind: 'admin_claim',
+      status: 'mined',
+      ...chainFilter(this.chainId)
+    }).sort({ minedAt: -1 }).limit(20).select('receipt.gasUsed');
+
+    if (recent.length === 0) {
+      return this.defaultClaimGas;
+    }
+
+    const total = recent.reduce((sum, outbound) => sum + BigInt(outbound.receipt.gasUsed), 0n);
+    return total / BigInt(recent.length);
+  }
+
+  /**
+   * Part of the active tree's allocation that has not been claimed yet, per
+   * token for multi-token trees
+   */
+  async getOutstandingAllocation() {
+    const tree = await MerkleTreeModel.getActiveTree(this.chainId);
+
+    if (!tree) {
+      return null;
+    }
+
+    // Trees with leaves in their own collection are too large for a wallet filter
+    const walletFilter = tree.leafStorage === 'collection'
+      ? {}
+      : { walletAddress: { $in: tree.leaves.map(leaf => leaf.walletAddress) } };
+
+    const claimed = await ClaimTransaction.find({
+      status: { $in: ['confirming', 'completed'] },
+      ...walletFilter,
+      createdAt: { $gte: tree.createdAt },
+      ...chainFilter(this.chainId)
+    }).select('amount tokenAddress');
+
+    const outstanding = (total, claimedAmount) => (total > claimedAmount ? total - claimedAmount : 0n);
+    const claimedAmount = sumAmounts(claimed);
+    const total = BigInt(tree.totalAmount);
+
+    const allocation = {
+      merkleTreeId: tree._id,
+      total: total.toString(),
+      claimed: claimedAmount.toString(),
+      outstanding: outstanding(total, claimedAmount).toString()
+    };
+
+    if (tree.isMultiToken()) {
+      allocation.tokens = tree.tokens.map(token => {
+        const tokenClaimed = sumAmounts(claimed.filter(claim => claim.tokenAddress === token.address));
+        const tokenTotal = BigInt(token.totalAmount);
+
+        return {
+          tokenAddress: token.address,
+          distributorAddress: token.distributor,
+          symbol: token.symbol || null,
+          total: tokenTotal.toString(),
+          claimed: tokenClaimed.toString(),
+          outstanding: outstanding(tokenTotal, tokenClaimed).toString()
+        };
+      });
+    }
+
+    return allocation;
+  }
+
+  async evaluate(snapshot) {
+    const signerNative = BigInt(snapshot.signer.native);
+    const claimsCovered = snapshot.gas.claimsCovered;
+    const minClaims = Math.max(this.minClaimsCovered, snapshot.pendingClaims.count);
+
+    const uncovered = snapshot.balances.filter(entry => entry.pendingClaims.coveredByTokens < entry.pendingClaims.count);
+    const shortfalls = snapshot.balances.filter(entry => entry.outstanding !== null && BigInt(entry.tokens) < BigInt(entry.outstanding));
+
+    const conditions = {
+      signer_native_low: {
+        active: signerNative < this.minNative || (claimsCovered !== null && claimsCovered < minClaims),
+        severity: signerNative < this.minNative ? 'critical' : 'warning',
+        title: 'Admin wallet is low on gas',
+        message: `Admin wallet ${snapshot.signer.address} holds ${ethers.formatEther(signerNative)}, ` +
+          `enough gas for about ${claimsCovered} claims (${snapshot.pendingClaims.count} pending)`
+      },
+      pending_claims_uncovered: {
+        active: uncovered.length > 0,
+        severity: 'critical',
+        title: 'Contract cannot cover pending claims',
+        message: uncovered.map(entry =>
+          `${entry.distributorAddress} holds ${ethers.formatEther(entry.tokens)} ${describeBalance(entry)}, enough for ` +
+          `${entry.pendingClaims.coveredByTokens} of ${entry.pendingClaims.count} pending claims`
+        ).join('; ')
+      },
+      allocation_shortfall: {
+        active: shortfalls.length > 0,
+        severity: 'warning',
+        title: 'Contract holds less than the outstanding allocation',
+        message: shortfalls.map(entry =>
+          `${entry.distributorAddress} holds ${ethers.formatEther(entry.tokens)} ${describeBalance(entry)} but ` +
+          `${ethers.formatEther(entry.outstanding)} of the active Merkle tree is unclaimed`
+        ).join('; ')
+      }
+    };
+
+    for (const [type, condition] of Object.entries(conditions)) {
+      const raised = this.alerts.has(type);
+
+      if (condition.active && !raised) {
+        const alert = {
+          type,
+          chainId: this.chainId,
+          severity: condition.severity,
+          title: condition.title,
+          message: condition.message,
+          raisedAt: new Date()
+        };
+
+        this.alerts.set(type, alert);
+        await this.raise(alert);
+      } else if (!condition.active && raised) {
+        const alert = this.alerts.get(type);
+        this.alerts.delete(type);
+        this.resolve(alert);
+      }
+    }
+  }
+
+  async raise(alert) {
+    logger.security('Balance alert raised', alert);
+
+    this.notifyAdmins({ ...alert, status: 'raised' });
+
+    if (!this.emailAlerts) {
+      return;
+    }
+
+    const emailService = require('./emailService');
+    const admins = await Admin.find({ isActive: true });
+
+    for (const admin of admins.filter(a => a.hasPermission('transactions.read'))) {
+      try {
+        await emailService.sendAdminNotification(admin, {
+          subject: `[${alert.severity.toUpperCase()}] ${alert.title}`,
+          message: alert.message
+        });
+      } catch (error) {
+        logger.error('Balance alert email failed', {
+          adminId: admin._id,
+          type: alert.type,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  resolve(alert) {
+    logger.security('Balance alert resolved', { type: alert.type, chainId: this.chainId });
+
+    this.notifyAdmins({ ...alert, status: 'resolved', resolvedAt: new Date() });
+  }
+
+  notifyAdmins(alert) {
+    const WebSocketService = require('./websocketService');
+    const websocket = WebSocketService.getInstance();
+
+    if (websocket) {
+      websocket.sendAdminAlert(alert);
+    }
+  }
+
+  getStatus() {
+    return {
+      chainId: this.chainId,
+      started: !!this.timer,
+      interval: this.interval,
+      thresholds: {
+        minNative: ethers.formatEther(this.minNative),
+        minClaimsCovered: this.minClaimsCovered
+      },
+      snapshot: this.snapshot,
+      alerts: Array.from(this.alerts.values())
+    };
+  }
+}
+
+module.exports = new BalanceMonitorService();
+module.exports.BalanceMonitorService = BalanceMonitorService;
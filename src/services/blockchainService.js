@@ -2,73 +2,172 @@ const { ethers } = require('ethers');
 const MerkleTreeModel = require('../models/MerkleTree');
 const ClaimTransaction = require('../models/ClaimTransaction');
 const User = require('../models/User');
+const Clawback = require('../models/Clawback');
+const txQueue = require('./transactionQueueService');
+const signerService = require('./signerService');
+const { FailoverProvider } = require('./failoverProvider');
 const logger = require('../utils/logger');
+const {
+  CONTRACT_ABI,
+  OPTIONAL_CONTRACT_FUNCTIONS,
+  ERC1967_IMPLEMENTATION_SLOT,
+  MULTICALL3_ADDRESS,
+  MULTICALL3_ABI
+} = require('../utils/constants');
+const { DEFAULT_LEAF_ENCODING, verifyLeaf } = require('../utils/merkleLeaf');
+const { getDefaultChainId, findChain, chainFilter, isSameChain } = require('../utils/chains');
 
 class BlockchainService {
-  constructor() {
+  /**
+   * @param {Object} chain - Chain configuration from utils/chains (defaults to the default chain)
+   * @param {Object} options
+   * @param {Object} options.txQueue - Transaction queue for this chain
+   */
+  constructor(chain = findChain(getDefaultChainId()), options = {}) {
+    this.chain = chain;
+    this.chainId = chain.chainId;
     this.provider = null;
     this.contract = null;
-    this.wallet = null;
+    // Distributor contracts of multi-token distributions, by lowercase address
+    this.distributors = new Map();
+    // Encodes calldata even when no signer is configured (Safe exports)
+    this.contractInterface = new ethers.Interface(CONTRACT_ABI);
+    this.signer = null;
+    this.txQueue = options.txQueue || txQueue;
+    this.batchSize = parseInt(process.env.BATCH_CLAIM_SIZE) || 50;
+    // 'contract' uses batchAdminClaim on the claim contract, 'multicall' wraps adminClaim calls in Multicall3
+    this.batchMode = process.env.BATCH_CLAIM_MODE || 'contract';
+    this.multicallAddress = process.env.MULTICALL_ADDRESS || MULTICALL3_ADDRESS;
+    // Result of checkMulticallAccess, by lowercase contract address
+    this.multicallAccess = new Map();
+    // Optional functions (delegatedClaim, sweep) to assume without probing the contract code
+    this.declaredFunctions = (process.env.CLAIM_CONTRACT_FUNCTIONS || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+    // Result of checkContractFunction, by lowercase contract address and function name
+    this.contractFunctions = new Map();
     this.initialized = false;
+    this.ready = Promise.resolve();
     
+    this.registerQueueHandlers();
     this.initializeProvider();
   }
   
+  registerQueueHandlers() {
+    this.txQueue.registerHandler('admin_claim', {
+      onSubmitted: (outbound, tx) => this.onClaimTransactionSubmitted(outbound, tx),
+      onMined: (outbound, receipt) => this.onAdminClaimMined(outbound, receipt),
+      onFailed: (outbound, error) => this.onAdminClaimFailed(outbound, error)
+    });
+    
+    this.txQueue.registerHandler('admin_claim_batch', {
+      onSubmitted: (outbound, tx) => this.onClaimTransactionSubmitted(outbound, tx),
+      onMined: (outbound, receipt) => this.onAdminClaimBatchMined(outbound, receipt),
+      onFailed: (outbound, error) => this.onAdminClaimFailed(outbound, error)
+    });
+    
+    this.txQueue.registerHandler('merkle_root_update', {
+      onMined: (outbound, receipt) => this.onMerkleRootUpdateMined(outbound, receipt)
+    });
+    
+    this.txQueue.registerHandler('clawback_sweep', {
+      onMined: (outbound, receipt) => this.onClawbackSweepSettled(outbound, {
+        status: 'swept',
+        transactionHash: receipt.hash
+      }),
+      onFailed: (outbound, error) => this.onClawbackSweepSettled(outbound, {
+        status: 'failed',
+        error: error.message
+      })
+    });
+  }
+  
   initializeProvider() {
     try {
-      // Initialize provider based on environment
-      const rpcUrl = process.env.NETWORK === 'mainnet' 
-        ? process.env.BSC_RPC_URL 
-        : process.env.BSC_TESTNET_RPC_URL;
+      // Initialize provider for this chain
+      const { rpcUrls } = this.chain;
       
-      if (!rpcUrl) {
-        logger.warn('No RPC URL configured, blockchain features will be limited');
+      if (!rpcUrls.length) {
+        logger.warn('No RPC URL configured, blockchain features will be limited', {
+          chainId: this.chainId
+        });
         return;
       }
       
-      this.provider = new ethers.JsonRpcProvider(rpcUrl);
+      // Requests fail over between the configured endpoints; probes disable
+      // endpoints that serve another chain, error or fall behind
+      this.provider = new FailoverProvider(rpcUrls, this.chainId);
+      
+      // Signers may need async work (keystore decryption, remote lookup)
+      this.ready = this.initializeSigner();
       
-      // Initialize wallet if private key is provided
-      if (process.env.PRIVATE_KEY) {
-        this.wallet = new ethers.Wallet(process.env.PRIVATE_KEY, this.provider);
-        logger.info('Blockchain wallet initialized');
+      this.initialized = true;
+      
+    } catch (error) {
+      logger.error('Failed to initialize blockchain service', error);
+    }
+  }
+  
+  async initializeSigner() {
+    try {
+      this.signer = await signerService.createSigner(this.provider);
+      
+      if (!this.signer) {
+        logger.warn('No transaction signer configured, admin transactions are disabled');
+        return;
       }
       
+      this.txQueue.configure(this.signer, this.provider);
+      
       // Initialize contract if address is provided
-      if (process.env.CONTRACT_ADDRESS && this.wallet) {
-        // Basic ERC20-like ABI for token contract with claim functionality
-        const contractABI = [
-          "function claim(uint256 amount, bytes32[] calldata merkleProof) external",
-          "function adminClaim(address to, uint256 amount, bytes32[] calldata merkleProof) external",
-          "function updateMerkleRoot(bytes32 newRoot) external",
-          "function balanceOf(address account) external view returns (uint256)",
-          "function totalSupply() external view returns (uint256)",
-          "function name() external view returns (string)",
-          "function symbol() external view returns (string)",
-          "function decimals() external view returns (uint8)",
-          "function merkleRoot() external view returns (bytes32)",
-          "function claimed(address account) external view returns (uint256)",
-          "event Claim(address indexed account, uint256 amount)",
-          "event AdminClaim(address indexed admin, address indexed account, uint256 amount)",
-          "event MerkleRootUpdated(bytes32 oldRoot, bytes32 newRoot)"
-        ];
-        
+      if (this.chain.contractAddress) {
         this.contract = new ethers.Contract(
-          process.env.CONTRACT_ADDRESS,
-          contractABI,
-          this.wallet
+          this.chain.contractAddress,
+          CONTRACT_ABI,
+          this.signer
         );
         
         logger.info('Smart contract initialized', {
-          address: process.env.CONTRACT_ADDRESS,
-          network: process.env.NETWORK
+          address: this.chain.contractAddress,
+          network: this.chain.key,
+          chainId: this.chainId
         });
+        
+        if (this.batchMode === 'multicall') {
+          const access = await this.checkMulticallAccess(this.contract);
+          
+          if (!access.allowed) {
+            logger.error('Multicall batch mode refused', {
+              chainId: this.chainId,
+              multicallAddress: this.multicallAddress,
+              reason: access.reason
+            });
+          }
+        }
+        
+        for (const name of OPTIONAL_CONTRACT_FUNCTIONS) {
+          if (name === 'batchAdminClaim' && this.batchMode !== 'contract') {
+            continue;
+          }
+          
+          const check = await this.checkContractFunction(this.chain.contractAddress, name);
+          
+          if (!check.supported) {
+            logger.warn(name === 'batchAdminClaim'
+              ? 'Claim contract lacks batchAdminClaim, claim batches are sent one claim at a time'
+              : `Claim contract lacks ${name}, requests that need it are refused`, {
+              chainId: this.chainId,
+              reason: check.reason
+            });
+          }
+        }
       }
       
-      this.initialized = true;
-      
     } catch (error) {
-      logger.error('Failed to initialize blockchain service', error);
+      logger.error('Failed to initialize transaction signer', {
+        error: error.message
+      });
     }
   }
   
@@ -85,10 +184,8 @@ class BlockchainService {
         chainId: network.chainId.toString(),
         name: network.name,
         blockNumber,
-        rpcUrl: process.env.NETWORK === 'mainnet' 
-          ? process.env.BSC_RPC_URL 
-          : process.env.BSC_TESTNET_RPC_URL,
-        contractAddress: process.env.CONTRACT_ADDRESS || null
+        rpcUrl: this.chain.rpcUrl,
+        contractAddress: this.chain.contractAddress
       };
       
     } catch (error) {
@@ -100,7 +197,7 @@ class BlockchainService {
   async getTokenPrice() {
     try {
       const priceService = require('./priceService');
-      const contractAddress = process.env.CONTRACT_ADDRESS;
+      const contractAddress = this.chain.contractAddress;
       
       if (!contractAddress) {
         logger.warn('No contract address configured, using fallback price');
@@ -156,13 +253,14 @@ class BlockchainService {
       ]);
       
       return {
-        address: process.env.CONTRACT_ADDRESS,
+        address: this.chain.contractAddress,
         name,
         symbol,
         decimals: Number(decimals),
         totalSupply: totalSupply.toString(),
         merkleRoot,
-        network: process.env.NETWORK
+        network: this.chain.key,
+        chainId: this.chainId
       };
       
     } catch (error) {
@@ -200,6 +298,67 @@ class BlockchainService {
     }
   }
   
+  /**
+   * Claim contract that pays out a claim: the token's distributor for
+   * multi-token distributions, the chain's CONTRACT_ADDRESS otherwise
+   * @param {Object} claim - ClaimTransaction, or any { distributorAddress }
+   */
+  getClaimContract(claim = {}) {
+    const address = claim.distributorAddress ? claim.distributorAddress.toLowerCase() : null;
+    
+    if (!address || address === (this.chain.contractAddress || '').toLowerCase()) {
+      return this.contract;
+    }
+    
+    if (!this.signer) {
+      throw new Error('Transaction signer not initialized');
+    }
+    
+    if (!this.distributors.has(address)) {
+      this.distributors.set(address, new ethers.Contract(address, CONTRACT_ABI, this.signer));
+    }
+    
+    return this.distributors.get(address);
+  }
+  
+  /**
+   * Contracts that verify a tree's proofs: every distributor of a multi-token
+   * tree, with the chain's CONTRACT_ADDRESS last so the claim indexer sees its
+   * MerkleRootUpdated event only once the others are updated
+   * @param {Object} merkleTree - Merkle tree document
+   * @returns {string[]} Lowercase contract addresses
+   */
+  getTreeDistributors(merkleTree) {
+    const main = (this.chain.contractAddress || '').toLowerCase();
+    
+    if (!merkleTree.isMultiToken()) {
+      return [main];
+    }
+    
+    return Array.from(new Set(merkleTree.tokens.map(token => token.distributor)))
+      .sort((a, b) => (a === main) - (b === main));
+  }
+  
+  /**
+   * Total the contract has paid out to a wallet across all Merkle rounds
+   * @param {string} address - Wallet address
+   * @param {string} distributorAddress - Distributor of a multi-token distribution (default: CONTRACT_ADDRESS)
+   * @returns {Promise<string>} Claimed amount in wei
+   */
+  async getClaimedAmount(address, distributorAddress = null) {
+    const contractAddress = distributorAddress || this.chain.contractAddress;
+    
+    if (!this.provider || !contractAddress) {
+      throw new Error('Smart contract not initialized');
+    }
+    
+    // Read through the provider so it works without an unlocked signer
+    const contract = new ethers.Contract(contractAddress, CONTRACT_ABI, this.provider);
+    const claimed = await contract.claimed(address);
+    
+    return claimed.toString();
+  }
+  
   async getTransactionStatus(hash) {
     if (!this.provider) {
       throw new Error('Blockchain provider not initialized');
@@ -238,44 +397,57 @@ class BlockchainService {
     }
   }
   
-  async processPendingClaims() {
+  async processPendingClaims(options = {}) {
     if (!this.contract) {
       throw new Error('Smart contract not initialized');
     }
     
+    const batch = options.batch !== undefined
+      ? options.batch
+      : process.env.BATCH_CLAIM_ENABLED === 'true';
+    
     try {
-      const pendingClaims = await ClaimTransaction.getPendingClaims();
+      const pendingClaims = await ClaimTransaction.getPendingClaims(this.chainId);
       const results = [];
+      // Batches go to one contract, so admin claims are grouped per distributor
+      const adminClaimIds = new Map();
       
       for (const claim of pendingClaims) {
         try {
-          // Update status to processing
-          await claim.updateStatus('processing');
-          
-          // Process based on claim type
-          let txHash;
+          // Self-claims are settled by the claim indexer once the user's
+          // transaction is mined; admin claims are sent from our wallet
           if (claim.type === 'self_claim') {
-            txHash = await this.processSelfClaim(claim);
-          } else if (claim.type === 'admin_claim') {
-            txHash = await this.processAdminClaim(claim._id);
+            await this.processSelfClaim(claim);
+            
+            results.push({
+              claimId: claim._id,
+              status: 'awaiting_event'
+            });
+            continue;
+          }
+          
+          // batchAdminClaim cannot pay a delegation recipient
+          if (batch && !(claim.recipientAddress && this.batchMode === 'contract')) {
+            const distributor = claim.distributorAddress || '';
+            adminClaimIds.set(distributor, [...(adminClaimIds.get(distributor) || []), claim._id]);
+            continue;
           }
           
+          const result = await this.processAdminClaim(claim._id, options.adminId);
+          
           results.push({
             claimId: claim._id,
-            status: 'processed',
-            transactionHash: txHash
+            status: result.status,
+            outboundTransactionId: result.outboundTransactionId
           });
           
         } catch (error) {
+          // processAdminClaim already marks claims it took over as failed
           logger.error('Failed to process claim', {
             claimId: claim._id,
             error: error.message
           });
           
-          await claim.updateStatus('failed', {
-            failureReason: error.message
-          });
-          
           results.push({
             claimId: claim._id,
             status: 'failed',
@@ -284,6 +456,49 @@ class BlockchainService {
         }
       }
       
+      const chunks = [];
+      for (const claimIds of adminClaimIds.values()) {
+        for (let i = 0; i < claimIds.length; i += this.batchSize) {
+          chunks.push(claimIds.slice(i, i + this.batchSize));
+        }
+      }
+      
+      for (const chunk of chunks) {
+        try {
+          const result = await this.processAdminClaimBatch(chunk, options.adminId);
+          
+          // Batches that could not be sent come back queued one claim at a time
+          const queued = result.queued || result.claimIds.map(claimId => ({
+            claimId,
+            outboundTransactionId: result.outboundTransactionId
+          }));
+          
+          queued.forEach(({ claimId, outboundTransactionId }) => results.push({
+            claimId,
+            status: 'queued',
+            outboundTransactionId
+          }));
+          
+          result.rejected.forEach(({ claimId, error }) => results.push({
+            claimId,
+            status: 'failed',
+            error
+          }));
+          
+        } catch (error) {
+          logger.error('Failed to process claim batch', {
+            claimIds: chunk,
+            error: error.message
+          });
+          
+          chunk.forEach(claimId => results.push({
+            claimId,
+            status: 'failed',
+            error: error.message
+          }));
+        }
+      }
+      
       return {
         processedCount: pendingClaims.length,
         results
@@ -296,107 +511,235 @@ class BlockchainService {
   }
   
   async processSelfClaim(claim) {
-    // In a real implementation, self-claims would typically be processed
-    // by the user's wallet directly calling the contract
-    // This method is mainly for monitoring and updating our database
-    
-    logger.blockchain('Processing self-claim', {
+    // Self-claims are sent by the user's wallet directly to the contract.
+    // We only mark them as processing here; the claim indexer completes
+    // them once the matching Claim event is seen on chain.
+    logger.blockchain('Self-claim awaiting on-chain Claim event', {
       claimId: claim._id,
       walletAddress: claim.walletAddress,
       amount: claim.amount
     });
     
-    // Return a mock transaction hash for demonstration
-    // In reality, we would monitor the blockchain for actual transactions
-    const mockTxHash = '0x' + require('crypto').randomBytes(32).toString('hex');
-    
-    await claim.updateStatus('completed', {
-      transactionHash: mockTxHash
-    });
-    
-    // Update user's claimed amount
-    const user = await User.findById(claim.user);
-    if (user) {
-      await user.updateClaim(claim.amount);
-    }
+    await claim.updateStatus('processing');
     
-    return mockTxHash;
+    return null;
   }
   
-  async processAdminClaim(claimId) {
+  async processAdminClaim(claimId, adminId = null) {
     if (!this.contract) {
       throw new Error('Smart contract not initialized');
     }
     
+    let claim = null;
+    
     try {
-      const claim = await ClaimTransaction.findById(claimId);
+      // Take the claim over atomically so concurrent callers cannot queue it twice
+      claim = await ClaimTransaction.findOneAndUpdate(
+        { _id: claimId, status: 'pending', ...chainFilter(this.chainId) },
+        { status: 'processing' },
+        { new: true }
+      );
       
       if (!claim) {
-        throw new Error('Claim not found');
+        const existing = await ClaimTransaction.findById(claimId).select('chainId');
+        
+        if (!existing) {
+          throw new Error('Claim not found');
+        }
+        
+        throw new Error(isSameChain(existing.chainId, this.chainId)
+          ? 'Claim is not in pending status'
+          : `Claim belongs to chain ${existing.chainId}`);
       }
       
-      if (claim.status !== 'pending') {
-        throw new Error('Claim is not in pending status');
+      // Do not pay gas for a call that would revert
+      const simulation = await this.simulateAdminClaim(claim);
+      if (!simulation.success) {
+        await this.recordSimulationFailure(claim, simulation);
+        throw new Error(claim.failureReason);
       }
       
-      // Update status to processing
-      await claim.updateStatus('processing');
+      return await this.queueAdminClaim(claim, simulation, adminId);
       
-      // Prepare transaction
-      const tx = await this.contract.adminClaim(
-        claim.walletAddress,
-        claim.amount,
-        claim.merkleProof
-      );
+    } catch (error) {
+      if (claim && claim.status !== 'failed') {
+        await claim.updateStatus('failed', {
+          failureReason: error.message
+        });
+      }
       
-      logger.blockchain('Admin claim transaction sent', {
-        claimId: claim._id,
-        transactionHash: tx.hash,
-        walletAddress: claim.walletAddress,
-        amount: claim.amount
+      logger.error('Process admin claim error', {
+        claimId,
+        error: error.message
       });
       
-      // Wait for confirmation
-      const receipt = await tx.wait();
-      
-      if (receipt.status === 1) {
-        await claim.updateStatus('completed', {
-          transactionHash: tx.hash,
-          blockNumber: receipt.blockNumber,
-          blockHash: receipt.blockHash,
-          gasUsed: receipt.gasUsed.toString()
-        });
+      throw error;
+    }
+  }
+  
+  async queueAdminClaim(claim, simulation, adminId = null) {
+    // The transaction queue assigns the nonce and broadcasts; the result
+    // is reported back through the admin_claim queue handlers
+    const contract = this.getClaimContract(claim);
+    const outbound = await this.txQueue.enqueue({
+      kind: 'admin_claim',
+      to: await contract.getAddress(),
+      data: this.encodeAdminClaim(contract, claim),
+      claims: [claim._id],
+      adminId,
+      metadata: {
+        gasEstimate: simulation.gasEstimate
+      }
+    });
+    
+    logger.blockchain('Admin claim queued', {
+      claimId: claim._id,
+      outboundTransactionId: outbound._id,
+      walletAddress: claim.walletAddress,
+      amount: claim.amount,
+      tokenAddress: claim.tokenAddress
+    });
+    
+    return {
+      claimId: claim._id,
+      outboundTransactionId: outbound._id,
+      status: 'queued'
+    };
+  }
+  
+  async processAdminClaimBatch(claimIds, adminId = null) {
+    if (!this.contract) {
+      throw new Error('Smart contract not initialized');
+    }
+    
+    if (claimIds.length > this.batchSize) {
+      throw new Error(`Batch exceeds maximum size of ${this.batchSize} claims`);
+    }
+    
+    // Refuse before any claim is taken over
+    if (this.batchMode === 'multicall') {
+      const access = await this.checkMulticallAccess(this.contract);
+      if (!access.allowed) {
+        throw new Error(access.reason);
+      }
+    }
+    
+    const claims = [];
+    
+    try {
+      // Take each claim over atomically; claims picked up elsewhere are skipped
+      for (const claimId of claimIds) {
+        const claim = await ClaimTransaction.findOneAndUpdate(
+          { _id: claimId, status: 'pending', type: 'admin_claim', ...chainFilter(this.chainId) },
+          { status: 'processing' },
+          { new: true }
+        );
         
-        // Update user's claimed amount
-        const user = await User.findById(claim.user);
-        if (user) {
-          await user.updateClaim(claim.amount);
+        if (claim) {
+          claims.push(claim);
         }
+      }
+      
+      if (claims.length === 0) {
+        throw new Error('No pending admin claims to batch');
+      }
+      
+      // Drop claims that would revert on their own so they cannot sink the batch
+      const accepted = [];
+      const rejected = [];
+      const simulations = new Map();
+      
+      for (const claim of claims) {
+        const simulation = await this.simulateAdminClaim(claim);
         
+        if (simulation.success) {
+          accepted.push(claim);
+          simulations.set(claim, simulation);
+        } else {
+          await this.recordSimulationFailure(claim, simulation);
+          rejected.push({ claimId: claim._id, error: claim.failureReason });
+        }
+      }
+      
+      if (accepted.length === 0) {
         return {
-          transactionHash: tx.hash,
-          blockNumber: receipt.blockNumber,
-          gasUsed: receipt.gasUsed.toString(),
-          status: 'completed'
+          claimIds: [],
+          rejected,
+          outboundTransactionId: null,
+          status: 'rejected'
         };
-      } else {
-        await claim.updateStatus('failed', {
-          failureReason: 'Transaction failed on blockchain'
+      }
+      
+      const support = await this.checkBatchSupport(accepted[0]);
+      const batchTx = support.supported ? await this.encodeAdminClaimBatch(accepted) : null;
+      const simulation = batchTx ? await this.simulateTransaction(batchTx) : null;
+      
+      // Each accepted claim passed on its own, so a batch that cannot be
+      // sent falls back to one transaction per claim instead of failing them
+      if (!simulation || !simulation.success) {
+        logger.warn('Admin claim batch cannot be sent, queuing its claims one by one', {
+          claimIds: accepted.map(claim => claim._id),
+          reason: simulation ? simulation.revert.reason : support.reason
         });
         
-        throw new Error('Transaction failed on blockchain');
+        const queued = [];
+        for (const claim of accepted) {
+          try {
+            queued.push(await this.queueAdminClaim(claim, simulations.get(claim), adminId));
+          } catch (error) {
+            await claim.updateStatus('failed', {
+              failureReason: error.message
+            });
+            rejected.push({ claimId: claim._id, error: error.message });
+          }
+        }
+        
+        return {
+          claimIds: queued.map(result => result.claimId),
+          rejected,
+          outboundTransactionId: null,
+          queued,
+          status: queued.length > 0 ? 'queued' : 'rejected'
+        };
       }
       
+      const outbound = await this.txQueue.enqueue({
+        kind: 'admin_claim_batch',
+        ...batchTx,
+        claims: accepted.map(claim => claim._id),
+        adminId,
+        metadata: {
+          mode: this.batchMode,
+          size: accepted.length,
+          gasEstimate: simulation.gasEstimate
+        }
+      });
+      
+      logger.blockchain('Admin claim batch queued', {
+        outboundTransactionId: outbound._id,
+        mode: this.batchMode,
+        size: accepted.length,
+        rejected: rejected.length
+      });
+      
+      return {
+        claimIds: accepted.map(claim => claim._id),
+        rejected,
+        outboundTransactionId: outbound._id,
+        status: 'queued'
+      };
+      
     } catch (error) {
-      const claim = await ClaimTransaction.findById(claimId);
-      if (claim && claim.status === 'processing') {
-        await claim.updateStatus('failed', {
-          failureReason: error.message
-        });
+      for (const claim of claims) {
+        if (claim.status !== 'failed') {
+          await claim.updateStatus('failed', {
+            failureReason: error.message
+          });
+        }
       }
       
-      logger.error('Process admin claim error', {
-        claimId,
+      logger.error('Process admin claim batch error', {
+        claimIds,
         error: error.message
       });
       
@@ -404,7 +747,578 @@ class BlockchainService {
     }
   }
   
-  async updateMerkleRoot(merkleTreeId) {
+  /**
+   * Run a call against the latest block without broadcasting it
+   * @param {Object} tx - { to, data }
+   * @returns {Object} { success, gasEstimate, revert }
+   */
+  async simulateTransaction(tx) {
+    if (!this.signer && !tx.from) {
+      throw new Error('Transaction signer not initialized');
+    }
+    
+    const request = {
+      from: tx.from || await this.signer.getAddress(),
+      to: tx.to,
+      data: tx.data
+    };
+    
+    try {
+      await this.provider.call(request);
+      const gasEstimate = await this.provider.estimateGas(request);
+      
+      return {
+        success: true,
+        gasEstimate: gasEstimate.toString(),
+        revert: null
+      };
+      
+    } catch (error) {
+      // Anything other than a revert (RPC outage, timeout) is not a verdict on the call
+      if (error.code !== 'CALL_EXCEPTION') {
+        throw error;
+      }
+      
+      return {
+        success: false,
+        gasEstimate: null,
+        revert: this.decodeRevert(error)
+      };
+    }
+  }
+  
+  async simulateAdminClaim(claim) {
+    const contract = this.getClaimContract(claim);
+    
+    return this.simulateTransaction({
+      to: await contract.getAddress(),
+      data: this.encodeAdminClaim(contract, claim)
+    });
+  }
+  
+  /**
+   * Call data of one admin claim. Approved claim delegations pay their
+   * recipient through delegatedClaim, which checks the proof against the
+   * eligible wallet and emits AdminClaim for it.
+   */
+  getAdminClaimCall(claim) {
+    if (claim.recipientAddress) {
+      return {
+        method: 'delegatedClaim',
+        args: [claim.walletAddress, claim.recipientAddress, claim.amount, claim.merkleProof]
+      };
+    }
+    
+    return {
+      method: 'adminClaim',
+      args: [claim.walletAddress, claim.amount, claim.merkleProof]
+    };
+  }
+  
+  encodeAdminClaim(contract, claim) {
+    const { method, args } = this.getAdminClaimCall(claim);
+    
+    return contract.interface.encodeFunctionData(method, args);
+  }
+  
+  async simulateMerkleRootUpdate(merkleTree, contract = this.contract) {
+    return this.simulateTransaction({
+      to: await contract.getAddress(),
+      data: contract.interface.encodeFunctionData('updateMerkleRoot', [merkleTree.root])
+    });
+  }
+  
+  /**
+   * Simulate an admin claim (or a batch of them) without queuing anything
+   * @param {string[]} claimIds - One ID for a single claim, several for a batch
+   */
+  async dryRunAdminClaims(claimIds) {
+    if (!this.contract) {
+      throw new Error('Smart contract not initialized');
+    }
+    
+    const claims = await ClaimTransaction.find({ _id: { $in: claimIds }, ...chainFilter(this.chainId) });
+    
+    if (claims.length !== claimIds.length) {
+      throw new Error('Claim not found');
+    }
+    
+    const results = [];
+    for (const claim of claims) {
+      const simulation = await this.simulateAdminClaim(claim);
+      results.push({
+        claimId: claim._id,
+        status: claim.status,
+        ...(await this.withCostEstimate(simulation))
+      });
+    }
+    
+    if (claims.length === 1) {
+      return results[0];
+    }
+    
+    const batchTx = await this.encodeAdminClaimBatch(claims);
+    
+    return {
+      batch: {
+        mode: this.batchMode,
+        size: claims.length,
+        ...(await this.withCostEstimate(await this.simulateTransaction(batchTx)))
+      },
+      claims: results
+    };
+  }
+  
+  async dryRunMerkleRootUpdate(merkleTreeId) {
+    if (!this.contract) {
+      throw new Error('Smart contract not initialized');
+    }
+    
+    const merkleTree = await MerkleTreeModel.findOne({ _id: merkleTreeId, ...chainFilter(this.chainId) }).select('-leaves');
+    
+    if (!merkleTree) {
+      throw new Error('Merkle tree not found');
+    }
+    
+    const distributors = [];
+    for (const distributorAddress of this.getTreeDistributors(merkleTree)) {
+      const simulation = await this.simulateMerkleRootUpdate(merkleTree, this.getClaimContract({ distributorAddress }));
+      distributors.push({ address: distributorAddress, ...simulation });
+    }
+    
+    // Multi-token trees update every distributor; the first revert decides the outcome
+    const failed = distributors.find(distributor => !distributor.success);
+    const simulation = failed || {
+      success: true,
+      gasEstimate: distributors.reduce((sum, distributor) => sum + BigInt(distributor.gasEstimate), 0n).toString(),
+      revert: null
+    };
+    
+    return {
+      merkleTreeId: merkleTree._id,
+      newRoot: merkleTree.root,
+      ...(await this.withCostEstimate(simulation)),
+      ...(merkleTree.isMultiToken() ? { distributors } : {})
+    };
+  }
+  
+  async withCostEstimate(simulation) {
+    if (!simulation.success) {
+      return { ...simulation, estimatedCost: null };
+    }
+    
+    // Price it the way the transaction queue would send it
+    const gasStrategy = this.txQueue.gasStrategy;
+    const fees = await gasStrategy.getFees(this.provider);
+    
+    return {
+      ...simulation,
+      estimatedCost: ethers.formatEther(BigInt(simulation.gasEstimate) * gasStrategy.priceOf(fees)),
+      aboveGasCap: gasStrategy.isAboveCap(fees)
+    };
+  }
+  
+  /**
+   * Turn an ethers CALL_EXCEPTION into a plain object that can be stored
+   */
+  decodeRevert(error) {
+    const data = typeof error.data === 'string' && error.data !== '0x' ? error.data : null;
+    
+    const revert = {
+      code: error.code,
+      reason: error.reason || null,
+      errorName: error.revert ? error.revert.name : null,
+      errorArgs: error.revert ? error.revert.args.map(arg => arg.toString()) : [],
+      selector: data ? data.slice(0, 10) : null,
+      data
+    };
+    
+    // Custom errors declared in the contract ABI
+    if (!revert.errorName && data) {
+      try {
+        const parsed = this.contractInterface.parseError(data);
+        if (parsed) {
+          revert.errorName = parsed.name;
+          revert.errorArgs = parsed.args.map(arg => arg.toString());
+        }
+      } catch (parseError) {
+        // Unknown selector; keep the raw data
+      }
+    }
+    
+    if (!revert.reason) {
+      revert.reason = revert.errorName
+        ? `${revert.errorName}(${revert.errorArgs.join(', ')})`
+        : (data ? `Unknown revert ${revert.selector}` : 'Reverted without reason');
+    }
+    
+    return revert;
+  }
+  
+  async recordSimulationFailure(claim, simulation) {
+    await claim.updateStatus('failed', {
+      failureReason: `Simulation reverted: ${simulation.revert.reason}`.slice(0, 500),
+      failureDetails: {
+        stage: 'simulation',
+        ...simulation.revert
+      }
+    });
+    
+    logger.blockchain('Claim simulation reverted', {
+      claimId: claim._id,
+      walletAddress: claim.walletAddress,
+      amount: claim.amount,
+      reason: simulation.revert.reason
+    });
+  }
+  
+  /**
+   * Multicall3 is msg.sender of the calls it wraps, so an adminClaim that only
+   * the admin wallet may call reverts inside every multicall batch (and
+   * aggregate3 hides it behind allowFailure). Probe adminClaim directly and
+   * through the multicall contract: any difference in outcome means the
+   * contract checks the caller and refuses the multicall batch mode.
+   * @param {Object} contract - Claim or distributor contract
+   * @returns {Promise<Object>} { allowed, reason }
+   */
+  async checkMulticallAccess(contract) {
+    const contractAddress = (await contract.getAddress()).toLowerCase();
+    
+    if (this.multicallAccess.has(contractAddress)) {
+      return this.multicallAccess.get(contractAddress);
+    }
+    
+    let access;
+    try {
+      const from = await this.signer.getAddress();
+      const callData = contract.interface.encodeFunctionData('adminClaim', [from, 0, []]);
+      const multicall = new ethers.Interface(MULTICALL3_ABI);
+      
+      const direct = await this.simulateTransaction({ from, to: contractAddress, data: callData });
+      const [[wrapped]] = multicall.decodeFunctionResult('aggregate3', await this.provider.call({
+        from,
+        to: this.multicallAddress,
+        data: multicall.encodeFunctionData('aggregate3', [[{ target: contractAddress, allowFailure: true, callData }]])
+      }));
+      
+      const sameOutcome = direct.success
+        ? wrapped.success
+        : !wrapped.success && (direct.revert.data || '0x') === wrapped.returnData;
+      
+      access = {
+        allowed: sameOutcome,
+        reason: sameOutcome
+          ? null
+          : `adminClaim on ${contractAddress} behaves differently when called through ${this.multicallAddress}; use BATCH_CLAIM_MODE=contract`
+      };
+      
+    } catch (error) {
+      // Not cached, so the next batch checks again
+      return { allowed: false, reason: `Multicall batch mode check failed: ${error.message}` };
+    }
+    
+    this.multicallAccess.set(contractAddress, access);
+    return access;
+  }
+  
+  /**
+   * Whether a claim or distributor contract implements an optional function
+   * (delegatedClaim, sweep). Solidity dispatchers compare the calldata with
+   * every selector they implement, so the selector is looked up in the
+   * deployed code, following ERC-1967 and EIP-1167 proxies to their
+   * implementation. CLAIM_CONTRACT_FUNCTIONS skips the probe for contracts
+   * whose code it cannot read this way.
+   * @param {string} contractAddress - Claim or distributor contract
+   * @param {string} name - Function name in CONTRACT_ABI
+   * @returns {Promise<Object>} { supported, reason }
+   */
+  async checkContractFunction(contractAddress, name) {
+    if (this.declaredFunctions.includes(name)) {
+      return { supported: true, reason: null };
+    }
+    
+    if (!this.provider || !contractAddress) {
+      return { supported: false, reason: 'Smart contract not initialized' };
+    }
+    
+    const key = `${contractAddress.toLowerCase()}:${name}`;
+    if (this.contractFunctions.has(key)) {
+      return this.contractFunctions.get(key);
+    }
+    
+    let check;
+    try {
+      const code = await this.getImplementationCode(contractAddress);
+      const selector = this.contractInterface.getFunction(name).selector.slice(2);
+      
+      // PUSH4 selector, or PUSH3 when the optimizer drops a leading zero byte
+      const supported = code.includes(`63${selector}`)
+        || (selector.startsWith('00') && code.includes(`62${selector.slice(2)}`));
+      
+      check = {
+        supported,
+        reason: supported
+          ? null
+          : `Contract ${contractAddress.toLowerCase()} does not implement ${name}; list it in CLAIM_CONTRACT_FUNCTIONS if it is reached through a proxy`
+      };
+      
+    } catch (error) {
+      // Not cached, so the next request checks again
+      return { supported: false, reason: `Check of ${name} failed: ${error.message}` };
+    }
+    
+    this.contractFunctions.set(key, check);
+    return check;
+  }
+  
+  /**
+   * Runtime code of a contract, or of its implementation when it is an
+   * ERC-1967 or EIP-1167 proxy
+   * @returns {Promise<string>} Lowercase hex code without 0x
+   */
+  async getImplementationCode(contractAddress) {
+    const code = (await this.provider.getCode(contractAddress)).slice(2).toLowerCase();
+    
+    if (code.length === 0) {
+      throw new Error(`No contract deployed at ${contractAddress}`);
+    }
+    
+    const minimalProxy = code.match(/^363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/);
+    if (minimalProxy) {
+      return (await this.provider.getCode(`0x${minimalProxy[1]}`)).slice(2).toLowerCase();
+    }
+    
+    // Nodes differ in how they return an empty slot ('0x', '0x0' or 32 zero bytes)
+    const slot = await this.provider.getStorage(contractAddress, ERC1967_IMPLEMENTATION_SLOT);
+    const implementation = slot === '0x' ? 0n : BigInt(slot);
+    
+    if (implementation !== 0n) {
+      return code + (await this.provider.getCode(ethers.toBeHex(implementation, 20))).slice(2).toLowerCase();
+    }
+    
+    return code;
+  }
+  
+  /**
+   * Whether claims of this distributor can be batched: contract mode needs
+   * batchAdminClaim, which not every claim contract implements
+   * @returns {Object} { supported, reason }
+   */
+  async checkBatchSupport(claim) {
+    if (this.batchMode !== 'contract') {
+      return { supported: true, reason: null };
+    }
+    
+    const contract = this.getClaimContract(claim);
+    
+    return this.checkContractFunction(await contract.getAddress(), 'batchAdminClaim');
+  }
+  
+  async encodeAdminClaimBatch(claims) {
+    const distributor = claims[0].distributorAddress || null;
+    
+    if (claims.some(claim => (claim.distributorAddress || null) !== distributor)) {
+      throw new Error('Batched claims must share a distributor contract');
+    }
+    
+    const contract = this.getClaimContract(claims[0]);
+    const contractAddress = await contract.getAddress();
+    
+    if (this.batchMode === 'multicall') {
+      const access = await this.checkMulticallAccess(contract);
+      if (!access.allowed) {
+        throw new Error(access.reason);
+      }
+      
+      // allowFailure lets the remaining claims go through when one reverts
+      const multicall = new ethers.Interface(MULTICALL3_ABI);
+      const calls = claims.map(claim => ({
+        target: contractAddress,
+        allowFailure: true,
+        callData: this.encodeAdminClaim(contract, claim)
+      }));
+      
+      return {
+        to: this.multicallAddress,
+        data: multicall.encodeFunctionData('aggregate3', [calls])
+      };
+    }
+    
+    if (claims.some(claim => claim.recipientAddress)) {
+      throw new Error('Delegated claims cannot be sent through batchAdminClaim');
+    }
+    
+    const support = await this.checkBatchSupport(claims[0]);
+    if (!support.supported) {
+      throw new Error(support.reason);
+    }
+    
+    return {
+      to: contractAddress,
+      data: contract.interface.encodeFunctionData('batchAdminClaim', [
+        claims.map(claim => claim.walletAddress),
+        claims.map(claim => claim.amount),
+        claims.map(claim => claim.merkleProof)
+      ])
+    };
+  }
+  
+  async onClaimTransactionSubmitted(outbound, tx) {
+    // Expose the latest broadcast hash on the claims while they are in flight
+    await ClaimTransaction.updateMany(
+      { _id: { $in: outbound.claims }, status: 'processing' },
+      { transactionHash: tx.hash }
+    );
+  }
+  
+  async onAdminClaimMined(outbound, receipt) {
+    const claims = await ClaimTransaction.find({ _id: { $in: outbound.claims } });
+    
+    for (const claim of claims) {
+      await this.recordMinedClaim(claim, receipt);
+    }
+  }
+  
+  async onAdminClaimBatchMined(outbound, receipt) {
+    const claims = await ClaimTransaction.find({ _id: { $in: outbound.claims } });
+    const contractAddress = claims.length > 0
+      ? (await this.getClaimContract(claims[0]).getAddress()).toLowerCase()
+      : null;
+    const executed = [];
+    
+    // Only the claims that emitted an AdminClaim event were executed
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== contractAddress) {
+        continue;
+      }
+      
+      const parsed = this.contractInterface.parseLog(log);
+      if (parsed && parsed.name === 'AdminClaim') {
+        executed.push({
+          account: parsed.args.account.toLowerCase(),
+          amount: parsed.args.amount.toString()
+        });
+      }
+    }
+    
+    let failed = 0;
+    
+    for (const claim of claims) {
+      const index = executed.findIndex(event =>
+        event.account === claim.walletAddress && event.amount === claim.amount
+      );
+      
+      if (index !== -1) {
+        executed.splice(index, 1);
+        await this.recordMinedClaim(claim, receipt);
+        continue;
+      }
+      
+      if (claim.status === 'processing') {
+        failed++;
+        await claim.updateStatus('failed', {
+          transactionHash: receipt.hash,
+          failureReason: 'Claim was not executed in batch transaction'
+        });
+      }
+    }
+    
+    logger.blockchain('Admin claim batch reconciled', {
+      outboundTransactionId: outbound._id,
+      transactionHash: receipt.hash,
+      size: claims.length,
+      failed
+    });
+  }
+  
+  async recordMinedClaim(claim, receipt) {
+    // The indexer may have matched the AdminClaim event first; whoever
+    // settles the claim credits the user
+    const settled = await ClaimTransaction.recordMined(claim._id, {
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      blockHash: receipt.blockHash,
+      gasUsed: receipt.gasUsed.toString(),
+      gasPrice: receipt.gasPrice.toString()
+    });
+    
+    // Credit the user now so the allocation cannot be claimed twice;
+    // the confirmation watcher reverts this if the block is reorganized away
+    if (settled) {
+      const user = await User.findById(claim.user);
+      if (user) {
+        await user.updateClaim(claim.amount, claim.tokenAddress);
+      }
+    }
+    
+    logger.blockchain('Admin claim mined', {
+      claimId: claim._id,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      walletAddress: claim.walletAddress,
+      amount: claim.amount
+    });
+  }
+  
+  async onAdminClaimFailed(outbound, error) {
+    const claims = await ClaimTransaction.find({
+      _id: { $in: outbound.claims },
+      status: 'processing'
+    });
+    
+    for (const claim of claims) {
+      await claim.updateStatus('failed', {
+        failureReason: error.message
+      });
+    }
+  }
+  
+  async onMerkleRootUpdateMined(outbound, receipt) {
+    // Multi-token trees activate with the update of their last distributor
+    if (outbound.metadata.activates === false) {
+      return;
+    }
+    
+    const merkleTree = await MerkleTreeModel.findById(outbound.merkleTree);
+    
+    if (!merkleTree) {
+      logger.warn('Merkle root update mined for unknown tree', {
+        outboundTransactionId: outbound._id,
+        merkleTreeId: outbound.merkleTree
+      });
+      return;
+    }
+    
+    // Activate the merkle tree; the confirmation watcher restores the
+    // previous tree if this block leaves the canonical chain
+    await merkleTree.activate({
+      action: outbound.metadata.activationAction || 'root_update',
+      adminId: outbound.adminId,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      outboundTransaction: outbound._id,
+      reason: outbound.metadata.reason || null
+    });
+    await merkleTree.recordRootUpdate(receipt, outbound.metadata.previousTree || null);
+    
+    // A rollback hands the restored tree's allocations back to users only
+    // once its root is on chain
+    if (outbound.metadata.activationAction === 'rollback') {
+      const merkleService = require('./merkleService');
+      await merkleService.loadActiveMerkleTree(this.chainId);
+      await merkleService.updateUserAllocations(merkleTree._id);
+    }
+  }
+  
+  /**
+   * Send updateMerkleRoot for a tree and activate it once mined
+   * @param {string} merkleTreeId - Merkle tree ID
+   * @param {string} adminId - Admin sending the update
+   * @param {Object} options
+   * @param {string} options.activationAction - Action recorded in the activation history (default: root_update)
+   * @param {string} options.reason - Reason recorded in the activation history
+   */
+  async updateMerkleRoot(merkleTreeId, adminId = null, options = {}) {
     if (!this.contract) {
       throw new Error('Smart contract not initialized');
     }
@@ -416,37 +1330,92 @@ class BlockchainService {
         throw new Error('Merkle tree not found');
       }
       
+      if (!isSameChain(merkleTree.chainId, this.chainId)) {
+        throw new Error(`Merkle tree belongs to chain ${merkleTree.chainId}`);
+      }
+      
       // Validate tree integrity
-      const validation = merkleTree.validateIntegrity();
+      const validation = await merkleTree.validateIntegrity();
       if (!validation.valid) {
         throw new Error(`Invalid merkle tree: ${validation.error}`);
       }
       
-      // Update merkle root on contract
-      const tx = await this.contract.updateMerkleRoot(merkleTree.root);
+      const previousTree = await MerkleTreeModel.findOne({
+        isActive: true,
+        _id: { $ne: merkleTree._id },
+        ...chainFilter(this.chainId)
+      }).select('_id');
       
-      logger.blockchain('Merkle root update transaction sent', {
-        merkleTreeId,
-        transactionHash: tx.hash,
-        newRoot: merkleTree.root
-      });
+      // Multi-token trees are updated on every distributor; check them all before sending anything
+      const distributors = this.getTreeDistributors(merkleTree);
+      const simulations = [];
+      
+      for (const distributorAddress of distributors) {
+        const simulation = await this.simulateMerkleRootUpdate(merkleTree, this.getClaimContract({ distributorAddress }));
+        if (!simulation.success) {
+          const error = new Error(`Simulation reverted: ${simulation.revert.reason}`);
+          error.revert = simulation.revert;
+          throw error;
+        }
+        simulations.push(simulation);
+      }
       
-      const receipt = await tx.wait();
+      const transactions = [];
+      let outbound = null;
+      let settled = null;
       
-      if (receipt.status === 1) {
-        // Activate the merkle tree
-        await merkleTree.activate();
+      for (const [i, distributorAddress] of distributors.entries()) {
+        const contract = this.getClaimContract({ distributorAddress });
         
-        return {
-          transactionHash: tx.hash,
-          blockNumber: receipt.blockNumber,
-          newRoot: merkleTree.root,
-          status: 'completed'
-        };
-      } else {
-        throw new Error('Transaction failed on blockchain');
+        // Update merkle root on contract through the transaction queue
+        outbound = await this.txQueue.enqueue({
+          kind: 'merkle_root_update',
+          to: await contract.getAddress(),
+          data: contract.interface.encodeFunctionData('updateMerkleRoot', [merkleTree.root]),
+          merkleTree: merkleTree._id,
+          adminId,
+          metadata: {
+            previousTree: previousTree ? previousTree._id : null,
+            gasEstimate: simulations[i].gasEstimate,
+            activationAction: options.activationAction || 'root_update',
+            reason: options.reason || null,
+            // Only the last distributor's update activates the tree
+            activates: i === distributors.length - 1
+          }
+        });
+        
+        logger.blockchain('Merkle root update queued', {
+          merkleTreeId,
+          outboundTransactionId: outbound._id,
+          distributor: distributorAddress,
+          newRoot: merkleTree.root
+        });
+        
+        settled = await this.txQueue.waitFor(outbound._id);
+        
+        if (settled.status === 'failed') {
+          const error = settled.lastError || 'Transaction failed on blockchain';
+          throw new Error(i > 0
+            ? `${error} (root already updated on ${i} of ${distributors.length} distributors)`
+            : error);
+        }
+        
+        transactions.push({
+          distributor: distributorAddress,
+          outboundTransactionId: outbound._id,
+          transactionHash: settled.hash
+        });
       }
       
+      return {
+        outboundTransactionId: outbound._id,
+        transactionHash: settled.hash,
+        blockNumber: settled.receipt ? settled.receipt.blockNumber : null,
+        newRoot: merkleTree.root,
+        status: settled.status === 'mined' ? 'confirming' : settled.status,
+        ...(merkleTree.isMultiToken() ? { transactions } : {})
+      };
+      
     } catch (error) {
       logger.error('Update merkle root error', {
         merkleTreeId,
@@ -457,6 +1426,320 @@ class BlockchainService {
     }
   }
   
+  /**
+   * Send sweep(recipient, amount) for what a closed tree left unclaimed, one
+   * transaction per distributor. Entries already queued or swept are skipped,
+   * so a failed sweep can be sent again. clawbackService.sweep moves the report
+   * to 'sweeping' before calling this, so only one request sends it.
+   * @param {Object} clawback - Clawback document
+   * @param {string} recipient - Address receiving the unclaimed tokens
+   * @param {string} adminId - Admin sending the sweep
+   */
+  async sweepUnclaimed(clawback, recipient, adminId = null) {
+    if (!this.contract) {
+      throw new Error('Smart contract not initialized');
+    }
+    
+    if (!ethers.isAddress(recipient)) {
+      throw new Error('Invalid sweep recipient');
+    }
+    
+    const entries = clawback.tokens.filter(entry =>
+      ['reported', 'failed'].includes(entry.status) && BigInt(entry.unclaimed) > 0n
+    );
+    
+    if (entries.length === 0) {
+      throw new Error('Nothing left to sweep');
+    }
+    
+    // Check every distributor before sending anything
+    const calls = [];
+    for (const entry of entries) {
+      const contract = this.getClaimContract({ distributorAddress: entry.distributor });
+      const check = await this.checkContractFunction(await contract.getAddress(), 'sweep');
+      
+      if (!check.supported) {
+        throw new Error(check.reason);
+      }
+      
+      const call = {
+        to: await contract.getAddress(),
+        data: contract.interface.encodeFunctionData('sweep', [recipient, entry.unclaimed])
+      };
+      
+      const simulation = await this.simulateTransaction(call);
+      if (!simulation.success) {
+        const error = new Error(`Simulation reverted: ${simulation.revert.reason}`);
+        error.revert = simulation.revert;
+        throw error;
+      }
+      
+      calls.push({ entry, call, gasEstimate: simulation.gasEstimate });
+    }
+    
+    // Set first, so they are kept when the caller saves a sweep that failed midway
+    clawback.recipient = recipient.toLowerCase();
+    clawback.sweptBy = adminId;
+    
+    for (const { entry, call, gasEstimate } of calls) {
+      const outbound = await this.txQueue.enqueue({
+        kind: 'clawback_sweep',
+        ...call,
+        merkleTree: clawback.merkleTree,
+        adminId,
+        metadata: {
+          clawbackId: clawback._id,
+          tokenAddress: entry.tokenAddress,
+          amount: entry.unclaimed,
+          recipient: recipient.toLowerCase(),
+          gasEstimate
+        }
+      });
+      
+      entry.status = 'queued';
+      entry.outboundTransaction = outbound._id;
+      entry.error = null;
+      
+      logger.blockchain('Clawback sweep queued', {
+        clawbackId: clawback._id,
+        outboundTransactionId: outbound._id,
+        distributor: call.to,
+        tokenAddress: entry.tokenAddress,
+        amount: entry.unclaimed
+      });
+    }
+    
+    clawback.status = 'sweeping';
+    await clawback.save();
+    
+    return clawback;
+  }
+  
+  async onClawbackSweepSettled(outbound, result) {
+    const clawback = await Clawback.findById(outbound.metadata.clawbackId);
+    
+    if (!clawback) {
+      logger.warn('Clawback sweep settled for unknown report', {
+        outboundTransactionId: outbound._id,
+        clawbackId: outbound.metadata.clawbackId
+      });
+      return;
+    }
+    
+    await clawback.recordSweep(outbound._id, result);
+    
+    logger.blockchain(`Clawback sweep ${result.status}`, {
+      clawbackId: clawback._id,
+      outboundTransactionId: outbound._id,
+      transactionHash: result.transactionHash,
+      error: result.error
+    });
+  }
+  
+  /**
+   * Describe a contract call as a Safe Transaction Builder transaction
+   * @param {string} functionName - Function from CONTRACT_ABI
+   * @param {Array} args - Call arguments
+   * @param {string} contractAddress - Contract to call (default: the chain's CONTRACT_ADDRESS)
+   */
+  toSafeTransaction(functionName, args, contractAddress = this.chain.contractAddress) {
+    const fragment = this.contractInterface.getFunction(functionName);
+    
+    return {
+      to: ethers.getAddress(contractAddress),
+      value: '0',
+      data: this.contractInterface.encodeFunctionData(fragment, args),
+      contractMethod: {
+        inputs: fragment.inputs.map(input => ({
+          internalType: input.type,
+          name: input.name,
+          type: input.type
+        })),
+        name: fragment.name,
+        payable: fragment.payable
+      },
+      // The builder expects array arguments as JSON strings
+      contractInputsValues: Object.fromEntries(fragment.inputs.map((input, i) => [
+        input.name,
+        typeof args[i] === 'string' ? args[i] : JSON.stringify(args[i])
+      ]))
+    };
+  }
+  
+  /**
+   * Wrap transactions in a Safe Transaction Builder batch file
+   */
+  buildSafeBatch(name, description, transactions) {
+    return {
+      version: '1.0',
+      chainId: this.chainId.toString(),
+      createdAt: Date.now(),
+      meta: {
+        name,
+        description,
+        txBuilderVersion: '1.16.5',
+        createdFromSafeAddress: ethers.getAddress(this.chain.safeAddress),
+        createdFromOwnerAddress: ''
+      },
+      transactions
+    };
+  }
+  
+  assertSafeConfigured() {
+    if (!this.chain.contractAddress) {
+      throw new Error('Contract address not configured');
+    }
+    
+    if (!this.chain.safeAddress) {
+      throw new Error(`No Safe address configured for chain ${this.chainId}`);
+    }
+  }
+  
+  /**
+   * Export a Merkle root update as a Safe Transaction Builder batch. Nothing is
+   * sent; the claim indexer activates the tree once the Safe executes it.
+   */
+  async exportMerkleRootUpdateForSafe(merkleTreeId) {
+    this.assertSafeConfigured();
+    
+    const merkleTree = await MerkleTreeModel.findById(merkleTreeId);
+    
+    if (!merkleTree) {
+      throw new Error('Merkle tree not found');
+    }
+    
+    if (!isSameChain(merkleTree.chainId, this.chainId)) {
+      throw new Error(`Merkle tree belongs to chain ${merkleTree.chainId}`);
+    }
+    
+    const validation = await merkleTree.validateIntegrity();
+    if (!validation.valid) {
+      throw new Error(`Invalid merkle tree: ${validation.error}`);
+    }
+    
+    // One call per distributor of a multi-token tree, executed together by the Safe
+    const transactions = this.getTreeDistributors(merkleTree).map(distributorAddress =>
+      this.toSafeTransaction('updateMerkleRoot', [merkleTree.root], distributorAddress)
+    );
+    let gasEstimate = 0n;
+    
+    for (const transaction of transactions) {
+      // Simulate as the Safe, the only account allowed to make the call
+      const simulation = await this.simulateTransaction({
+        from: this.chain.safeAddress,
+        to: transaction.to,
+        data: transaction.data
+      });
+      
+      if (!simulation.success) {
+        const error = new Error(`Simulation reverted: ${simulation.revert.reason}`);
+        error.revert = simulation.revert;
+        throw error;
+      }
+      
+      gasEstimate += BigInt(simulation.gasEstimate);
+    }
+    
+    logger.blockchain('Merkle root update exported for Safe', {
+      merkleTreeId: merkleTree._id,
+      newRoot: merkleTree.root,
+      safeAddress: this.chain.safeAddress
+    });
+    
+    return {
+      merkleTreeId: merkleTree._id,
+      newRoot: merkleTree.root,
+      safeAddress: this.chain.safeAddress,
+      gasEstimate: gasEstimate.toString(),
+      fileName: `merkle-root-${merkleTree._id}.json`,
+      batch: this.buildSafeBatch(
+        `Update Merkle root: ${merkleTree.name}`,
+        `Set the claim Merkle root to ${merkleTree.root} (${merkleTree.totalUsers} wallets)`,
+        transactions
+      )
+    };
+  }
+  
+  /**
+   * Export pending admin claims as a Safe Transaction Builder batch with one
+   * adminClaim (delegatedClaim for delegations) call per claim. The claims
+   * move to processing and are settled by the claim indexer when the
+   * AdminClaim events appear on chain.
+   */
+  async exportAdminClaimsForSafe(claimIds, adminId = null) {
+    this.assertSafeConfigured();
+    
+    if (claimIds.length > this.batchSize) {
+      throw new Error(`Batch exceeds maximum size of ${this.batchSize} claims`);
+    }
+    
+    const exportedAt = new Date();
+    const claims = [];
+    
+    // Take each claim over atomically so it cannot also be sent by the queue
+    for (const claimId of claimIds) {
+      const claim = await ClaimTransaction.findOneAndUpdate(
+        { _id: claimId, status: 'pending', type: 'admin_claim', ...chainFilter(this.chainId) },
+        {
+          status: 'processing',
+          'metadata.safeExport': { safeAddress: this.chain.safeAddress, adminId, exportedAt }
+        },
+        { new: true }
+      );
+      
+      if (claim) {
+        claims.push(claim);
+      }
+    }
+    
+    if (claims.length === 0) {
+      throw new Error('No pending admin claims to export');
+    }
+    
+    const transactions = [];
+    const accepted = [];
+    const rejected = [];
+    
+    for (const claim of claims) {
+      const { method, args } = this.getAdminClaimCall(claim);
+      const transaction = this.toSafeTransaction(method, args, claim.distributorAddress || this.chain.contractAddress);
+      
+      const simulation = await this.simulateTransaction({
+        from: this.chain.safeAddress,
+        to: transaction.to,
+        data: transaction.data
+      });
+      
+      if (simulation.success) {
+        transactions.push(transaction);
+        accepted.push(claim._id);
+      } else {
+        await this.recordSimulationFailure(claim, simulation);
+        rejected.push({ claimId: claim._id, error: claim.failureReason });
+      }
+    }
+    
+    logger.blockchain('Admin claims exported for Safe', {
+      safeAddress: this.chain.safeAddress,
+      exported: accepted.length,
+      rejected: rejected.length
+    });
+    
+    return {
+      claimIds: accepted,
+      rejected,
+      safeAddress: this.chain.safeAddress,
+      fileName: `admin-claims-${exportedAt.getTime()}.json`,
+      batch: transactions.length > 0
+        ? this.buildSafeBatch(
+          `Admin claims (${transactions.length})`,
+          `Execute ${transactions.length} pending admin claims`,
+          transactions
+        )
+        : null
+    };
+  }
+  
   async getGasPrice() {
     if (!this.provider) {
       throw new Error('Blockchain provider not initialized');
@@ -464,11 +1747,19 @@ class BlockchainService {
     
     try {
       const gasPrice = await this.provider.getFeeData();
+      const gasStrategy = this.txQueue.gasStrategy;
+      const fees = await gasStrategy.getFees(this.provider);
       
       return {
         gasPrice: ethers.formatUnits(gasPrice.gasPrice || 0, 'gwei'),
         maxFeePerGas: ethers.formatUnits(gasPrice.maxFeePerGas || 0, 'gwei'),
-        maxPriorityFeePerGas: ethers.formatUnits(gasPrice.maxPriorityFeePerGas || 0, 'gwei')
+        maxPriorityFeePerGas: ethers.formatUnits(gasPrice.maxPriorityFeePerGas || 0, 'gwei'),
+        // What the next admin transaction would offer
+        strategy: {
+          ...(await gasStrategy.getStatus()),
+          fees: Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, ethers.formatUnits(value, 'gwei')])),
+          aboveCap: gasStrategy.isAboveCap(fees)
+        }
       };
       
     } catch (error) {
@@ -501,19 +1792,10 @@ class BlockchainService {
     }
   }
   
-  async verifyMerkleProof(walletAddress, amount, proof, merkleRoot) {
+  async verifyMerkleProof(walletAddress, amount, proof, merkleRoot, leafEncoding = DEFAULT_LEAF_ENCODING, index = 0, tokenAddress = null) {
     try {
-      const { MerkleTree } = require('merkletreejs');
-      const keccak256 = require('keccak256');
-      
-      // Create leaf hash
-      const leaf = keccak256(Buffer.concat([
-        Buffer.from(walletAddress.slice(2), 'hex'),
-        Buffer.from(BigInt(amount).toString(16).padStart(64, '0'), 'hex')
-      ]));
-      
       // Verify proof
-      const isValid = MerkleTree.verify(proof, leaf, merkleRoot);
+      const isValid = verifyLeaf({ walletAddress, amount, index, tokenAddress }, proof, merkleRoot, leafEncoding);
       
       return isValid;
       
@@ -565,9 +1847,10 @@ class BlockchainService {
   async getConnectionHealth() {
     try {
       const health = {
+        chainId: this.chainId,
         provider: !!this.provider,
         contract: !!this.contract,
-        wallet: !!this.wallet,
+        signer: this.signer ? signerService.type : null,
         network: null,
         blockNumber: null,
         connected: false
@@ -588,6 +1871,8 @@ class BlockchainService {
         } catch (error) {
           logger.warn('Provider health check failed', error);
         }
+        
+        health.endpoints = this.provider.getEndpointStats();
       }
       
       return health;
@@ -595,9 +1880,10 @@ class BlockchainService {
     } catch (error) {
       logger.error('Get connection health error', error);
       return {
+        chainId: this.chainId,
         provider: false,
         contract: false,
-        wallet: false,
+        signer: null,
         network: null,
         blockNumber: null,
         connected: false,
@@ -607,4 +1893,5 @@ class BlockchainService {
   }
 }
 
-module.exports = new BlockchainService();
\ No newline at end of file
+module.exports = new BlockchainService();
+module.exports.BlockchainService = BlockchainService;
\ No newline at end of file
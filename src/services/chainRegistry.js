@@ -0,0 +1,150 @@
+/**
+ * Chain Registry for GCT Token Platform
+ * Keeps one set of blockchain services (provider, signer, contract, transaction
+ * queue, claim indexer, confirmation watcher, balance monitor) per network
+ * enabled in NETWORKS
+ */
+
+const logger = require('../utils/logger');
+const { getChains, findChain } = require('../utils/chains');
+
+class ChainRegistry {
+  constructor() {
+    // Service contexts per chain ID, created on first use
+    this.contexts = new Map();
+  }
+
+  /**
+   * Resolve a chain parameter to an enabled chain
+   * @param {number|string} value - Chain ID or NETWORKS key; empty for the default chain
+   */
+  resolve(value) {
+    const chain = findChain(value);
+
+    if (!chain) {
+      throw new Error(`Unsupported chain: ${value}`);
+    }
+
+    return chain;
+  }
+
+  /**
+   * Get the services of a chain
+   * @param {number|string} value - Chain ID or NETWORKS key; empty for the default chain
+   * @returns {Object} { chain, blockchain, txQueue, indexer, confirmations, balances }
+   */
+  get(value) {
+    const chain = this.resolve(value);
+
+    if (!this.contexts.has(chain.chainId)) {
+      this.contexts.set(chain.chainId, this.createContext(chain));
+    }
+
+    return this.contexts.get(chain.chainId);
+  }
+
+  createContext(chain) {
+    const blockchainService = require('./blockchainService');
+    const transactionQueue = require('./transactionQueueService');
+    const claimIndexer = require('./claimIndexerService');
+    const confirmationService = require('./confirmationService');
+    const gasStrategy = require('./gasStrategyService');
+    const balanceMonitor = require('./balanceMonitorService');
+
+    // The default chain keeps using the module singletons
+    if (chain.isDefault) {
+      return {
+        chain,
+        blockchain: blockchainService,
+        txQueue: transactionQueue,
+        indexer: claimIndexer,
+        confirmations: confirmationService,
+        balances: balanceMonitor
+      };
+    }
+
+    const txQueue = new transactionQueue.TransactionQueueService({
+      chainId: chain.chainId,
+      gasStrategy: new gasStrategy.GasStrategyService({ chainId: chain.chainId })
+    });
+    const blockchain = new blockchainService.BlockchainService(chain, { txQueue });
+    const indexer = new claimIndexer.ClaimIndexerService({
+      name: `claim-events-${chain.chainId}`,
+      chainId: chain.chainId,
+      blockchainService: blockchain
+    });
+    const confirmations = new confirmationService.ConfirmationService({
+      chainId: chain.chainId,
+      blockchainService: blockchain,
+      indexer
+    });
+
+    const balances = new balanceMonitor.BalanceMonitorService({
+      chainId: chain.chainId,
+      blockchainService: blockchain
+    });
+
+    return { chain, blockchain, txQueue, indexer, confirmations, balances };
+  }
+
+  all() {
+    return getChains().map(chain => this.get(chain.chainId));
+  }
+
+  /**
+   * Start the background services of every enabled chain
+   */
+  start() {
+    for (const context of this.all()) {
+      if (context.blockchain.provider) {
+        context.blockchain.provider.startProbes();
+      }
+
+      if (process.env.INDEXER_ENABLED !== 'false') {
+        context.indexer.start();
+        context.confirmations.start();
+      }
+
+      // Resume monitoring transactions left in flight by a previous run
+      // once the signer is unlocked
+      context.blockchain.ready.then(() => context.txQueue.start());
+
+      if (process.env.BALANCE_MONITOR_ENABLED !== 'false') {
+        context.balances.start();
+      }
+
+      logger.blockchain('Chain services started', {
+        chainId: context.chain.chainId,
+        network: context.chain.key
+      });
+    }
+  }
+
+  stop() {
+    for (const context of this.contexts.values()) {
+      context.indexer.stop();
+      context.confirmations.stop();
+      context.txQueue.stop();
+      context.balances.stop();
+
+      if (context.blockchain.provider) {
+        context.blockchain.provider.stopProbes();
+      }
+    }
+  }
+
+  async getStatus() {
+    return Promise.all(this.all().map(async ({ chain, blockchain }) => ({
+      chainId: chain.chainId,
+      key: chain.key,
+      name: chain.name,
+      blockExplorer: chain.blockExplorer,
+      isDefault: chain.isDefault,
+      contractAddress: chain.contractAddress,
+      health: await blockchain.getConnectionHealth()
+    })));
+  }
+}
+
+module.exports = new ChainRegistry();
+module.exports.ChainRegistry = ChainRegistry;
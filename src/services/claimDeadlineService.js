@@ -0,0 +1,170 @@
+/**
+ * Claim Deadline Service for GCT Token Platform
+ * Tells wallets that still have unclaimed tokens in an active tree that its
+ * claim window is about to close, over the websocket and by email
+ */
+
+const MerkleTreeModel = require('../models/MerkleTree');
+const clawbackService = require('./clawbackService');
+const logger = require('../utils/logger');
+
+class ClaimDeadlineService {
+  constructor(options = {}) {
+    this.interval = options.interval || parseInt(process.env.CLAIM_DEADLINE_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+    // Notices go out once the deadline is this close
+    this.noticeHours = options.noticeHours || parseInt(process.env.CLAIM_DEADLINE_NOTICE_HOURS) || 72;
+    this.emailNotices = process.env.CLAIM_DEADLINE_EMAIL !== 'false';
+
+    this.timer = null;
+    this.checking = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return true;
+    }
+
+    const run = () => this.check().catch(error => {
+      logger.error('Claim deadline check error', { error: error.message });
+    });
+
+    run();
+    this.timer = setInterval(run, this.interval);
+
+    logger.info('Claim deadline notices started', {
+      interval: this.interval,
+      noticeHours: this.noticeHours
+    });
+
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async check() {
+    if (this.checking) {
+      return;
+    }
+
+    this.checking = true;
+
+    try {
+      const now = new Date();
+      const trees = await MerkleTreeModel.find({
+        isActive: true,
+        deadlineNotifiedAt: null,
+        claimEndTime: { $gt: now, $lte: new Date(now.getTime() + this.noticeHours * 60 * 60 * 1000) }
+      });
+
+      for (const merkleTree of trees) {
+        await this.notifyTree(merkleTree);
+      }
+
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Notify every user of a tree who has something left to claim
+   * @param {Object} merkleTree - Merkle tree document
+   * @returns {Promise<number>} Users notified
+   */
+  async notifyTree(merkleTree) {
+    // Mark the tree first so a second instance or a restart does not notify twice
+    const marked = await MerkleTreeModel.updateOne(
+      { _id: merkleTree._id, deadlineNotifiedAt: null },
+      { $set: { deadlineNotifiedAt: new Date() } }
+    );
+
+    if (marked.modifiedCount === 0) {
+      return 0;
+    }
+
+    let notified = 0;
+    let previousWallet = null;
+
+    for await (const batch of clawbackService.walkUnclaimed(merkleTree)) {
+      const byWallet = new Map();
+
+      for (const row of batch) {
+        if (row.user && row.unclaimed !== '0' && row.walletAddress !== previousWallet) {
+          if (!byWallet.has(row.walletAddress)) {
+            byWallet.set(row.walletAddress, []);
+          }
+          byWallet.get(row.walletAddress).push(row);
+        }
+      }
+
+      for (const rows of byWallet.values()) {
+        await this.notifyUser(rows[0].user, merkleTree, rows);
+        notified++;
+      }
+
+      // A wallet's token leaves can be split over two batches
+      previousWallet = batch[batch.length - 1].walletAddress;
+    }
+
+    logger.info('Claim deadline notices sent', {
+      merkleTreeId: merkleTree._id,
+      claimEndTime: merkleTree.claimEndTime,
+      users: notified
+    });
+
+    return notified;
+  }
+
+  async notifyUser(user, merkleTree, rows) {
+    const emailService = require('./emailService');
+    const WebSocketService = require('./websocketService');
+    const websocket = WebSocketService.getInstance();
+
+    const amounts = rows.map(row => {
+      const token = row.tokenAddress ? merkleTree.getToken(row.tokenAddress) : null;
+      return {
+        tokenAddress: row.tokenAddress,
+        symbol: token && token.symbol ? token.symbol : 'GCT',
+        amount: row.unclaimed
+      };
+    });
+
+    if (websocket) {
+      websocket.sendUserNotification(user._id, {
+        event: 'claim_deadline',
+        title: 'Claim deadline approaching',
+        message: `Claim your tokens from ${merkleTree.name} before ${merkleTree.claimEndTime.toISOString()}`,
+        data: {
+          merkleTreeId: merkleTree._id,
+          claimEndTime: merkleTree.claimEndTime,
+          unclaimed: amounts
+        }
+      });
+    }
+
+    if (!this.emailNotices || !user.email) {
+      return;
+    }
+
+    try {
+      await emailService.sendClaimDeadlineNotice(user, {
+        distribution: merkleTree.name,
+        deadline: merkleTree.claimEndTime,
+        amounts
+      });
+    } catch (error) {
+      logger.error('Claim deadline email failed', {
+        userId: user._id,
+        merkleTreeId: merkleTree._id,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ClaimDeadlineService();
+module.exports.ClaimDeadlineService = ClaimDeadlineService;
@@ -0,0 +1,288 @@
+/**
+ * Claim Delegation Service for GCT Token Platform
+ * Records a wallet's signed request to have its allocation paid to another
+ * wallet, and turns approved requests into admin claims paying the recipient
+ */
+
+const ClaimDelegation = require('../models/ClaimDelegation');
+const ClaimTransaction = require('../models/ClaimTransaction');
+const MerkleTreeModel = require('../models/MerkleTree');
+const User = require('../models/User');
+const chainRegistry = require('./chainRegistry');
+const claimIntentService = require('./claimIntentService');
+const merkleService = require('./merkleService');
+const logger = require('../utils/logger');
+const { isSameChain } = require('../utils/chains');
+
+class ClaimDelegationService {
+  /**
+   * Store a signed delegation request for review
+   * @param {Object} params
+   * @param {Object} params.chain - Chain config
+   * @param {Object} params.merkleTree - Active merkle tree document
+   * @param {Object} params.token - Token of a multi-token tree
+   * @param {string} params.walletAddress - Eligible wallet
+   * @param {string} params.recipient - Wallet to pay instead
+   * @param {number} params.nonce - Nonce of the signed request
+   * @param {number} params.deadline - Deadline of the signed request (unix seconds)
+   * @param {string} params.signature - EIP-712 ClaimDelegation signature
+   * @param {string} params.reason - Why the wallet cannot claim itself
+   * @returns {Promise<Object>} { delegation } or { error, status }
+   */
+  async requestDelegation(params) {
+    const { chain, merkleTree, token, walletAddress, recipient, nonce, deadline, signature } = params;
+
+    if (recipient === walletAddress) {
+      return { error: 'Recipient must differ from the eligible wallet', status: 400 };
+    }
+
+    const deadlineError = claimIntentService.checkDeadline(deadline);
+    if (deadlineError) {
+      return { error: deadlineError, status: 400 };
+    }
+
+    const typedData = claimIntentService.getDelegationTypedData({
+      chain,
+      merkleTree,
+      token,
+      walletAddress,
+      recipient,
+      nonce,
+      deadline
+    });
+
+    let signed = null;
+    try {
+      signed = claimIntentService.recoverSigner(typedData, signature);
+    } catch (signatureError) {
+      signed = null;
+    }
+
+    if (!signed || signed.signer.toLowerCase() !== walletAddress) {
+      logger.security('Invalid claim delegation signature', {
+        walletAddress,
+        recoveredAddress: signed ? signed.signer : null,
+        ip: params.ipAddress
+      });
+
+      return { error: 'Invalid signature', status: 401 };
+    }
+
+    const tokenAddress = token ? token.address : null;
+    const proof = await merkleTree.getProofForWallet(walletAddress, tokenAddress);
+
+    if (!proof) {
+      return { error: 'Wallet address not eligible for token claim', status: 403 };
+    }
+
+    if (await ClaimDelegation.findPending(walletAddress, chain.chainId, tokenAddress)) {
+      return { error: 'A delegation request is already pending for this wallet', status: 400 };
+    }
+
+    let user = await User.findByWallet(walletAddress);
+
+    if (!user) {
+      user = new User({
+        walletAddress
+      });
+      await user.save();
+    }
+
+    if (nonce !== user.claimNonce || !await claimIntentService.consumeNonce(user, nonce)) {
+      return { error: 'Invalid or already used claim nonce', status: 400 };
+    }
+
+    const delegation = new ClaimDelegation({
+      walletAddress,
+      user: user._id,
+      recipientAddress: recipient,
+      chainId: chain.chainId,
+      merkleTree: merkleTree._id,
+      tokenAddress,
+      reason: params.reason || null,
+      signature,
+      digest: signed.digest,
+      nonce,
+      deadline: new Date(deadline * 1000),
+      ipAddress: params.ipAddress || null,
+      userAgent: params.userAgent || null
+    });
+
+    await delegation.save();
+    await user.recordDelegation(delegation);
+
+    logger.claim('Claim delegation requested', {
+      delegationId: delegation._id,
+      walletAddress,
+      recipientAddress: recipient,
+      chainId: chain.chainId,
+      tokenAddress,
+      ip: params.ipAddress
+    });
+
+    return { delegation };
+  }
+
+  /**
+   * Approve a pending request with an admin claim that pays the recipient
+   * the wallet's remaining claimable amount
+   * @param {Object} delegation - ClaimDelegation document
+   * @param {Object} admin - Reviewing admin
+   * @param {Object} options - { note, ipAddress, userAgent }
+   * @returns {Promise<Object>} { delegation, claimTransaction }; throws when it cannot be approved
+   */
+  async approve(delegation, admin, options = {}) {
+    // Take the request over first so two admins cannot both create its claim
+    const taken = await ClaimDelegation.takeForApproval(delegation._id);
+    if (!taken) {
+      throw new Error(await this.describeReviewed(delegation._id));
+    }
+
+    try {
+      return await this.createDelegatedClaim(taken, admin, options);
+    } catch (error) {
+      await ClaimDelegation.releaseApproval(taken._id);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the admin claim of a request taken over for approval and record
+   * the approval
+   */
+  async createDelegatedClaim(delegation, admin, options) {
+    // The wallet signed the root of one tree; a new distribution needs a new request
+    const activeMerkleTree = await MerkleTreeModel.getActiveTree(delegation.chainId);
+
+    if (!activeMerkleTree || String(activeMerkleTree._id) !== String(delegation.merkleTree)
+      || !isSameChain(activeMerkleTree.chainId, delegation.chainId)) {
+      throw new Error('Delegation was signed for a merkle tree that is no longer active');
+    }
+
+    const claimWindow = activeMerkleTree.getClaimWindow();
+    if (claimWindow.status !== 'open') {
+      throw new Error(claimWindow.reason);
+    }
+
+    const user = await User.findById(delegation.user);
+    const proof = await activeMerkleTree.getProofForWallet(delegation.walletAddress, delegation.tokenAddress);
+
+    if (!user || !proof) {
+      throw new Error('Wallet address not found in current distribution');
+    }
+
+    const amount = await merkleService.getClaimableAmount(activeMerkleTree, delegation.walletAddress, user, delegation.tokenAddress);
+    if (BigInt(amount) <= 0n) {
+      throw new Error('Nothing left to claim for this wallet');
+    }
+
+    const pendingClaim = await ClaimTransaction.findOne({
+      user: user._id,
+      status: { $in: ['pending', 'processing'] }
+    });
+
+    if (pendingClaim) {
+      throw new Error('Wallet has a pending claim transaction');
+    }
+
+    const token = delegation.tokenAddress ? activeMerkleTree.getToken(delegation.tokenAddress) : null;
+
+    // The claim can only be sent when the paying contract has delegatedClaim
+    const { chain, blockchain } = chainRegistry.get(delegation.chainId);
+    const support = await blockchain.checkContractFunction(token ? token.distributor : chain.contractAddress, 'delegatedClaim');
+    if (!support.supported) {
+      throw new Error(support.reason);
+    }
+
+    const approvedAt = new Date();
+
+    const claimTransaction = new ClaimTransaction({
+      user: user._id,
+      walletAddress: delegation.walletAddress,
+      recipientAddress: delegation.recipientAddress,
+      amount,
+      type: 'admin_claim',
+      status: 'pending',
+      chainId: delegation.chainId,
+      tokenAddress: token ? token.address : null,
+      distributorAddress: token ? token.distributor : null,
+      merkleTree: activeMerkleTree._id,
+      merkleProof: proof.proof,
+      merkleIndex: proof.index,
+      delegation: {
+        request: delegation._id,
+        signature: delegation.signature,
+        digest: delegation.digest,
+        requestedAt: delegation.createdAt,
+        approvedBy: admin._id,
+        approvedAt
+      },
+      adminId: admin._id,
+      adminNote: options.note || `Delegated claim to ${delegation.recipientAddress}`,
+      ipAddress: options.ipAddress,
+      userAgent: options.userAgent || null
+    });
+
+    await claimTransaction.save();
+    await delegation.approve(admin._id, claimTransaction, options.note || null);
+    await user.recordDelegation(delegation);
+
+    logger.claim('Claim delegation approved', {
+      delegationId: delegation._id,
+      claimId: claimTransaction._id,
+      walletAddress: delegation.walletAddress,
+      recipientAddress: delegation.recipientAddress,
+      amount,
+      adminId: admin._id
+    });
+
+    return { delegation, claimTransaction };
+  }
+
+  /**
+   * Reject a pending request
+   * @param {Object} delegation - ClaimDelegation document
+   * @param {Object} admin - Reviewing admin
+   * @param {string} note - Reason given to the user
+   */
+  async reject(delegation, admin, note = null) {
+    const rejected = await ClaimDelegation.rejectPending(delegation._id, admin._id, note);
+    if (!rejected) {
+      throw new Error(await this.describeReviewed(delegation._id));
+    }
+
+    const user = await User.findById(rejected.user);
+    if (user) {
+      await user.recordDelegation(rejected);
+    }
+
+    logger.claim('Claim delegation rejected', {
+      delegationId: rejected._id,
+      walletAddress: rejected.walletAddress,
+      recipientAddress: rejected.recipientAddress,
+      adminId: admin._id
+    });
+
+    return rejected;
+  }
+
+  /**
+   * Why a request could not be taken for review
+   * @param {string} delegationId - ClaimDelegation ID
+   * @returns {Promise<string>} Error message
+   */
+  async describeReviewed(delegationId) {
+    const current = await ClaimDelegation.findById(delegationId).select('status');
+
+    if (!current) {
+      return 'Delegation request not found';
+    }
+
+    return current.status === 'approving'
+      ? 'Delegation request is already being approved'
+      : `Delegation request is already ${current.status}`;
+  }
+}
+
+module.exports = new ClaimDelegationService();
+module.exports.ClaimDelegationService = ClaimDelegationService;
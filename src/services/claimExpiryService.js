@@ -0,0 +1,187 @@
+/**
+ * Claim Expiry Service for GCT Token Platform
+ * Cancels claims that have sat in pending or processing for too long, so they
+ * stop blocking new claims, and lets users cancel their own. A claim is only
+ * cancelled once the chain shows that nothing was paid out for it.
+ */
+
+const ClaimTransaction = require('../models/ClaimTransaction');
+const OutboundTransaction = require('../models/OutboundTransaction');
+const chainRegistry = require('./chainRegistry');
+const logger = require('../utils/logger');
+const { chainFilter } = require('../utils/chains');
+
+const OPEN_STATUSES = ['pending', 'processing'];
+
+class ClaimExpiryService {
+  constructor(options = {}) {
+    this.interval = options.interval || parseInt(process.env.CLAIM_EXPIRY_CHECK_INTERVAL_MS) || 15 * 60 * 1000;
+    // Claims older than this are expired
+    this.maxAgeHours = options.maxAgeHours || parseInt(process.env.CLAIM_EXPIRY_MAX_AGE_HOURS) || 24;
+
+    this.timer = null;
+    this.checking = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return true;
+    }
+
+    const run = () => this.check().catch(error => {
+      logger.error('Stale claim check error', { error: error.message });
+    });
+
+    run();
+    this.timer = setInterval(run, this.interval);
+
+    logger.info('Stale claim expiry started', {
+      interval: this.interval,
+      maxAgeHours: this.maxAgeHours
+    });
+
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async check() {
+    if (this.checking) {
+      return;
+    }
+
+    this.checking = true;
+
+    try {
+      const claims = await ClaimTransaction.find({
+        status: { $in: OPEN_STATUSES },
+        createdAt: { $lt: new Date(Date.now() - this.maxAgeHours * 60 * 60 * 1000) }
+      }).sort({ createdAt: 1 });
+
+      let expired = 0;
+
+      for (const claim of claims) {
+        let onChain;
+        try {
+          onChain = await this.checkOnChain(claim);
+        } catch (error) {
+          // Without an answer from the chain the claim is left alone
+          logger.error('Stale claim chain check failed', {
+            claimId: claim._id,
+            error: error.message
+          });
+          continue;
+        }
+
+        if (onChain.landed || onChain.inFlight) {
+          logger.blockchain('Stale claim kept', {
+            claimId: claim._id,
+            walletAddress: claim.walletAddress,
+            reason: onChain.reason
+          });
+          continue;
+        }
+
+        const cancelled = await this.cancel(claim, 'expiry', `Expired after ${this.maxAgeHours} hours without settling`);
+        if (cancelled) {
+          expired++;
+        }
+      }
+
+      if (expired > 0) {
+        logger.info('Stale claims expired', { expired, checked: claims.length });
+      }
+
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Whether anything was, or may still be, paid out for a claim
+   * @param {Object} claim - ClaimTransaction document
+   * @returns {Promise<Object>} { landed, inFlight, reason }; throws when the chain cannot be read
+   */
+  async checkOnChain(claim) {
+    const { blockchain } = chainRegistry.get(claim.chainId);
+
+    if (claim.metadata && claim.metadata.safeExport) {
+      return { landed: false, inFlight: true, reason: 'Exported for Safe execution' };
+    }
+
+    const outbound = await OutboundTransaction.findOne({ claims: claim._id }).sort({ createdAt: -1 });
+
+    if (outbound && ['queued', 'submitted'].includes(outbound.status)) {
+      return { landed: false, inFlight: true, reason: `Transaction ${outbound.status}` };
+    }
+    if (outbound && outbound.status === 'mined') {
+      return { landed: true, inFlight: false, reason: 'Transaction mined' };
+    }
+
+    if (claim.transactionHash) {
+      const receipt = await blockchain.provider.getTransactionReceipt(claim.transactionHash);
+
+      if (receipt && receipt.status === 1) {
+        return { landed: true, inFlight: false, reason: 'Transaction mined' };
+      }
+    }
+
+    // A self-claim the indexer has not matched yet shows up as more claimed
+    // on the contract than the claims credited for the wallet
+    const onChain = BigInt(await blockchain.getClaimedAmount(claim.walletAddress, claim.distributorAddress));
+    const credited = await ClaimTransaction.find({
+      walletAddress: claim.walletAddress,
+      ...chainFilter(blockchain.chainId),
+      distributorAddress: claim.distributorAddress || null,
+      status: { $in: ['confirming', 'completed'] }
+    }).select('amount');
+
+    const creditedAmount = credited.reduce((total, credit) => total + BigInt(credit.amount), 0n);
+
+    if (onChain > creditedAmount) {
+      return { landed: true, inFlight: false, reason: 'Uncredited claim found on chain' };
+    }
+
+    return { landed: false, inFlight: false, reason: null };
+  }
+
+  /**
+   * Cancel an open claim unless its status changed in the meantime
+   * @param {Object} claim - ClaimTransaction document
+   * @param {string} cancelledBy - 'user' or 'expiry'
+   * @param {string} reason - Why the claim was cancelled
+   * @returns {Promise<Object|null>} The cancelled claim, null when it moved on
+   */
+  async cancel(claim, cancelledBy, reason) {
+    const cancelled = await ClaimTransaction.findOneAndUpdate(
+      { _id: claim._id, status: claim.status },
+      {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledBy,
+        cancelReason: reason
+      },
+      { new: true }
+    );
+
+    if (cancelled) {
+      logger.claim('Claim cancelled', {
+        claimId: claim._id,
+        walletAddress: claim.walletAddress,
+        previousStatus: claim.status,
+        cancelledBy,
+        reason
+      });
+    }
+
+    return cancelled;
+  }
+}
+
+module.exports = new ClaimExpiryService();
+module.exports.ClaimExpiryService = ClaimExpiryService;
@@ -0,0 +1,382 @@
+/**
+ * Claim Event Indexer for GCT Token Platform
+ * Follows Claim/AdminClaim events on the claim contract (and the distributors
+ * of multi-token distributions) and settles the matching ClaimTransaction
+ * documents with the real on-chain data. Also
+ * activates the MerkleTree named by MerkleRootUpdated events, which covers
+ * root updates executed outside the backend (e.g. by a Safe multisig).
+ */
+
+const { ethers } = require('ethers');
+const ClaimTransaction = require('../models/ClaimTransaction');
+const MerkleTreeModel = require('../models/MerkleTree');
+const IndexerState = require('../models/IndexerState');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { CONTRACT_ABI } = require('../utils/constants');
+const { getDefaultChainId, chainFilter } = require('../utils/chains');
+
+class ClaimIndexerService {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Cursor name persisted in IndexerState
+   * @param {Object} options.provider - ethers provider (any in-process dev chain provider works)
+   * @param {string} options.contractAddress - Claim contract address
+   * @param {number} options.startBlock - First block to index when no cursor exists
+   * @param {number} options.batchSize - Maximum blocks per eth_getLogs range
+   * @param {number} options.pollInterval - Milliseconds between polls
+   * @param {number} options.chainId - Chain the claims being settled belong to
+   * @param {Object} options.blockchainService - Service providing the provider and contract address
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'claim-events';
+    this.chainId = options.chainId || getDefaultChainId();
+    this.blockchainService = options.blockchainService || null;
+    this.provider = options.provider || null;
+    this.contract = null;
+    this.startBlock = options.startBlock !== undefined
+      ? options.startBlock
+      : (process.env.INDEXER_START_BLOCK ? parseInt(process.env.INDEXER_START_BLOCK) : null);
+    this.batchSize = options.batchSize || parseInt(process.env.INDEXER_BATCH_SIZE) || 2000;
+    this.pollInterval = options.pollInterval || parseInt(process.env.INDEXER_POLL_INTERVAL_MS) || 15000;
+    this.timer = null;
+    this.running = false;
+    this.rewindBlock = null;
+    this.lastRun = null;
+
+    if (this.provider && options.contractAddress) {
+      this.configure(this.provider, options.contractAddress);
+    }
+  }
+
+  configure(provider, contractAddress) {
+    this.provider = provider;
+    this.contract = new ethers.Contract(contractAddress, CONTRACT_ABI, provider);
+  }
+
+  start() {
+    if (!this.contract) {
+      // Fall back to the provider configured for the blockchain service
+      const blockchainService = this.blockchainService || require('./blockchainService');
+
+      if (!blockchainService.provider || !blockchainService.chain.contractAddress) {
+        logger.warn('Claim indexer not started: provider or contract address missing', {
+          chainId: this.chainId
+        });
+        return false;
+      }
+
+      this.configure(blockchainService.provider, blockchainService.chain.contractAddress);
+    }
+
+    if (this.timer) {
+      return true;
+    }
+
+    this.timer = setInterval(() => {
+      this.poll().catch(error => {
+        logger.error('Claim indexer poll error', { error: error.message });
+      });
+    }, this.pollInterval);
+
+    logger.blockchain('Claim indexer started', {
+      name: this.name,
+      chainId: this.chainId,
+      pollInterval: this.pollInterval,
+      batchSize: this.batchSize
+    });
+
+    // Catch up immediately instead of waiting for the first tick
+    this.poll().catch(error => {
+      logger.error('Claim indexer poll error', { error: error.message });
+    });
+
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.blockchain('Claim indexer stopped', { name: this.name });
+    }
+  }
+
+  /**
+   * Index every block between the stored cursor and the chain head
+   */
+  async poll() {
+    if (!this.contract) {
+      throw new Error('Claim indexer not configured');
+    }
+
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+
+    const summary = { fromBlock: null, toBlock: null, events: 0, matched: 0 };
+    let state = null;
+
+    try {
+      state = await IndexerState.getState(this.name, await this.contract.getAddress());
+      const head = await this.provider.getBlockNumber();
+
+      if (state.lastProcessedBlock === null) {
+        const startBlock = this.startBlock !== null ? this.startBlock : head;
+        state.lastProcessedBlock = startBlock - 1;
+      }
+
+      if (this.rewindBlock !== null) {
+        state.lastProcessedBlock = Math.min(state.lastProcessedBlock, this.rewindBlock - 1);
+        this.rewindBlock = null;
+      }
+
+      let fromBlock = state.lastProcessedBlock + 1;
+      summary.fromBlock = fromBlock;
+
+      while (fromBlock <= head && this.rewindBlock === null) {
+        const toBlock = Math.min(fromBlock + this.batchSize - 1, head);
+        const stats = await this.processRange(fromBlock, toBlock);
+
+        await state.advance(toBlock, stats);
+
+        summary.toBlock = toBlock;
+        summary.events += stats.events;
+        summary.matched += stats.matched;
+        fromBlock = toBlock + 1;
+      }
+
+      this.lastRun = { ...summary, finishedAt: new Date() };
+      return summary;
+
+    } catch (error) {
+      // Without a cursor (database unreachable) there is nowhere to record it
+      if (state) {
+        await state.recordError(error);
+      }
+      throw error;
+
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Distributor contracts besides the claim contract whose claim events are
+   * followed: those of the chain's active tree and of claims still open
+   * @returns {Promise<string[]>} Lowercase addresses
+   */
+  async getDistributors() {
+    const contractAddress = (await this.contract.getAddress()).toLowerCase();
+
+    const [activeTree, openDistributors] = await Promise.all([
+      MerkleTreeModel.findOne({ isActive: true, ...chainFilter(this.chainId) }).select('tokens'),
+      ClaimTransaction.distinct('distributorAddress', {
+        status: { $in: ['pending', 'processing', 'confirming'] },
+        ...chainFilter(this.chainId)
+      })
+    ]);
+
+    const distributors = new Set(openDistributors.filter(Boolean));
+    if (activeTree) {
+      activeTree.tokens.forEach(token => distributors.add(token.distributor));
+    }
+    distributors.delete(contractAddress);
+
+    return Array.from(distributors);
+  }
+
+  async processRange(fromBlock, toBlock) {
+    const distributors = await this.getDistributors();
+    const claimContracts = [this.contract, ...distributors.map(address => this.contract.attach(address))];
+
+    const [rootEvents, ...claimEvents] = await Promise.all([
+      this.contract.queryFilter(this.contract.filters.MerkleRootUpdated(), fromBlock, toBlock),
+      ...claimContracts.flatMap(contract => [
+        contract.queryFilter(contract.filters.Claim(), fromBlock, toBlock),
+        contract.queryFilter(contract.filters.AdminClaim(), fromBlock, toBlock)
+      ])
+    ]);
+
+    const events = [...claimEvents.flat(), ...rootEvents]
+      .sort((a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index));
+
+    let matched = 0;
+    for (const event of events) {
+      const handled = event.fragment.name === 'MerkleRootUpdated'
+        ? await this.handleRootUpdatedEvent(event)
+        : await this.handleClaimEvent(event);
+
+      if (handled) {
+        matched++;
+      }
+    }
+
+    return { events: events.length, matched };
+  }
+
+  async handleClaimEvent(event) {
+    const isAdminClaim = event.fragment.name === 'AdminClaim';
+    const account = event.args.account;
+    const amount = event.args.amount.toString();
+    const emitter = event.address.toLowerCase();
+
+    // Claims without a distributor are paid out by the claim contract itself
+    const claim = await ClaimTransaction.findMatchForEvent(
+      account,
+      amount,
+      isAdminClaim ? ['admin_claim'] : ['self_claim'],
+      event.transactionHash,
+      this.chainId,
+      emitter === (await this.contract.getAddress()).toLowerCase() ? [null, emitter] : [emitter]
+    );
+
+    if (!claim) {
+      logger.blockchain('Unmatched claim event', {
+        event: event.fragment.name,
+        account,
+        amount,
+        contract: emitter,
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber
+      });
+      return false;
+    }
+
+    if (claim.blockHash === event.blockHash) {
+      return false;
+    }
+
+    const receipt = await this.provider.getTransactionReceipt(event.transactionHash);
+    const previousStatus = claim.status;
+
+    // The confirmation watcher completes the claim once it is deep enough
+    const settled = await ClaimTransaction.recordMined(claim._id, {
+      transactionHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      blockHash: event.blockHash,
+      gasUsed: receipt ? receipt.gasUsed.toString() : null,
+      gasPrice: receipt ? receipt.gasPrice.toString() : null
+    });
+
+    if (settled) {
+      const user = await User.findById(claim.user);
+      if (user) {
+        await user.updateClaim(claim.amount, claim.tokenAddress);
+      }
+
+      if (previousStatus === 'cancelled') {
+        logger.claim('Cancelled claim reopened by chain event', {
+          claimId: claim._id,
+          walletAddress: claim.walletAddress,
+          cancelledBy: claim.cancelledBy,
+          transactionHash: event.transactionHash
+        });
+      }
+    }
+
+    logger.blockchain('Claim matched to chain event', {
+      claimId: claim._id,
+      event: event.fragment.name,
+      walletAddress: claim.walletAddress,
+      amount,
+      transactionHash: event.transactionHash,
+      blockNumber: event.blockNumber
+    });
+
+    return true;
+  }
+
+  async handleRootUpdatedEvent(event) {
+    const newRoot = event.args.newRoot.toLowerCase();
+
+    const merkleTree = await MerkleTreeModel.findOne({ root: newRoot, ...chainFilter(this.chainId) })
+      .sort({ createdAt: -1 });
+
+    if (!merkleTree) {
+      logger.blockchain('Unmatched Merkle root update', {
+        newRoot,
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber
+      });
+      return false;
+    }
+
+    // Already recorded, e.g. by the transaction queue that sent it
+    if (merkleTree.rootUpdate && merkleTree.rootUpdate.blockHash === event.blockHash) {
+      return false;
+    }
+
+    const previousTree = await MerkleTreeModel.findOne({
+      isActive: true,
+      _id: { $ne: merkleTree._id },
+      ...chainFilter(this.chainId)
+    }).select('_id');
+
+    // The confirmation watcher restores the previous tree if this block is reorganized away
+    await merkleTree.activate({
+      action: 'chain_event',
+      transactionHash: event.transactionHash,
+      blockNumber: event.blockNumber
+    });
+    await merkleTree.recordRootUpdate({
+      hash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      blockHash: event.blockHash
+    }, previousTree ? previousTree._id : null);
+
+    const merkleService = require('./merkleService');
+    await merkleService.loadActiveMerkleTree(this.chainId);
+
+    logger.blockchain('Merkle tree activated from chain event', {
+      merkleTreeId: merkleTree._id,
+      newRoot,
+      previousTree: previousTree ? previousTree._id : null,
+      transactionHash: event.transactionHash,
+      blockNumber: event.blockNumber
+    });
+
+    return true;
+  }
+
+  /**
+   * Move the cursor back so blocks from a reorganized range are re-indexed.
+   * Applied at the start of the next poll so a running poll cannot overwrite it.
+   * @param {number} blockNumber - First block that has to be processed again
+   */
+  rewind(blockNumber) {
+    this.rewindBlock = this.rewindBlock === null
+      ? blockNumber
+      : Math.min(this.rewindBlock, blockNumber);
+
+    logger.blockchain('Claim indexer rewind scheduled', {
+      name: this.name,
+      blockNumber
+    });
+  }
+
+  async getStatus() {
+    const state = await IndexerState.findOne({ name: this.name });
+
+    return {
+      name: this.name,
+      chainId: this.chainId,
+      configured: !!this.contract,
+      started: !!this.timer,
+      running: this.running,
+      pollInterval: this.pollInterval,
+      batchSize: this.batchSize,
+      lastProcessedBlock: state ? state.lastProcessedBlock : null,
+      lastRunAt: state ? state.lastRunAt : null,
+      lastError: state ? state.lastError : null,
+      eventsProcessed: state ? state.eventsProcessed : 0,
+      claimsMatched: state ? state.claimsMatched : 0,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = new ClaimIndexerService();
+module.exports.ClaimIndexerService = ClaimIndexerService;
@@ -0,0 +1,181 @@
+/**
+ * Claim Intent Service for GCT Token Platform
+ * Builds the EIP-712 typed data a wallet signs to request a self-claim, or to
+ * have its allocation paid to another wallet, and verifies the signature.
+ * Every intent carries the wallet's next claim nonce, so a signature can be
+ * used for one request only.
+ */
+
+const { ethers } = require('ethers');
+const User = require('../models/User');
+
+const DOMAIN_NAME = 'GCT Token Claim';
+const DOMAIN_VERSION = '1';
+
+const CLAIM_INTENT_TYPES = {
+  ClaimIntent: [
+    { name: 'wallet', type: 'address' },
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'merkleRoot', type: 'bytes32' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+const CLAIM_DELEGATION_TYPES = {
+  ClaimDelegation: [
+    { name: 'wallet', type: 'address' },
+    { name: 'recipient', type: 'address' },
+    { name: 'token', type: 'address' },
+    { name: 'merkleRoot', type: 'bytes32' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+class ClaimIntentService {
+  constructor(options = {}) {
+    // Lifetime of the intents handed out, and the furthest deadline accepted
+    this.ttl = options.ttl || parseInt(process.env.CLAIM_INTENT_TTL_SECONDS) || 10 * 60;
+  }
+
+  /**
+   * EIP-712 domain of a chain's distributor contract
+   * @param {Object} chain - Chain config from utils/chains
+   * @param {Object} token - Token of a multi-token tree, null for single-token trees
+   */
+  getDomain(chain, token = null) {
+    const verifyingContract = token && token.distributor ? token.distributor : chain.contractAddress;
+
+    return {
+      name: DOMAIN_NAME,
+      version: DOMAIN_VERSION,
+      chainId: chain.chainId,
+      ...(verifyingContract ? { verifyingContract: ethers.getAddress(verifyingContract) } : {})
+    };
+  }
+
+  /**
+   * Typed data of a claim intent, ready for eth_signTypedData_v4
+   * @param {Object} params
+   * @param {Object} params.chain - Chain config
+   * @param {Object} params.merkleTree - Active merkle tree document
+   * @param {Object} params.token - Token of a multi-token tree
+   * @param {string} params.walletAddress - Claiming wallet
+   * @param {string} params.amount - Amount in wei
+   * @param {number} params.nonce - The wallet's claim nonce
+   * @param {number} params.deadline - Unix time (seconds) after which the intent is refused
+   */
+  getTypedData({ chain, merkleTree, token, walletAddress, amount, nonce, deadline }) {
+    return {
+      domain: this.getDomain(chain, token),
+      types: CLAIM_INTENT_TYPES,
+      primaryType: 'ClaimIntent',
+      message: {
+        wallet: ethers.getAddress(walletAddress),
+        token: token ? ethers.getAddress(token.address) : ethers.ZeroAddress,
+        amount: amount.toString(),
+        merkleRoot: merkleTree.root,
+        chainId: chain.chainId,
+        nonce: Number(nonce),
+        deadline: Number(deadline)
+      }
+    };
+  }
+
+  /**
+   * Typed data of a request to pay a wallet's allocation to another wallet
+   * @param {Object} params - As getTypedData, with recipient instead of amount
+   */
+  getDelegationTypedData({ chain, merkleTree, token, walletAddress, recipient, nonce, deadline }) {
+    return {
+      domain: this.getDomain(chain, token),
+      types: CLAIM_DELEGATION_TYPES,
+      primaryType: 'ClaimDelegation',
+      message: {
+        wallet: ethers.getAddress(walletAddress),
+        recipient: ethers.getAddress(recipient),
+        token: token ? ethers.getAddress(token.address) : ethers.ZeroAddress,
+        merkleRoot: merkleTree.root,
+        chainId: chain.chainId,
+        nonce: Number(nonce),
+        deadline: Number(deadline)
+      }
+    };
+  }
+
+  /**
+   * Fresh intent for a wallet to sign; a delegation when params.recipient is set
+   * @returns {Promise<Object>} Typed data with the wallet's current nonce
+   */
+  async createIntent(params) {
+    const user = await User.findByWallet(params.walletAddress);
+    const typedData = {
+      ...params,
+      nonce: user ? user.claimNonce : 0,
+      deadline: Math.floor(Date.now() / 1000) + this.ttl
+    };
+
+    return params.recipient ? this.getDelegationTypedData(typedData) : this.getTypedData(typedData);
+  }
+
+  /**
+   * Why a deadline cannot be accepted, or null
+   * @param {number} deadline - Unix time in seconds
+   */
+  checkDeadline(deadline) {
+    const now = Math.floor(Date.now() / 1000);
+
+    if (deadline < now) {
+      return 'Claim intent has expired';
+    }
+    if (deadline > now + this.ttl) {
+      return 'Claim intent deadline is too far in the future';
+    }
+
+    return null;
+  }
+
+  /**
+   * Recover the signer of a claim intent
+   * @param {Object} typedData - From getTypedData
+   * @param {string} signature - EIP-712 signature
+   * @returns {Object} { signer, digest }; throws on malformed signatures
+   */
+  recoverSigner(typedData, signature) {
+    const { domain, types, message } = typedData;
+
+    return {
+      signer: ethers.verifyTypedData(domain, types, message, signature),
+      digest: ethers.TypedDataEncoder.hash(domain, types, message)
+    };
+  }
+
+  /**
+   * Use up a nonce; fails when another request used it first
+   * @param {Object} user - User document
+   * @param {number} nonce - Nonce of the intent
+   * @returns {Promise<boolean>}
+   */
+  async consumeNonce(user, nonce) {
+    const result = await User.updateOne(
+      { _id: user._id, claimNonce: nonce },
+      { $inc: { claimNonce: 1 } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
+    user.claimNonce = nonce + 1;
+    return true;
+  }
+}
+
+module.exports = new ClaimIntentService();
+module.exports.ClaimIntentService = ClaimIntentService;
+module.exports.CLAIM_INTENT_TYPES = CLAIM_INTENT_TYPES;
+module.exports.CLAIM_DELEGATION_TYPES = CLAIM_DELEGATION_TYPES;
@@ -0,0 +1,309 @@
+/**
+ * Clawback Service for GCT Token Platform
+ * Once a tree's claim window has closed, works out what every wallet left
+ * unclaimed, stores it as a sweep report and hands the sweep to the
+ * blockchain service of the tree's chain
+ */
+
+const Clawback = require('../models/Clawback');
+const MerkleTreeModel = require('../models/MerkleTree');
+const ClaimTransaction = require('../models/ClaimTransaction');
+const User = require('../models/User');
+const chainRegistry = require('./chainRegistry');
+const logger = require('../utils/logger');
+const { chainFilter } = require('../utils/chains');
+
+// Leaves looked up against users per query
+const BATCH_SIZE = 500;
+
+// Claims that can still pay out
+const OPEN_CLAIM_STATUSES = ['pending', 'processing', 'confirming'];
+
+// Claims that paid out
+const SETTLED_CLAIM_STATUSES = ['confirming', 'completed'];
+
+// Reports whose sweep can be sent (again)
+const SWEEPABLE_STATUSES = ['reported', 'failed'];
+
+const REPORT_COLUMNS = ['walletAddress', 'tokenAddress', 'allocation', 'claimed', 'unclaimed'];
+
+class ClawbackService {
+  /**
+   * Every leaf of a tree with what its wallet claimed and left unclaimed, in
+   * wallet order. Claims are the settled claims made against this tree (which
+   * include the claims the indexer picks up on chain), capped at the allocation.
+   * @param {Object} merkleTree - Merkle tree document
+   * @yields {Array} Batches of { walletAddress, tokenAddress, user, allocation, claimed, unclaimed }
+   */
+  async *walkUnclaimed(merkleTree) {
+    let batch = [];
+
+    for await (const leaf of merkleTree.iterateLeaves('walletAddress')) {
+      batch.push(leaf);
+
+      if (batch.length >= BATCH_SIZE) {
+        yield await this.addClaimed(merkleTree, batch);
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      yield await this.addClaimed(merkleTree, batch);
+    }
+  }
+
+  async addClaimed(merkleTree, leaves) {
+    const wallets = Array.from(new Set(leaves.map(leaf => leaf.walletAddress.toLowerCase())));
+
+    const users = await User.find({
+      walletAddress: { $in: wallets }
+    }).select('walletAddress email totalClaimed tokenBalances');
+
+    const usersByWallet = new Map(users.map(user => [user.walletAddress, user]));
+    const claimedByLeaf = await this.getClaimedByLeaf(merkleTree, wallets);
+
+    return leaves.map(leaf => {
+      const walletAddress = leaf.walletAddress.toLowerCase();
+      const tokenAddress = leaf.tokenAddress || null;
+      const user = usersByWallet.get(walletAddress) || null;
+
+      const allocation = BigInt(leaf.amount);
+      const recorded = claimedByLeaf.get(`${walletAddress}:${tokenAddress}`) || 0n;
+      const claimed = recorded < allocation ? recorded : allocation;
+
+      return {
+        walletAddress,
+        tokenAddress,
+        user,
+        allocation: allocation.toString(),
+        claimed: claimed.toString(),
+        unclaimed: (allocation - claimed).toString()
+      };
+    });
+  }
+
+  /**
+   * What each wallet was paid out of a tree, keyed by wallet and token. Claims
+   * made before claims recorded their tree are matched by the root the wallet
+   * signed. Leaves of cumulative trees are lifetime totals, so they are
+   * compared with the contract's claimed() instead.
+   * @param {Object} merkleTree - Merkle tree document
+   * @param {string[]} wallets - Lowercase wallet addresses
+   * @returns {Promise<Map>} "wallet:token" to amount in wei (BigInt)
+   */
+  async getClaimedByLeaf(merkleTree, wallets) {
+    const claimed = new Map();
+
+    if (merkleTree.distributionMode === 'cumulative') {
+      const { blockchain } = chainRegistry.get(merkleTree.chainId);
+
+      for (const walletAddress of wallets) {
+        claimed.set(`${walletAddress}:null`, BigInt(await blockchain.getClaimedAmount(walletAddress)));
+      }
+      return claimed;
+    }
+
+    const claims = await ClaimTransaction.find({
+      walletAddress: { $in: wallets },
+      ...chainFilter(merkleTree.chainId),
+      status: { $in: SETTLED_CLAIM_STATUSES },
+      $or: [
+        { merkleTree: merkleTree._id },
+        { merkleTree: null, 'intent.merkleRoot': merkleTree.root }
+      ]
+    }).select('walletAddress tokenAddress amount');
+
+    claims.forEach(claim => {
+      const key = `${claim.walletAddress}:${claim.tokenAddress || null}`;
+      claimed.set(key, (claimed.get(key) || 0n) + BigInt(claim.amount));
+    });
+
+    return claimed;
+  }
+
+  countOpenClaims(chainId) {
+    return ClaimTransaction.countDocuments({
+      ...chainFilter(chainId),
+      status: { $in: OPEN_CLAIM_STATUSES }
+    });
+  }
+
+  /**
+   * Build and store the sweep report of a tree whose claim window has closed
+   * @param {string} merkleTreeId - Merkle tree ID
+   * @param {string} adminId - Admin requesting the report
+   */
+  async createReport(merkleTreeId, adminId) {
+    const merkleTree = await MerkleTreeModel.findById(merkleTreeId);
+
+    if (!merkleTree) {
+      throw new Error('Merkle tree not found');
+    }
+    if (!merkleTree.claimEndTime) {
+      throw new Error('Merkle tree has no claim end time');
+    }
+    if (merkleTree.getClaimWindow().status !== 'closed') {
+      throw new Error('Claim window has not closed yet');
+    }
+
+    // A new report would count what was swept as unclaimed and send it again
+    const sentReport = await Clawback.findSentReport(merkleTree._id);
+    if (sentReport) {
+      throw new Error(`Clawback ${sentReport._id} of this tree is already ${sentReport.status}; send that report again if it failed`);
+    }
+
+    const tokens = new Map();
+    const wallets = { unclaimed: 0, untouched: 0 };
+    let current = null;
+
+    const closeWallet = () => {
+      if (current && current.unclaimed) {
+        wallets.unclaimed++;
+      }
+      if (current && !current.claimed) {
+        wallets.untouched++;
+      }
+    };
+
+    for await (const batch of this.walkUnclaimed(merkleTree)) {
+      for (const row of batch) {
+        // Leaves arrive in wallet order, one per token
+        if (!current || current.walletAddress !== row.walletAddress) {
+          closeWallet();
+          current = { walletAddress: row.walletAddress, claimed: false, unclaimed: false };
+        }
+        current.claimed = current.claimed || row.claimed !== '0';
+        current.unclaimed = current.unclaimed || row.unclaimed !== '0';
+
+        if (!tokens.has(row.tokenAddress)) {
+          const token = row.tokenAddress ? merkleTree.getToken(row.tokenAddress) : null;
+          tokens.set(row.tokenAddress, {
+            tokenAddress: row.tokenAddress,
+            distributor: token ? token.distributor : null,
+            allocated: 0n,
+            claimed: 0n,
+            unclaimed: 0n,
+            wallets: 0
+          });
+        }
+
+        const totals = tokens.get(row.tokenAddress);
+        totals.allocated += BigInt(row.allocation);
+        totals.claimed += BigInt(row.claimed);
+        totals.unclaimed += BigInt(row.unclaimed);
+        if (row.unclaimed !== '0') {
+          totals.wallets++;
+        }
+      }
+    }
+    closeWallet();
+
+    const entries = Array.from(tokens.values());
+    const sum = field => entries.reduce((total, entry) => total + entry[field], 0n).toString();
+
+    const clawback = new Clawback({
+      merkleTree: merkleTree._id,
+      chainId: merkleTree.chainId,
+      claimEndTime: merkleTree.claimEndTime,
+      totalAllocated: sum('allocated'),
+      totalClaimed: sum('claimed'),
+      totalUnclaimed: sum('unclaimed'),
+      unclaimedWallets: wallets.unclaimed,
+      untouchedWallets: wallets.untouched,
+      tokens: entries.map(entry => ({
+        ...entry,
+        allocated: entry.allocated.toString(),
+        claimed: entry.claimed.toString(),
+        unclaimed: entry.unclaimed.toString()
+      })),
+      openClaims: await this.countOpenClaims(merkleTree.chainId),
+      adminId
+    });
+
+    await clawback.save();
+
+    logger.info('Clawback report created', {
+      clawbackId: clawback._id,
+      merkleTreeId: merkleTree._id,
+      totalUnclaimed: clawback.totalUnclaimed,
+      unclaimedWallets: clawback.unclaimedWallets,
+      openClaims: clawback.openClaims
+    });
+
+    return clawback;
+  }
+
+  /**
+   * Send the sweep transactions of a report
+   * @param {string} clawbackId - Clawback ID
+   * @param {string} recipient - Address receiving the unclaimed tokens
+   * @param {string} adminId - Admin sending the sweep
+   */
+  async sweep(clawbackId, recipient, adminId) {
+    const clawback = await Clawback.findById(clawbackId);
+
+    if (!clawback) {
+      throw new Error('Clawback report not found');
+    }
+    if (!SWEEPABLE_STATUSES.includes(clawback.status)) {
+      throw new Error(`Clawback is already ${clawback.status}`);
+    }
+
+    // Claims sent before the deadline are paid out first
+    const openClaims = await this.countOpenClaims(clawback.chainId);
+    if (openClaims > 0) {
+      throw new Error(`${openClaims} claims are still open; sweep once they have settled`);
+    }
+
+    // Take the report before anything is queued, so a concurrent request cannot send it too
+    const previousStatus = clawback.status;
+    const taken = await Clawback.findOneAndUpdate(
+      { _id: clawback._id, status: { $in: SWEEPABLE_STATUSES } },
+      { status: 'sweeping' },
+      { new: true }
+    );
+
+    if (!taken) {
+      throw new Error('Clawback is already being swept');
+    }
+
+    try {
+      const sentReport = await Clawback.findSentReport(taken.merkleTree, taken._id);
+      if (sentReport) {
+        throw new Error(`Clawback ${sentReport._id} of this tree is already ${sentReport.status}`);
+      }
+
+      const { blockchain } = chainRegistry.get(taken.chainId);
+
+      return await blockchain.sweepUnclaimed(taken, recipient, adminId);
+
+    } catch (error) {
+      // Entries queued before the error stay queued and are skipped when the report is sent again
+      taken.status = taken.tokens.some(entry => entry.status === 'queued') ? 'failed' : previousStatus;
+      await taken.save();
+      throw error;
+    }
+  }
+
+  /**
+   * Stream the per-wallet rows of a tree's report as CSV
+   * @param {Object} merkleTree - Merkle tree document
+   * @yields {string} CSV text, header first
+   */
+  async *toCsv(merkleTree) {
+    yield REPORT_COLUMNS.join(',') + '\n';
+
+    for await (const batch of this.walkUnclaimed(merkleTree)) {
+      const rows = batch
+        .filter(row => row.unclaimed !== '0')
+        .map(row => REPORT_COLUMNS.map(column => row[column] || '').join(',') + '\n');
+
+      if (rows.length > 0) {
+        yield rows.join('');
+      }
+    }
+  }
+}
+
+module.exports = new ClawbackService();
+module.exports.ClawbackService = ClawbackService;
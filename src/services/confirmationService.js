@@ -0,0 +1,311 @@
+/**
+ * Confirmation Watcher for GCT Token Platform
+ * Promotes mined claims and Merkle root updates once they are buried under
+ * the configured confirmation depth, and rolls them back if their block
+ * leaves the canonical chain
+ */
+
+const ClaimTransaction = require('../models/ClaimTransaction');
+const MerkleTreeModel = require('../models/MerkleTree');
+const User = require('../models/User');
+const claimIndexer = require('./claimIndexerService');
+const logger = require('../utils/logger');
+const { getDefaultChainId, chainFilter } = require('../utils/chains');
+
+class ConfirmationService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - ethers provider
+   * @param {number} options.confirmationDepth - Blocks required before a transaction is final
+   * @param {number} options.pollInterval - Milliseconds between checks
+   * @param {number} options.chainId - Chain whose claims and root updates are watched
+   * @param {Object} options.blockchainService - Service providing the provider
+   * @param {Object} options.indexer - Claim indexer rewound after a rollback
+   */
+  constructor(options = {}) {
+    this.chainId = options.chainId || getDefaultChainId();
+    this.blockchainService = options.blockchainService || null;
+    this.indexer = options.indexer || claimIndexer;
+    this.provider = options.provider || null;
+    this.confirmationDepth = options.confirmationDepth || parseInt(process.env.CONFIRMATION_DEPTH) || 15;
+    this.pollInterval = options.pollInterval || parseInt(process.env.CONFIRMATION_POLL_INTERVAL_MS) || 10000;
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  start() {
+    if (!this.provider) {
+      const blockchainService = this.blockchainService || require('./blockchainService');
+
+      if (!blockchainService.provider) {
+        logger.warn('Confirmation watcher not started: provider missing', {
+          chainId: this.chainId
+        });
+        return false;
+      }
+
+      this.provider = blockchainService.provider;
+    }
+
+    if (this.timer) {
+      return true;
+    }
+
+    this.timer = setInterval(() => {
+      this.poll().catch(error => {
+        logger.error('Confirmation watcher poll error', { error: error.message });
+      });
+    }, this.pollInterval);
+
+    logger.blockchain('Confirmation watcher started', {
+      chainId: this.chainId,
+      confirmationDepth: this.confirmationDepth,
+      pollInterval: this.pollInterval
+    });
+
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.blockchain('Confirmation watcher stopped');
+    }
+  }
+
+  async poll() {
+    if (!this.provider) {
+      throw new Error('Confirmation watcher not configured');
+    }
+
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+
+    try {
+      const head = await this.provider.getBlockNumber();
+      const summary = { head, confirmed: 0, moved: 0, rolledBack: 0 };
+
+      const claims = await ClaimTransaction.getConfirmingClaims(this.chainId);
+      for (const claim of claims) {
+        const outcome = await this.checkClaim(claim, head);
+        if (summary[outcome] !== undefined) {
+          summary[outcome]++;
+        }
+      }
+
+      const trees = await MerkleTreeModel.find({
+        'rootUpdate.status': 'confirming',
+        ...chainFilter(this.chainId)
+      }).select('-leaves');
+      for (const tree of trees) {
+        const outcome = await this.checkRootUpdate(tree, head);
+        if (summary[outcome] !== undefined) {
+          summary[outcome]++;
+        }
+      }
+
+      this.lastRun = { ...summary, finishedAt: new Date() };
+      return summary;
+
+    } finally {
+      this.running = false;
+    }
+  }
+
+  isDeepEnough(blockNumber, head) {
+    return head - blockNumber + 1 >= this.confirmationDepth;
+  }
+
+  async checkClaim(claim, head) {
+    const receipt = await this.provider.getTransactionReceipt(claim.transactionHash);
+
+    if (receipt && receipt.blockHash === claim.blockHash) {
+      if (!this.isDeepEnough(receipt.blockNumber, head)) {
+        return 'pending';
+      }
+
+      claim.status = 'completed';
+      claim.confirmedAt = new Date();
+      await claim.save();
+
+      logger.blockchain('Claim confirmed', {
+        claimId: claim._id,
+        transactionHash: claim.transactionHash,
+        blockNumber: claim.blockNumber,
+        confirmationDepth: this.confirmationDepth
+      });
+
+      return 'confirmed';
+    }
+
+    // Re-included in a different block of the new canonical chain
+    if (receipt && receipt.status === 1) {
+      logger.blockchain('Claim transaction moved to a new block', {
+        claimId: claim._id,
+        transactionHash: claim.transactionHash,
+        oldBlockHash: claim.blockHash,
+        newBlockHash: receipt.blockHash
+      });
+
+      claim.blockNumber = receipt.blockNumber;
+      claim.blockHash = receipt.blockHash;
+      await claim.save();
+
+      return 'moved';
+    }
+
+    if (!await this.isReorged(claim.blockNumber, claim.blockHash)) {
+      logger.warn('Claim receipt not found but its block is still canonical', {
+        claimId: claim._id,
+        transactionHash: claim.transactionHash,
+        blockNumber: claim.blockNumber
+      });
+      return 'pending';
+    }
+
+    await this.rollbackClaim(claim, receipt);
+    return 'rolledBack';
+  }
+
+  /**
+   * A missing receipt alone does not prove a reorg: a lagging or pruned RPC
+   * endpoint answers null too. The block is only gone when the endpoint with
+   * the highest head has a different block at its height.
+   * @param {number} blockNumber - Block the transaction was mined in
+   * @param {string} blockHash - Hash of that block when it was mined
+   * @returns {Promise<boolean>}
+   */
+  async isReorged(blockNumber, blockHash) {
+    const provider = typeof this.provider.getHeadProvider === 'function'
+      ? this.provider.getHeadProvider()
+      : this.provider;
+    const block = await provider.getBlock(blockNumber);
+
+    return !!block && block.hash !== blockHash;
+  }
+
+  async rollbackClaim(claim, receipt) {
+    const reorgedBlock = claim.blockNumber;
+
+    const user = await User.findById(claim.user);
+    if (user) {
+      await user.revertClaim(claim.amount, claim.tokenAddress);
+    }
+
+    // A transaction still known to the node will be mined again and picked
+    // up by the indexer through its hash
+    const stillPending = !receipt && await this.provider.getTransaction(claim.transactionHash);
+
+    claim.blockNumber = null;
+    claim.blockHash = null;
+    claim.gasUsed = null;
+    claim.gasPrice = null;
+
+    if (stillPending) {
+      claim.status = 'processing';
+    } else if (claim.type === 'self_claim') {
+      // The user may resubmit; let the indexer match any new Claim event
+      claim.status = 'processing';
+      claim.transactionHash = null;
+    } else {
+      claim.status = 'failed';
+      claim.failureReason = receipt
+        ? 'Transaction reverted after chain reorganization'
+        : 'Transaction dropped by chain reorganization';
+    }
+
+    await claim.save();
+
+    this.indexer.rewind(reorgedBlock);
+
+    logger.blockchain('Claim rolled back after chain reorganization', {
+      claimId: claim._id,
+      walletAddress: claim.walletAddress,
+      amount: claim.amount,
+      reorgedBlock,
+      status: claim.status
+    });
+  }
+
+  async checkRootUpdate(tree, head) {
+    const { transactionHash, blockHash } = tree.rootUpdate;
+    const receipt = await this.provider.getTransactionReceipt(transactionHash);
+
+    if (receipt && receipt.blockHash === blockHash) {
+      if (!this.isDeepEnough(receipt.blockNumber, head)) {
+        return 'pending';
+      }
+
+      tree.rootUpdate.status = 'confirmed';
+      tree.rootUpdate.confirmedAt = new Date();
+      await tree.save();
+
+      logger.blockchain('Merkle root update confirmed', {
+        merkleTreeId: tree._id,
+        root: tree.root,
+        transactionHash
+      });
+
+      return 'confirmed';
+    }
+
+    if (receipt && receipt.status === 1) {
+      tree.rootUpdate.blockNumber = receipt.blockNumber;
+      tree.rootUpdate.blockHash = receipt.blockHash;
+      await tree.save();
+
+      return 'moved';
+    }
+
+    if (!await this.isReorged(tree.rootUpdate.blockNumber, blockHash)) {
+      logger.warn('Merkle root update receipt not found but its block is still canonical', {
+        merkleTreeId: tree._id,
+        transactionHash,
+        blockNumber: tree.rootUpdate.blockNumber
+      });
+      return 'pending';
+    }
+
+    const previousTreeId = await tree.rollbackRootUpdate();
+
+    // Refresh the cached active tree used for eligibility checks
+    const merkleService = require('./merkleService');
+    await merkleService.loadActiveMerkleTree(this.chainId);
+
+    logger.blockchain('Merkle root update rolled back after chain reorganization', {
+      merkleTreeId: tree._id,
+      root: tree.root,
+      transactionHash,
+      restoredTreeId: previousTreeId
+    });
+
+    return 'rolledBack';
+  }
+
+  async getStatus() {
+    const [confirmingClaims, confirmingRootUpdates] = await Promise.all([
+      ClaimTransaction.countDocuments({ status: 'confirming', ...chainFilter(this.chainId) }),
+      MerkleTreeModel.countDocuments({ 'rootUpdate.status': 'confirming', ...chainFilter(this.chainId) })
+    ]);
+
+    return {
+      chainId: this.chainId,
+      configured: !!this.provider,
+      started: !!this.timer,
+      running: this.running,
+      confirmationDepth: this.confirmationDepth,
+      pollInterval: this.pollInterval,
+      confirmingClaims,
+      confirmingRootUpdates,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = new ConfirmationService();
+module.exports.ConfirmationService = ConfirmationService;
@@ -54,9 +54,11 @@ class EmailService {
     
     if (!fs.existsSync(templatesDir)) {
       fs.mkdirSync(templatesDir, { recursive: true });
-      this.createDefaultTemplates(templatesDir);
     }
     
+    // Add default templates that are missing, keeping customized ones
+    this.createDefaultTemplates(templatesDir);
+    
     const templateFiles = fs.readdirSync(templatesDir);
     
     for (const file of templateFiles) {
@@ -173,6 +175,54 @@ class EmailService {
     </div>
   </div>
 </body>
+</html>`;
+
+    // Claim deadline template
+    const claimDeadlineTemplate = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Claim deadline approaching - GCT Token</title>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: linear-gradient(135deg, #00ff00, #28a745); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+    .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+    .deadline { background: #fff3cd; color: #856404; padding: 10px 20px; border-radius: 5px; font-weight: bold; text-align: center; margin: 20px 0; }
+    .button { display: inline-block; background: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+    .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>Claim deadline approaching</h1>
+    </div>
+    <div class="content">
+      <h2>Hello {{name}},</h2>
+      
+      <p>You still have unclaimed tokens in <strong>{{distribution}}</strong>:</p>
+      <ul>
+        {{#each amounts}}
+        <li>{{amount}} {{symbol}}</li>
+        {{/each}}
+      </ul>
+      
+      <div class="deadline">
+        Claims close on {{deadline}}
+      </div>
+      
+      <p>Tokens that are not claimed by then are returned to the treasury.</p>
+      
+      <a href="{{platformUrl}}" class="button">Claim now</a>
+      
+      <p>Best regards,<br>The GCT Team</p>
+    </div>
+    <div class="footer">
+      <p>© {{currentYear}} Green Candle Token Platform. All rights reserved.</p>
+    </div>
+  </div>
+</body>
 </html>`;
 
     // Password reset template
@@ -217,12 +267,59 @@ class EmailService {
 </body>
 </html>`;
 
-    // Save templates
-    fs.writeFileSync(path.join(templatesDir, 'welcome.hbs'), welcomeTemplate);
-    fs.writeFileSync(path.join(templatesDir, 'claim.hbs'), claimTemplate);
-    fs.writeFileSync(path.join(templatesDir, 'reset.hbs'), resetTemplate);
+    // Admin notification template
+    const adminNotificationTemplate = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>{{subject}}</title>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: linear-gradient(135deg, #343a40, #28a745); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+    .content { background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px; }
+    .message { background: white; border-left: 4px solid #28a745; padding: 15px 20px; margin: 20px 0; }
+    .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>{{subject}}</h1>
+    </div>
+    <div class="content">
+      <h2>Hello {{name}},</h2>
+      
+      <div class="message">{{message}}</div>
+      
+      <p>You can review the details in the admin dashboard: <a href="{{platformUrl}}">{{platformUrl}}</a></p>
+      
+      <p>Best regards,<br>GCT Platform</p>
+    </div>
+    <div class="footer">
+      <p>© {{currentYear}} Green Candle Token Platform. All rights reserved.</p>
+    </div>
+  </div>
+</body>
+</html>`;
+
+    const defaults = {
+      welcome: welcomeTemplate,
+      claim: claimTemplate,
+      claim_deadline: claimDeadlineTemplate,
+      reset: resetTemplate,
+      admin_notification: adminNotificationTemplate
+    };
     
-    logger.info('Created default email templates');
+    // Save templates
+    for (const [name, template] of Object.entries(defaults)) {
+      const templatePath = path.join(templatesDir, `${name}.hbs`);
+      
+      if (!fs.existsSync(templatePath)) {
+        fs.writeFileSync(templatePath, template);
+        logger.info('Created default email template', { template: name });
+      }
+    }
   }
 
   async sendEmail(to, subject, templateName, data = {}) {
@@ -315,6 +412,23 @@ class EmailService {
     );
   }
 
+  async sendClaimDeadlineNotice(user, notice) {
+    return this.sendEmail(
+      user.email,
+      'Claim deadline approaching - GCT Token',
+      'claim_deadline',
+      {
+        name: user.name || 'User',
+        distribution: notice.distribution,
+        deadline: new Date(notice.deadline).toLocaleString(),
+        amounts: notice.amounts.map(entry => ({
+          amount: this.formatAmount(entry.amount),
+          symbol: entry.symbol
+        }))
+      }
+    );
+  }
+
   async sendPasswordResetEmail(user, resetToken) {
     const resetUrl = `${process.env.PLATFORM_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
     
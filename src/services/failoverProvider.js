@@ -0,0 +1,329 @@
+/**
+ * Failover RPC Provider for GCT Token Platform
+ * Spreads requests over several JSON-RPC endpoints of one network. Endpoints are
+ * scored by latency, error rate and block lag; requests fail over to the next
+ * endpoint on transport errors and periodic probes re-enable recovered endpoints.
+ */
+
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+
+// Errors caused by the endpoint rather than by the request itself
+const RETRIABLE_ERROR_CODES = ['SERVER_ERROR', 'TIMEOUT', 'NETWORK_ERROR', 'UNKNOWN_ERROR', 'BAD_DATA'];
+
+// Weight of the newest sample in the latency and error rate moving averages
+const SAMPLE_WEIGHT = 0.2;
+
+/**
+ * Hide credentials that RPC providers embed in the URL path or query
+ */
+function maskRpcUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const hasSecrets = parsed.pathname.length > 1 || parsed.search || parsed.username;
+    return `${parsed.protocol}//${parsed.host}${hasSecrets ? '/***' : ''}`;
+  } catch (error) {
+    return 'invalid-url';
+  }
+}
+
+function isRetriableError(error) {
+  return !error.code || RETRIABLE_ERROR_CODES.includes(error.code);
+}
+
+class FailoverProvider extends ethers.AbstractProvider {
+  /**
+   * @param {string[]} urls - RPC endpoints, in order of preference
+   * @param {number} chainId - Chain every endpoint must serve
+   * @param {Object} options
+   * @param {number} options.timeout - Request timeout per endpoint in milliseconds
+   * @param {number} options.probeInterval - Interval between health probes in milliseconds
+   * @param {number} options.maxFailures - Consecutive failures before an endpoint is disabled
+   * @param {number} options.maxBlockLag - Blocks an endpoint may trail the best endpoint
+   */
+  constructor(urls, chainId, options = {}) {
+    const network = ethers.Network.from(chainId);
+    super(network, { staticNetwork: network });
+
+    this.chainId = chainId;
+    this.timeout = options.timeout || parseInt(process.env.RPC_TIMEOUT_MS) || 10000;
+    this.probeInterval = options.probeInterval || parseInt(process.env.RPC_PROBE_INTERVAL_MS) || 30000;
+    this.maxFailures = options.maxFailures || parseInt(process.env.RPC_MAX_FAILURES) || 3;
+    this.maxBlockLag = options.maxBlockLag || parseInt(process.env.RPC_MAX_BLOCK_LAG) || 5;
+    this.probeTimer = null;
+
+    this.endpoints = urls.map((url, index) => {
+      const request = new ethers.FetchRequest(url);
+      request.timeout = this.timeout;
+      // Fail over on rate limiting instead of waiting out ethers' retries
+      request.setThrottleParams({ maxAttempts: 1 });
+
+      return {
+        url,
+        label: maskRpcUrl(url),
+        priority: index,
+        provider: new ethers.JsonRpcProvider(request, network, { staticNetwork: network }),
+        enabled: true,
+        requests: 0,
+        errors: 0,
+        consecutiveFailures: 0,
+        latency: null,
+        errorRate: 0,
+        blockNumber: null,
+        blockLag: 0,
+        lastError: null,
+        lastErrorAt: null,
+        lastProbeAt: null,
+        disabledAt: null
+      };
+    });
+  }
+
+  async _detectNetwork() {
+    return ethers.Network.from(this.chainId);
+  }
+
+  /**
+   * Lower is better. A fast endpoint that errors or trails the chain head
+   * loses to a slower, healthy one.
+   */
+  score(endpoint) {
+    return (endpoint.latency || 0)
+      + endpoint.errorRate * 5000
+      + endpoint.blockLag * 500
+      + endpoint.priority;
+  }
+
+  /**
+   * Endpoints in the order requests should try them: healthy endpoints by
+   * score, then disabled ones as a last resort
+   */
+  rankEndpoints() {
+    return this.endpoints.slice().sort((a, b) => {
+      if (a.enabled !== b.enabled) {
+        return a.enabled ? -1 : 1;
+      }
+
+      return this.score(a) - this.score(b);
+    });
+  }
+
+  /**
+   * Provider of the endpoint with the highest known head, for reads a lagging
+   * or pruned endpoint would answer wrongly (e.g. whether a block is canonical)
+   */
+  getHeadProvider() {
+    const enabled = this.endpoints.filter(endpoint => endpoint.enabled);
+    const candidates = enabled.length > 0 ? enabled : this.endpoints;
+
+    return candidates.reduce((best, endpoint) =>
+      ((endpoint.blockNumber || 0) > (best.blockNumber || 0) ? endpoint : best)
+    ).provider;
+  }
+
+  async _perform(req) {
+    let lastError = null;
+    let staleBlockNumber;
+
+    for (const endpoint of this.rankEndpoints()) {
+      const startedAt = Date.now();
+
+      try {
+        const result = await endpoint.provider._perform(req);
+        this.recordSuccess(endpoint, Date.now() - startedAt);
+
+        // A lagging endpoint would report an old head; ask the next one
+        if (req.method === 'getBlockNumber' && !this.recordBlockNumber(endpoint, Number(result))) {
+          staleBlockNumber = result;
+          continue;
+        }
+
+        return result;
+
+      } catch (error) {
+        // Reverts, nonce errors and the like would fail on every endpoint
+        if (!isRetriableError(error)) {
+          this.recordSuccess(endpoint, Date.now() - startedAt);
+          throw error;
+        }
+
+        // An earlier endpoint accepted the transaction before failing
+        if (req.method === 'broadcastTransaction' && lastError && /already known/i.test(error.message)) {
+          return ethers.Transaction.from(req.signedTransaction).hash;
+        }
+
+        this.recordFailure(endpoint, error);
+        lastError = error;
+
+        logger.blockchain('RPC request failed, trying next endpoint', {
+          chainId: this.chainId,
+          endpoint: endpoint.label,
+          method: req.method,
+          error: error.message
+        });
+      }
+    }
+
+    if (staleBlockNumber !== undefined) {
+      return staleBlockNumber;
+    }
+
+    throw lastError;
+  }
+
+  recordSuccess(endpoint, latency) {
+    endpoint.requests++;
+    endpoint.consecutiveFailures = 0;
+    endpoint.latency = endpoint.latency === null
+      ? latency
+      : Math.round(endpoint.latency * (1 - SAMPLE_WEIGHT) + latency * SAMPLE_WEIGHT);
+    endpoint.errorRate = endpoint.errorRate * (1 - SAMPLE_WEIGHT);
+  }
+
+  recordFailure(endpoint, error) {
+    endpoint.requests++;
+    endpoint.errors++;
+    endpoint.consecutiveFailures++;
+    endpoint.errorRate = endpoint.errorRate * (1 - SAMPLE_WEIGHT) + SAMPLE_WEIGHT;
+    endpoint.lastError = error.shortMessage || error.message;
+    endpoint.lastErrorAt = new Date();
+
+    if (endpoint.consecutiveFailures >= this.maxFailures) {
+      this.disable(endpoint, 'too many consecutive failures');
+    }
+  }
+
+  /**
+   * @returns {boolean} false when the endpoint trails the best known head too far
+   */
+  recordBlockNumber(endpoint, blockNumber) {
+    endpoint.blockNumber = blockNumber;
+
+    const head = Math.max(...this.endpoints.map(e => e.blockNumber || 0));
+    for (const e of this.endpoints) {
+      e.blockLag = e.blockNumber === null ? 0 : head - e.blockNumber;
+    }
+
+    if (endpoint.blockLag > this.maxBlockLag) {
+      this.disable(endpoint, `${endpoint.blockLag} blocks behind`);
+      return false;
+    }
+
+    return true;
+  }
+
+  disable(endpoint, reason) {
+    if (!endpoint.enabled) {
+      return;
+    }
+
+    // Keep at least one endpoint in rotation
+    if (this.endpoints.filter(e => e.enabled).length === 1) {
+      return;
+    }
+
+    endpoint.enabled = false;
+    endpoint.disabledAt = new Date();
+
+    logger.blockchain('RPC endpoint disabled', {
+      chainId: this.chainId,
+      endpoint: endpoint.label,
+      reason
+    });
+  }
+
+  /**
+   * Query every endpoint directly: checks the chain ID, refreshes latency and
+   * block lag, and re-enables endpoints that recovered
+   */
+  async probe() {
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      const startedAt = Date.now();
+      endpoint.lastProbeAt = new Date();
+
+      try {
+        const [chainId, blockNumber] = await Promise.all([
+          endpoint.provider.send('eth_chainId', []),
+          endpoint.provider.send('eth_blockNumber', [])
+        ]);
+
+        if (Number(chainId) !== this.chainId) {
+          throw new Error(`Endpoint serves chain ${Number(chainId)}`);
+        }
+
+        this.recordSuccess(endpoint, Date.now() - startedAt);
+        endpoint.blockNumber = Number(blockNumber);
+
+      } catch (error) {
+        this.recordFailure(endpoint, error);
+      }
+    }));
+
+    const head = Math.max(...this.endpoints.map(e => e.blockNumber || 0));
+
+    for (const endpoint of this.endpoints) {
+      endpoint.blockLag = endpoint.blockNumber === null ? 0 : head - endpoint.blockNumber;
+
+      if (endpoint.blockLag > this.maxBlockLag) {
+        this.disable(endpoint, `${endpoint.blockLag} blocks behind`);
+      } else if (!endpoint.enabled && endpoint.consecutiveFailures === 0) {
+        endpoint.enabled = true;
+        endpoint.disabledAt = null;
+
+        logger.blockchain('RPC endpoint re-enabled', {
+          chainId: this.chainId,
+          endpoint: endpoint.label
+        });
+      }
+    }
+  }
+
+  startProbes() {
+    if (this.probeTimer) {
+      return;
+    }
+
+    const run = () => this.probe().catch(error => {
+      logger.error('RPC probe error', { chainId: this.chainId, error: error.message });
+    });
+
+    run();
+    this.probeTimer = setInterval(run, this.probeInterval);
+  }
+
+  stopProbes() {
+    if (this.probeTimer) {
+      clearInterval(this.probeTimer);
+      this.probeTimer = null;
+    }
+  }
+
+  getEndpointStats() {
+    return this.rankEndpoints().map(endpoint => ({
+      url: endpoint.label,
+      enabled: endpoint.enabled,
+      score: Math.round(this.score(endpoint)),
+      latency: endpoint.latency,
+      errorRate: Number(endpoint.errorRate.toFixed(3)),
+      requests: endpoint.requests,
+      errors: endpoint.errors,
+      consecutiveFailures: endpoint.consecutiveFailures,
+      blockNumber: endpoint.blockNumber,
+      blockLag: endpoint.blockLag,
+      lastError: endpoint.lastError,
+      lastErrorAt: endpoint.lastErrorAt,
+      lastProbeAt: endpoint.lastProbeAt,
+      disabledAt: endpoint.disabledAt
+    }));
+  }
+
+  destroy() {
+    this.stopProbes();
+    for (const endpoint of this.endpoints) {
+      endpoint.provider.destroy();
+    }
+    super.destroy();
+  }
+}
+
+module.exports = { FailoverProvider, maskRpcUrl };
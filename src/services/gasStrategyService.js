@@ -0,0 +1,168 @@
+/**
+ * Gas Strategy Service for GCT Token Platform
+ * Prices the admin transactions sent by the transaction queue: legacy or
+ * EIP-1559 fees with a multiplier, a hard fee cap and a daily gas budget.
+ * Transactions that would break the cap or the budget are deferred, not sent.
+ */
+
+const { ethers } = require('ethers');
+const OutboundTransaction = require('../models/OutboundTransaction');
+const { getDefaultChainId, chainFilter } = require('../utils/chains');
+
+const GAS_MODES = ['auto', 'legacy', 'eip1559'];
+
+function parseGwei(value) {
+  return value ? ethers.parseUnits(value.toString(), 'gwei') : null;
+}
+
+function startOfUtcDay() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+function deferred(message) {
+  const error = new Error(message);
+  error.code = 'GAS_DEFERRED';
+  return error;
+}
+
+class GasStrategyService {
+  /**
+   * @param {Object} options
+   * @param {number} options.chainId - Chain whose spending counts toward the budget
+   * @param {string} options.mode - auto (EIP-1559 when the network supports it), legacy or eip1559
+   * @param {number} options.multiplier - Applied to the fees suggested by the node
+   * @param {string} options.maxFeeGwei - Highest gas price / max fee ever offered
+   * @param {string} options.dailyBudget - Native coin (e.g. "0.5" BNB) that may be spent per UTC day
+   */
+  constructor(options = {}) {
+    const dailyBudget = options.dailyBudget || process.env.GAS_DAILY_BUDGET;
+
+    this.chainId = options.chainId || getDefaultChainId();
+    this.mode = options.mode || process.env.GAS_MODE || 'auto';
+    this.multiplier = options.multiplier || parseFloat(process.env.GAS_PRICE_MULTIPLIER) || 1;
+    this.maxFeePerGas = parseGwei(options.maxFeeGwei || process.env.GAS_MAX_FEE_GWEI);
+    this.dailyBudget = dailyBudget ? ethers.parseEther(dailyBudget.toString()) : null;
+
+    if (!GAS_MODES.includes(this.mode)) {
+      throw new Error(`Unknown gas mode: ${this.mode}`);
+    }
+  }
+
+  applyMultiplier(value) {
+    return value * BigInt(Math.round(this.multiplier * 100)) / 100n;
+  }
+
+  /**
+   * Fee fields for a new transaction, before caps are checked
+   * @param {Object} provider - ethers provider
+   * @returns {Promise<Object>} { gasPrice } or { maxFeePerGas, maxPriorityFeePerGas }
+   */
+  async getFees(provider) {
+    const feeData = await provider.getFeeData();
+    const eip1559 = this.mode === 'eip1559' || (this.mode === 'auto' && feeData.maxFeePerGas !== null);
+
+    if (!eip1559) {
+      return { gasPrice: this.applyMultiplier(feeData.gasPrice) };
+    }
+
+    if (feeData.maxFeePerGas === null) {
+      throw new Error('Network does not support EIP-1559 fees; set GAS_MODE=legacy');
+    }
+
+    const maxPriorityFeePerGas = this.applyMultiplier(feeData.maxPriorityFeePerGas);
+    const maxFeePerGas = this.applyMultiplier(feeData.maxFeePerGas);
+
+    return {
+      maxFeePerGas: maxFeePerGas > maxPriorityFeePerGas ? maxFeePerGas : maxPriorityFeePerGas,
+      maxPriorityFeePerGas
+    };
+  }
+
+  /**
+   * Highest price per gas the fee fields allow
+   */
+  priceOf(fees) {
+    return BigInt(fees.maxFeePerGas || fees.gasPrice);
+  }
+
+  isAboveCap(fees) {
+    return this.maxFeePerGas !== null && this.priceOf(fees) > this.maxFeePerGas;
+  }
+
+  /**
+   * Price a new transaction
+   * @param {Object} provider - ethers provider
+   * @param {bigint} gasLimit - Estimated gas limit
+   * @returns {Promise<Object>} Fee fields to send the transaction with
+   * @throws {Error} with code GAS_DEFERRED when the cap or the budget would be exceeded
+   */
+  async prepare(provider, gasLimit) {
+    const fees = await this.getFees(provider);
+
+    if (this.isAboveCap(fees)) {
+      throw deferred(`Gas price ${ethers.formatUnits(this.priceOf(fees), 'gwei')} gwei is above the ` +
+        `${ethers.formatUnits(this.maxFeePerGas, 'gwei')} gwei cap`);
+    }
+
+    if (this.dailyBudget !== null) {
+      const committed = await this.getSpentToday() + await this.getInFlightCost();
+      const cost = BigInt(gasLimit) * this.priceOf(fees);
+
+      if (committed + cost > this.dailyBudget) {
+        throw deferred(`Daily gas budget of ${ethers.formatEther(this.dailyBudget)} would be exceeded`);
+      }
+    }
+
+    return fees;
+  }
+
+  /**
+   * Gas paid today by mined transactions of this chain, in wei
+   */
+  async getSpentToday() {
+    const mined = await OutboundTransaction.find({
+      ...chainFilter(this.chainId),
+      minedAt: { $gte: startOfUtcDay() },
+      'receipt.gasUsed': { $ne: null }
+    }).select('receipt');
+
+    return mined.reduce((total, outbound) =>
+      total + BigInt(outbound.receipt.gasUsed) * BigInt(outbound.receipt.effectiveGasPrice || 0), 0n);
+  }
+
+  /**
+   * Worst-case cost of submitted transactions that are not mined yet, in wei
+   */
+  async getInFlightCost() {
+    const submitted = await OutboundTransaction.find({
+      ...chainFilter(this.chainId),
+      status: 'submitted'
+    }).select('gasLimit attempts');
+
+    return submitted.reduce((total, outbound) => {
+      const last = outbound.attempts[outbound.attempts.length - 1];
+      return last && outbound.gasLimit
+        ? total + BigInt(outbound.gasLimit) * this.priceOf(last)
+        : total;
+    }, 0n);
+  }
+
+  async getStatus() {
+    const spentToday = await this.getSpentToday();
+
+    return {
+      mode: this.mode,
+      multiplier: this.multiplier,
+      maxFeeGwei: this.maxFeePerGas !== null ? ethers.formatUnits(this.maxFeePerGas, 'gwei') : null,
+      dailyBudget: this.dailyBudget !== null ? ethers.formatEther(this.dailyBudget) : null,
+      spentToday: ethers.formatEther(spentToday),
+      remainingToday: this.dailyBudget !== null
+        ? ethers.formatEther(this.dailyBudget > spentToday ? this.dailyBudget - spentToday : 0n)
+        : null
+    };
+  }
+}
+
+module.exports = new GasStrategyService();
+module.exports.GasStrategyService = GasStrategyService;
@@ -0,0 +1,582 @@
+/**
+ * Merkle Builder Service for GCT Token Platform
+ * Builds Merkle trees too large for one MongoDB document. Allocations are
+ * streamed from CSV or JSON files into the MerkleLeaf collection, merged and
+ * sorted there, hashed layer by layer into flat buffers, and their proofs are
+ * written back in batches. Proofs are then read per wallet.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const mongoose = require('mongoose');
+const keccak256 = require('keccak256');
+const MerkleTreeModel = require('../models/MerkleTree');
+const MerkleLeaf = require('../models/MerkleLeaf');
+const logger = require('../utils/logger');
+const { getDefaultChainId } = require('../utils/chains');
+const { hashLeaf } = require('../utils/merkleLeaf');
+
+const HASH_SIZE = 32;
+
+/**
+ * Read {walletAddress, amount} rows from a CSV file line by line. A third
+ * column holds the token of multi-token distributions.
+ */
+async function* readCsvAllocations(filePath) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath),
+    crlfDelay: Infinity
+  });
+
+  let lineNumber = 0;
+
+  for await (const rawLine of lines) {
+    lineNumber++;
+    const line = rawLine.trim();
+
+    // Skip empty lines and the header if present
+    if (!line || (lineNumber === 1 && /address|wallet/i.test(line))) {
+      continue;
+    }
+
+    const [walletAddress, amount, tokenAddress] = line.split(',').map(item => item.trim());
+    yield { walletAddress, amount, ...(tokenAddress ? { tokenAddress } : {}), position: `line ${lineNumber}` };
+  }
+}
+
+/**
+ * Read allocations from a JSON file without parsing it whole. Accepts an array
+ * of allocations or an object with an "allocations" array: every object
+ * directly inside an array is one allocation.
+ */
+async function* readJsonAllocations(filePath) {
+  const containers = [];
+  let inString = false;
+  let escaped = false;
+  let captureDepth = null;
+  let captured = '';
+  let count = 0;
+
+  for await (const chunk of fs.createReadStream(filePath, { encoding: 'utf8' })) {
+    let sliceStart = captureDepth !== null ? 0 : -1;
+
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        if (char === '{' && captureDepth === null && containers[containers.length - 1] === '[') {
+          captureDepth = containers.length;
+          sliceStart = i;
+        }
+        containers.push(char);
+      } else if (char === '}' || char === ']') {
+        containers.pop();
+
+        if (captureDepth !== null && containers.length === captureDepth) {
+          captured += chunk.slice(sliceStart, i + 1);
+          count++;
+
+          const allocation = JSON.parse(captured);
+          yield {
+            walletAddress: allocation.walletAddress,
+            amount: allocation.amount,
+            ...(allocation.tokenAddress ? { tokenAddress: allocation.tokenAddress } : {}),
+            position: `entry ${count}`
+          };
+
+          captureDepth = null;
+          captured = '';
+          sliceStart = -1;
+        }
+      }
+    }
+
+    if (captureDepth !== null) {
+      captured += chunk.slice(sliceStart);
+    }
+  }
+
+  if (containers.length > 0 || inString) {
+    throw new Error('Unexpected end of JSON data');
+  }
+}
+
+function readAllocations(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.csv') {
+    return readCsvAllocations(filePath);
+  }
+
+  if (extension === '.json') {
+    return readJsonAllocations(filePath);
+  }
+
+  throw new Error('Unsupported file format. Use .csv or .json files');
+}
+
+function toHex(buffer) {
+  return `0x${buffer.toString('hex')}`;
+}
+
+function nodeAt(layer, index) {
+  return layer.subarray(index * HASH_SIZE, (index + 1) * HASH_SIZE);
+}
+
+/**
+ * Hash the leaf layer up to the root, the way merkletreejs does with sorted
+ * pairs: an odd node at the end of a layer moves up unchanged
+ * @param {Buffer} leafHashes - Concatenated 32-byte leaf hashes in index order
+ * @returns {Buffer[]} Layers from the leaves to the root
+ */
+function buildLayers(leafHashes) {
+  const layers = [leafHashes];
+  let nodes = leafHashes;
+
+  while (nodes.length > HASH_SIZE) {
+    const count = nodes.length / HASH_SIZE;
+    const next = Buffer.allocUnsafe(Math.ceil(count / 2) * HASH_SIZE);
+
+    for (let i = 0; i < count; i += 2) {
+      const target = (i / 2) * HASH_SIZE;
+
+      if (i + 1 === count) {
+        nodeAt(nodes, i).copy(next, target);
+        continue;
+      }
+
+      const pair = [nodeAt(nodes, i), nodeAt(nodes, i + 1)].sort(Buffer.compare);
+      keccak256(Buffer.concat(pair)).copy(next, target);
+    }
+
+    layers.push(next);
+    nodes = next;
+  }
+
+  return layers;
+}
+
+function getProof(layers, index) {
+  const proof = [];
+
+  for (let level = 0; level < layers.length - 1; level++) {
+    const sibling = index % 2 === 1 ? index - 1 : index + 1;
+
+    if (sibling < layers[level].length / HASH_SIZE) {
+      proof.push(toHex(nodeAt(layers[level], sibling)));
+    }
+
+    index = Math.floor(index / 2);
+  }
+
+  return proof;
+}
+
+class MerkleBuilderService {
+  constructor() {
+    this.batchSize = parseInt(process.env.MERKLE_BUILD_BATCH_SIZE) || 1000;
+  }
+
+  /**
+   * Build a tree from an allocation file, storing its leaves in the MerkleLeaf collection
+   * @param {string} filePath - CSV (walletAddress,amount[,tokenAddress]) or JSON allocation file
+   * @param {Object} options - See build()
+   */
+  async buildFromFile(filePath, options = {}) {
+    return this.build(readAllocations(filePath), {
+      ...options,
+      source: options.source || path.basename(filePath)
+    });
+  }
+
+  /**
+   * Build a tree from a stream of allocations
+   * @param {AsyncIterable} allocations - {walletAddress, amount} rows, with tokenAddress for multi-token trees
+   * @param {Object} options
+   * @param {string} options.name - Name for the merkle tree
+   * @param {string} options.description - Description for the merkle tree
+   * @param {string} options.adminId - Admin ID creating the tree
+   * @param {number} options.chainId - Chain the distribution runs on
+   * @param {string} options.leafEncoding - Leaf hash format (default: packed, or packed-token with tokens)
+   * @param {Array} options.tokens - [{ address, distributor, symbol, decimals }] of a multi-token distribution
+   * @param {boolean} options.cumulative - Build a cumulative round whose leaves hold lifetime totals
+   * @param {string} options.allocationMode - increment (add to the previous round) or total, as for
+   *   merkleService.createMerkleTree
+   * @param {string} options.previousTreeId - Round to build on; defaults to the chain's latest cumulative tree
+   * @param {Date} options.claimStartTime - Claims are rejected before it
+   * @param {Date} options.claimEndTime - Claims are rejected from it on
+   * @returns {Promise<Object>} Saved merkle tree
+   */
+  async build(allocations, options = {}) {
+    const chainId = options.chainId || getDefaultChainId();
+    const { tokens, leafEncoding } = MerkleTreeModel.normalizeTokens(
+      options.tokens,
+      options.leafEncoding,
+      options.cumulative ? 'cumulative' : 'snapshot'
+    );
+
+    const allocationMode = options.allocationMode || 'increment';
+
+    if (!['increment', 'total'].includes(allocationMode)) {
+      throw new Error(`Invalid allocation mode: ${allocationMode}`);
+    }
+
+    if (await MerkleTreeModel.exists({ name: options.name })) {
+      throw new Error('Merkle tree with this name already exists');
+    }
+
+    const merkleTreeId = new mongoose.Types.ObjectId();
+    const startedAt = Date.now();
+
+    try {
+      const rowCount = await this.stageAllocations(merkleTreeId, allocations, tokens);
+
+      if (rowCount === 0) {
+        throw new Error('No valid allocations found');
+      }
+
+      // In increment mode previous totals staged next to this round's amounts
+      // are summed like duplicates
+      let previousRound = null;
+      if (options.cumulative) {
+        const merkleService = require('./merkleService');
+        previousRound = await merkleService.findPreviousRound(chainId, options.previousTreeId);
+
+        if (previousRound && allocationMode === 'increment') {
+          await this.stageAllocations(merkleTreeId, previousRound.iterateLeaves());
+        }
+      }
+
+      const { leafHashes, totalAmount, totalUsers, tokenTotals } = await this.indexLeaves(merkleTreeId, leafEncoding);
+
+      for (const token of tokens) {
+        Object.assign(token, tokenTotals.get(token.address) || { totalAmount: '0', totalUsers: 0 });
+      }
+
+      if (previousRound && allocationMode === 'total') {
+        await this.assertNoDecrease(previousRound, merkleTreeId);
+      }
+
+      const layers = buildLayers(leafHashes);
+      await this.writeProofs(merkleTreeId, layers);
+
+      const merkleTree = new MerkleTreeModel({
+        _id: merkleTreeId,
+        name: options.name,
+        description: options.description,
+        root: toHex(layers[layers.length - 1]),
+        totalAmount,
+        totalUsers,
+        leafStorage: 'collection',
+        leafEncoding,
+        tokens,
+        distributionMode: options.cumulative ? 'cumulative' : 'snapshot',
+        previousRound: previousRound ? previousRound._id : null,
+        claimStartTime: options.claimStartTime || null,
+        claimEndTime: options.claimEndTime || null,
+        adminId: options.adminId,
+        chainId,
+        metadata: {
+          snapshotDate: new Date(),
+          criteria: options.description,
+          notes: `Streamed from ${options.source || 'allocations'}: ${rowCount} allocations, ${totalUsers} unique addresses` +
+            (tokens.length > 0 ? ` across ${tokens.length} tokens` : '')
+        }
+      });
+
+      await merkleTree.save();
+
+      logger.info('Merkle tree built', {
+        id: merkleTree._id,
+        name: merkleTree.name,
+        chainId,
+        totalUsers,
+        totalAmount,
+        leafEncoding,
+        tokens: tokens.length,
+        distributionMode: merkleTree.distributionMode,
+        duration: Date.now() - startedAt,
+        adminId: options.adminId
+      });
+
+      return merkleTree;
+
+    } catch (error) {
+      await MerkleLeaf.deleteMany({ merkleTree: merkleTreeId });
+
+      logger.error('Build merkle tree error', {
+        error: error.message,
+        name: options.name,
+        adminId: options.adminId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Compare the previous round with the merged leaves batch by batch
+   * @throws {Error} when a wallet's cumulative total decreases or disappears
+   */
+  async assertNoDecrease(previousRound, merkleTreeId) {
+    const merkleService = require('./merkleService');
+    let batch = [];
+
+    const check = async () => {
+      const leaves = await MerkleLeaf.find({
+        merkleTree: merkleTreeId,
+        walletAddress: { $in: batch.map(leaf => leaf.walletAddress) }
+      }).select('walletAddress amount').lean();
+
+      merkleService.assertNoDecrease(
+        new Map(batch.map(leaf => [leaf.walletAddress, BigInt(leaf.amount)])),
+        new Map(leaves.map(leaf => [leaf.walletAddress, BigInt(leaf.amount)]))
+      );
+      batch = [];
+    };
+
+    for await (const leaf of previousRound.iterateLeaves()) {
+      batch.push(leaf);
+
+      if (batch.length >= this.batchSize) {
+        await check();
+      }
+    }
+
+    if (batch.length > 0) {
+      await check();
+    }
+  }
+
+  /**
+   * Validate rows and insert them unsorted, in batches
+   * @param {Array} tokens - Tokens of a multi-token distribution; every row must name one
+   * @returns {Promise<number>} Rows staged
+   */
+  async stageAllocations(merkleTreeId, allocations, tokens = []) {
+    const tokenAddresses = new Set(tokens.map(token => token.address));
+    let batch = [];
+    let count = 0;
+
+    for await (const allocation of allocations) {
+      const position = allocation.position || `row ${count + 1}`;
+
+      if (!allocation.walletAddress || !allocation.amount) {
+        throw new Error(`Invalid allocation at ${position}: missing walletAddress or amount`);
+      }
+
+      if (!/^0x[a-fA-F0-9]{40}$/.test(allocation.walletAddress)) {
+        throw new Error(`Invalid wallet address format at ${position}: ${allocation.walletAddress}`);
+      }
+
+      if (!/^\d+$/.test(allocation.amount.toString())) {
+        throw new Error(`Invalid amount format at ${position}: ${allocation.amount}`);
+      }
+
+      const tokenAddress = allocation.tokenAddress ? allocation.tokenAddress.toLowerCase() : null;
+
+      if (tokens.length > 0 && !tokenAddresses.has(tokenAddress)) {
+        throw new Error(tokenAddress
+          ? `Token ${tokenAddress} at ${position} is not in the distribution`
+          : `Missing tokenAddress at ${position}`);
+      }
+
+      if (tokens.length === 0 && tokenAddress) {
+        throw new Error(`Token address at ${position} requires a list of tokens`);
+      }
+
+      batch.push({
+        merkleTree: merkleTreeId,
+        walletAddress: allocation.walletAddress.toLowerCase(),
+        tokenAddress,
+        amount: allocation.amount.toString()
+      });
+      count++;
+
+      if (batch.length >= this.batchSize) {
+        await MerkleLeaf.insertMany(batch, { lean: true });
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await MerkleLeaf.insertMany(batch, { lean: true });
+    }
+
+    return count;
+  }
+
+  /**
+   * Walk the staged rows by wallet address (then token), merge duplicates,
+   * assign indices and hash every leaf
+   * @returns {Promise<Object>} { leafHashes, totalAmount, totalUsers, tokenTotals }
+   */
+  async indexLeaves(merkleTreeId, leafEncoding) {
+    const cursor = MerkleLeaf.find({ merkleTree: merkleTreeId })
+      .sort({ walletAddress: 1, tokenAddress: 1 })
+      .select('walletAddress tokenAddress amount')
+      .lean()
+      .cursor();
+
+    const hashChunks = [];
+    let hashes = [];
+    let operations = [];
+    let group = null;
+    let index = 0;
+    let wallets = 0;
+    let lastWallet = null;
+    let totalAmount = BigInt(0);
+    const tokenTotals = new Map();
+
+    const flush = async () => {
+      if (operations.length > 0) {
+        await MerkleLeaf.bulkWrite(operations, { ordered: false });
+        operations = [];
+      }
+      if (hashes.length > 0) {
+        hashChunks.push(Buffer.concat(hashes));
+        hashes = [];
+      }
+    };
+
+    const closeGroup = async () => {
+      const amount = group.amount.toString();
+
+      operations.push({
+        updateOne: {
+          filter: { _id: group.id },
+          update: { $set: { amount, index } }
+        }
+      });
+      for (const duplicateId of group.duplicates) {
+        operations.push({ deleteOne: { filter: { _id: duplicateId } } });
+      }
+
+      hashes.push(hashLeaf({ walletAddress: group.walletAddress, tokenAddress: group.tokenAddress, amount, index }, leafEncoding));
+      totalAmount += group.amount;
+      index++;
+
+      if (group.walletAddress !== lastWallet) {
+        wallets++;
+        lastWallet = group.walletAddress;
+      }
+
+      if (group.tokenAddress) {
+        const totals = tokenTotals.get(group.tokenAddress) || { totalAmount: 0n, totalUsers: 0 };
+        totals.totalAmount += group.amount;
+        totals.totalUsers++;
+        tokenTotals.set(group.tokenAddress, totals);
+      }
+
+      if (operations.length >= this.batchSize) {
+        await flush();
+      }
+    };
+
+    for await (const row of cursor) {
+      const tokenAddress = row.tokenAddress || null;
+
+      if (group && group.walletAddress === row.walletAddress && group.tokenAddress === tokenAddress) {
+        group.amount += BigInt(row.amount);
+        group.duplicates.push(row._id);
+        continue;
+      }
+
+      if (group) {
+        await closeGroup();
+      }
+
+      group = { id: row._id, walletAddress: row.walletAddress, tokenAddress, amount: BigInt(row.amount), duplicates: [] };
+    }
+
+    if (group) {
+      await closeGroup();
+    }
+    await flush();
+
+    return {
+      leafHashes: Buffer.concat(hashChunks),
+      totalAmount: totalAmount.toString(),
+      totalUsers: wallets,
+      tokenTotals: new Map(Array.from(tokenTotals, ([address, totals]) => [
+        address,
+        { totalAmount: totals.totalAmount.toString(), totalUsers: totals.totalUsers }
+      ]))
+    };
+  }
+
+  async writeProofs(merkleTreeId, layers) {
+    const cursor = MerkleLeaf.find({ merkleTree: merkleTreeId })
+      .sort({ index: 1 })
+      .select('index')
+      .lean()
+      .cursor();
+
+    let operations = [];
+
+    for await (const leaf of cursor) {
+      operations.push({
+        updateOne: {
+          filter: { _id: leaf._id },
+          update: { $set: { proof: getProof(layers, leaf.index) } }
+        }
+      });
+
+      if (operations.length >= this.batchSize) {
+        await MerkleLeaf.bulkWrite(operations, { ordered: false });
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      await MerkleLeaf.bulkWrite(operations, { ordered: false });
+    }
+  }
+
+  /**
+   * Recompute a stored tree's root from its leaves, streaming collection-stored leaves
+   * @param {Object} merkleTree - Merkle tree document
+   * @returns {Promise<string>} Merkle root
+   */
+  async computeRoot(merkleTree) {
+    const hashChunks = [];
+    let hashes = [];
+
+    for await (const leaf of merkleTree.iterateLeaves()) {
+      hashes.push(hashLeaf(leaf, merkleTree.leafEncoding));
+
+      if (hashes.length >= this.batchSize) {
+        hashChunks.push(Buffer.concat(hashes));
+        hashes = [];
+      }
+    }
+    hashChunks.push(Buffer.concat(hashes));
+
+    const leafHashes = Buffer.concat(hashChunks);
+    if (leafHashes.length === 0) {
+      return null;
+    }
+
+    const layers = buildLayers(leafHashes);
+    return toHex(layers[layers.length - 1]);
+  }
+}
+
+module.exports = new MerkleBuilderService();
+module.exports.MerkleBuilderService = MerkleBuilderService;
+module.exports.readAllocations = readAllocations;
+module.exports.buildLayers = buildLayers;
+module.exports.getProof = getProof;
@@ -1,44 +1,128 @@
+const crypto = require('crypto');
 const { MerkleTree } = require('merkletreejs');
 const keccak256 = require('keccak256');
 const MerkleTreeModel = require('../models/MerkleTree');
+const MerkleActivation = require('../models/MerkleActivation');
 const User = require('../models/User');
 const logger = require('../utils/logger');
+const { getDefaultChainId, chainFilter } = require('../utils/chains');
+const { DEFAULT_LEAF_ENCODING, hashLeaf, verifyLeaf } = require('../utils/merkleLeaf');
+const merkleBuilder = require('./merkleBuilderService');
+const vestingService = require('./vestingService');
+
+// User allocation updates sent to MongoDB per bulk write
+const USER_UPDATE_BATCH_SIZE = 1000;
+
+// Seconds a prepared rollback waits for its confirmation
+const ROLLBACK_CONFIRMATION_TTL = parseInt(process.env.MERKLE_ROLLBACK_CONFIRMATION_TTL) || 300;
+
+// Leaves of a tree in wallet address (then token) order, nothing for a missing tree
+async function* walkLeaves(merkleTree) {
+  if (merkleTree) {
+    yield* merkleTree.iterateLeaves('walletAddress');
+  }
+}
+
+function absolute(value) {
+  return value < 0n ? -value : value;
+}
+
+// Insert a diff entry into a list kept sorted by absolute delta, capped at size
+function keepLargest(list, entry, size) {
+  const delta = absolute(BigInt(entry.delta));
+  const position = list.findIndex(item => absolute(BigInt(item.delta)) < delta);
+
+  if (position === -1) {
+    if (list.length < size) {
+      list.push(entry);
+    }
+    return;
+  }
+
+  list.splice(position, 0, entry);
+  if (list.length > size) {
+    list.pop();
+  }
+}
+
+// Wallet, then token: the order iterateLeaves('walletAddress') yields leaves in
+function leafKey(leaf) {
+  return `${leaf.walletAddress}:${leaf.tokenAddress || ''}`;
+}
+
+function describeTree(merkleTree) {
+  return {
+    id: merkleTree._id,
+    name: merkleTree.name,
+    root: merkleTree.root,
+    chainId: merkleTree.chainId,
+    totalAmount: merkleTree.totalAmount,
+    totalUsers: merkleTree.totalUsers,
+    tokens: merkleTree.tokens || [],
+    isActive: merkleTree.isActive
+  };
+}
 
 class MerkleService {
   constructor() {
-    this.activeMerkleTree = null;
+    // Active tree per chain ID
+    this.activeMerkleTrees = new Map();
     this.loadActiveMerkleTree();
   }
   
-  async loadActiveMerkleTree() {
+  async loadActiveMerkleTree(chainId = getDefaultChainId()) {
     try {
-      this.activeMerkleTree = await MerkleTreeModel.getActiveTree();
-      if (this.activeMerkleTree) {
+      const activeMerkleTree = await MerkleTreeModel.getActiveTree(chainId);
+      this.activeMerkleTrees.set(chainId, activeMerkleTree);
+      
+      if (activeMerkleTree) {
         logger.info('Active merkle tree loaded', {
-          id: this.activeMerkleTree._id,
-          name: this.activeMerkleTree.name,
-          totalUsers: this.activeMerkleTree.totalUsers
+          id: activeMerkleTree._id,
+          name: activeMerkleTree.name,
+          chainId,
+          totalUsers: activeMerkleTree.totalUsers
         });
       }
+      
+      return activeMerkleTree;
     } catch (error) {
       logger.error('Failed to load active merkle tree', error);
+      return null;
     }
   }
   
   /**
    * Create a merkle tree from allocation data
-   * @param {Array} allocations - Array of {walletAddress, amount}
+   * @param {Array} allocations - Array of {walletAddress, amount}, with tokenAddress for multi-token trees
    * @param {string} name - Name for the merkle tree
    * @param {string} description - Description for the merkle tree
    * @param {string} adminId - Admin ID creating the tree
+   * @param {number} chainId - Chain the distribution runs on
+   * @param {Object} options
+   * @param {boolean} options.cumulative - Build a cumulative round whose leaves hold lifetime totals
+   * @param {string} options.allocationMode - increment (allocations are this round's amounts, added to
+   *   the previous round) or total (allocations already are lifetime totals)
+   * @param {string} options.previousTreeId - Round to build on; defaults to the chain's latest cumulative tree
+   * @param {string} options.leafEncoding - Leaf hash format the claim contract expects (default: packed,
+   *   or packed-token for multi-token trees)
+   * @param {Array} options.tokens - [{ address, distributor, symbol, decimals }] of a multi-token distribution
+   * @param {Date} options.claimStartTime - Claims are rejected before it
+   * @param {Date} options.claimEndTime - Claims are rejected from it on; unclaimed tokens can then be clawed back
    */
-  async createMerkleTree(allocations, name, description, adminId) {
+  async createMerkleTree(allocations, name, description, adminId, chainId = getDefaultChainId(), options = {}) {
     try {
       // Validate input
       if (!allocations || !Array.isArray(allocations) || allocations.length === 0) {
         throw new Error('Invalid allocations data');
       }
       
+      const { tokens, leafEncoding } = MerkleTreeModel.normalizeTokens(
+        options.tokens,
+        options.leafEncoding,
+        options.cumulative ? 'cumulative' : 'snapshot'
+      );
+      const tokenAddresses = new Set(tokens.map(token => token.address));
+      
       // Normalize and validate allocations
       const normalizedAllocations = allocations.map((allocation, index) => {
         if (!allocation.walletAddress || !allocation.amount) {
@@ -57,32 +141,57 @@ class MerkleService {
           throw new Error(`Invalid amount format at index ${index}: ${allocation.amount}`);
         }
         
+        // Multi-token allocations name one of the distribution's tokens
+        const tokenAddress = allocation.tokenAddress ? allocation.tokenAddress.toLowerCase() : null;
+        if (tokens.length > 0 && !tokenAddresses.has(tokenAddress)) {
+          throw new Error(`Invalid allocation at index ${index}: ` +
+            (tokenAddress ? `token ${tokenAddress} is not in the distribution` : 'missing tokenAddress'));
+        }
+        if (tokens.length === 0 && tokenAddress) {
+          throw new Error(`Invalid allocation at index ${index}: tokenAddress requires a list of tokens`);
+        }
+        
         return {
           walletAddress: allocation.walletAddress.toLowerCase(),
-          amount: allocation.amount
+          amount: allocation.amount,
+          ...(tokenAddress ? { tokenAddress } : {})
         };
       });
       
-      // Remove duplicates and sum amounts for same addresses
+      // Remove duplicates and sum amounts for same addresses (and tokens)
       const addressMap = new Map();
       normalizedAllocations.forEach(allocation => {
-        const address = allocation.walletAddress;
-        if (addressMap.has(address)) {
-          const existing = addressMap.get(address);
+        const key = leafKey(allocation);
+        if (addressMap.has(key)) {
+          const existing = addressMap.get(key);
           const newAmount = BigInt(existing.amount) + BigInt(allocation.amount);
-          addressMap.set(address, { ...existing, amount: newAmount.toString() });
+          addressMap.set(key, { ...existing, amount: newAmount.toString() });
         } else {
-          addressMap.set(address, allocation);
+          addressMap.set(key, allocation);
         }
       });
       
-      const uniqueAllocations = Array.from(addressMap.values());
+      let uniqueAllocations = Array.from(addressMap.values());
+      let previousRound = null;
+      
+      if (options.cumulative) {
+        ({ allocations: uniqueAllocations, previousRound } =
+          await this.buildCumulativeAllocations(uniqueAllocations, chainId, options));
+      }
       
-      // Sort by wallet address for consistency
-      uniqueAllocations.sort((a, b) => a.walletAddress.localeCompare(b.walletAddress));
+      // Sort by wallet address (then token) for consistency
+      uniqueAllocations.sort((a, b) => leafKey(a).localeCompare(leafKey(b)));
       
       // Create merkle tree
-      const treeData = await this.generateMerkleTree(uniqueAllocations);
+      const treeData = await this.generateMerkleTree(uniqueAllocations, leafEncoding);
+      const totalUsers = new Set(uniqueAllocations.map(allocation => allocation.walletAddress)).size;
+      
+      // Per-token totals of multi-token distributions
+      for (const token of tokens) {
+        const allocated = uniqueAllocations.filter(allocation => allocation.tokenAddress === token.address);
+        token.totalAmount = allocated.reduce((sum, allocation) => sum + BigInt(allocation.amount), 0n).toString();
+        token.totalUsers = allocated.length;
+      }
       
       // Create merkle tree document
       const merkleTree = new MerkleTreeModel({
@@ -90,13 +199,21 @@ class MerkleService {
         description,
         root: treeData.root,
         totalAmount: treeData.totalAmount,
-        totalUsers: uniqueAllocations.length,
+        totalUsers,
         leaves: treeData.leaves,
         adminId,
+        chainId,
+        leafEncoding,
+        tokens,
+        distributionMode: options.cumulative ? 'cumulative' : 'snapshot',
+        previousRound: previousRound ? previousRound._id : null,
+        claimStartTime: options.claimStartTime || null,
+        claimEndTime: options.claimEndTime || null,
         metadata: {
           snapshotDate: new Date(),
           criteria: description,
-          notes: `Generated from ${allocations.length} original allocations, ${uniqueAllocations.length} unique addresses`
+          notes: `Generated from ${allocations.length} original allocations, ${totalUsers} unique addresses` +
+            (tokens.length > 0 ? ` across ${tokens.length} tokens` : '')
         }
       });
       
@@ -105,8 +222,11 @@ class MerkleService {
       logger.info('Merkle tree created', {
         id: merkleTree._id,
         name,
-        totalUsers: uniqueAllocations.length,
+        totalUsers,
+        tokens: tokens.length,
         totalAmount: treeData.totalAmount,
+        distributionMode: merkleTree.distributionMode,
+        previousRound: merkleTree.previousRound,
         adminId
       });
       
@@ -123,22 +243,177 @@ class MerkleService {
     }
   }
   
+  /**
+   * Turn one round of allocations into lifetime totals on top of the previous
+   * cumulative round of the chain
+   * @param {Array} allocations - Unique {walletAddress, amount}
+   * @param {number} chainId - Chain the distribution runs on
+   * @param {Object} options - { allocationMode, previousTreeId } as for createMerkleTree
+   * @returns {Promise<Object>} { allocations, previousRound }
+   */
+  async buildCumulativeAllocations(allocations, chainId, options = {}) {
+    const allocationMode = options.allocationMode || 'increment';
+    
+    if (!['increment', 'total'].includes(allocationMode)) {
+      throw new Error(`Invalid allocation mode: ${allocationMode}`);
+    }
+    
+    const previousRound = await this.findPreviousRound(chainId, options.previousTreeId);
+    const previousTotals = previousRound ? await this.getLeafTotals(previousRound) : new Map();
+    
+    let totals;
+    if (allocationMode === 'total') {
+      totals = new Map(allocations.map(allocation => [allocation.walletAddress, BigInt(allocation.amount)]));
+    } else {
+      // Wallets without a share this round keep their previous total
+      totals = new Map(previousTotals);
+      for (const allocation of allocations) {
+        totals.set(allocation.walletAddress, (totals.get(allocation.walletAddress) || 0n) + BigInt(allocation.amount));
+      }
+    }
+    
+    this.assertNoDecrease(previousTotals, totals);
+    
+    return {
+      allocations: Array.from(totals, ([walletAddress, amount]) => ({ walletAddress, amount: amount.toString() })),
+      previousRound
+    };
+  }
+  
+  /**
+   * Cumulative round a new round builds on
+   * @param {number} chainId - Chain the distribution runs on
+   * @param {string} previousTreeId - Explicit round; defaults to the chain's latest cumulative tree
+   * @returns {Promise<Object|null>} Merkle tree, or null for the first round
+   */
+  async findPreviousRound(chainId, previousTreeId = null) {
+    const previousRound = previousTreeId
+      ? await MerkleTreeModel.findOne({ _id: previousTreeId, ...chainFilter(chainId) })
+      : await MerkleTreeModel.getLatestCumulativeTree(chainId);
+    
+    if (previousTreeId && !previousRound) {
+      throw new Error('Previous round not found on this chain');
+    }
+    
+    if (previousRound && previousRound.distributionMode !== 'cumulative') {
+      throw new Error('Previous round is not a cumulative distribution');
+    }
+    
+    return previousRound;
+  }
+  
+  /**
+   * Cumulative totals may only grow: a lower total would make already claimed
+   * tokens exceed the new allocation
+   * @param {Map} previousTotals - Wallet address to amount of the previous round
+   * @param {Map} totals - Wallet address to amount of the new round
+   * @throws {Error} listing the wallets whose total decreases or disappears
+   */
+  assertNoDecrease(previousTotals, totals) {
+    const decreases = [];
+    
+    for (const [walletAddress, previousAmount] of previousTotals) {
+      const amount = totals.get(walletAddress) || 0n;
+      if (amount < previousAmount) {
+        decreases.push(`${walletAddress} (${previousAmount} -> ${amount})`);
+      }
+    }
+    
+    if (decreases.length > 0) {
+      throw new Error(`Cumulative amount decreases for ${decreases.length} wallet(s): ` +
+        `${decreases.slice(0, 5).join(', ')}${decreases.length > 5 ? ', ...' : ''}`);
+    }
+  }
+  
+  /**
+   * Amount of every wallet of a tree
+   * @param {Object} merkleTree - Merkle tree document
+   * @returns {Promise<Map>} Wallet address to amount
+   */
+  async getLeafTotals(merkleTree) {
+    const totals = new Map();
+    
+    for await (const leaf of merkleTree.iterateLeaves()) {
+      totals.set(leaf.walletAddress, BigInt(leaf.amount));
+    }
+    
+    return totals;
+  }
+  
+  /**
+   * Amount a wallet can still claim from a tree. For cumulative trees this is
+   * the lifetime total minus what the contract's claimed(address) reports.
+   * Wallets with a vesting schedule are limited to what has vested.
+   * @param {Object} merkleTree - Merkle tree document
+   * @param {string} walletAddress - Wallet address
+   * @param {Object} user - User document, used for snapshot trees
+   * @param {string} tokenAddress - Token of a multi-token tree
+   * @returns {Promise<string>} Claimable amount in wei
+   */
+  async getClaimableAmount(merkleTree, walletAddress, user = null, tokenAddress = null) {
+    let remaining;
+    
+    if (merkleTree.distributionMode !== 'cumulative') {
+      remaining = user
+        ? user.getRemainingClaimable(tokenAddress)
+        : await merkleTree.getWalletAllocation(walletAddress, tokenAddress);
+    } else {
+      const chainRegistry = require('./chainRegistry');
+      const { blockchain } = chainRegistry.get(merkleTree.chainId);
+      
+      const total = BigInt(await merkleTree.getWalletAllocation(walletAddress));
+      const claimed = BigInt(await blockchain.getClaimedAmount(walletAddress));
+      
+      remaining = (total > claimed ? total - claimed : 0n).toString();
+    }
+    
+    return vestingService.applyVesting(merkleTree, walletAddress, tokenAddress, remaining);
+  }
+  
+  /**
+   * Per-token breakdown of a wallet's allocations in a multi-token tree
+   * @param {Object} merkleTree - Merkle tree document
+   * @param {string} walletAddress - Wallet address
+   * @param {Object} user - User document, for the amounts already claimed
+   * @returns {Promise<Array>} [{ tokenAddress, symbol, decimals, distributor, allocation, remaining, vesting, proof }]
+   */
+  async getTokenAllocations(merkleTree, walletAddress, user = null) {
+    const proofs = await merkleTree.getProofsForWallet(walletAddress);
+    
+    return Promise.all(proofs.map(async proof => {
+      const token = merkleTree.getToken(proof.tokenAddress) || {};
+      
+      return {
+        tokenAddress: proof.tokenAddress,
+        symbol: token.symbol,
+        decimals: token.decimals,
+        distributor: proof.distributor,
+        allocation: proof.amount,
+        remaining: await this.getClaimableAmount(merkleTree, walletAddress, user, proof.tokenAddress),
+        vesting: await vestingService.getVestingStatus(merkleTree, walletAddress, proof.tokenAddress),
+        proof
+      };
+    }));
+  }
+  
   /**
    * Generate merkle tree from allocations
-   * @param {Array} allocations - Array of {walletAddress, amount}
+   * @param {Array} allocations - Array of {walletAddress, amount}, with tokenAddress for token encodings
+   * @param {string} leafEncoding - Leaf hash format, see utils/merkleLeaf
    */
-  async generateMerkleTree(allocations) {
+  async generateMerkleTree(allocations, leafEncoding = DEFAULT_LEAF_ENCODING) {
     try {
       // Create leaves with index
       const leaves = allocations.map((allocation, index) => ({
         walletAddress: allocation.walletAddress,
+        ...(allocation.tokenAddress ? { tokenAddress: allocation.tokenAddress } : {}),
         amount: allocation.amount,
         index
       }));
       
       // Generate merkle tree leaves (hashes)
       const treeLeaves = leaves.map(leaf => 
-        this.createLeafHash(leaf.walletAddress, leaf.amount)
+        this.createLeafHash(leaf.walletAddress, leaf.amount, leafEncoding, leaf.index, leaf.tokenAddress)
       );
       
       // Create merkle tree
@@ -173,12 +448,12 @@ class MerkleService {
    * Create leaf hash for merkle tree
    * @param {string} walletAddress - Wallet address
    * @param {string} amount - Amount as string
+   * @param {string} leafEncoding - Leaf hash format, see utils/merkleLeaf
+   * @param {number} index - Leaf index, used by the standard-indexed encoding
+   * @param {string} tokenAddress - Token, used by the token encodings
    */
-  createLeafHash(walletAddress, amount) {
-    return keccak256(Buffer.concat([
-      Buffer.from(walletAddress.slice(2), 'hex'), // Remove 0x prefix
-      Buffer.from(BigInt(amount).toString(16).padStart(64, '0'), 'hex') // Pad to 32 bytes
-    ]));
+  createLeafHash(walletAddress, amount, leafEncoding = DEFAULT_LEAF_ENCODING, index = 0, tokenAddress = null) {
+    return hashLeaf({ walletAddress, amount, index, tokenAddress }, leafEncoding);
   }
   
   /**
@@ -187,11 +462,13 @@ class MerkleService {
    * @param {string} amount - Amount as string
    * @param {Array} proof - Merkle proof array
    * @param {string} root - Merkle root
+   * @param {string} leafEncoding - Leaf hash format the tree was built with
+   * @param {number} index - Leaf index, used by the standard-indexed encoding
+   * @param {string} tokenAddress - Token, used by the token encodings
    */
-  verifyProof(walletAddress, amount, proof, root) {
+  verifyProof(walletAddress, amount, proof, root, leafEncoding = DEFAULT_LEAF_ENCODING, index = 0, tokenAddress = null) {
     try {
-      const leaf = this.createLeafHash(walletAddress, amount);
-      return MerkleTree.verify(proof, leaf, root);
+      return verifyLeaf({ walletAddress, amount, index, tokenAddress }, proof, root, leafEncoding);
     } catch (error) {
       logger.error('Verify proof error', {
         error: error.message,
@@ -205,18 +482,17 @@ class MerkleService {
   /**
    * Get proof for wallet address from active merkle tree
    * @param {string} walletAddress - Wallet address
+   * @param {number} chainId - Chain ID (defaults to the default chain)
    */
-  async getProofForWallet(walletAddress) {
+  async getProofForWallet(walletAddress, chainId = getDefaultChainId()) {
     try {
-      if (!this.activeMerkleTree) {
-        await this.loadActiveMerkleTree();
-      }
+      const activeMerkleTree = await this.getActiveMerkleTree(chainId);
       
-      if (!this.activeMerkleTree) {
+      if (!activeMerkleTree) {
         return null;
       }
       
-      return this.activeMerkleTree.getProofForWallet(walletAddress);
+      return await activeMerkleTree.getProofForWallet(walletAddress);
       
     } catch (error) {
       logger.error('Get proof for wallet error', {
@@ -230,18 +506,17 @@ class MerkleService {
   /**
    * Check if wallet is eligible in active merkle tree
    * @param {string} walletAddress - Wallet address
+   * @param {number} chainId - Chain ID (defaults to the default chain)
    */
-  async isWalletEligible(walletAddress) {
+  async isWalletEligible(walletAddress, chainId = getDefaultChainId()) {
     try {
-      if (!this.activeMerkleTree) {
-        await this.loadActiveMerkleTree();
-      }
+      const activeMerkleTree = await this.getActiveMerkleTree(chainId);
       
-      if (!this.activeMerkleTree) {
+      if (!activeMerkleTree) {
         return false;
       }
       
-      return this.activeMerkleTree.isWalletEligible(walletAddress);
+      return await activeMerkleTree.isWalletEligible(walletAddress);
       
     } catch (error) {
       logger.error('Check wallet eligibility error', {
@@ -264,33 +539,48 @@ class MerkleService {
         throw new Error('Merkle tree not found');
       }
       
-      const bulkOps = [];
-      
-      for (const leaf of merkleTree.leaves) {
-        bulkOps.push({
-          updateOne: {
-            filter: { walletAddress: leaf.walletAddress },
-            update: {
-              $set: {
-                totalClaimable: leaf.amount,
-                merkleProof: leaf.proof
-              }
-            },
-            upsert: true
-          }
-        });
+      let bulkOps = [];
+      let updatedCount = 0;
+      
+      for await (const leaf of merkleTree.iterateLeaves()) {
+        if (leaf.tokenAddress) {
+          bulkOps.push(...this.tokenAllocationOps(leaf));
+        } else {
+          bulkOps.push({
+            updateOne: {
+              filter: { walletAddress: leaf.walletAddress },
+              update: {
+                $set: {
+                  totalClaimable: leaf.amount,
+                  merkleProof: leaf.proof
+                }
+              },
+              upsert: true
+            }
+          });
+        }
+        
+        updatedCount++;
+        
+        // Write in batches so large trees never hold every operation at once
+        if (bulkOps.length >= USER_UPDATE_BATCH_SIZE) {
+          await User.bulkWrite(bulkOps);
+          bulkOps = [];
+        }
       }
       
       if (bulkOps.length > 0) {
         await User.bulkWrite(bulkOps);
-        
+      }
+      
+      if (updatedCount > 0) {
         logger.info('User allocations updated', {
           merkleTreeId,
-          updatedCount: bulkOps.length
+          updatedCount
         });
       }
       
-      return bulkOps.length;
+      return updatedCount;
       
     } catch (error) {
       logger.error('Update user allocations error', {
@@ -301,6 +591,37 @@ class MerkleService {
     }
   }
   
+  /**
+   * Bulk operations setting one token's claimable amount on a user, in order:
+   * create the user, add the token's balance entry if missing, then set it
+   * @param {Object} leaf - Leaf of a multi-token tree
+   */
+  tokenAllocationOps(leaf) {
+    const { walletAddress, tokenAddress } = leaf;
+    
+    return [
+      {
+        updateOne: {
+          filter: { walletAddress },
+          update: { $setOnInsert: { tokenBalances: [] } },
+          upsert: true
+        }
+      },
+      {
+        updateOne: {
+          filter: { walletAddress, 'tokenBalances.tokenAddress': { $ne: tokenAddress } },
+          update: { $push: { tokenBalances: { tokenAddress, totalClaimable: '0', totalClaimed: '0', claimCount: 0 } } }
+        }
+      },
+      {
+        updateOne: {
+          filter: { walletAddress, 'tokenBalances.tokenAddress': tokenAddress },
+          update: { $set: { 'tokenBalances.$.totalClaimable': leaf.amount } }
+        }
+      }
+    ];
+  }
+  
   /**
    * Validate merkle tree integrity
    * @param {string} merkleTreeId - Merkle tree ID
@@ -313,41 +634,35 @@ class MerkleService {
         throw new Error('Merkle tree not found');
       }
       
-      // Validate tree integrity
-      const validation = merkleTree.validateIntegrity();
+      // Validate tree integrity (indices, total amount and every proof)
+      const validation = await merkleTree.validateIntegrity();
       if (!validation.valid) {
         return validation;
       }
       
       // Regenerate tree and compare root
-      const allocations = merkleTree.leaves.map(leaf => ({
-        walletAddress: leaf.walletAddress,
-        amount: leaf.amount
-      }));
+      const regeneratedRoot = await merkleBuilder.computeRoot(merkleTree);
       
-      const regeneratedTree = await this.generateMerkleTree(allocations);
-      
-      if (regeneratedTree.root !== merkleTree.root) {
+      if (regeneratedRoot !== merkleTree.root) {
         return {
           valid: false,
           error: 'Merkle root mismatch when regenerating tree'
         };
       }
       
-      // Verify all proofs
-      for (const leaf of merkleTree.leaves) {
-        const isValid = this.verifyProof(
-          leaf.walletAddress,
-          leaf.amount,
-          leaf.proof,
-          merkleTree.root
-        );
+      // A cumulative round must not lower any total of the round it builds on
+      if (merkleTree.distributionMode === 'cumulative' && merkleTree.previousRound) {
+        const previousRound = await MerkleTreeModel.findById(merkleTree.previousRound);
         
-        if (!isValid) {
-          return {
-            valid: false,
-            error: `Invalid proof for address ${leaf.walletAddress}`
-          };
+        if (previousRound) {
+          try {
+            this.assertNoDecrease(
+              await this.getLeafTotals(previousRound),
+              await this.getLeafTotals(merkleTree)
+            );
+          } catch (error) {
+            return { valid: false, error: error.message };
+          }
         }
       }
       
@@ -369,8 +684,9 @@ class MerkleService {
   /**
    * Activate merkle tree
    * @param {string} merkleTreeId - Merkle tree ID
+   * @param {Object} activation - Activation history details ({ action, adminId, reason })
    */
-  async activateMerkleTree(merkleTreeId) {
+  async activateMerkleTree(merkleTreeId, activation = {}) {
     try {
       const merkleTree = await MerkleTreeModel.findById(merkleTreeId);
       
@@ -385,10 +701,10 @@ class MerkleService {
       }
       
       // Activate tree (this will deactivate others)
-      await merkleTree.activate();
+      await merkleTree.activate(activation);
       
       // Update local reference
-      this.activeMerkleTree = merkleTree;
+      this.activeMerkleTrees.set(merkleTree.chainId, merkleTree);
       
       // Update user allocations
       await this.updateUserAllocations(merkleTreeId);
@@ -411,15 +727,289 @@ class MerkleService {
     }
   }
   
+  /**
+   * Find the active tree of a chain and the tree that was active before it
+   * @param {number} chainId - Chain ID
+   * @returns {Promise<Object>} { current, target }
+   */
+  async getRollbackTarget(chainId) {
+    const current = await MerkleTreeModel.getActiveTree(chainId);
+    
+    if (!current) {
+      throw new Error('No active merkle tree');
+    }
+    
+    // Trees activated before the history existed fall back to their root update
+    const latest = await MerkleActivation.getLatest(chainId);
+    const targetId = latest && latest.merkleTree.equals(current._id)
+      ? latest.previousTree
+      : (current.rootUpdate ? current.rootUpdate.previousTree : null);
+    
+    if (!targetId) {
+      throw new Error('No previous merkle tree to roll back to');
+    }
+    
+    const target = await MerkleTreeModel.findById(targetId);
+    
+    if (!target) {
+      throw new Error('Previous merkle tree not found');
+    }
+    
+    return { current, target };
+  }
+  
+  /**
+   * First step of a rollback: describe what would change and issue a
+   * short-lived confirmation token bound to the admin and both trees
+   * @param {number} chainId - Chain ID
+   * @param {string} adminId - Admin requesting the rollback
+   */
+  async prepareRollback(chainId, adminId) {
+    const memoryCache = require('./memoryCache');
+    const { current, target } = await this.getRollbackTarget(chainId);
+    const confirmationToken = crypto.randomBytes(16).toString('hex');
+    
+    await memoryCache.set(`merkle-rollback:${confirmationToken}`, {
+      chainId,
+      adminId: adminId.toString(),
+      currentId: current._id.toString(),
+      targetId: target._id.toString()
+    }, ROLLBACK_CONFIRMATION_TTL);
+    
+    return {
+      confirmationToken,
+      expiresIn: ROLLBACK_CONFIRMATION_TTL,
+      current: describeTree(current),
+      target: describeTree(target)
+    };
+  }
+  
+  /**
+   * Second step of a rollback: send updateMerkleRoot for the previous tree.
+   * The tree is re-activated in the database, with a rollback history entry,
+   * and its allocations applied by the mined handler of the transaction; a
+   * transaction still in flight is returned with pending set.
+   * @param {string} confirmationToken - Token from prepareRollback
+   * @param {string} adminId - Admin confirming the rollback
+   * @param {Object} blockchain - Blockchain service of the chain
+   * @param {string} reason - Reason recorded in the activation history
+   */
+  async confirmRollback(confirmationToken, adminId, blockchain, reason = null) {
+    const memoryCache = require('./memoryCache');
+    const key = `merkle-rollback:${confirmationToken}`;
+    const pending = await memoryCache.get(key);
+    
+    if (!pending || pending.adminId !== adminId.toString() || pending.chainId !== blockchain.chainId) {
+      throw new Error('Invalid or expired confirmation token');
+    }
+    
+    // Tokens are single use
+    await memoryCache.del(key);
+    
+    const { current, target } = await this.getRollbackTarget(pending.chainId);
+    
+    if (current._id.toString() !== pending.currentId || target._id.toString() !== pending.targetId) {
+      throw new Error('Active merkle tree changed since the rollback was prepared');
+    }
+    
+    const result = await blockchain.updateMerkleRoot(target._id, adminId, {
+      activationAction: 'rollback',
+      reason: reason || `Rollback from ${current.name}`
+    });
+    
+    const mined = result.status === 'confirming';
+    
+    logger.info(mined ? 'Merkle tree rolled back' : 'Merkle tree rollback pending', {
+      chainId: pending.chainId,
+      from: current._id,
+      to: target._id,
+      transactionHash: result.transactionHash,
+      status: result.status,
+      adminId
+    });
+    
+    return {
+      ...result,
+      pending: !mined,
+      rolledBackFrom: describeTree(current),
+      rolledBackTo: describeTree(target),
+      activeTree: describeTree(mined ? target : current)
+    };
+  }
+  
   /**
    * Get active merkle tree info
+   * @param {number} chainId - Chain ID (defaults to the default chain)
+   */
+  async getActiveMerkleTree(chainId = getDefaultChainId()) {
+    if (!this.activeMerkleTrees.get(chainId)) {
+      return this.loadActiveMerkleTree(chainId);
+    }
+    
+    return this.activeMerkleTrees.get(chainId);
+  }
+  
+  /**
+   * Walk two trees by wallet address (and token) and yield every wallet's
+   * change in batches, along with the amount its user has already claimed
+   * @param {Object} baseTree - Tree compared against, or null for an empty tree
+   * @param {Object} targetTree - Tree under review
    */
-  async getActiveMerkleTree() {
-    if (!this.activeMerkleTree) {
-      await this.loadActiveMerkleTree();
+  async *diffLeaves(baseTree, targetTree) {
+    const baseLeaves = walkLeaves(baseTree);
+    const targetLeaves = walkLeaves(targetTree);
+    let base = await baseLeaves.next();
+    let target = await targetLeaves.next();
+    let batch = [];
+    
+    while (!base.done || !target.done) {
+      let previousAmount = '0';
+      let newAmount = '0';
+      let walletAddress;
+      let tokenAddress;
+      
+      if (target.done || (!base.done && leafKey(base.value) < leafKey(target.value))) {
+        ({ walletAddress, tokenAddress, amount: previousAmount } = base.value);
+        base = await baseLeaves.next();
+      } else if (base.done || leafKey(target.value) < leafKey(base.value)) {
+        ({ walletAddress, tokenAddress, amount: newAmount } = target.value);
+        target = await targetLeaves.next();
+      } else {
+        ({ walletAddress, tokenAddress } = target.value);
+        previousAmount = base.value.amount;
+        newAmount = target.value.amount;
+        base = await baseLeaves.next();
+        target = await targetLeaves.next();
+      }
+      
+      const delta = BigInt(newAmount) - BigInt(previousAmount);
+      let change = delta === 0n ? 'unchanged' : 'changed';
+      if (previousAmount === '0' && newAmount !== '0') {
+        change = 'added';
+      } else if (newAmount === '0' && previousAmount !== '0') {
+        change = 'removed';
+      }
+      
+      batch.push({
+        walletAddress,
+        tokenAddress: tokenAddress || null,
+        change,
+        previousAmount,
+        newAmount,
+        delta: delta.toString()
+      });
+      
+      if (batch.length >= USER_UPDATE_BATCH_SIZE) {
+        yield await this.addClaimedAmounts(batch);
+        batch = [];
+      }
+    }
+    
+    if (batch.length > 0) {
+      yield await this.addClaimedAmounts(batch);
     }
+  }
+  
+  /**
+   * Attach what the user has claimed (of the entry's token) to diff entries
+   * and flag wallets whose new allocation is lower than that
+   * @param {Array} entries - Diff entries
+   */
+  async addClaimedAmounts(entries) {
+    const users = await User.find({
+      walletAddress: { $in: entries.map(entry => entry.walletAddress) }
+    }).select('walletAddress totalClaimed tokenBalances');
+    
+    const usersByWallet = new Map(users.map(user => [user.walletAddress, user]));
+    
+    return entries.map(entry => {
+      const user = usersByWallet.get(entry.walletAddress);
+      const totalClaimed = (user && user.getTotalClaimed(entry.tokenAddress)) || '0';
+      return {
+        ...entry,
+        totalClaimed,
+        belowClaimed: BigInt(entry.newAmount) < BigInt(totalClaimed)
+      };
+    });
+  }
+  
+  /**
+   * Compare a tree with another one (usually the active tree) before activation
+   * @param {Object} baseTree - Tree compared against, or null
+   * @param {Object} targetTree - Tree under review
+   * @param {Object} options
+   * @param {number} options.limit - Maximum entries per list
+   * @param {number} options.top - Number of largest deltas to return
+   */
+  async diffMerkleTrees(baseTree, targetTree, options = {}) {
+    const limit = options.limit || 100;
+    const top = options.top || 10;
+    
+    const summary = {
+      added: 0,
+      removed: 0,
+      changed: 0,
+      unchanged: 0,
+      belowClaimed: 0
+    };
+    const amounts = {
+      addedAmount: 0n,
+      removedAmount: 0n,
+      increasedAmount: 0n,
+      decreasedAmount: 0n
+    };
+    const lists = { added: [], removed: [], changed: [], belowClaimed: [] };
+    const largestDeltas = [];
+    
+    for await (const batch of this.diffLeaves(baseTree, targetTree)) {
+      for (const entry of batch) {
+        const delta = BigInt(entry.delta);
+        summary[entry.change]++;
+        
+        if (entry.change === 'added') {
+          amounts.addedAmount += delta;
+        } else if (entry.change === 'removed') {
+          amounts.removedAmount -= delta;
+        } else if (delta > 0n) {
+          amounts.increasedAmount += delta;
+        } else {
+          amounts.decreasedAmount -= delta;
+        }
+        
+        if (entry.change !== 'unchanged') {
+          if (lists[entry.change].length < limit) {
+            lists[entry.change].push(entry);
+          }
+          keepLargest(largestDeltas, entry, top);
+        }
+        
+        if (entry.belowClaimed) {
+          summary.belowClaimed++;
+          if (lists.belowClaimed.length < limit) {
+            lists.belowClaimed.push(entry);
+          }
+        }
+      }
+    }
+    
+    const baseTotal = baseTree ? BigInt(baseTree.totalAmount) : 0n;
     
-    return this.activeMerkleTree;
+    return {
+      base: baseTree ? describeTree(baseTree) : null,
+      target: describeTree(targetTree),
+      summary: {
+        ...summary,
+        addedAmount: amounts.addedAmount.toString(),
+        removedAmount: amounts.removedAmount.toString(),
+        increasedAmount: amounts.increasedAmount.toString(),
+        decreasedAmount: amounts.decreasedAmount.toString(),
+        netChange: (BigInt(targetTree.totalAmount) - baseTotal).toString()
+      },
+      largestDeltas,
+      limit,
+      truncated: ['added', 'removed', 'changed', 'belowClaimed'].some(list => summary[list] > limit),
+      ...lists
+    };
   }
   
   /**
@@ -0,0 +1,211 @@
+/**
+ * Proof Bundle Service for GCT Token Platform
+ * Exports a tree's proofs as static JSON shards keyed by address prefix, with
+ * a manifest of the root and shard hashes, so claim frontends can fetch proofs
+ * from any static host or IPFS instead of the API
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const MANIFEST_FILE = 'manifest.json';
+const SHARDS_DIR = 'shards';
+const BUNDLE_VERSION = 1;
+
+function sha256(content) {
+  return `0x${crypto.createHash('sha256').update(content).digest('hex')}`;
+}
+
+function shardFile(prefix) {
+  return `${SHARDS_DIR}/${prefix}.json`;
+}
+
+class ProofBundleService {
+  constructor() {
+    this.prefixLength = parseInt(process.env.PROOF_BUNDLE_PREFIX_LENGTH) || 2;
+  }
+
+  /**
+   * Yield the shards of a tree in prefix order. Leaves are read by wallet
+   * address, so only one shard is held in memory at a time. Shard content is
+   * serialized the same way every time, so its hash can be recomputed.
+   * Wallets of multi-token trees map each token address to its proof.
+   * @param {Object} merkleTree - MerkleTree document
+   * @param {number} prefixLength - Hex characters of the address used as shard key
+   */
+  async *shards(merkleTree, prefixLength) {
+    const multiToken = merkleTree.isMultiToken();
+    let prefix = null;
+    let proofs = {};
+    let wallets = 0;
+
+    const shard = () => {
+      const content = JSON.stringify(proofs);
+      return { prefix, file: shardFile(prefix), content, wallets, hash: sha256(content) };
+    };
+
+    for await (const leaf of merkleTree.iterateLeaves('walletAddress')) {
+      const leafPrefix = leaf.walletAddress.slice(2, 2 + prefixLength);
+
+      if (prefix !== null && leafPrefix !== prefix) {
+        yield shard();
+        proofs = {};
+        wallets = 0;
+      }
+
+      prefix = leafPrefix;
+      const entry = {
+        index: leaf.index,
+        amount: leaf.amount,
+        proof: leaf.proof
+      };
+
+      if (!proofs[leaf.walletAddress]) {
+        wallets++;
+      }
+
+      if (multiToken) {
+        proofs[leaf.walletAddress] = { ...proofs[leaf.walletAddress], [leaf.tokenAddress]: entry };
+      } else {
+        proofs[leaf.walletAddress] = entry;
+      }
+    }
+
+    if (prefix !== null) {
+      yield shard();
+    }
+  }
+
+  buildManifest(merkleTree, prefixLength, shards) {
+    return {
+      version: BUNDLE_VERSION,
+      merkleTreeId: merkleTree._id.toString(),
+      name: merkleTree.name,
+      chainId: merkleTree.chainId,
+      root: merkleTree.root,
+      leafEncoding: merkleTree.leafEncoding,
+      distributionMode: merkleTree.distributionMode,
+      totalAmount: merkleTree.totalAmount,
+      totalUsers: merkleTree.totalUsers,
+      ...(merkleTree.isMultiToken() ? {
+        tokens: merkleTree.tokens.map(token => ({
+          address: token.address,
+          distributor: token.distributor,
+          symbol: token.symbol,
+          decimals: token.decimals
+        }))
+      } : {}),
+      prefixLength,
+      hashAlgorithm: 'sha256',
+      shards
+    };
+  }
+
+  /**
+   * Write the proof bundle of a tree
+   * @param {Object} merkleTree - MerkleTree document
+   * @param {string} outputDir - Directory to write manifest.json and shards/ to
+   * @param {Object} options
+   * @param {number} options.prefixLength - Hex characters per shard key (default: PROOF_BUNDLE_PREFIX_LENGTH or 2)
+   * @returns {Promise<Object>} Manifest
+   */
+  async exportBundle(merkleTree, outputDir, options = {}) {
+    const prefixLength = options.prefixLength || this.prefixLength;
+
+    if (prefixLength < 1 || prefixLength > 40) {
+      throw new Error('Prefix length must be between 1 and 40');
+    }
+
+    await fs.promises.mkdir(path.join(outputDir, SHARDS_DIR), { recursive: true });
+
+    const shards = {};
+    for await (const shard of this.shards(merkleTree, prefixLength)) {
+      await fs.promises.writeFile(path.join(outputDir, shard.file), shard.content);
+      shards[shard.prefix] = { file: shard.file, hash: shard.hash, wallets: shard.wallets };
+    }
+
+    const manifest = this.buildManifest(merkleTree, prefixLength, shards);
+    await fs.promises.writeFile(path.join(outputDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+    logger.info('Proof bundle exported', {
+      merkleTreeId: merkleTree._id,
+      outputDir,
+      shards: Object.keys(shards).length,
+      totalUsers: merkleTree.totalUsers
+    });
+
+    return manifest;
+  }
+
+  /**
+   * Check a bundle against its tree: the manifest is recomputed from the tree
+   * and every shard file must hash to the recomputed value
+   * @param {string} outputDir - Bundle directory
+   * @param {Object} merkleTree - MerkleTree document the bundle was exported from
+   * @returns {Promise<Object>} { valid, errors, shards }
+   */
+  async verifyBundle(outputDir, merkleTree) {
+    const errors = [];
+    const manifest = JSON.parse(await fs.promises.readFile(path.join(outputDir, MANIFEST_FILE), 'utf8'));
+
+    const expected = {};
+    for await (const shard of this.shards(merkleTree, manifest.prefixLength)) {
+      expected[shard.prefix] = { file: shard.file, hash: shard.hash, wallets: shard.wallets };
+    }
+
+    const recomputed = this.buildManifest(merkleTree, manifest.prefixLength, expected);
+
+    for (const field of ['version', 'merkleTreeId', 'chainId', 'root', 'leafEncoding', 'totalAmount', 'totalUsers']) {
+      if (manifest[field] !== recomputed[field]) {
+        errors.push(`Manifest ${field} is ${manifest[field]}, expected ${recomputed[field]}`);
+      }
+    }
+
+    // Claimants read token distributors from the manifest
+    if (JSON.stringify(manifest.tokens) !== JSON.stringify(recomputed.tokens)) {
+      errors.push('Manifest tokens do not match the tree');
+    }
+
+    const prefixes = new Set([...Object.keys(expected), ...Object.keys(manifest.shards || {})]);
+
+    for (const prefix of Array.from(prefixes).sort()) {
+      const listed = manifest.shards && manifest.shards[prefix];
+      const shard = expected[prefix];
+
+      if (!shard) {
+        errors.push(`Shard ${prefix} is not part of the tree`);
+        continue;
+      }
+      if (!listed) {
+        errors.push(`Shard ${prefix} is missing from the manifest`);
+        continue;
+      }
+      if (listed.hash !== shard.hash || listed.wallets !== shard.wallets) {
+        errors.push(`Shard ${prefix} in the manifest does not match the tree`);
+      }
+
+      let content;
+      try {
+        content = await fs.promises.readFile(path.join(outputDir, shard.file));
+      } catch (error) {
+        errors.push(`Shard file ${shard.file} cannot be read: ${error.message}`);
+        continue;
+      }
+
+      if (sha256(content) !== shard.hash) {
+        errors.push(`Shard file ${shard.file} does not match the tree`);
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      shards: Object.keys(expected).length
+    };
+  }
+}
+
+module.exports = new ProofBundleService();
+module.exports.ProofBundleService = ProofBundleService;
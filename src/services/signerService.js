@@ -0,0 +1,246 @@
+/**
+ * Transaction Signer Service for GCT Token Platform
+ * Builds the signer used for admin transactions from one of several backends:
+ * an encrypted JSON keystore, a remote HTTP signer or, in development only,
+ * a raw private key
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+
+const SIGNER_TYPES = ['keystore', 'remote', 'private_key'];
+
+/**
+ * ethers signer that forwards every signing request to an HTTP service.
+ * The private key never enters this process.
+ */
+class RemoteSigner extends ethers.AbstractSigner {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Base URL of the signing service
+   * @param {string} options.token - Bearer token sent with every request
+   * @param {number} options.timeout - Request timeout in milliseconds
+   * @param {string} options.address - Expected signer address (fetched when omitted)
+   * @param {Object} provider - ethers provider
+   */
+  constructor(options, provider = null) {
+    super(provider);
+    this.url = options.url.replace(/\/$/, '');
+    this.token = options.token || null;
+    this.timeout = options.timeout || 10000;
+    this.address = options.address ? ethers.getAddress(options.address) : null;
+  }
+
+  connect(provider) {
+    return new RemoteSigner({
+      url: this.url,
+      token: this.token,
+      timeout: this.timeout,
+      address: this.address
+    }, provider);
+  }
+
+  async request(path, body = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    const response = await fetch(`${this.url}${path}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    const payload = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new Error(`Remote signer error: ${payload.error || response.statusText}`);
+    }
+
+    return payload;
+  }
+
+  async getAddress() {
+    if (!this.address) {
+      const { address } = await this.request('/address');
+      this.address = ethers.getAddress(address);
+    }
+
+    return this.address;
+  }
+
+  async signTransaction(tx) {
+    const unsigned = { ...tx };
+    delete unsigned.from;
+
+    const transaction = ethers.Transaction.from(unsigned);
+
+    const { signedTransaction } = await this.request('/sign-transaction', {
+      transaction: transaction.unsignedSerialized
+    });
+
+    // Never broadcast something other than what we asked to be signed
+    const signed = ethers.Transaction.from(signedTransaction);
+    if (signed.unsignedHash !== transaction.unsignedHash || signed.from !== await this.getAddress()) {
+      throw new Error('Remote signer returned a transaction that does not match the request');
+    }
+
+    return signed.serialized;
+  }
+
+  async signMessage(message) {
+    const bytes = typeof message === 'string' ? ethers.toUtf8Bytes(message) : message;
+
+    const { signature } = await this.request('/sign-message', {
+      message: ethers.hexlify(bytes)
+    });
+
+    if (ethers.verifyMessage(bytes, signature) !== await this.getAddress()) {
+      throw new Error('Remote signer returned an invalid message signature');
+    }
+
+    return signature;
+  }
+
+  async signTypedData(domain, types, value) {
+    const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+
+    const { signature } = await this.request('/sign-typed-data', payload);
+
+    if (ethers.verifyTypedData(domain, types, value, signature) !== await this.getAddress()) {
+      throw new Error('Remote signer returned an invalid typed data signature');
+    }
+
+    return signature;
+  }
+}
+
+class SignerService {
+  constructor() {
+    this.type = null;
+    this.baseSigner = null;
+  }
+
+  /**
+   * SIGNER_TYPE wins; otherwise the backend is inferred from the variables set
+   */
+  resolveType() {
+    if (process.env.SIGNER_TYPE) {
+      return process.env.SIGNER_TYPE;
+    }
+
+    if (process.env.KEYSTORE_PATH) {
+      return 'keystore';
+    }
+
+    if (process.env.REMOTE_SIGNER_URL) {
+      return 'remote';
+    }
+
+    if (process.env.PRIVATE_KEY) {
+      return 'private_key';
+    }
+
+    return null;
+  }
+
+  /**
+   * Create the configured signer, connected to the given provider.
+   * The key is unlocked once and shared by every chain.
+   * @param {Object} provider - ethers provider the signer is connected to
+   * @returns {Promise<Object|null>} ethers signer, or null when none is configured
+   */
+  async createSigner(provider) {
+    if (!this.baseSigner) {
+      this.baseSigner = this.loadSigner();
+      // Allow a later call to retry after a failed unlock
+      this.baseSigner.catch(() => { this.baseSigner = null; });
+    }
+
+    const signer = await this.baseSigner;
+    return signer ? signer.connect(provider) : null;
+  }
+
+  async loadSigner() {
+    const type = this.resolveType();
+
+    if (!type) {
+      return null;
+    }
+
+    if (!SIGNER_TYPES.includes(type)) {
+      throw new Error(`Unknown signer type: ${type}`);
+    }
+
+    let signer;
+
+    switch (type) {
+      case 'keystore':
+        signer = await this.loadKeystore();
+        break;
+      case 'remote':
+        signer = this.createRemoteSigner();
+        break;
+      default:
+        signer = this.createPrivateKeySigner();
+    }
+
+    this.type = type;
+
+    logger.security('Transaction signer initialized', {
+      type,
+      address: await signer.getAddress()
+    });
+
+    return signer;
+  }
+
+  async loadKeystore() {
+    const keystorePath = process.env.KEYSTORE_PATH;
+    const password = process.env.KEYSTORE_PASSWORD_FILE
+      ? (await fs.promises.readFile(process.env.KEYSTORE_PASSWORD_FILE, 'utf8')).trim()
+      : process.env.KEYSTORE_PASSWORD;
+
+    if (!keystorePath || !password) {
+      throw new Error('KEYSTORE_PATH and KEYSTORE_PASSWORD (or KEYSTORE_PASSWORD_FILE) are required');
+    }
+
+    const json = await fs.promises.readFile(keystorePath, 'utf8');
+    return ethers.Wallet.fromEncryptedJson(json, password);
+  }
+
+  createRemoteSigner() {
+    if (!process.env.REMOTE_SIGNER_URL) {
+      throw new Error('REMOTE_SIGNER_URL is required for the remote signer');
+    }
+
+    return new RemoteSigner({
+      url: process.env.REMOTE_SIGNER_URL,
+      token: process.env.REMOTE_SIGNER_TOKEN,
+      timeout: parseInt(process.env.REMOTE_SIGNER_TIMEOUT_MS) || 10000,
+      address: process.env.REMOTE_SIGNER_ADDRESS
+    });
+  }
+
+  createPrivateKeySigner() {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('Raw PRIVATE_KEY signing is disabled in production; use a keystore or remote signer');
+    }
+
+    if (!process.env.PRIVATE_KEY) {
+      throw new Error('PRIVATE_KEY is required for the private_key signer');
+    }
+
+    logger.warn('Using raw PRIVATE_KEY signer; this mode is meant for development only');
+
+    return new ethers.Wallet(process.env.PRIVATE_KEY);
+  }
+}
+
+module.exports = new SignerService();
+module.exports.SignerService = SignerService;
+module.exports.RemoteSigner = RemoteSigner;
@@ -0,0 +1,359 @@
+/**
+ * Snapshot Service for GCT Token Platform
+ * Replays ERC-20 Transfer events up to a block to rebuild token balances,
+ * then applies the snapshot rules (excluded addresses, minimum balance,
+ * pro-rata or tiered amounts, cap per wallet) to produce the allocations
+ * merkleService.createMerkleTree consumes, with a report of every rule
+ */
+
+const { ethers } = require('ethers');
+const AllocationSnapshot = require('../models/AllocationSnapshot');
+const SnapshotAllocation = require('../models/SnapshotAllocation');
+const chainRegistry = require('./chainRegistry');
+const logger = require('../utils/logger');
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const SNAPSHOT_MODES = ['balance', 'pro-rata', 'tiered'];
+
+function topicToAddress(topic) {
+  return `0x${topic.slice(26)}`.toLowerCase();
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0n);
+}
+
+function parseAmount(value, field) {
+  try {
+    const amount = BigInt(value);
+    if (amount < 0n) {
+      throw new Error();
+    }
+    return amount;
+  } catch (error) {
+    throw new Error(`Invalid ${field}: ${value}`);
+  }
+}
+
+class SnapshotService {
+  constructor() {
+    this.batchSize = parseInt(process.env.SNAPSHOT_BATCH_SIZE) || 2000;
+    // Addresses listed per rule in a report; the counts cover every wallet
+    this.reportAddressLimit = parseInt(process.env.SNAPSHOT_REPORT_ADDRESS_LIMIT) || 100;
+  }
+
+  /**
+   * Check the rules of a snapshot and fill in defaults
+   * @param {Object} rules
+   * @param {string} rules.minBalance - Holders below this balance (wei) get nothing
+   * @param {Array} rules.excludedAddresses - Addresses that get nothing (e.g. exchanges, the team)
+   * @param {string} rules.mode - balance (amount = balance), pro-rata (split totalAmount by balance) or tiered
+   * @param {string} rules.totalAmount - Amount split with pro-rata
+   * @param {Array} rules.tiers - [{ minBalance, amount }] for tiered; each holder gets the highest tier reached
+   * @param {string} rules.cap - Maximum amount per wallet
+   */
+  normalizeRules(rules = {}) {
+    const mode = rules.mode || 'balance';
+
+    if (!SNAPSHOT_MODES.includes(mode)) {
+      throw new Error(`Snapshot mode must be one of: ${SNAPSHOT_MODES.join(', ')}`);
+    }
+
+    const excludedAddresses = (rules.excludedAddresses || []).map(address => {
+      if (!ethers.isAddress(address)) {
+        throw new Error(`Invalid excluded address: ${address}`);
+      }
+      return address.toLowerCase();
+    });
+
+    const normalized = {
+      mode,
+      minBalance: parseAmount(rules.minBalance || '0', 'minBalance').toString(),
+      excludedAddresses: Array.from(new Set(excludedAddresses)),
+      cap: rules.cap ? parseAmount(rules.cap, 'cap').toString() : null
+    };
+
+    if (mode === 'pro-rata') {
+      if (!rules.totalAmount) {
+        throw new Error('Pro-rata snapshots require totalAmount');
+      }
+      normalized.totalAmount = parseAmount(rules.totalAmount, 'totalAmount').toString();
+    }
+
+    if (mode === 'tiered') {
+      if (!Array.isArray(rules.tiers) || rules.tiers.length === 0) {
+        throw new Error('Tiered snapshots require at least one tier');
+      }
+      normalized.tiers = rules.tiers
+        .map((tier, index) => ({
+          minBalance: parseAmount(tier.minBalance, `minBalance of tier ${index + 1}`).toString(),
+          amount: parseAmount(tier.amount, `amount of tier ${index + 1}`).toString()
+        }))
+        .sort((a, b) => (BigInt(a.minBalance) < BigInt(b.minBalance) ? -1 : 1));
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Create a snapshot job and start it in the background
+   * @param {Object} params
+   * @param {string} params.name - Name for the snapshot
+   * @param {number|string} params.chain - Chain ID or network key (default: default chain)
+   * @param {string} params.tokenAddress - ERC-20 token (default: the chain's contract address)
+   * @param {number} params.fromBlock - First block to replay (default: SNAPSHOT_START_BLOCK or 0)
+   * @param {number} params.blockNumber - Snapshot block (default: latest block)
+   * @param {Object} params.rules - See normalizeRules
+   * @param {string} params.adminId - Admin starting the snapshot
+   */
+  async createSnapshot(params) {
+    const rules = this.normalizeRules(params.rules);
+    const { chain, blockchain } = chainRegistry.get(params.chain);
+
+    if (!blockchain.provider) {
+      throw new Error(`No provider configured for chain ${chain.chainId}`);
+    }
+
+    const tokenAddress = params.tokenAddress || chain.contractAddress;
+    if (!tokenAddress || !ethers.isAddress(tokenAddress)) {
+      throw new Error('A valid token address is required');
+    }
+
+    const head = await blockchain.provider.getBlockNumber();
+    const blockNumber = params.blockNumber !== undefined ? params.blockNumber : head;
+    const fromBlock = params.fromBlock !== undefined
+      ? params.fromBlock
+      : parseInt(process.env.SNAPSHOT_START_BLOCK) || 0;
+
+    if (blockNumber > head) {
+      throw new Error(`Snapshot block ${blockNumber} is ahead of the chain head ${head}`);
+    }
+    if (fromBlock > blockNumber) {
+      throw new Error('fromBlock must not be after the snapshot block');
+    }
+
+    const snapshot = new AllocationSnapshot({
+      name: params.name,
+      chainId: chain.chainId,
+      tokenAddress,
+      fromBlock,
+      blockNumber,
+      rules,
+      adminId: params.adminId
+    });
+
+    await snapshot.save();
+
+    // Replaying a token's history can take minutes; progress is stored on the document
+    this.run(snapshot).catch(error => {
+      logger.error('Snapshot run error', { snapshotId: snapshot._id, error: error.message });
+    });
+
+    return snapshot;
+  }
+
+  /**
+   * Replay the transfers of a snapshot and store its allocations in SnapshotAllocation
+   * @param {Object} snapshot - AllocationSnapshot document
+   */
+  async run(snapshot) {
+    snapshot.status = 'running';
+    snapshot.startedAt = new Date();
+    await snapshot.save();
+
+    try {
+      const balances = await this.replayTransfers(snapshot);
+      const { allocations, report } = this.applyRules(balances, snapshot.rules);
+
+      await SnapshotAllocation.replaceForSnapshot(snapshot._id, allocations);
+      await snapshot.complete(report);
+
+      logger.info('Snapshot completed', {
+        snapshotId: snapshot._id,
+        chainId: snapshot.chainId,
+        blockNumber: snapshot.blockNumber,
+        holders: report.holders,
+        wallets: report.wallets,
+        totalAllocated: report.totalAllocated
+      });
+
+      return snapshot;
+
+    } catch (error) {
+      await snapshot.fail(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rebuild token balances at the snapshot block from Transfer events
+   * @param {Object} snapshot - AllocationSnapshot document
+   * @returns {Promise<Map>} Balance per lowercase address
+   */
+  async replayTransfers(snapshot) {
+    const { blockchain } = chainRegistry.get(snapshot.chainId);
+    const balances = new Map();
+
+    const add = (address, value) => {
+      balances.set(address, (balances.get(address) || 0n) + value);
+    };
+
+    let fromBlock = snapshot.fromBlock;
+
+    while (fromBlock <= snapshot.blockNumber) {
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, snapshot.blockNumber);
+
+      const logs = await blockchain.provider.getLogs({
+        address: snapshot.tokenAddress,
+        topics: [TRANSFER_TOPIC],
+        fromBlock,
+        toBlock
+      });
+
+      for (const log of logs) {
+        // ERC-721 transfers share the signature but index the token ID
+        if (log.topics.length !== 3) {
+          continue;
+        }
+
+        const from = topicToAddress(log.topics[1]);
+        const to = topicToAddress(log.topics[2]);
+        const value = BigInt(log.data);
+
+        // Mints and burns only move the balance of the other side
+        if (from !== ethers.ZeroAddress) {
+          add(from, -value);
+        }
+        if (to !== ethers.ZeroAddress) {
+          add(to, value);
+        }
+      }
+
+      await snapshot.advance(toBlock, logs.length);
+      fromBlock = toBlock + 1;
+    }
+
+    return balances;
+  }
+
+  /**
+   * Turn balances into allocations
+   * @param {Map} balances - Balance per lowercase address
+   * @param {Object} rules - Normalized rules
+   * @returns {Object} { allocations, report }
+   */
+  applyRules(balances, rules) {
+    let holders = Array.from(balances.entries())
+      .filter(([, balance]) => balance > 0n)
+      .map(([walletAddress, balance]) => ({ walletAddress, balance }))
+      .sort((a, b) => (a.walletAddress < b.walletAddress ? -1 : 1));
+
+    const report = {
+      holders: holders.length,
+      totalBalance: sum(holders.map(holder => holder.balance)).toString(),
+      rules: []
+    };
+
+    if (rules.excludedAddresses.length > 0) {
+      const excluded = new Set(rules.excludedAddresses);
+      const removed = holders.filter(holder => excluded.has(holder.walletAddress));
+      holders = holders.filter(holder => !excluded.has(holder.walletAddress));
+
+      report.rules.push({
+        rule: 'excludedAddresses',
+        wallets: removed.length,
+        balance: sum(removed.map(holder => holder.balance)).toString(),
+        addresses: removed.slice(0, this.reportAddressLimit).map(holder => holder.walletAddress),
+        truncated: removed.length > this.reportAddressLimit
+      });
+    }
+
+    const minBalance = BigInt(rules.minBalance);
+    if (minBalance > 0n) {
+      const removed = holders.filter(holder => holder.balance < minBalance);
+      holders = holders.filter(holder => holder.balance >= minBalance);
+
+      report.rules.push({
+        rule: 'minBalance',
+        minBalance: rules.minBalance,
+        wallets: removed.length,
+        balance: sum(removed.map(holder => holder.balance)).toString()
+      });
+    }
+
+    const eligibleBalance = sum(holders.map(holder => holder.balance));
+
+    if (rules.mode === 'pro-rata') {
+      const totalAmount = BigInt(rules.totalAmount);
+      holders.forEach(holder => {
+        holder.amount = eligibleBalance > 0n ? holder.balance * totalAmount / eligibleBalance : 0n;
+      });
+
+      report.rules.push({
+        rule: 'pro-rata',
+        totalAmount: rules.totalAmount,
+        eligibleBalance: eligibleBalance.toString(),
+        // Left over from rounding down every share
+        remainder: (totalAmount - sum(holders.map(holder => holder.amount))).toString()
+      });
+    } else if (rules.mode === 'tiered') {
+      const tiers = rules.tiers.map(tier => ({ ...tier, wallets: 0 }));
+
+      holders.forEach(holder => {
+        const tier = tiers.filter(t => holder.balance >= BigInt(t.minBalance)).pop();
+        holder.amount = tier ? BigInt(tier.amount) : 0n;
+        if (tier) {
+          tier.wallets++;
+        }
+      });
+
+      report.rules.push({
+        rule: 'tiered',
+        tiers,
+        untiered: holders.filter(holder => holder.amount === 0n).length
+      });
+    } else {
+      holders.forEach(holder => {
+        holder.amount = holder.balance;
+      });
+
+      report.rules.push({ rule: 'balance', eligibleBalance: eligibleBalance.toString() });
+    }
+
+    if (rules.cap) {
+      const cap = BigInt(rules.cap);
+      const capped = holders.filter(holder => holder.amount > cap);
+
+      report.rules.push({
+        rule: 'cap',
+        cap: rules.cap,
+        wallets: capped.length,
+        amountRemoved: sum(capped.map(holder => holder.amount - cap)).toString()
+      });
+
+      capped.forEach(holder => {
+        holder.amount = cap;
+      });
+    }
+
+    const zero = holders.filter(holder => holder.amount === 0n);
+    if (zero.length > 0) {
+      holders = holders.filter(holder => holder.amount > 0n);
+      report.rules.push({ rule: 'zeroAmount', wallets: zero.length });
+    }
+
+    const allocations = holders.map(holder => ({
+      walletAddress: holder.walletAddress,
+      amount: holder.amount.toString(),
+      balance: holder.balance.toString()
+    }));
+
+    report.wallets = allocations.length;
+    report.totalAllocated = sum(holders.map(holder => holder.amount)).toString();
+
+    return { allocations, report };
+  }
+}
+
+module.exports = new SnapshotService();
+module.exports.SnapshotService = SnapshotService;
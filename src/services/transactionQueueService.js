@@ -0,0 +1,563 @@
+/**
+ * Outbound Transaction Queue for GCT Token Platform
+ * Persists every transaction sent from the admin hot wallet, assigns nonces
+ * locally so submissions can be pipelined, and replaces stuck transactions
+ * with a gas bump
+ */
+
+const OutboundTransaction = require('../models/OutboundTransaction');
+const gasStrategy = require('./gasStrategyService');
+const logger = require('../utils/logger');
+const { getDefaultChainId, chainFilter } = require('../utils/chains');
+
+class TransactionQueueService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.signer - ethers signer for the hot wallet
+   * @param {Object} options.provider - ethers provider
+   * @param {number} options.chainId - Chain the queued transactions are sent to
+   * @param {Object} options.gasStrategy - Prices new transactions and enforces the fee cap and budget
+   */
+  constructor(options = {}) {
+    this.chainId = options.chainId || getDefaultChainId();
+    this.gasStrategy = options.gasStrategy || gasStrategy;
+    this.signer = options.signer || null;
+    this.provider = options.provider || null;
+    this.maxInFlight = options.maxInFlight || parseInt(process.env.TX_QUEUE_MAX_IN_FLIGHT) || 10;
+    this.pollInterval = options.pollInterval || parseInt(process.env.TX_QUEUE_POLL_INTERVAL_MS) || 5000;
+    this.stuckAfter = options.stuckAfter || parseInt(process.env.TX_QUEUE_STUCK_AFTER_MS) || 2 * 60 * 1000;
+    this.gasBumpPercent = options.gasBumpPercent || parseInt(process.env.TX_QUEUE_GAS_BUMP_PERCENT) || 15;
+    this.maxReplacements = options.maxReplacements || parseInt(process.env.TX_QUEUE_MAX_REPLACEMENTS) || 5;
+
+    this.handlers = new Map();
+    this.waiters = new Map();
+    this.nextNonce = null;
+    this.lock = Promise.resolve();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  configure(signer, provider) {
+    this.signer = signer;
+    this.provider = provider;
+    this.nextNonce = null;
+  }
+
+  /**
+   * Register callbacks for a transaction kind
+   * @param {string} kind - OutboundTransaction kind
+   * @param {Object} handler - { onSubmitted(doc, tx), onMined(doc, receipt), onFailed(doc, error) }
+   */
+  registerHandler(kind, handler) {
+    this.handlers.set(kind, handler);
+  }
+
+  start() {
+    if (!this.signer) {
+      logger.warn('Transaction queue not started: no signer configured');
+      return false;
+    }
+
+    if (this.timer) {
+      return true;
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch(error => {
+        logger.error('Transaction queue tick error', { error: error.message });
+      });
+    }, this.pollInterval);
+
+    logger.blockchain('Transaction queue started', {
+      chainId: this.chainId,
+      maxInFlight: this.maxInFlight,
+      pollInterval: this.pollInterval,
+      stuckAfter: this.stuckAfter
+    });
+
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.blockchain('Transaction queue stopped');
+    }
+  }
+
+  /**
+   * Serialize nonce-sensitive work so concurrent callers cannot collide
+   */
+  withLock(fn) {
+    const run = this.lock.then(fn, fn);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Add a transaction to the queue
+   * @param {Object} tx - { kind, to, data, value, claims, merkleTree, adminId, metadata }
+   */
+  async enqueue(tx) {
+    if (!this.signer) {
+      throw new Error('Transaction queue has no signer configured');
+    }
+
+    const outbound = new OutboundTransaction({
+      kind: tx.kind,
+      chainId: this.chainId,
+      to: tx.to,
+      data: tx.data,
+      value: tx.value || '0',
+      claims: tx.claims || [],
+      merkleTree: tx.merkleTree || null,
+      adminId: tx.adminId || null,
+      metadata: tx.metadata || {}
+    });
+
+    await outbound.save();
+
+    logger.blockchain('Transaction queued', {
+      outboundTransactionId: outbound._id,
+      kind: outbound.kind,
+      claims: outbound.claims.length
+    });
+
+    // Submit right away instead of waiting for the next tick
+    this.pump().catch(error => {
+      logger.error('Transaction queue pump error', { error: error.message });
+    });
+
+    return outbound;
+  }
+
+  /**
+   * Resolve once the transaction is mined or has failed
+   * @param {string} id - OutboundTransaction ID
+   * @param {number} timeout - Milliseconds to wait before resolving with the current state
+   * @returns {Promise<Object>} Rejects when the current state cannot be loaded after the timeout
+   */
+  waitFor(id, timeout = parseInt(process.env.TX_QUEUE_WAIT_TIMEOUT_MS) || 2 * 60 * 1000) {
+    const key = id.toString();
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.removeWaiter(key, done);
+        OutboundTransaction.findById(id).then(resolve, reject);
+      }, timeout);
+
+      const done = (outbound) => {
+        clearTimeout(timer);
+        resolve(outbound);
+      };
+
+      if (!this.waiters.has(key)) {
+        this.waiters.set(key, []);
+      }
+      this.waiters.get(key).push(done);
+    });
+  }
+
+  removeWaiter(key, waiter) {
+    const waiters = (this.waiters.get(key) || []).filter(w => w !== waiter);
+
+    if (waiters.length > 0) {
+      this.waiters.set(key, waiters);
+    } else {
+      this.waiters.delete(key);
+    }
+  }
+
+  notifyWaiters(outbound) {
+    const key = outbound._id.toString();
+    const waiters = this.waiters.get(key) || [];
+
+    this.waiters.delete(key);
+    waiters.forEach(waiter => waiter(outbound));
+  }
+
+  async tick() {
+    if (this.ticking) {
+      return;
+    }
+
+    this.ticking = true;
+
+    try {
+      await this.monitor();
+      await this.pump();
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Broadcast queued transactions in order while in-flight slots are free
+   */
+  pump() {
+    return this.withLock(async () => {
+      if (!this.signer) {
+        return;
+      }
+
+      const inFlight = await OutboundTransaction.countDocuments({ status: 'submitted', ...chainFilter(this.chainId) });
+      const slots = this.maxInFlight - inFlight;
+
+      if (slots <= 0) {
+        return;
+      }
+
+      const queued = await OutboundTransaction.find({ status: 'queued', ...chainFilter(this.chainId) })
+        .sort({ createdAt: 1 })
+        .limit(slots);
+
+      for (const outbound of queued) {
+        const sent = await this.send(outbound);
+
+        // Keep ordering intact: stop at the first transient failure
+        if (!sent) {
+          break;
+        }
+      }
+    });
+  }
+
+  async reserveNonce(from) {
+    if (this.nextNonce === null) {
+      const chainNonce = await this.provider.getTransactionCount(from, 'pending');
+      const lastStored = await OutboundTransaction.findOne({ from, nonce: { $ne: null }, ...chainFilter(this.chainId) })
+        .sort({ nonce: -1 })
+        .select('nonce');
+
+      this.nextNonce = Math.max(chainNonce, lastStored ? lastStored.nonce + 1 : 0);
+    }
+
+    return this.nextNonce;
+  }
+
+  async send(outbound) {
+    const from = (await this.signer.getAddress()).toLowerCase();
+
+    try {
+      const gasLimit = await this.provider.estimateGas({
+        from,
+        to: outbound.to,
+        data: outbound.data,
+        value: outbound.value
+      });
+
+      const fees = await this.gasStrategy.prepare(this.provider, gasLimit);
+      const nonce = await this.reserveNonce(from);
+
+      const tx = await this.signer.sendTransaction({
+        to: outbound.to,
+        data: outbound.data,
+        value: outbound.value,
+        nonce,
+        gasLimit,
+        ...fees
+      });
+
+      this.nextNonce = nonce + 1;
+
+      outbound.from = from;
+      outbound.nonce = nonce;
+      outbound.gasLimit = gasLimit.toString();
+      await outbound.recordAttempt(tx);
+
+      logger.blockchain('Transaction submitted', {
+        outboundTransactionId: outbound._id,
+        kind: outbound.kind,
+        nonce,
+        transactionHash: tx.hash
+      });
+
+      await this.notifySubmitted(outbound, tx);
+
+      return true;
+
+    } catch (error) {
+      // A revert during gas estimation will never succeed; anything else
+      // (RPC hiccup, rate limit) is retried on the next tick
+      if (error.code === 'CALL_EXCEPTION') {
+        await this.fail(outbound, error);
+        return true;
+      }
+
+      // Gas is above the cap or the daily budget is spent; try again later
+      if (error.code === 'GAS_DEFERRED') {
+        if (outbound.lastError !== error.message) {
+          outbound.lastError = error.message;
+          await outbound.save();
+
+          logger.blockchain('Transaction deferred by gas strategy', {
+            outboundTransactionId: outbound._id,
+            kind: outbound.kind,
+            reason: error.message
+          });
+        }
+
+        return false;
+      }
+
+      // Re-sync the nonce from the chain in case the node disagrees with us
+      this.nextNonce = null;
+
+      outbound.lastError = error.message.slice(0, 500);
+      await outbound.save();
+
+      logger.warn('Transaction submission deferred', {
+        outboundTransactionId: outbound._id,
+        kind: outbound.kind,
+        error: error.message
+      });
+
+      return false;
+    }
+  }
+
+  async notifySubmitted(outbound, tx) {
+    const handler = this.handlers.get(outbound.kind);
+
+    try {
+      if (handler && handler.onSubmitted) {
+        await handler.onSubmitted(outbound, tx);
+      }
+    } catch (error) {
+      logger.error('Transaction handler error', {
+        outboundTransactionId: outbound._id,
+        kind: outbound.kind,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Check submitted transactions for receipts and replace stuck ones
+   */
+  async monitor() {
+    if (!this.provider) {
+      return;
+    }
+
+    const submitted = await OutboundTransaction.find({ status: 'submitted', ...chainFilter(this.chainId) })
+      .sort({ nonce: 1 });
+
+    for (const outbound of submitted) {
+      try {
+        const receipt = await this.findReceipt(outbound);
+
+        if (receipt) {
+          await this.settle(outbound, receipt);
+          continue;
+        }
+
+        const latestNonce = await this.provider.getTransactionCount(outbound.from, 'latest');
+        if (latestNonce > outbound.nonce) {
+          // One of our attempts may have been mined since the receipt lookup
+          const minedReceipt = await this.findReceipt(outbound);
+
+          if (minedReceipt) {
+            await this.settle(outbound, minedReceipt);
+          } else {
+            // Our nonce was used by a transaction we do not know about
+            await this.fail(outbound, new Error('Nonce consumed by another transaction'));
+          }
+          continue;
+        }
+
+        if (Date.now() - outbound.submittedAt.getTime() > this.stuckAfter) {
+          await this.replace(outbound);
+        }
+
+      } catch (error) {
+        logger.error('Transaction monitor error', {
+          outboundTransactionId: outbound._id,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  async findReceipt(outbound) {
+    // Any of the attempts (original or replacement) may be the one mined
+    for (const attempt of [...outbound.attempts].reverse()) {
+      const receipt = await this.provider.getTransactionReceipt(attempt.hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+
+    return null;
+  }
+
+  async settle(outbound, receipt) {
+    await outbound.recordReceipt(receipt);
+
+    logger.blockchain('Transaction mined', {
+      outboundTransactionId: outbound._id,
+      kind: outbound.kind,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      status: receipt.status
+    });
+
+    const handler = this.handlers.get(outbound.kind);
+
+    try {
+      if (receipt.status === 1) {
+        if (handler && handler.onMined) {
+          await handler.onMined(outbound, receipt);
+        }
+      } else if (handler && handler.onFailed) {
+        await handler.onFailed(outbound, new Error('Transaction failed on blockchain'));
+      }
+    } catch (error) {
+      logger.error('Transaction handler error', {
+        outboundTransactionId: outbound._id,
+        kind: outbound.kind,
+        error: error.message
+      });
+    }
+
+    this.notifyWaiters(outbound);
+  }
+
+  async fail(outbound, error) {
+    outbound.status = 'failed';
+    outbound.lastError = error.message.slice(0, 500);
+    await outbound.save();
+
+    logger.error('Transaction failed', {
+      outboundTransactionId: outbound._id,
+      kind: outbound.kind,
+      error: error.message
+    });
+
+    const handler = this.handlers.get(outbound.kind);
+
+    try {
+      if (handler && handler.onFailed) {
+        await handler.onFailed(outbound, error);
+      }
+    } catch (handlerError) {
+      logger.error('Transaction handler error', {
+        outboundTransactionId: outbound._id,
+        kind: outbound.kind,
+        error: handlerError.message
+      });
+    }
+
+    this.notifyWaiters(outbound);
+  }
+
+  bump(value) {
+    return value * BigInt(100 + this.gasBumpPercent) / 100n;
+  }
+
+  /**
+   * Re-send a stuck transaction with the same nonce and higher fees
+   */
+  async replace(outbound) {
+    if (outbound.attempts.length > this.maxReplacements) {
+      logger.warn('Transaction stuck after maximum replacements', {
+        outboundTransactionId: outbound._id,
+        nonce: outbound.nonce,
+        attempts: outbound.attempts.length
+      });
+      return;
+    }
+
+    const last = outbound.attempts[outbound.attempts.length - 1];
+    const current = await this.gasStrategy.getFees(this.provider);
+    const fees = {};
+
+    // Nodes only accept a replacement that outbids the previous attempt
+    if (last.maxFeePerGas) {
+      const bumpedMax = this.bump(BigInt(last.maxFeePerGas));
+      const bumpedPriority = this.bump(BigInt(last.maxPriorityFeePerGas));
+      fees.maxFeePerGas = current.maxFeePerGas && current.maxFeePerGas > bumpedMax ? current.maxFeePerGas : bumpedMax;
+      fees.maxPriorityFeePerGas = current.maxPriorityFeePerGas && current.maxPriorityFeePerGas > bumpedPriority
+        ? current.maxPriorityFeePerGas
+        : bumpedPriority;
+    } else {
+      const bumped = this.bump(BigInt(last.gasPrice));
+      fees.gasPrice = current.gasPrice && current.gasPrice > bumped ? current.gasPrice : bumped;
+    }
+
+    // Rather stay stuck than pay more than the cap
+    if (this.gasStrategy.isAboveCap(fees)) {
+      logger.warn('Transaction replacement deferred: bumped fee is above the gas cap', {
+        outboundTransactionId: outbound._id,
+        nonce: outbound.nonce
+      });
+      return;
+    }
+
+    return this.withLock(async () => {
+      try {
+        const tx = await this.signer.sendTransaction({
+          to: outbound.to,
+          data: outbound.data,
+          value: outbound.value,
+          nonce: outbound.nonce,
+          gasLimit: outbound.gasLimit,
+          ...fees
+        });
+
+        await outbound.recordAttempt(tx);
+
+        logger.blockchain('Stuck transaction replaced', {
+          outboundTransactionId: outbound._id,
+          nonce: outbound.nonce,
+          transactionHash: tx.hash,
+          attempt: outbound.attempts.length
+        });
+
+        await this.notifySubmitted(outbound, tx);
+
+      } catch (error) {
+        // "nonce too low" means an earlier attempt just got mined; the next
+        // monitor pass will pick up its receipt
+        logger.warn('Transaction replacement failed', {
+          outboundTransactionId: outbound._id,
+          nonce: outbound.nonce,
+          error: error.message
+        });
+      }
+    });
+  }
+
+  async getStatus(options = {}) {
+    const { status, limit = 20 } = options;
+    const filter = {
+      ...chainFilter(this.chainId),
+      status: status || { $in: ['queued', 'submitted'] }
+    };
+
+    const [counts, transactions] = await Promise.all([
+      OutboundTransaction.getStats(chainFilter(this.chainId)),
+      OutboundTransaction.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .select('-data')
+    ]);
+
+    return {
+      chainId: this.chainId,
+      started: !!this.timer,
+      signer: this.signer ? await this.signer.getAddress() : null,
+      nextNonce: this.nextNonce,
+      maxInFlight: this.maxInFlight,
+      stuckAfter: this.stuckAfter,
+      gasBumpPercent: this.gasBumpPercent,
+      gas: await this.gasStrategy.getStatus(),
+      counts,
+      transactions
+    };
+  }
+}
+
+module.exports = new TransactionQueueService();
+module.exports.TransactionQueueService = TransactionQueueService;
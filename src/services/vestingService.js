@@ -0,0 +1,211 @@
+/**
+ * Vesting Service for GCT Token Platform
+ * Creates vesting schedules for merkle allocations and limits what a wallet
+ * can claim to the part of its allocation that has vested and not been
+ * claimed yet
+ */
+
+const VestingSchedule = require('../models/VestingSchedule');
+const MerkleTreeModel = require('../models/MerkleTree');
+const ClaimTransaction = require('../models/ClaimTransaction');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { findChain, isSameChain, getDefaultChainId } = require('../utils/chains');
+
+class VestingService {
+  /**
+   * Create a vesting schedule
+   * @param {Object} params
+   * @param {string} params.walletAddress - Wallet whose allocation vests
+   * @param {number|string} params.chain - Chain ID or network key (default: default chain)
+   * @param {string} params.merkleTreeId - Tree whose leaf vests (default: every tree of the chain)
+   * @param {string} params.tokenAddress - Token of a multi-token tree
+   * @param {string} params.totalAmount - Amount vested in wei (default: the leaf amount of the tree)
+   * @param {Date} params.startDate - Start of the vesting
+   * @param {Date} params.cliffDate - Nothing vests before it (default: startDate)
+   * @param {Date} params.endDate - Everything has vested from it on
+   * @param {string} params.releaseType - linear (continuous) or stepped (every stepInterval seconds)
+   * @param {string} params.adminId - Admin creating the schedule
+   */
+  async createSchedule(params) {
+    const chain = findChain(params.chain);
+    if (!chain) {
+      throw new Error('Unsupported chain');
+    }
+
+    const walletAddress = params.walletAddress.toLowerCase();
+    const tokenAddress = params.tokenAddress ? params.tokenAddress.toLowerCase() : null;
+    let totalAmount = params.totalAmount ? BigInt(params.totalAmount) : null;
+
+    if (params.merkleTreeId) {
+      const merkleTree = await MerkleTreeModel.findById(params.merkleTreeId);
+
+      if (!merkleTree || !isSameChain(merkleTree.chainId, chain.chainId)) {
+        throw new Error('Merkle tree not found on this chain');
+      }
+      if (merkleTree.isMultiToken() && !tokenAddress) {
+        throw new Error('tokenAddress is required for multi-token distributions');
+      }
+
+      const leaf = await merkleTree.findLeaf(walletAddress, tokenAddress);
+      if (!leaf) {
+        throw new Error('Wallet has no allocation in this merkle tree');
+      }
+
+      if (totalAmount === null) {
+        totalAmount = BigInt(leaf.amount);
+      } else if (totalAmount > BigInt(leaf.amount)) {
+        throw new Error('Vested amount exceeds the allocation in the merkle tree');
+      }
+    }
+
+    if (!totalAmount || totalAmount <= 0n) {
+      throw new Error('totalAmount is required without a merkle tree');
+    }
+
+    const user = await User.findOne({ walletAddress }).select('_id');
+
+    const schedule = new VestingSchedule({
+      walletAddress,
+      user: user ? user._id : null,
+      chainId: chain.chainId,
+      merkleTree: params.merkleTreeId || null,
+      tokenAddress,
+      category: params.category,
+      totalAmount: totalAmount.toString(),
+      startDate: params.startDate,
+      cliffDate: params.cliffDate || null,
+      endDate: params.endDate,
+      releaseType: params.releaseType,
+      stepInterval: params.stepInterval || null,
+      note: params.note || null,
+      adminId: params.adminId
+    });
+
+    await schedule.save();
+
+    logger.info('Vesting schedule created', {
+      scheduleId: schedule._id,
+      walletAddress,
+      chainId: chain.chainId,
+      merkleTreeId: schedule.merkleTree,
+      totalAmount: schedule.totalAmount
+    });
+
+    return schedule;
+  }
+
+  /**
+   * Add up schedules of one allocation
+   * @param {Array} schedules - VestingSchedule documents
+   * @param {string} claimed - Amount of the allocation already claimed
+   * @param {Date} at - Date to compute the vested amount for
+   * @returns {Object} { totalAmount, vested, locked, forfeited, claimed, available, nextRelease, schedules }
+   */
+  summarize(schedules, claimed = '0', at = new Date()) {
+    const statuses = schedules.map(schedule => schedule.getStatus(at));
+    const sum = field => statuses.reduce((total, status) => total + BigInt(status[field]), 0n);
+
+    const vested = sum('vested');
+    const claimedAmount = BigInt(claimed);
+    const nextRelease = statuses
+      .map(status => status.nextRelease)
+      .filter(Boolean)
+      .sort((a, b) => a.date - b.date)[0] || null;
+
+    return {
+      totalAmount: sum('totalAmount').toString(),
+      vested: vested.toString(),
+      locked: sum('locked').toString(),
+      forfeited: sum('forfeited').toString(),
+      claimed: claimedAmount.toString(),
+      available: (vested > claimedAmount ? vested - claimedAmount : 0n).toString(),
+      nextRelease,
+      schedules: statuses
+    };
+  }
+
+  /**
+   * Amount a wallet claimed within the scope of its schedules: the settled
+   * claims made against the schedules' trees, or against any tree of the
+   * chain when a schedule is not tied to one. Leaves of cumulative trees are
+   * lifetime totals, so they are compared with the contract's claimed().
+   * @param {Array} schedules - Schedules of one wallet and token
+   * @param {string} walletAddress - Wallet address
+   * @param {string} tokenAddress - Token of a multi-token tree
+   * @returns {Promise<string>} Amount in wei
+   */
+  async getClaimed(schedules, walletAddress, tokenAddress = null) {
+    const chainId = schedules[0].chainId || getDefaultChainId();
+    const merkleTreeIds = schedules.map(schedule => schedule.merkleTree);
+
+    if (merkleTreeIds.some(merkleTreeId => !merkleTreeId)) {
+      return ClaimTransaction.getSettledAmount(walletAddress, chainId, tokenAddress);
+    }
+
+    if (await MerkleTreeModel.exists({ _id: { $in: merkleTreeIds }, distributionMode: 'cumulative' })) {
+      const chainRegistry = require('./chainRegistry');
+      return chainRegistry.get(chainId).blockchain.getClaimedAmount(walletAddress);
+    }
+
+    return ClaimTransaction.getSettledAmount(walletAddress, chainId, tokenAddress, merkleTreeIds);
+  }
+
+  /**
+   * Vesting of a wallet's allocation in a tree, null when it does not vest
+   * @param {Object} merkleTree - Merkle tree document
+   * @param {string} walletAddress - Wallet address
+   * @param {string} tokenAddress - Token of a multi-token tree
+   */
+  async getVestingStatus(merkleTree, walletAddress, tokenAddress = null) {
+    const schedules = await VestingSchedule.findForAllocation(merkleTree, walletAddress, tokenAddress);
+
+    if (schedules.length === 0) {
+      return null;
+    }
+
+    return this.summarize(schedules, await this.getClaimed(schedules, walletAddress, tokenAddress));
+  }
+
+  /**
+   * Limit a claimable amount to what has vested and not been claimed
+   * @param {string} remaining - Claimable amount without vesting
+   * @returns {Promise<string>} Claimable amount in wei
+   */
+  async applyVesting(merkleTree, walletAddress, tokenAddress, remaining) {
+    const vesting = await this.getVestingStatus(merkleTree, walletAddress, tokenAddress);
+
+    if (!vesting || BigInt(vesting.available) >= BigInt(remaining)) {
+      return remaining;
+    }
+
+    return vesting.available;
+  }
+
+  /**
+   * Every schedule of a user on a chain, with totals per token
+   * @param {Object} user - User document
+   * @param {number} chainId - Chain ID
+   * @returns {Promise<Array>} One summary per token, null for single-token trees
+   */
+  async getUserVesting(user, chainId) {
+    const schedules = await VestingSchedule.findForWallet(user.walletAddress, chainId);
+    const byToken = new Map();
+
+    schedules.forEach(schedule => {
+      const tokenAddress = schedule.tokenAddress || null;
+      if (!byToken.has(tokenAddress)) {
+        byToken.set(tokenAddress, []);
+      }
+      byToken.get(tokenAddress).push(schedule);
+    });
+
+    return Promise.all(Array.from(byToken.entries()).map(async ([tokenAddress, tokenSchedules]) => ({
+      tokenAddress,
+      ...this.summarize(tokenSchedules, await this.getClaimed(tokenSchedules, user.walletAddress, tokenAddress))
+    })));
+  }
+}
+
+module.exports = new VestingService();
+module.exports.VestingService = VestingService;
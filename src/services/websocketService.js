@@ -19,9 +19,16 @@ class WebSocketService {
     this.connectedClients = new Map();
     this.rooms = new Map();
     
+    // Background services reach the running instance through getInstance()
+    WebSocketService.instance = this;
+    
     this.initialize();
   }
 
+  static getInstance() {
+    return WebSocketService.instance || null;
+  }
+
   initialize() {
     this.io.on('connection', (socket) => {
       this.handleConnection(socket);
@@ -271,6 +278,14 @@ class WebSocketService {
     });
   }
 
+  sendAdminAlert(alert) {
+    this.broadcastToAdmins('notification', {
+      type: 'alert',
+      ...alert,
+      timestamp: new Date().toISOString()
+    });
+  }
+
   sendSystemNotification(notification) {
     this.broadcastToAll('notification', {
       type: 'system',
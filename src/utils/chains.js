@@ -0,0 +1,135 @@
+/**
+ * Chain configuration helpers for GCT Token Platform
+ * Resolves which NETWORKS entries are enabled and how each one is reached
+ */
+
+const { NETWORKS } = require('./constants');
+
+// RPC variables used before multi-network support
+const LEGACY_RPC_ENV = {
+  BSC_MAINNET: 'BSC_RPC_URL',
+  BSC_TESTNET: 'BSC_TESTNET_RPC_URL'
+};
+
+function getDefaultNetworkKey() {
+  const key = process.env.DEFAULT_NETWORK
+    ? process.env.DEFAULT_NETWORK.toUpperCase()
+    : (process.env.NETWORK === 'mainnet' ? 'BSC_MAINNET' : 'BSC_TESTNET');
+
+  if (!NETWORKS[key]) {
+    throw new Error(`Unknown network: ${key}`);
+  }
+
+  return key;
+}
+
+function getEnabledNetworkKeys() {
+  const defaultKey = getDefaultNetworkKey();
+
+  if (!process.env.ENABLED_NETWORKS) {
+    return [defaultKey];
+  }
+
+  const keys = process.env.ENABLED_NETWORKS
+    .split(',')
+    .map(key => key.trim().toUpperCase())
+    .filter(key => NETWORKS[key]);
+
+  if (!keys.includes(defaultKey)) {
+    keys.unshift(defaultKey);
+  }
+
+  return keys;
+}
+
+/**
+ * Build the runtime configuration of a network
+ * @param {string} key - NETWORKS key, e.g. BSC_MAINNET
+ */
+function getChainConfig(key) {
+  const network = NETWORKS[key];
+  const isDefault = key === getDefaultNetworkKey();
+
+  // The public RPC from NETWORKS is only used for networks enabled explicitly
+  const explicitlyEnabled = !!process.env.ENABLED_NETWORKS;
+  const rpcUrl = process.env[`${key}_RPC_URL`]
+    || process.env[LEGACY_RPC_ENV[key]]
+    || (explicitlyEnabled ? network.rpcUrl : null);
+
+  // Failover endpoints: <KEY>_RPC_URLS, comma-separated, in order of preference
+  const rpcUrls = (process.env[`${key}_RPC_URLS`] || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+
+  if (rpcUrl && !rpcUrls.includes(rpcUrl)) {
+    rpcUrls.unshift(rpcUrl);
+  }
+
+  return {
+    key,
+    name: network.name,
+    chainId: network.chainId,
+    blockExplorer: network.blockExplorer,
+    isDefault,
+    rpcUrl: rpcUrls[0] || null,
+    rpcUrls,
+    contractAddress: process.env[`${key}_CONTRACT_ADDRESS`]
+      || (isDefault ? process.env.CONTRACT_ADDRESS : null)
+      || null,
+    // Gnosis Safe that owns the contract, for Safe Transaction Builder exports
+    safeAddress: process.env[`${key}_SAFE_ADDRESS`]
+      || (isDefault ? process.env.SAFE_ADDRESS : null)
+      || null
+  };
+}
+
+function getChains() {
+  return getEnabledNetworkKeys().map(getChainConfig);
+}
+
+function getDefaultChainId() {
+  return NETWORKS[getDefaultNetworkKey()].chainId;
+}
+
+/**
+ * Find an enabled chain by chain ID or NETWORKS key
+ * @param {number|string} value - e.g. 56, "56" or "BSC_MAINNET"
+ * @returns {Object|null}
+ */
+function findChain(value) {
+  const chains = getChains();
+
+  if (value === undefined || value === null || value === '') {
+    return chains.find(chain => chain.isDefault);
+  }
+
+  const chainId = parseInt(value);
+
+  return chains.find(chain =>
+    chain.chainId === chainId || chain.key === value.toString().toUpperCase()
+  ) || null;
+}
+
+/**
+ * Query filter for documents of a chain. Documents created before
+ * multi-network support have no chainId and belong to the default chain.
+ * @param {number} chainId
+ */
+function chainFilter(chainId) {
+  return chainId === getDefaultChainId()
+    ? { chainId: { $in: [chainId, null] } }
+    : { chainId };
+}
+
+function isSameChain(documentChainId, chainId) {
+  return (documentChainId || getDefaultChainId()) === chainId;
+}
+
+module.exports = {
+  getChains,
+  getDefaultChainId,
+  findChain,
+  chainFilter,
+  isSameChain
+};
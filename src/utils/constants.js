@@ -27,6 +27,7 @@ const PERMISSIONS = {
 const TRANSACTION_STATUS = {
   PENDING: 'pending',
   PROCESSING: 'processing',
+  CONFIRMING: 'confirming',
   COMPLETED: 'completed',
   FAILED: 'failed',
   CANCELLED: 'cancelled'
@@ -54,6 +55,41 @@ const NETWORKS = {
   }
 };
 
+// Claim contract ABI shared by the blockchain service and the event indexer
+const CONTRACT_ABI = [
+  "function claim(uint256 amount, bytes32[] calldata merkleProof) external",
+  "function adminClaim(address to, uint256 amount, bytes32[] calldata merkleProof) external",
+  "function delegatedClaim(address account, address to, uint256 amount, bytes32[] calldata merkleProof) external",
+  "function batchAdminClaim(address[] calldata accounts, uint256[] calldata amounts, bytes32[][] calldata merkleProofs) external",
+  "function updateMerkleRoot(bytes32 newRoot) external",
+  "function sweep(address to, uint256 amount) external",
+  "function balanceOf(address account) external view returns (uint256)",
+  "function totalSupply() external view returns (uint256)",
+  "function name() external view returns (string)",
+  "function symbol() external view returns (string)",
+  "function decimals() external view returns (uint8)",
+  "function merkleRoot() external view returns (bytes32)",
+  "function claimed(address account) external view returns (uint256)",
+  "event Claim(address indexed account, uint256 amount)",
+  "event AdminClaim(address indexed admin, address indexed account, uint256 amount)",
+  "event MerkleRootUpdated(bytes32 oldRoot, bytes32 newRoot)"
+];
+
+// Functions of CONTRACT_ABI that not every claim contract implements; requests
+// that need one are refused unless the contract's code has it, and batches
+// without batchAdminClaim are sent one claim at a time
+const OPTIONAL_CONTRACT_FUNCTIONS = ['delegatedClaim', 'sweep', 'batchAdminClaim'];
+
+// Storage slot holding the implementation of an ERC-1967 proxy
+const ERC1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
+// Multicall3 is deployed at the same address on BSC mainnet and testnet
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  "function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) external payable returns (tuple(bool success, bytes returnData)[] returnData)"
+];
+
 // Rate limiting configurations
 const RATE_LIMITS = {
   API: {
@@ -240,6 +276,11 @@ module.exports = {
   TRANSACTION_STATUS,
   CLAIM_TYPES,
   NETWORKS,
+  CONTRACT_ABI,
+  OPTIONAL_CONTRACT_FUNCTIONS,
+  ERC1967_IMPLEMENTATION_SLOT,
+  MULTICALL3_ADDRESS,
+  MULTICALL3_ABI,
   RATE_LIMITS,
   TOKEN_DECIMALS,
   WEI_MULTIPLIER,
@@ -0,0 +1,169 @@
+/**
+ * Merkle leaf encodings for GCT Token Platform
+ * Every tree stores the encoding its leaves were hashed with. Trees are always
+ * built with sorted pairs, so proofs verify with OpenZeppelin's MerkleProof.
+ *
+ * The standard encodings hash leaves exactly like @openzeppelin/merkle-tree's
+ * StandardMerkleTree, but the tree itself is laid out the merkletreejs way
+ * (leaves in index order, an odd node moves up unchanged). StandardMerkleTree
+ * sorts the leaves and fills a complete tree instead, so roots only agree for
+ * some leaf counts: use the root and proofs this backend builds together.
+ *
+ * packed           keccak256(abi.encodePacked(address, uint256)), the original GCT contract
+ * standard         OpenZeppelin StandardMerkleTree leaf of (address, uint256)
+ * standard-indexed OpenZeppelin StandardMerkleTree leaf of (uint256 index, address, uint256)
+ * packed-token     keccak256(abi.encodePacked(address, address token, uint256)), multi-token distributors
+ * standard-token   OpenZeppelin StandardMerkleTree leaf of (address, address token, uint256)
+ *
+ * The token encodings bind each leaf to one ERC-20, so a proof for one token
+ * cannot be replayed against the distributor of another.
+ */
+
+const { ethers } = require('ethers');
+const { MerkleTree } = require('merkletreejs');
+const keccak256 = require('keccak256');
+
+const LEAF_ENCODINGS = {
+  packed: {
+    types: ['address', 'uint256'],
+    values: leaf => [leaf.walletAddress, leaf.amount],
+    hash: (types, values) => ethers.solidityPackedKeccak256(types, values)
+  },
+  standard: {
+    types: ['address', 'uint256'],
+    values: leaf => [leaf.walletAddress, leaf.amount],
+    hash: standardLeafHash
+  },
+  'standard-indexed': {
+    types: ['uint256', 'address', 'uint256'],
+    values: leaf => [leaf.index, leaf.walletAddress, leaf.amount],
+    hash: standardLeafHash
+  },
+  'packed-token': {
+    types: ['address', 'address', 'uint256'],
+    values: leaf => [leaf.walletAddress, leaf.tokenAddress, leaf.amount],
+    hash: (types, values) => ethers.solidityPackedKeccak256(types, values),
+    multiToken: true
+  },
+  'standard-token': {
+    types: ['address', 'address', 'uint256'],
+    values: leaf => [leaf.walletAddress, leaf.tokenAddress, leaf.amount],
+    hash: standardLeafHash,
+    multiToken: true
+  }
+};
+
+const DEFAULT_LEAF_ENCODING = 'packed';
+const DEFAULT_TOKEN_LEAF_ENCODING = 'packed-token';
+
+// Known hashes per encoding, checked by src/scripts/checkLeafEncodings.js.
+// The standard leaf hashes match StandardMerkleTree.leafHash; the roots are
+// this builder's.
+const LEAF_TEST_VECTORS = {
+  leaves: [
+    {
+      index: 0,
+      walletAddress: '0x1111111111111111111111111111111111111111',
+      tokenAddress: '0x2222222222222222222222222222222222222222',
+      amount: '5000000000000000000'
+    },
+    {
+      index: 1,
+      walletAddress: '0x742d35cc6634c0532925a3b8d23a40b83d8fa16f',
+      tokenAddress: '0x55d398326f99059ff775485246999027b3197955',
+      amount: '1'
+    }
+  ],
+  encodings: {
+    packed: {
+      leafHashes: [
+        '0xd970b931ba7866f64b09ba340a09c7beee1f20fe484743f6183bf21a4e700481',
+        '0xd25fbd7efc8c8035c4e0a577450d1e6b2d11caaf761e66cd495c1e921318e0d5'
+      ],
+      root: '0x8a458cc20021c5876f063e402ef93c9ac6ac225d63e9bce0386e1a6709b752aa'
+    },
+    standard: {
+      leafHashes: [
+        '0xeb02c421cfa48976e66dfb29120745909ea3a0f843456c263cf8f1253483e283',
+        '0x4a8db073d9cfec59533af1331725794e7d73b076e12d0bffb4c05f966b7823c6'
+      ],
+      root: '0xdc88f73c668a80d47e987da09df8953c2317d11addbee2c504693f6ba963c67b'
+    },
+    'standard-indexed': {
+      leafHashes: [
+        '0x006339a0971f8d293763c27967110607da32bf3548b17cce12da9fee72331612',
+        '0x4ecb84400c6b12c63cda80a03b28bc1810f68dc187d855933017a344efb5700a'
+      ],
+      root: '0xa9379de5592d004eff9fa7d97a1ee14ee6ac94934ed20a3febfb3af0b4bd163a'
+    },
+    'packed-token': {
+      leafHashes: [
+        '0xf9d5972c80e8ad5bc8344b9d2084b2044ceb8066a62294d455e29d5e5a7806f2',
+        '0xcc0538cceb39384153989a4daeb9c5b6790bd6007ea98a52fc6937d07424768a'
+      ],
+      root: '0x30ec997f642cdab39cfeefc95c9a5fe6ca3d0d802d5bb7dedaaa6c83eee2e927'
+    },
+    'standard-token': {
+      leafHashes: [
+        '0x0f0fc003049bdcb5a517b76d4f1c8a091c625674f96e48b7e7c741b201285f5e',
+        '0x9227cd9ac1d4a0a4f62dabf47e8e8d6f8bf226175b7368f5affe4677f920dc9f'
+      ],
+      root: '0x3975118d3398a2e1f29714c72e1ce28f955a67196cf8c476d6307d2ea8b03c37'
+    }
+  }
+};
+
+/**
+ * Double keccak of the ABI encoding, as in OpenZeppelin's StandardMerkleTree.leafHash
+ */
+function standardLeafHash(types, values) {
+  return ethers.keccak256(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(types, values)));
+}
+
+function isLeafEncoding(encoding) {
+  return Object.prototype.hasOwnProperty.call(LEAF_ENCODINGS, encoding);
+}
+
+/**
+ * Whether leaves of this encoding carry a token address
+ */
+function isTokenEncoding(encoding) {
+  return isLeafEncoding(encoding) && !!LEAF_ENCODINGS[encoding].multiToken;
+}
+
+/**
+ * Hash a leaf with the given encoding
+ * @param {Object} leaf - { walletAddress, amount, index, tokenAddress }
+ * @param {string} encoding - One of LEAF_ENCODINGS
+ * @returns {Buffer} Leaf hash, as merkletreejs expects it
+ */
+function hashLeaf(leaf, encoding = DEFAULT_LEAF_ENCODING) {
+  if (!isLeafEncoding(encoding)) {
+    throw new Error(`Unknown leaf encoding: ${encoding}`);
+  }
+
+  const { types, values, hash } = LEAF_ENCODINGS[encoding];
+  return Buffer.from(hash(types, values(leaf)).slice(2), 'hex');
+}
+
+/**
+ * Verify a leaf's proof against a root built with sorted keccak256 pairs
+ * @param {Object} leaf - { walletAddress, amount, index, tokenAddress }
+ * @param {Array} proof - Hex proof
+ * @param {string} root - Merkle root
+ * @param {string} encoding - Leaf encoding of the tree
+ */
+function verifyLeaf(leaf, proof, root, encoding = DEFAULT_LEAF_ENCODING) {
+  return MerkleTree.verify(proof, hashLeaf(leaf, encoding), root, keccak256, { sortPairs: true });
+}
+
+module.exports = {
+  LEAF_ENCODINGS,
+  DEFAULT_LEAF_ENCODING,
+  DEFAULT_TOKEN_LEAF_ENCODING,
+  LEAF_TEST_VECTORS,
+  isLeafEncoding,
+  isTokenEncoding,
+  hashLeaf,
+  verifyLeaf
+};
@@ -0,0 +1,161 @@
+/**
+ * In-process dev chain for specs: a ganache node wrapped in an ethers
+ * provider, a minimal claim contract emitting the events the backend
+ * follows (Claim, AdminClaim and MerkleRootUpdated), a Multicall3
+ * compatible aggregate3 and a mintable token for distributor balances.
+ */
+
+const ganache = require('ganache');
+const solc = require('solc');
+const { ethers } = require('ethers');
+
+const CLAIM_CONTRACT_SOURCE = `
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+contract TestClaimContract {
+    event Claim(address indexed account, uint256 amount);
+    event AdminClaim(address indexed admin, address indexed account, uint256 amount);
+    event MerkleRootUpdated(bytes32 oldRoot, bytes32 newRoot);
+
+    address public owner;
+    bool public adminOnly = true;
+    bytes32 public merkleRoot;
+    mapping(address => uint256) public claimed;
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    function setAdminOnly(bool value) external {
+        require(msg.sender == owner, "Not owner");
+        adminOnly = value;
+    }
+
+    function claim(uint256 amount, bytes32[] calldata) external {
+        claimed[msg.sender] += amount;
+        emit Claim(msg.sender, amount);
+    }
+
+    function adminClaim(address to, uint256 amount, bytes32[] calldata) external {
+        require(!adminOnly || msg.sender == owner, "Not owner");
+        claimed[to] += amount;
+        emit AdminClaim(msg.sender, to, amount);
+    }
+
+    function updateMerkleRoot(bytes32 newRoot) external {
+        require(msg.sender == owner, "Not owner");
+        emit MerkleRootUpdated(merkleRoot, newRoot);
+        merkleRoot = newRoot;
+    }
+
+    function sweep(address, uint256) external view {
+        require(msg.sender == owner, "Not owner");
+    }
+}
+
+contract TestToken {
+    mapping(address => uint256) public balanceOf;
+
+    function mint(address to, uint256 amount) external {
+        balanceOf[to] += amount;
+    }
+}
+
+contract TestMulticall {
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    function aggregate3(Call3[] calldata calls) external payable returns (Result[] memory returnData) {
+        returnData = new Result[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            (bool success, bytes memory data) = calls[i].target.call(calls[i].callData);
+            require(success || calls[i].allowFailure, "Multicall3: call failed");
+            returnData[i] = Result(success, data);
+        }
+    }
+}
+`;
+
+let compiled = null;
+
+function compileContracts() {
+  if (compiled) {
+    return compiled;
+  }
+
+  const output = JSON.parse(solc.compile(JSON.stringify({
+    language: 'Solidity',
+    sources: { 'TestClaimContract.sol': { content: CLAIM_CONTRACT_SOURCE } },
+    settings: {
+      // ganache does not implement the Cancun opcodes solc targets by default
+      evmVersion: 'shanghai',
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+    }
+  })));
+
+  const errors = (output.errors || []).filter(error => error.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(errors.map(error => error.formattedMessage).join('\n'));
+  }
+
+  compiled = {};
+  for (const [name, contract] of Object.entries(output.contracts['TestClaimContract.sol'])) {
+    compiled[name] = { abi: contract.abi, bytecode: `0x${contract.evm.bytecode.object}` };
+  }
+
+  return compiled;
+}
+
+/**
+ * Start a dev chain with the claim, multicall and token contracts deployed by
+ * the first account
+ * @returns {Promise<Object>} { chainId, provider, accounts, contract, multicall, token, close }
+ */
+async function startDevChain() {
+  const chainId = 1337;
+  const node = ganache.provider({
+    chain: { chainId },
+    logging: { quiet: true },
+    wallet: { totalAccounts: 5 }
+  });
+
+  const provider = new ethers.BrowserProvider(node, chainId, { staticNetwork: true, cacheTimeout: -1 });
+  provider.pollingInterval = 50;
+
+  const accounts = await Promise.all([0, 1, 2, 3, 4].map(index => provider.getSigner(index)));
+  const deploy = async name => {
+    const { abi, bytecode } = compileContracts()[name];
+    const deployed = await new ethers.ContractFactory(abi, bytecode, accounts[0]).deploy();
+    return deployed.waitForDeployment();
+  };
+
+  const contract = await deploy('TestClaimContract');
+  const multicall = await deploy('TestMulticall');
+  const token = await deploy('TestToken');
+
+  return {
+    chainId,
+    provider,
+    accounts,
+    contract,
+    multicall,
+    token,
+    close: async () => {
+      provider.destroy();
+      await node.disconnect();
+    }
+  };
+}
+
+module.exports = {
+  startDevChain
+};
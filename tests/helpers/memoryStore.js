@@ -0,0 +1,135 @@
+/**
+ * In-memory stand-in for the mongoose queries the services run, so specs
+ * can exercise real models and services without a MongoDB server.
+ * Supports plain equality, $in, $nin, $ne and $or filters.
+ */
+
+function isOperator(condition) {
+  return condition !== null
+    && typeof condition === 'object'
+    && !Array.isArray(condition)
+    && Object.keys(condition).some(key => key.startsWith('$'));
+}
+
+function sameValue(a, b) {
+  const left = a === undefined ? null : a;
+  const right = b === undefined ? null : b;
+
+  if (left === null || right === null) {
+    return left === right;
+  }
+
+  return String(left) === String(right);
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') {
+      return condition.some(branch => matches(doc, branch));
+    }
+
+    const value = doc.get(key);
+
+    // A path through an array of subdocuments matches when any element does
+    if (Array.isArray(value) && !Array.isArray(condition)) {
+      return value.some(element => matches({ get: () => element }, { [key]: condition }));
+    }
+
+    if (!isOperator(condition)) {
+      return sameValue(value, condition);
+    }
+    if (condition.$in && !condition.$in.some(option => sameValue(value, option))) {
+      return false;
+    }
+    if (condition.$nin && condition.$nin.some(option => sameValue(value, option))) {
+      return false;
+    }
+    if ('$ne' in condition && sameValue(value, condition.$ne)) {
+      return false;
+    }
+
+    return true;
+  });
+}
+
+// Thenable with the chainable query helpers the services call
+function query(resolve) {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    populate: () => chain,
+    limit: () => chain,
+    skip: () => chain,
+    lean: () => chain,
+    exec: () => Promise.resolve().then(resolve),
+    then: (onResolved, onRejected) => chain.exec().then(onResolved, onRejected)
+  };
+
+  return chain;
+}
+
+/**
+ * Back a model with an array of documents for the rest of the spec
+ * (undone by jest.restoreAllMocks)
+ * @param {Object} Model - Mongoose model
+ * @returns {Object[]} The stored documents
+ */
+function useMemoryStore(Model) {
+  const docs = [];
+  const findAll = filter => docs.filter(doc => matches(doc, filter));
+
+  jest.spyOn(Model.prototype, 'save').mockImplementation(function() {
+    if (!docs.includes(this)) {
+      docs.push(this);
+    }
+    return Promise.resolve(this);
+  });
+
+  jest.spyOn(Model, 'find').mockImplementation(filter => query(() => findAll(filter)));
+  jest.spyOn(Model, 'findOne').mockImplementation(filter => query(() => findAll(filter)[0] || null));
+  jest.spyOn(Model, 'findById').mockImplementation(id => query(() => findAll({ _id: id })[0] || null));
+  jest.spyOn(Model, 'exists').mockImplementation(filter => query(() => {
+    const doc = findAll(filter)[0];
+    return doc ? { _id: doc._id } : null;
+  }));
+  jest.spyOn(Model, 'countDocuments').mockImplementation(filter => query(() => findAll(filter).length));
+
+  jest.spyOn(Model, 'distinct').mockImplementation((field, filter) => query(() => {
+    const values = findAll(filter).map(doc => doc.get(field));
+    return values.filter((value, index) => values.findIndex(other => sameValue(other, value)) === index);
+  }));
+
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation((filter, update) => query(() => {
+    const doc = findAll(filter)[0] || null;
+    if (doc) {
+      doc.set(update);
+    }
+    return doc;
+  }));
+
+  jest.spyOn(Model, 'updateOne').mockImplementation((filter, update) => query(() => {
+    const doc = findAll(filter)[0] || null;
+    if (doc) {
+      doc.set(update);
+    }
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  }));
+
+  jest.spyOn(Model, 'insertMany').mockImplementation(rows => {
+    const inserted = rows.map(row => new Model(row));
+    docs.push(...inserted);
+    return Promise.resolve(inserted);
+  });
+
+  jest.spyOn(Model, 'deleteMany').mockImplementation(filter => query(() => {
+    const removed = findAll(filter);
+    removed.forEach(doc => docs.splice(docs.indexOf(doc), 1));
+    return { deletedCount: removed.length };
+  }));
+
+  return docs;
+}
+
+module.exports = {
+  useMemoryStore
+};
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const ClaimTransaction = require('../../src/models/ClaimTransaction');
+const MerkleTreeModel = require('../../src/models/MerkleTree');
+const OutboundTransaction = require('../../src/models/OutboundTransaction');
+const { BalanceMonitorService } = require('../../src/services/balanceMonitorService');
+const { useMemoryStore } = require('../helpers/memoryStore');
+const { startDevChain } = require('../helpers/devChain');
+
+jest.setTimeout(60000);
+
+describe('BalanceMonitorService', () => {
+  const contractAddress = '0x00000000000000000000000000000000000000cc';
+  const distributor = '0x00000000000000000000000000000000000000dd';
+
+  let chain;
+  let tokenAddress;
+
+  beforeAll(async () => {
+    chain = await startDevChain();
+    tokenAddress = chain.token.target.toLowerCase();
+
+    const tx = await chain.token.mint(distributor, 300n);
+    await tx.wait();
+  });
+
+  afterAll(async () => {
+    await chain.close();
+  });
+
+  beforeEach(() => {
+    useMemoryStore(ClaimTransaction);
+    useMemoryStore(MerkleTreeModel);
+    useMemoryStore(OutboundTransaction);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function createMonitor() {
+    return new BalanceMonitorService({
+      chainId: chain.chainId,
+      blockchainService: {
+        provider: chain.provider,
+        signer: chain.accounts[0],
+        // The chain's CONTRACT_ADDRESS holds plenty of GCT
+        contract: {
+          getAddress: async () => contractAddress,
+          balanceOf: async () => 10n ** 24n
+        },
+        txQueue: {
+          gasStrategy: {
+            getFees: async () => ({}),
+            priceOf: () => 1n
+          }
+        }
+      }
+    });
+  }
+
+  async function addClaim(amount, fields = {}) {
+    await new ClaimTransaction({
+      user: new mongoose.Types.ObjectId(),
+      walletAddress: '0x00000000000000000000000000000000000000aa',
+      amount,
+      type: 'admin_claim',
+      chainId: chain.chainId,
+      status: 'pending',
+      ...fields
+    }).save();
+  }
+
+  it('checks pending claims against the balance their distributor holds of their token', async () => {
+    await addClaim('1000');
+    await addClaim('200', { tokenAddress, distributorAddress: distributor });
+    await addClaim('200', { tokenAddress, distributorAddress: distributor });
+
+    const monitor = createMonitor();
+    const snapshot = await monitor.takeSnapshot();
+
+    const gct = snapshot.balances.find(entry => entry.distributorAddress === contractAddress);
+    const token = snapshot.balances.find(entry => entry.distributorAddress === distributor);
+
+    expect(gct).toMatchObject({ tokenAddress: contractAddress, pendingClaims: { count: 1, coveredByTokens: 1 } });
+    expect(token).toMatchObject({ tokenAddress, tokens: '300', pendingClaims: { count: 2, amount: '400', coveredByTokens: 1 } });
+    expect(snapshot.pendingClaims).toMatchObject({ count: 3, coveredByTokens: 2 });
+
+    jest.spyOn(monitor, 'raise').mockResolvedValue();
+    await monitor.evaluate(snapshot);
+
+    expect(monitor.alerts.get('pending_claims_uncovered').message).toContain(`${distributor} holds`);
+  });
+
+  it('compares the outstanding allocation of each token with its distributor balance', async () => {
+    await new MerkleTreeModel({
+      name: 'Partners',
+      root: `0x${'11'.repeat(32)}`,
+      totalAmount: '1500',
+      totalUsers: 1,
+      chainId: chain.chainId,
+      isActive: true,
+      leaves: [],
+      tokens: [
+        { address: contractAddress, distributor: contractAddress, symbol: 'GCT', totalAmount: '1000' },
+        { address: tokenAddress, distributor, symbol: 'PTK', totalAmount: '500' }
+      ]
+    }).save();
+
+    const monitor = createMonitor();
+    const snapshot = await monitor.takeSnapshot();
+
+    expect(snapshot.allocation.tokens).toHaveLength(2);
+
+    jest.spyOn(monitor, 'raise').mockResolvedValue();
+    await monitor.evaluate(snapshot);
+
+    const alert = monitor.alerts.get('allocation_shortfall');
+    expect(alert.message).toContain('PTK');
+    expect(alert.message).not.toContain('GCT');
+  });
+});
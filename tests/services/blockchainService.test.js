@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const ClaimTransaction = require('../../src/models/ClaimTransaction');
+const { BlockchainService } = require('../../src/services/blockchainService');
+const { CONTRACT_ABI } = require('../../src/utils/constants');
+const { useMemoryStore } = require('../helpers/memoryStore');
+const { startDevChain } = require('../helpers/devChain');
+
+jest.setTimeout(60000);
+
+describe('BlockchainService', () => {
+  let chain;
+
+  beforeAll(async () => {
+    chain = await startDevChain();
+  });
+
+  afterAll(async () => {
+    await chain.close();
+  });
+
+  function createService() {
+    const service = new BlockchainService({
+      chainId: chain.chainId,
+      key: 'DEV',
+      rpcUrls: [],
+      contractAddress: chain.contract.target
+    }, {
+      txQueue: { registerHandler: jest.fn() }
+    });
+
+    service.provider = chain.provider;
+    service.signer = chain.accounts[0];
+    service.contract = new ethers.Contract(chain.contract.target, CONTRACT_ABI, chain.accounts[0]);
+    service.batchMode = 'multicall';
+    service.multicallAddress = chain.multicall.target;
+
+    return service;
+  }
+
+  const claim = {
+    walletAddress: '0x00000000000000000000000000000000000000aa',
+    amount: '1000',
+    merkleProof: []
+  };
+
+  describe('multicall batch mode', () => {
+    afterEach(async () => {
+      const tx = await chain.contract.setAdminOnly(true);
+      await tx.wait();
+    });
+
+    it('refuses batches when adminClaim only accepts the admin wallet', async () => {
+      const service = createService();
+
+      const access = await service.checkMulticallAccess(service.contract);
+
+      expect(access.allowed).toBe(false);
+      expect(access.reason).toContain('BATCH_CLAIM_MODE=contract');
+      await expect(service.encodeAdminClaimBatch([claim, claim])).rejects.toThrow(access.reason);
+    });
+
+    it('encodes aggregate3 batches when adminClaim does not check the caller', async () => {
+      const tx = await chain.contract.setAdminOnly(false);
+      await tx.wait();
+
+      const service = createService();
+      const batch = await service.encodeAdminClaimBatch([claim, claim]);
+
+      expect(batch.to).toBe(chain.multicall.target);
+      expect((await service.checkMulticallAccess(service.contract)).allowed).toBe(true);
+    });
+
+    it('does not cache a check the node could not answer', async () => {
+      const service = createService();
+      service.multicallAddress = ethers.ZeroAddress;
+
+      const access = await service.checkMulticallAccess(service.contract);
+
+      expect(access.allowed).toBe(false);
+      expect(access.reason).toContain('check failed');
+      expect(service.multicallAccess.size).toBe(0);
+    });
+  });
+
+  describe('optional contract functions', () => {
+    it('finds the functions the deployed contract implements', async () => {
+      const service = createService();
+
+      expect((await service.checkContractFunction(chain.contract.target, 'sweep')).supported).toBe(true);
+
+      const delegated = await service.checkContractFunction(chain.contract.target, 'delegatedClaim');
+      expect(delegated.supported).toBe(false);
+      expect(delegated.reason).toContain('does not implement delegatedClaim');
+    });
+
+    it('trusts CLAIM_CONTRACT_FUNCTIONS over the contract code', async () => {
+      const service = createService();
+      service.declaredFunctions = ['delegatedClaim'];
+
+      expect((await service.checkContractFunction(chain.contract.target, 'delegatedClaim')).supported).toBe(true);
+    });
+
+    it('refuses a sweep before queuing anything when a distributor lacks sweep', async () => {
+      const service = createService();
+      service.txQueue.enqueue = jest.fn();
+
+      const clawback = {
+        tokens: [
+          { distributor: chain.contract.target.toLowerCase(), unclaimed: '100', status: 'reported' },
+          { distributor: chain.token.target.toLowerCase(), unclaimed: '100', status: 'reported' }
+        ]
+      };
+
+      await expect(service.sweepUnclaimed(clawback, chain.accounts[1].address))
+        .rejects.toThrow(`${chain.token.target.toLowerCase()} does not implement sweep`);
+      expect(service.txQueue.enqueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('contract batch mode', () => {
+    beforeEach(() => {
+      useMemoryStore(ClaimTransaction);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    function createBatchService() {
+      const service = createService();
+      service.batchMode = 'contract';
+      service.txQueue.enqueue = jest.fn(async () => ({ _id: new mongoose.Types.ObjectId() }));
+
+      return service;
+    }
+
+    async function addClaims(count) {
+      const ids = [];
+      for (let i = 0; i < count; i++) {
+        const pending = await new ClaimTransaction({
+          user: new mongoose.Types.ObjectId(),
+          walletAddress: claim.walletAddress,
+          amount: '1000',
+          merkleProof: [],
+          type: 'admin_claim',
+          chainId: chain.chainId,
+          status: 'pending'
+        }).save();
+        ids.push(pending._id);
+      }
+      return ids;
+    }
+
+    it('queues claims one by one when the contract lacks batchAdminClaim', async () => {
+      const service = createBatchService();
+      const claimIds = await addClaims(2);
+
+      expect((await service.checkBatchSupport(claim)).reason).toContain('does not implement batchAdminClaim');
+
+      const result = await service.processAdminClaimBatch(claimIds);
+
+      expect(result.status).toBe('queued');
+      expect(result.queued).toHaveLength(2);
+      expect(service.txQueue.enqueue).toHaveBeenCalledTimes(2);
+      expect(service.txQueue.enqueue.mock.calls.map(([tx]) => tx.kind)).toEqual(['admin_claim', 'admin_claim']);
+
+      const claims = await ClaimTransaction.find({ _id: { $in: claimIds } });
+      expect(claims.map(stored => stored.status)).toEqual(['processing', 'processing']);
+    });
+
+    it('does not fail claims that pass alone when their batch reverts', async () => {
+      const service = createBatchService();
+      service.declaredFunctions = ['batchAdminClaim'];
+      const claimIds = await addClaims(2);
+
+      const result = await service.processAdminClaimBatch(claimIds);
+
+      expect(result.claimIds).toEqual(claimIds);
+      expect(result.rejected).toEqual([]);
+      expect(service.txQueue.enqueue).toHaveBeenCalledTimes(2);
+    });
+  });
+});
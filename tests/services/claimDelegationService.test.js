@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const ClaimDelegation = require('../../src/models/ClaimDelegation');
+const User = require('../../src/models/User');
+const claimDelegationService = require('../../src/services/claimDelegationService');
+const { useMemoryStore } = require('../helpers/memoryStore');
+
+describe('ClaimDelegationService', () => {
+  const admin = { _id: new mongoose.Types.ObjectId() };
+  let delegation;
+
+  beforeEach(async () => {
+    useMemoryStore(ClaimDelegation);
+    useMemoryStore(User);
+
+    delegation = await new ClaimDelegation({
+      walletAddress: '0x00000000000000000000000000000000000000aa',
+      user: new mongoose.Types.ObjectId(),
+      recipientAddress: '0x00000000000000000000000000000000000000bb',
+      chainId: 97,
+      merkleTree: new mongoose.Types.ObjectId(),
+      signature: '0x',
+      digest: `0x${'11'.repeat(32)}`,
+      nonce: 1,
+      deadline: new Date(Date.now() + 3600000)
+    }).save();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets only one admin review a request while it is being approved', async () => {
+    jest.spyOn(claimDelegationService, 'createDelegatedClaim').mockImplementation(async taken => {
+      await expect(claimDelegationService.approve(delegation, admin)).rejects.toThrow('already being approved');
+      await expect(claimDelegationService.reject(delegation, admin)).rejects.toThrow('already being approved');
+
+      taken.status = 'approved';
+      return { delegation: taken, claimTransaction: null };
+    });
+
+    const result = await claimDelegationService.approve(delegation, admin);
+
+    expect(result.delegation.status).toBe('approved');
+    expect(claimDelegationService.createDelegatedClaim).toHaveBeenCalledTimes(1);
+  });
+
+  it('puts the request back in the queue when its approval fails', async () => {
+    jest.spyOn(claimDelegationService, 'createDelegatedClaim').mockRejectedValue(new Error('Nothing left to claim for this wallet'));
+
+    await expect(claimDelegationService.approve(delegation, admin)).rejects.toThrow('Nothing left to claim');
+
+    expect((await ClaimDelegation.findById(delegation._id)).status).toBe('pending');
+  });
+
+  it('rejects a request once', async () => {
+    const rejected = await claimDelegationService.reject(delegation, admin, 'Not an exchange address');
+
+    expect(rejected).toMatchObject({ status: 'rejected', reviewNote: 'Not an exchange address' });
+    await expect(claimDelegationService.reject(delegation, admin)).rejects.toThrow('already rejected');
+    await expect(claimDelegationService.approve(delegation, admin)).rejects.toThrow('already rejected');
+  });
+});
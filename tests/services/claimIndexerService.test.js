@@ -0,0 +1,225 @@
+const ClaimTransaction = require('../../src/models/ClaimTransaction');
+const IndexerState = require('../../src/models/IndexerState');
+const MerkleTreeModel = require('../../src/models/MerkleTree');
+const User = require('../../src/models/User');
+const { ClaimIndexerService } = require('../../src/services/claimIndexerService');
+const { startDevChain } = require('../helpers/devChain');
+const { useMemoryStore } = require('../helpers/memoryStore');
+
+jest.setTimeout(60000);
+
+describe('ClaimIndexerService', () => {
+  let chain;
+  let claims;
+
+  beforeAll(async () => {
+    chain = await startDevChain();
+  });
+
+  afterAll(async () => {
+    await chain.close();
+  });
+
+  beforeEach(() => {
+    useMemoryStore(IndexerState);
+    useMemoryStore(MerkleTreeModel);
+    claims = useMemoryStore(ClaimTransaction);
+    useMemoryStore(User);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function createIndexer(name) {
+    return new ClaimIndexerService({
+      name,
+      provider: chain.provider,
+      contractAddress: chain.contract.target,
+      chainId: chain.chainId,
+      startBlock: 0
+    });
+  }
+
+  async function createUser(signer) {
+    const user = new User({ walletAddress: (await signer.getAddress()).toLowerCase() });
+    await user.save();
+    return user;
+  }
+
+  async function createClaim(user, amount, type = 'self_claim') {
+    const claim = new ClaimTransaction({
+      user: user._id,
+      walletAddress: user.walletAddress,
+      amount,
+      type,
+      chainId: chain.chainId,
+      status: 'processing'
+    });
+    await claim.save();
+    return claim;
+  }
+
+  async function selfClaim(signer, amount) {
+    const tx = await chain.contract.connect(signer).claim(amount, []);
+    return tx.wait();
+  }
+
+  it('resumes from the stored cursor after a restart', async () => {
+    const first = await createIndexer('resume').poll();
+    const head = await chain.provider.getBlockNumber();
+
+    expect(first.fromBlock).toBe(0);
+    expect(first.toBlock).toBe(head);
+
+    const user = await createUser(chain.accounts[1]);
+    const claim = await createClaim(user, '100');
+    const receipt = await selfClaim(chain.accounts[1], 100);
+
+    // A fresh instance has no cursor of its own and picks up the stored one
+    const restarted = createIndexer('resume');
+    const second = await restarted.poll();
+
+    expect(second.fromBlock).toBe(head + 1);
+    expect(second.toBlock).toBe(receipt.blockNumber);
+    expect(second.matched).toBe(1);
+    expect(claim.status).toBe('confirming');
+
+    const state = await IndexerState.findOne({ name: 'resume' });
+    expect(state.lastProcessedBlock).toBe(receipt.blockNumber);
+
+    const idle = await restarted.poll();
+    expect(idle.toBlock).toBeNull();
+  });
+
+  it('settles the open claim matching the wallet and amount of the event', async () => {
+    const indexer = createIndexer('match');
+    await indexer.poll();
+
+    const user = await createUser(chain.accounts[2]);
+    const other = await createUser(chain.accounts[3]);
+    const smaller = await createClaim(user, '250');
+    const matching = await createClaim(user, '500');
+    const otherWallet = await createClaim(other, '500');
+
+    const receipt = await selfClaim(chain.accounts[2], 500);
+    const summary = await indexer.poll();
+
+    expect(summary.events).toBe(1);
+    expect(summary.matched).toBe(1);
+
+    expect(matching.status).toBe('confirming');
+    expect(matching.transactionHash).toBe(receipt.hash);
+    expect(matching.blockNumber).toBe(receipt.blockNumber);
+    expect(matching.blockHash).toBe(receipt.blockHash);
+    expect(smaller.status).toBe('processing');
+    expect(otherWallet.status).toBe('processing');
+
+    expect(user.totalClaimed).toBe('500');
+    expect(other.totalClaimed).toBe('0');
+  });
+
+  it('credits a claim once when the transaction queue settled it first', async () => {
+    const indexer = createIndexer('settled');
+    await indexer.poll();
+
+    const user = await createUser(chain.accounts[1]);
+    const claim = await createClaim(user, '700', 'admin_claim');
+
+    const tx = await chain.contract.adminClaim(user.walletAddress, 700, []);
+    const receipt = await tx.wait();
+
+    const settled = await ClaimTransaction.recordMined(claim._id, {
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      blockHash: receipt.blockHash
+    });
+    expect(settled).not.toBeNull();
+
+    const creditSpy = jest.spyOn(User.prototype, 'updateClaim');
+    await indexer.poll();
+
+    expect(claim.status).toBe('confirming');
+    expect(creditSpy).not.toHaveBeenCalled();
+    expect(await ClaimTransaction.recordMined(claim._id, { blockHash: receipt.blockHash })).toBeNull();
+  });
+
+  it('reopens a self-claim cancelled while its transaction was in the mempool', async () => {
+    const indexer = createIndexer('cancelled');
+    await indexer.poll();
+
+    const user = await createUser(chain.accounts[3]);
+    const claim = await createClaim(user, '300');
+    claim.set({ status: 'cancelled', cancelledAt: new Date(), cancelledBy: 'user' });
+
+    const receipt = await selfClaim(chain.accounts[3], 300);
+    const summary = await indexer.poll();
+
+    expect(summary.matched).toBe(1);
+    expect(claim.status).toBe('confirming');
+    expect(claim.transactionHash).toBe(receipt.hash);
+    expect(user.totalClaimed).toBe('300');
+  });
+
+  it('re-indexes rewound blocks and settles claims rolled back by a reorg', async () => {
+    const indexer = createIndexer('rewind');
+    await indexer.poll();
+
+    const user = await createUser(chain.accounts[4]);
+    const claim = await createClaim(user, '900');
+    const receipt = await selfClaim(chain.accounts[4], 900);
+
+    await indexer.poll();
+    expect(claim.status).toBe('confirming');
+    expect(user.totalClaimed).toBe('900');
+
+    // What the confirmation watcher does when the block is reorganized away
+    await user.revertClaim(claim.amount);
+    claim.set({ status: 'processing', transactionHash: null, blockNumber: null, blockHash: null });
+
+    // Blocks behind the cursor are not looked at again until rewound
+    const skipped = await indexer.poll();
+    expect(skipped.toBlock).toBeNull();
+    expect(claim.status).toBe('processing');
+
+    indexer.rewind(receipt.blockNumber);
+    const summary = await indexer.poll();
+
+    expect(summary.fromBlock).toBe(receipt.blockNumber);
+    expect(summary.matched).toBe(1);
+    expect(claim.status).toBe('confirming');
+    expect(claim.blockHash).toBe(receipt.blockHash);
+    expect(user.totalClaimed).toBe('900');
+    expect(claims.filter(doc => doc.status === 'confirming')).toHaveLength(1);
+  });
+
+  it('recovers on the next poll after the cursor cannot be loaded', async () => {
+    const indexer = createIndexer('recover');
+    jest.spyOn(IndexerState, 'getState').mockRejectedValueOnce(new Error('Database unavailable'));
+
+    await expect(indexer.poll()).rejects.toThrow('Database unavailable');
+    expect(indexer.running).toBe(false);
+
+    const summary = await indexer.poll();
+    expect(summary.toBlock).toBe(await chain.provider.getBlockNumber());
+    expect(indexer.lastRun).not.toBeNull();
+  });
+
+  it('records the error on the cursor when a range fails', async () => {
+    const indexer = createIndexer('failing');
+    await indexer.poll();
+    await selfClaim(chain.accounts[1], 1);
+
+    jest.spyOn(indexer, 'processRange').mockRejectedValueOnce(new Error('eth_getLogs failed'));
+
+    await expect(indexer.poll()).rejects.toThrow('eth_getLogs failed');
+    expect(indexer.running).toBe(false);
+
+    const state = await IndexerState.findOne({ name: 'failing' });
+    expect(state.lastError).toBe('eth_getLogs failed');
+
+    await indexer.poll();
+    expect(state.lastError).toBeNull();
+    expect(state.lastProcessedBlock).toBe(await chain.provider.getBlockNumber());
+  });
+});
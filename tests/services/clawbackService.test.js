@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const ClaimTransaction = require('../../src/models/ClaimTransaction');
+const Clawback = require('../../src/models/Clawback');
+const MerkleTreeModel = require('../../src/models/MerkleTree');
+const User = require('../../src/models/User');
+const chainRegistry = require('../../src/services/chainRegistry');
+const clawbackService = require('../../src/services/clawbackService');
+const { useMemoryStore } = require('../helpers/memoryStore');
+
+describe('ClawbackService', () => {
+  const chainId = 97;
+  const alice = '0x00000000000000000000000000000000000000aa';
+  const bob = '0x00000000000000000000000000000000000000bb';
+
+  const otherTreeId = new mongoose.Types.ObjectId();
+  let merkleTree;
+
+  async function addClaim(walletAddress, amount, fields) {
+    await new ClaimTransaction({
+      user: new mongoose.Types.ObjectId(),
+      walletAddress,
+      amount,
+      type: 'self_claim',
+      chainId,
+      status: 'completed',
+      ...fields
+    }).save();
+  }
+
+  async function collect() {
+    const rows = [];
+    for await (const batch of clawbackService.walkUnclaimed(merkleTree)) {
+      rows.push(...batch);
+    }
+    return rows;
+  }
+
+  beforeEach(() => {
+    useMemoryStore(ClaimTransaction);
+    useMemoryStore(User);
+
+    merkleTree = {
+      _id: new mongoose.Types.ObjectId(),
+      chainId,
+      root: `0x${'11'.repeat(32)}`,
+      distributionMode: 'snapshot',
+      async *iterateLeaves() {
+        yield { walletAddress: alice, tokenAddress: null, amount: '1000' };
+        yield { walletAddress: bob, tokenAddress: null, amount: '500' };
+      }
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('counts only the settled claims made against the tree', async () => {
+    await addClaim(alice, '300', { merkleTree: merkleTree._id });
+    await addClaim(alice, '200', { merkleTree: merkleTree._id, status: 'confirming' });
+    await addClaim(alice, '100', { merkleTree: merkleTree._id, status: 'pending' });
+    await addClaim(alice, '400', { merkleTree: otherTreeId });
+    await addClaim(bob, '900', { merkleTree: otherTreeId });
+
+    const [aliceRow, bobRow] = await collect();
+
+    expect(aliceRow).toMatchObject({ walletAddress: alice, claimed: '500', unclaimed: '500' });
+    expect(bobRow).toMatchObject({ walletAddress: bob, claimed: '0', unclaimed: '500' });
+  });
+
+  it('matches claims made before claims recorded their tree by the signed root', async () => {
+    await addClaim(bob, '200', { merkleTree: null, intent: { merkleRoot: merkleTree.root } });
+    await addClaim(bob, '300', { merkleTree: null, intent: { merkleRoot: `0x${'22'.repeat(32)}` } });
+
+    const [, bobRow] = await collect();
+
+    expect(bobRow).toMatchObject({ claimed: '200', unclaimed: '300' });
+  });
+
+  it('caps the claimed amount at the allocation', async () => {
+    await addClaim(bob, '800', { merkleTree: merkleTree._id });
+
+    const [, bobRow] = await collect();
+
+    expect(bobRow).toMatchObject({ claimed: '500', unclaimed: '0' });
+  });
+
+  it('reads the contract for cumulative trees', async () => {
+    merkleTree.distributionMode = 'cumulative';
+    const getClaimedAmount = jest.fn(async walletAddress => (walletAddress === alice ? '750' : '0'));
+    jest.spyOn(chainRegistry, 'get').mockReturnValue({ blockchain: { getClaimedAmount } });
+
+    const [aliceRow, bobRow] = await collect();
+
+    expect(aliceRow).toMatchObject({ claimed: '750', unclaimed: '250' });
+    expect(bobRow).toMatchObject({ claimed: '0', unclaimed: '500' });
+  });
+
+  describe('sweeps', () => {
+    let clawbacks;
+    let sweepUnclaimed;
+
+    async function addReport(fields = {}) {
+      const clawback = new Clawback({
+        merkleTree: merkleTree._id,
+        chainId,
+        claimEndTime: new Date(Date.now() - 1000),
+        totalAllocated: '1500',
+        totalClaimed: '0',
+        totalUnclaimed: '1500',
+        tokens: [{ allocated: '1500', claimed: '0', unclaimed: '1500' }],
+        adminId: new mongoose.Types.ObjectId(),
+        ...fields
+      });
+      await clawback.save();
+      return clawback;
+    }
+
+    beforeEach(() => {
+      clawbacks = useMemoryStore(Clawback);
+
+      sweepUnclaimed = jest.fn(async clawback => {
+        // Let a concurrent request run while this one is queuing
+        await new Promise(resolve => setImmediate(resolve));
+        clawback.tokens[0].status = 'queued';
+        return clawback.save();
+      });
+      jest.spyOn(chainRegistry, 'get').mockReturnValue({ blockchain: { sweepUnclaimed } });
+    });
+
+    it('refuses a new report once the tree was swept', async () => {
+      useMemoryStore(MerkleTreeModel);
+      const tree = new MerkleTreeModel({
+        _id: merkleTree._id,
+        name: 'Closed',
+        root: merkleTree.root,
+        totalAmount: '1500',
+        totalUsers: 2,
+        chainId,
+        claimEndTime: new Date(Date.now() - 1000)
+      });
+      await tree.save();
+      await addReport({ status: 'swept' });
+
+      await expect(clawbackService.createReport(tree._id, new mongoose.Types.ObjectId()))
+        .rejects.toThrow('is already swept');
+      expect(clawbacks).toHaveLength(1);
+    });
+
+    it('sends a report once when two sweeps race', async () => {
+      const clawback = await addReport();
+      const recipient = '0x00000000000000000000000000000000000000ee';
+
+      const results = await Promise.allSettled([
+        clawbackService.sweep(clawback._id, recipient, null),
+        clawbackService.sweep(clawback._id, recipient, null)
+      ]);
+
+      expect(sweepUnclaimed).toHaveBeenCalledTimes(1);
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    });
+
+    it('refuses to sweep a second report of a tree that is being swept', async () => {
+      await addReport({ status: 'sweeping' });
+      const second = await addReport();
+
+      await expect(clawbackService.sweep(second._id, '0x00000000000000000000000000000000000000ee', null))
+        .rejects.toThrow('is already sweeping');
+      expect(sweepUnclaimed).not.toHaveBeenCalled();
+      expect(second.status).toBe('reported');
+    });
+
+    it('marks the report failed when queuing stops midway', async () => {
+      const clawback = await addReport();
+      sweepUnclaimed.mockImplementation(async taken => {
+        taken.tokens[0].status = 'queued';
+        throw new Error('queue unavailable');
+      });
+
+      await expect(clawbackService.sweep(clawback._id, '0x00000000000000000000000000000000000000ee', null))
+        .rejects.toThrow('queue unavailable');
+      expect(clawback.status).toBe('failed');
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const ClaimTransaction = require('../../src/models/ClaimTransaction');
+const User = require('../../src/models/User');
+const { ConfirmationService } = require('../../src/services/confirmationService');
+const { FailoverProvider } = require('../../src/services/failoverProvider');
+const { useMemoryStore } = require('../helpers/memoryStore');
+
+describe('ConfirmationService', () => {
+  const minedBlockHash = `0x${'aa'.repeat(32)}`;
+
+  let claim;
+  let provider;
+  let indexer;
+
+  beforeEach(async () => {
+    useMemoryStore(ClaimTransaction);
+    useMemoryStore(User);
+
+    claim = new ClaimTransaction({
+      user: new mongoose.Types.ObjectId(),
+      walletAddress: '0x00000000000000000000000000000000000000aa',
+      amount: '1000',
+      type: 'admin_claim',
+      chainId: 97,
+      status: 'confirming',
+      transactionHash: `0x${'11'.repeat(32)}`,
+      blockNumber: 100,
+      blockHash: minedBlockHash
+    });
+    await claim.save();
+
+    provider = {
+      getTransactionReceipt: jest.fn().mockResolvedValue(null),
+      getTransaction: jest.fn().mockResolvedValue(null),
+      getBlock: jest.fn().mockResolvedValue({ number: 100, hash: minedBlockHash })
+    };
+    indexer = { rewind: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps a claim whose receipt is missing while its block is still canonical', async () => {
+    const service = new ConfirmationService({ chainId: 97, provider, indexer });
+
+    expect(await service.checkClaim(claim, 120)).toBe('pending');
+    expect(claim.status).toBe('confirming');
+    expect(indexer.rewind).not.toHaveBeenCalled();
+  });
+
+  it('keeps a claim when the block cannot be read', async () => {
+    provider.getBlock.mockResolvedValue(null);
+    const service = new ConfirmationService({ chainId: 97, provider, indexer });
+
+    expect(await service.checkClaim(claim, 120)).toBe('pending');
+    expect(claim.status).toBe('confirming');
+  });
+
+  it('rolls a claim back once its block was replaced', async () => {
+    provider.getBlock.mockResolvedValue({ number: 100, hash: `0x${'bb'.repeat(32)}` });
+    const service = new ConfirmationService({ chainId: 97, provider, indexer });
+
+    expect(await service.checkClaim(claim, 120)).toBe('rolledBack');
+    expect(claim.status).toBe('failed');
+    expect(indexer.rewind).toHaveBeenCalledWith(100);
+  });
+
+  it('asks the failover endpoint with the highest head whether the block is canonical', async () => {
+    const failover = new FailoverProvider(['http://127.0.0.1:1/a', 'http://127.0.0.1:1/b'], 97);
+    const [lagging, head] = failover.endpoints;
+    lagging.blockNumber = 90;
+    head.blockNumber = 120;
+    jest.spyOn(head.provider, 'getBlock').mockResolvedValue({ number: 100, hash: minedBlockHash });
+    jest.spyOn(lagging.provider, 'getBlock').mockResolvedValue(null);
+
+    const service = new ConfirmationService({ chainId: 97, provider: failover, indexer });
+
+    try {
+      expect(await service.isReorged(100, minedBlockHash)).toBe(false);
+      expect(head.provider.getBlock).toHaveBeenCalledWith(100);
+      expect(lagging.provider.getBlock).not.toHaveBeenCalled();
+    } finally {
+      failover.destroy();
+    }
+  });
+});
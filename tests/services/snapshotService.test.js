@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const AllocationSnapshot = require('../../src/models/AllocationSnapshot');
+const SnapshotAllocation = require('../../src/models/SnapshotAllocation');
+const snapshotService = require('../../src/services/snapshotService');
+const { useMemoryStore } = require('../helpers/memoryStore');
+
+describe('SnapshotService', () => {
+  const wallet = digit => `0x${String(digit).repeat(40)}`;
+
+  let allocations;
+
+  beforeEach(() => {
+    useMemoryStore(AllocationSnapshot);
+    allocations = useMemoryStore(SnapshotAllocation);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores the allocations apart from the snapshot document', async () => {
+    const snapshot = new AllocationSnapshot({
+      name: 'Holders',
+      chainId: 97,
+      tokenAddress: wallet(9),
+      fromBlock: 0,
+      blockNumber: 100,
+      rules: snapshotService.normalizeRules({ excludedAddresses: [wallet(3)] }),
+      adminId: new mongoose.Types.ObjectId()
+    });
+    await snapshot.save();
+
+    jest.spyOn(snapshotService, 'replayTransfers').mockResolvedValue(new Map([
+      [wallet(1), 100n],
+      [wallet(2), 200n],
+      [wallet(3), 300n]
+    ]));
+
+    await snapshotService.run(snapshot);
+
+    expect(snapshot.status).toBe('completed');
+    expect(snapshot.toObject()).not.toHaveProperty('allocations');
+    expect(allocations.map(allocation => String(allocation.snapshot))).toEqual([String(snapshot._id), String(snapshot._id)]);
+    expect(await snapshot.getAllocations()).toEqual([
+      { walletAddress: wallet(1), amount: '100' },
+      { walletAddress: wallet(2), amount: '200' }
+    ]);
+  });
+
+  it('caps the excluded addresses listed in the report', () => {
+    const service = new snapshotService.SnapshotService();
+    service.reportAddressLimit = 2;
+
+    const excluded = [1, 2, 3, 4].map(wallet);
+    const balances = new Map([...excluded, wallet(5)].map(address => [address, 10n]));
+    const { report } = service.applyRules(balances, service.normalizeRules({ excludedAddresses: excluded }));
+
+    expect(report.rules[0]).toMatchObject({
+      rule: 'excludedAddresses',
+      wallets: 4,
+      addresses: [wallet(1), wallet(2)],
+      truncated: true
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const ClaimTransaction = require('../../src/models/ClaimTransaction');
+const MerkleTreeModel = require('../../src/models/MerkleTree');
+const chainRegistry = require('../../src/services/chainRegistry');
+const vestingService = require('../../src/services/vestingService');
+const { useMemoryStore } = require('../helpers/memoryStore');
+
+describe('VestingService', () => {
+  const chainId = 97;
+  const walletAddress = '0x00000000000000000000000000000000000000aa';
+
+  let phaseOne;
+  let phaseTwo;
+
+  beforeEach(async () => {
+    useMemoryStore(ClaimTransaction);
+    useMemoryStore(MerkleTreeModel);
+
+    phaseOne = new MerkleTreeModel({ name: 'Phase 1', root: `0x${'11'.repeat(32)}`, totalAmount: '0', totalUsers: 1, chainId });
+    phaseTwo = new MerkleTreeModel({ name: 'Phase 2', root: `0x${'22'.repeat(32)}`, totalAmount: '0', totalUsers: 1, chainId });
+    await phaseOne.save();
+    await phaseTwo.save();
+
+    const claims = [
+      { merkleTree: phaseOne._id, amount: '100', status: 'completed' },
+      { merkleTree: phaseOne._id, amount: '50', status: 'confirming' },
+      { merkleTree: phaseOne._id, amount: '999', status: 'failed' },
+      { merkleTree: phaseTwo._id, amount: '400', status: 'completed' }
+    ];
+
+    for (const claim of claims) {
+      await new ClaimTransaction({
+        user: new mongoose.Types.ObjectId(),
+        walletAddress,
+        type: 'self_claim',
+        chainId,
+        ...claim
+      }).save();
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getClaimed', () => {
+    it('counts only the settled claims made against the schedule tree', async () => {
+      const claimed = await vestingService.getClaimed([{ chainId, merkleTree: phaseOne._id }], walletAddress);
+
+      expect(claimed).toBe('150');
+    });
+
+    it('counts the claims of every tree of the chain for schedules not tied to a tree', async () => {
+      const claimed = await vestingService.getClaimed([
+        { chainId, merkleTree: phaseOne._id },
+        { chainId, merkleTree: null }
+      ], walletAddress);
+
+      expect(claimed).toBe('550');
+    });
+
+    it('reads the contract for cumulative trees', async () => {
+      phaseTwo.distributionMode = 'cumulative';
+      const getClaimedAmount = jest.fn().mockResolvedValue('700');
+      jest.spyOn(chainRegistry, 'get').mockReturnValue({ blockchain: { getClaimedAmount } });
+
+      const claimed = await vestingService.getClaimed([{ chainId, merkleTree: phaseTwo._id }], walletAddress);
+
+      expect(claimed).toBe('700');
+      expect(getClaimedAmount).toHaveBeenCalledWith(walletAddress);
+    });
+  });
+});
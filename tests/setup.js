@@ -0,0 +1,6 @@
+// Keep spec output readable; services log through winston
+require('../src/utils/logger').silent = true;
+
+// Specs run without MongoDB: fail unstubbed queries at once instead of
+// buffering them, which would keep jest waiting on the buffer timeout
+require('mongoose').set('bufferCommands', false);
@@ -0,0 +1,103 @@
+const { StandardMerkleTree, SimpleMerkleTree } = require('@openzeppelin/merkle-tree');
+const { LEAF_ENCODINGS, hashLeaf } = require('../../src/utils/merkleLeaf');
+const merkleService = require('../../src/services/merkleService');
+const { buildLayers, getProof } = require('../../src/services/merkleBuilderService');
+
+// Roots this backend builds for the first 1, 3, 5 and 6 leaves of ALLOCATIONS.
+// Only some layouts agree with StandardMerkleTree.of, so these are not OZ roots.
+const ROOT_VECTORS = {
+  packed: {
+    1: '0x5e3505fa1d56d9f3f4217b39ab8eefdaebce7bf5d3f8ae940765ed1d4680d96d',
+    3: '0xfcef9e4825571c2498c5f03c8deb5ebb13fc14632ac556d5db9f2600801e3df5',
+    5: '0x856c9885251dcf47dcd1bce48ae59807e7d830eeff76a8ee1316591d3e22d957',
+    6: '0x46ffab00faefd801f93f52e5cca12e3ede3bfd53e5e56aa94fde95cb967a500c'
+  },
+  standard: {
+    1: '0xf62c10519787ef50d0b8b94ab8a951f39f74c5768c245b60a8c8b2a4880bb239',
+    3: '0x20b3187728a71479b0b42c32b125422ccc85c09155fd6aebb29028a33061d377',
+    5: '0x1b60dfd94039618d7fe89ac85e1861b3e8542d3e9bb663bc6e18c00ba52ed3a2',
+    6: '0x9bc5c16465819d57465a39577a5efd5a7356186a8c771055feb276f2c6bdc3c7'
+  },
+  'standard-indexed': {
+    1: '0x0bb41d9def56ae9443ff2e9a5b918f39e556b2f078cefb022714c1975071e324',
+    3: '0xdec80d1c24ccec007b75c8fddaea563ff9e8080cee250385887742765a940aaa',
+    5: '0xbc69cfae6421af69f79d7accbd51638ee0cd76e51e7ea475749855e8241eee3a',
+    6: '0x7612b863f0dd9eb4a7ac06612489645206a0b1145a3aa1580d01ff061370ff7e'
+  },
+  'packed-token': {
+    1: '0xeddd228d220fe43dd30079a9c95cf4d96da94c5e0d8ee5f700a53b21752e2ef7',
+    3: '0x6ef854db197628a58e598f5e0e9ce14d15af7cb3b5e0c53580766b19c9160ba2',
+    5: '0x488217b84a4c7e42396f31a2d4e4b34799ace912abae9d464e1cc3cfb277f5f5',
+    6: '0x6011ed53dfd998168b7f3327a03bb7656654b0d5d8a40dac1950c4c066e32b38'
+  },
+  'standard-token': {
+    1: '0x4d614554931f29fbae9503c273315ff3ab3e50a8509945020e06ba0630e72b4d',
+    3: '0x19be284d667929a99db0817279a1f3aae0cd7b6b17e87e1299692833d0110643',
+    5: '0x8d340957d44892c6d06411b702680a87b03c93826ef93364f400055aaffa030a',
+    6: '0xf1db3a04146596fd4f6d3acd1b528342d28a3ea2e8af4fec8e8719b498589bcd'
+  }
+};
+
+const ALLOCATIONS = [1, 2, 3, 4, 5, 6].map(digit => ({
+  walletAddress: `0x${String(digit).repeat(40)}`,
+  tokenAddress: '0x2222222222222222222222222222222222222222',
+  amount: String(digit * 1000)
+}));
+
+function toHex(buffer) {
+  return `0x${buffer.toString('hex')}`;
+}
+
+describe('Merkle leaf encodings', () => {
+  for (const encoding of Object.keys(LEAF_ENCODINGS)) {
+    describe(encoding, () => {
+      const { types, values } = LEAF_ENCODINGS[encoding];
+      const isStandard = encoding.startsWith('standard');
+
+      for (const count of [1, 3, 5, 6]) {
+        it(`builds the expected root for ${count} leaves with proofs OpenZeppelin verifies`, async () => {
+          const treeData = await merkleService.generateMerkleTree(ALLOCATIONS.slice(0, count), encoding);
+
+          expect(treeData.root).toBe(ROOT_VECTORS[encoding][count]);
+
+          for (const leaf of treeData.leaves) {
+            const verified = isStandard
+              ? StandardMerkleTree.verify(treeData.root, types, values(leaf), leaf.proof)
+              : SimpleMerkleTree.verify(treeData.root, toHex(hashLeaf(leaf, encoding)), leaf.proof);
+
+            expect(verified).toBe(true);
+          }
+        });
+
+        it(`matches the streaming builder for ${count} leaves`, async () => {
+          const treeData = await merkleService.generateMerkleTree(ALLOCATIONS.slice(0, count), encoding);
+          const layers = buildLayers(Buffer.concat(treeData.leaves.map(leaf => hashLeaf(leaf, encoding))));
+
+          expect(toHex(layers[layers.length - 1])).toBe(treeData.root);
+          treeData.leaves.forEach((leaf, index) => {
+            expect(getProof(layers, index)).toEqual(leaf.proof);
+          });
+        });
+      }
+
+      if (isStandard) {
+        it('hashes leaves like StandardMerkleTree.leafHash', async () => {
+          const treeData = await merkleService.generateMerkleTree(ALLOCATIONS, encoding);
+          const ozTree = StandardMerkleTree.of(treeData.leaves.map(values), types);
+
+          for (const leaf of treeData.leaves) {
+            expect(toHex(hashLeaf(leaf, encoding))).toBe(ozTree.leafHash(values(leaf)));
+          }
+        });
+      }
+    });
+  }
+
+  it('can differ from the StandardMerkleTree root for non-power-of-two leaf counts', async () => {
+    const { types, values } = LEAF_ENCODINGS.standard;
+    const treeData = await merkleService.generateMerkleTree(ALLOCATIONS.slice(0, 5), 'standard');
+    const ozTree = StandardMerkleTree.of(treeData.leaves.map(values), types);
+
+    expect(ozTree.root).not.toBe(treeData.root);
+  });
+});